@@ -15,6 +15,6 @@ export default {
       exports: 'named',
     },
   ],
-  external: ['isomorphic-git', 'crypto', 'protobufjs', 'path', 'url'],
+  external: ['isomorphic-git', 'crypto', 'protobufjs', 'path', 'url', 'os', 'child_process'],
   plugins: [nodeResolve()],
 };
@@ -4,19 +4,33 @@
 
 import { Storage } from '../core/storage-manager.js';
 import { ChangeGraph } from '../core/change-graph.js';
+import { BlobStore } from '../core/blob-store.js';
 import { WorkingCopy } from '../core/working-copy.js';
 import { OperationLog } from '../core/operation-log.js';
 import { BookmarkStore } from '../core/bookmark-store.js';
 import { TagStore } from '../core/tag-store.js';
 import { RevsetEngine } from '../core/revset-engine.js';
+import { TemplateEngine } from '../core/template-engine.js';
 import { ConflictModel } from '../core/conflict-model.js';
+import { ViewStorage } from '../core/view-storage.js';
+import { RepositoryLock } from '../core/repository-lock.js';
 import { MergeDriverRegistry } from '../core/merge-driver-registry.js';
+import { FixerRegistry } from '../core/fixer-registry.js';
 import { WorkspaceManager } from '../core/workspace-manager.js';
 import { BackgroundOps } from '../core/background-ops.js';
-import { UserConfig } from '../core/user-config.js';
+import { UserConfig, validateConfigUpdate, validateConfigAliases } from '../core/user-config.js';
 import { IsomorphicGitBackend } from '../backend/isomorphic-git-backend.js';
 import { JJError } from '../utils/errors.js';
-import { generateChangeId } from '../utils/id-generation.js';
+import { generateChangeId, changeIdFromCommitId } from '../utils/id-generation.js';
+import { merge3, diffHunks, formatPatch } from '../utils/line-diff.js';
+import { matchesPathPattern } from '../utils/path-pattern.js';
+import { hunkId, hasSelection, selectChanges } from '../utils/hunk-selection.js';
+import { mergeToolCommand, runMergeTool } from '../utils/merge-tools.js';
+import { fixToolCommands, fixToolMatches, runFixTool } from '../utils/fix-tools.js';
+import { decodeContent, isBinaryContent, contentEquals, contentSize, toBytes } from '../utils/binary.js';
+import { hashBlob } from '../core/blob-store.js';
+import { mergeViews } from '../utils/view-merge.js';
+import { bytesReadableStream, fileReadableStream, fileWritableStream } from '../utils/streams.js';
 import path from 'path';
 
 /**
@@ -28,6 +42,8 @@ import path from 'path';
  * @param {Object} [options.git] - isomorphic-git instance (enables Git backend)
  * @param {Object} [options.http] - HTTP client for network operations
  * @param {string|Object} [options.backend] - Backend name ('isomorphic-git', 'memory') or backend instance
+ * @param {string} [options.blobStore='jj'] - Where file contents are stored: 'jj' (.jj/repo/store/blobs)
+ *   or 'git' (the Git object database; requires a Git backend)
  *
  * @returns {Promise<Object>} Initialized JJ instance
  */
@@ -58,12 +74,14 @@ export async function createJJ(options) {
 
   // Create core components
   const storage = new Storage(fs, dir);
-  const baseGraph = new ChangeGraph(storage);
+  const blobs = new BlobStore(storage);
+  const baseGraph = new ChangeGraph(storage, blobs);
   const workingCopy = new WorkingCopy(storage, fs, dir);
-  const oplog = new OperationLog(storage);
+  const oplog = new OperationLog(storage, blobs);
   const bookmarks = new BookmarkStore(storage);
   const tags = new TagStore(fs, `${dir}/.jj`);
   const mergeDrivers = new MergeDriverRegistry(); // v0.5: merge drivers
+  const fixers = new FixerRegistry(); // In-process fixers for fix()
   const conflicts = new ConflictModel(storage, fs, mergeDrivers); // v0.5: pass registry
   const workspaces = new WorkspaceManager(storage, fs, dir);
   const userConfig = new UserConfig(storage);
@@ -78,13 +96,23 @@ export async function createJJ(options) {
     return { name: user.name, email: user.email, hostname: 'localhost' };
   };
 
+  /**
+   * Helper to read a working copy file for a snapshot
+   * @param {string} filePath - Path relative to the repository root
+   * @returns {Promise<string|Uint8Array>} Text, or bytes for binary files
+   */
+  const readWorkingFile = async (filePath) => {
+    const bytes = await fs.promises.readFile(path.join(dir, filePath));
+    return decodeContent(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+  };
+
   /**
    * Helper to snapshot current filesystem state
    * This is called BEFORE every operation to enable undo
-   * @returns {Promise<Record<string, string>>}
+   * @returns {Promise<Record<string, string|Uint8Array>>}
    */
   const snapshotFilesystem = async () => {
-    /** @type {Record<string, string>} */
+    /** @type {Record<string, string|Uint8Array>} */
     const fileSnapshot = {};
 
     try {
@@ -110,11 +138,10 @@ export async function createJJ(options) {
             break;
           }
 
-          const content = await fs.promises.readFile(fullPath, 'utf-8');
-          fileSnapshot[filePath] = content;
+          fileSnapshot[filePath] = await readWorkingFile(filePath);
           totalSnapshotSize += stats.size;
         } catch (error) {
-          // Skip files that can't be read (binary, deleted, etc.)
+          // Skip files that can't be read (deleted, permissions, etc.)
         }
       }
     } catch (error) {
@@ -124,6 +151,177 @@ export async function createJJ(options) {
     return fileSnapshot;
   };
 
+  /**
+   * Helper to record the working directory's files in the working-copy change
+   *
+   * Edits on disk that no operation has snapshotted yet then take part in history edits.
+   */
+  const snapshotWorkingChange = async () => {
+    const workingChange = await graph.getChange(workingCopy.getCurrentChangeId());
+    if (workingChange) {
+      workingChange.fileSnapshot = await snapshotFilesystem();
+      await graph.updateChange(workingChange);
+    }
+  };
+
+  /**
+   * Helper to put the files of a Git tree in the blob store
+   *
+   * Only hashes are kept, so importing a large history never holds its contents in memory.
+   * @param {string} treeOid - Git tree SHA-1
+   * @param {Map<string, string>} blobHashes - Git blob ID → blob store hash, shared across calls
+   * @returns {Promise<Record<string, string>>} Blob store hash by path
+   */
+  const storeGitTree = async (treeOid, blobHashes) => {
+    /** @type {Record<string, string>} */
+    const files = {};
+
+    const pending = [{ oid: treeOid, prefix: '' }];
+    while (pending.length > 0) {
+      const { oid, prefix } = pending.shift();
+      for (const entry of await gitBackend.readTree(oid)) {
+        const filePath = prefix + entry.path;
+        if (entry.type === 'tree') {
+          pending.push({ oid: entry.oid, prefix: `${filePath}/` });
+          continue;
+        }
+        if (entry.type !== 'blob') {
+          continue; // Submodules
+        }
+
+        let hash = blobHashes.get(entry.oid);
+        if (hash === undefined) {
+          const { blob } = await gitBackend.readBlob(entry.oid);
+          hash = await blobs.write(blob);
+          blobHashes.set(entry.oid, hash);
+        }
+        files[filePath] = hash;
+      }
+    }
+
+    return files;
+  };
+
+  /**
+   * Helper to create changes for Git commits reachable from the given tips that are not
+   * yet in the graph. Commits written by jj keep their change ID, from `changeIds` or their
+   * `change-id` header; other change IDs are derived from commit IDs, as jj does. A change
+   * ID already taken, as by a divergent commit, also falls back to the derived one.
+   * @param {string[]} tips - Commit SHA-1s to import history from
+   * @param {Map<string, string>} [changeIds] - Commit ID → change ID recorded by jj
+   * @returns {Promise<number>} Number of changes created
+   */
+  const importGitCommits = async (tips, changeIds = new Map()) => {
+    // Collect commits not yet in the graph, stopping at known ones
+    const commits = new Map(); // commitId -> commit
+    for (const tip of tips) {
+      const pending = [tip];
+      while (pending.length > 0) {
+        const oid = pending.pop();
+        if (commits.has(oid) || baseGraph.findByCommitId(oid)) {
+          continue;
+        }
+
+        let commit;
+        try {
+          commit = await gitBackend.readCommit(oid);
+        } catch (error) {
+          // Shallow clones end at commits whose parents are missing
+          if (error.code === 'NOT_FOUND' && oid !== tip) {
+            continue;
+          }
+          throw error;
+        }
+        commits.set(oid, commit);
+        pending.push(...commit.parents);
+      }
+    }
+
+    // Parentless Git commits hang off the repository root (as root() finds it), as in jj
+    const rootChange = baseGraph
+      .getAll()
+      .filter(c => !c.parents || c.parents.length === 0)
+      .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime())[0];
+
+    // The latest of several commits with the same change ID keeps it
+    const commitChangeIds = new Map(); // commitId -> changeId
+    const taken = new Set();
+    const byTime = [...commits.values()].sort((a, b) => b.committer.timestamp - a.committer.timestamp);
+    for (const commit of byTime) {
+      let changeId = changeIds.get(commit.oid) || commit.changeId;
+      if (!changeId || taken.has(changeId) || baseGraph.nodes.has(changeId)) {
+        changeId = changeIdFromCommitId(commit.oid);
+      }
+      taken.add(changeId);
+      commitChangeIds.set(commit.oid, changeId);
+    }
+
+    const blobHashes = new Map(); // blob oid -> blob store hash
+    const newChanges = [];
+    for (const commit of commits.values()) {
+      const parents = commit.parents
+        .filter(oid => commits.has(oid) || baseGraph.findByCommitId(oid))
+        .map(oid => baseGraph.findByCommitId(oid) || commitChangeIds.get(oid));
+      if (parents.length === 0 && rootChange) {
+        parents.push(rootChange.changeId);
+      }
+
+      newChanges.push({
+        changeId: commitChangeIds.get(commit.oid),
+        commitId: commit.oid,
+        parents,
+        tree: commit.tree,
+        author: {
+          name: commit.author.name,
+          email: commit.author.email,
+          timestamp: new Date(commit.author.timestamp).toISOString(),
+        },
+        committer: {
+          name: commit.committer.name,
+          email: commit.committer.email,
+          timestamp: new Date(commit.committer.timestamp).toISOString(),
+        },
+        description: commit.message.replace(/\n+$/, ''),
+        timestamp: new Date(commit.committer.timestamp).toISOString(),
+        // Read from the blob store when the change is first asked for
+        files: await storeGitTree(commit.tree, blobHashes),
+      });
+    }
+
+    // The commits already exist in Git, so bypass the Git sync middleware
+    if (newChanges.length > 0) {
+      await baseGraph.addChanges(newChanges);
+    }
+
+    return newChanges.length;
+  };
+
+  /**
+   * Helper to merge a tracked local bookmark with its remote counterpart, the way jj merges
+   * ref targets: the previously fetched remote target is the base of a three-way merge, and a
+   * side that is an ancestor of the other is fast-forwarded.
+   * @param {string|null} localTarget - Local bookmark target
+   * @param {string|null} baseTarget - Remote target as of the previous fetch
+   * @param {string} remoteTarget - Newly fetched remote target
+   * @returns {{ target: string|null, conflicted: boolean }}
+   */
+  const mergeBookmarkTargets = (localTarget, baseTarget, remoteTarget) => {
+    if (localTarget === remoteTarget || remoteTarget === baseTarget) {
+      return { target: localTarget, conflicted: false };
+    }
+    if (!localTarget) {
+      // Deleted locally but moved on the remote
+      return baseTarget ? { target: null, conflicted: true } : { target: remoteTarget, conflicted: false };
+    }
+    if (localTarget === baseTarget || baseGraph.getAncestors(remoteTarget).includes(localTarget)) {
+      return { target: remoteTarget, conflicted: false };
+    }
+    if (baseGraph.getAncestors(localTarget).includes(remoteTarget)) {
+      return { target: localTarget, conflicted: false };
+    }
+    return { target: localTarget, conflicted: true };
+  };
+
   /**
    * Helper to dispatch events with async listener support and error handling
    * Store listener errors in detail so we can check them after dispatch
@@ -169,6 +367,11 @@ export async function createJJ(options) {
     return event;
   };
 
+  // Commits made by syncChangeToGit() that the next operation mirrored in the native
+  // jj op store records the change IDs of
+  /** @type {Array<{commitId: string, changeId: string}>} */
+  const createdCommits = [];
+
   // Helper to sync a JJ change to a Git commit
   // In JJ, every change has a corresponding Git commit
   const syncChangeToGit = async (change) => {
@@ -184,7 +387,7 @@ export async function createJJ(options) {
 
       // Get parent commit IDs
       const parentCommitIds = [];
-      await baseGraph.load();
+      await baseGraph.refresh();
       for (const parentChangeId of change.parents) {
         const parentChange = await baseGraph.getChange(parentChangeId);
         if (parentChange && parentChange.commitId && parentChange.commitId !== '0000000000000000000000000000000000000000') {
@@ -192,120 +395,1578 @@ export async function createJJ(options) {
         }
       }
 
-      // Create the Git commit
-      const commitSha = await gitBackend.createCommit({
-        message: change.description,
-        author: {
-          name: change.author.name,
-          email: change.author.email,
-          timestamp: new Date(change.author.timestamp).getTime(),
-        },
-        committer: {
-          name: change.committer.name,
-          email: change.committer.email,
-          timestamp: new Date(change.committer.timestamp).getTime(),
-        },
-        parents: parentCommitIds,
-      });
+      // Create the Git commit
+      const commitSha = await gitBackend.createCommit({
+        message: change.description,
+        author: {
+          name: change.author.name,
+          email: change.author.email,
+          timestamp: new Date(change.author.timestamp).getTime(),
+        },
+        committer: {
+          name: change.committer.name,
+          email: change.committer.email,
+          timestamp: new Date(change.committer.timestamp).getTime(),
+        },
+        parents: parentCommitIds,
+      });
+
+      // Update the change with the Git commit ID (bypass middleware to avoid infinite loop)
+      change.commitId = commitSha;
+      await baseGraph.updateChange(change);
+      createdCommits.push({ commitId: commitSha, changeId: change.changeId });
+    } catch (error) {
+      // Throw error - Git sync failures should not be silent
+      throw new JJError(
+        'GIT_SYNC_FAILED',
+        `Failed to sync change ${change.changeId.slice(0, 8)} to Git: ${error.message}`,
+        {
+          changeId: change.changeId,
+          originalError: error.message,
+          suggestion: 'Check Git backend configuration and repository state',
+        }
+      );
+    }
+  };
+
+  /**
+   * Create a middleware-wrapped graph that intercepts add/update operations
+   * This allows pluggable backends without modifying core ChangeGraph logic
+   */
+  const createGraphWithMiddleware = (baseGraph, hooks) => {
+    return {
+      // Delegate all read operations directly to base graph
+      load: () => baseGraph.load(),
+      refresh: () => baseGraph.refresh(),
+      getChange: (changeId) => baseGraph.getChange(changeId),
+      getAllChanges: () => baseGraph.getAll(), // Alias for compatibility
+      getAll: () => baseGraph.getAll(),  // Used by revset engine
+      getAncestors: (changeId) => baseGraph.getAncestors(changeId),
+      getDescendants: (changeId) => baseGraph.getDescendants(changeId),
+      getParents: (changeId) => baseGraph.getParents(changeId),
+      getChildren: (changeId) => baseGraph.getChildren(changeId),
+      getGeneration: (changeId) => baseGraph.getGeneration(changeId),
+      findByAuthor: (predicate) => baseGraph.findByAuthor(predicate),
+      findByFile: (predicate) => baseGraph.findByFile(predicate),
+      getHeads: () => baseGraph.getHeads(),
+      getFilePaths: (changeId) => baseGraph.getFilePaths(changeId),
+      getFileHash: (changeId, filePath) => baseGraph.getFileHash(changeId, filePath),
+      captureState: (/** @type {Record<string, string>|undefined} */ base) => baseGraph.captureState(base),
+      getHeadsSince: (/** @type {Object<string, any>} */ base) => baseGraph.getHeadsSince(base),
+      getRecordHash: (/** @type {string} */ changeId) => baseGraph.getRecordHash(changeId),
+      findChangeByCommitId: async (commitId) => {
+        const changeId = baseGraph.findByCommitId(commitId);
+        return changeId ? await baseGraph.getChange(changeId) : null;
+      },
+
+      // Wrap write operations with middleware hooks
+      async addChange(change) {
+        await baseGraph.addChange(change);
+        if (hooks.onAddChange) {
+          await hooks.onAddChange(change);
+        }
+      },
+
+      async updateChange(change) {
+        await baseGraph.updateChange(change);
+        if (hooks.onUpdateChange) {
+          await hooks.onUpdateChange(change);
+        }
+      },
+
+      // Delegate other operations
+      init: () => baseGraph.init(),
+      // Restored changes were synced to Git when first recorded
+      restoreState: (state) => baseGraph.restoreState(state),
+      restoreShards: (/** @type {Record<string, string>} */ state, /** @type {Record<string, string>|undefined} */ base) =>
+        baseGraph.restoreShards(state, base),
+    };
+  };
+
+  // Create Git backend if specified
+  // Auto-detect: if git instance provided, use isomorphic-git backend
+  let gitBackend = null;
+  if (git || backend === 'isomorphic-git' || backend === 'git') {
+    gitBackend = new IsomorphicGitBackend({
+      fs,
+      dir,
+      http,
+    });
+  } else if (backend && typeof backend === 'object') {
+    // Custom backend instance provided
+    gitBackend = backend;
+  }
+
+  if (options.blobStore === 'git') {
+    if (!gitBackend) {
+      throw new JJError('INVALID_CONFIG', 'blobStore "git" requires a Git backend', {
+        suggestion: 'Provide git instance: createJJ({ fs, dir, git, blobStore: "git" })',
+      });
+    }
+    blobs.useGitBackend(gitBackend);
+  } else if (options.blobStore && options.blobStore !== 'jj') {
+    throw new JJError('INVALID_CONFIG', `Unknown blobStore: ${options.blobStore}`, {
+      suggestion: 'Use "jj" or "git"',
+    });
+  }
+
+  // Wrap the base graph with middleware that syncs to Git
+  // This allows us to support different backends in the future
+  const graph = createGraphWithMiddleware(baseGraph, {
+    onAddChange: async (change) => {
+      // Sync new change to Git backend
+      await syncChangeToGit(change);
+    },
+    onUpdateChange: async (change) => {
+      // Sync updated change to Git backend
+      await syncChangeToGit(change);
+    },
+  });
+
+  // Create revset engine with the middleware-wrapped graph (v0.4: added bookmarkStore)
+  const revset = new RevsetEngine(graph, workingCopy, userConfig, bookmarks, tags);
+
+  // Template engine for the `template` option of log(), show(), obslog() and operations.list()
+  const templates = new TemplateEngine(userConfig);
+
+  // Stores read by log(), show(), read(), listFiles() and diff(); operations.at() passes
+  // the stores of an operation's view instead
+  const repoStores = { graph, workingCopy, bookmarks, tags, conflicts, revset };
+
+  /**
+   * Helper to build template keywords for changes (log and show)
+   * @param {typeof repoStores} [stores] - Stores to read, defaults to the repository's
+   * @returns {Promise<(change: Object<string, any>) => Promise<Object<string, any>>>} Keyword builder
+   */
+  const changeTemplateKeywords = async (stores = repoStores) => {
+    await stores.workingCopy.load();
+    await stores.bookmarks.load();
+    await userConfig.load();
+    const bookmarkList = await stores.bookmarks.list();
+    const tagList = await stores.tags.list();
+    const currentChangeId = stores.workingCopy.getCurrentChangeId();
+    const user = /** @type {Object<string, any>} */ (userConfig.getUser());
+
+    return async (change) => {
+      const pointing = bookmarkList.filter(b => b.changeId === change.changeId);
+      const localBookmarks = pointing.filter(b => !b.remote).map(b => b.name);
+      const remoteBookmarks = pointing
+        .filter(b => b.remote)
+        .map(b => `${b.name.slice(b.remote.length + 1)}@${b.remote}`);
+      const parents = change.parents || [];
+      const parent = parents.length > 0 ? await stores.graph.getChange(parents[0]) : null;
+      const files = change.fileSnapshot || {};
+      const parentFiles = (parent && parent.fileSnapshot) || {};
+      const author = { name: '', email: '', ...change.author };
+
+      return {
+        change_id: change.changeId,
+        commit_id: change.commitId || '',
+        description: change.description || '',
+        author,
+        committer: { name: '', email: '', ...(change.committer || change.author) },
+        parents,
+        bookmarks: [...localBookmarks, ...remoteBookmarks],
+        local_bookmarks: localBookmarks,
+        remote_bookmarks: remoteBookmarks,
+        tags: tagList.filter(t => t.changeId === change.changeId).map(t => t.name),
+        conflict: Boolean(change.conflicts && Object.keys(change.conflicts).length > 0),
+        divergent: Boolean(change.divergent),
+        // Empty means the same files with the same contents as the first parent
+        empty: Object.keys(files).length === Object.keys(parentFiles).length &&
+          Object.keys(files).every(f => f in parentFiles && contentEquals(files[f], parentFiles[f])),
+        current_working_copy: change.changeId === currentChangeId,
+        root: parents.length === 0,
+        mine: author.email === user.email,
+      };
+    };
+  };
+
+  /**
+   * Helper to build template keywords for an operation (obslog and operations.list)
+   * @param {Object<string, any>} op - Operation
+   * @param {string|null} currentOperationId - ID of the latest operation
+   * @returns {Object<string, any>} Keywords
+   */
+  const operationTemplateKeywords = (op, currentOperationId) => ({
+    id: op.id,
+    description: op.description || '',
+    user: op.user ? `${op.user.name}@${op.user.hostname || 'localhost'}` : '',
+    time: new Date(op.timestamp),
+    current_operation: op.id === currentOperationId,
+    event_type: op.eventType || 'modify',
+  });
+
+  /**
+   * Helper to capture the repository view recorded with every operation
+   *
+   * The view holds everything undo() and operations.restore() put back: visible heads,
+   * the state of every change, local and remote bookmarks, tags, conflicts and the
+   * working-copy change of each workspace.
+   * @returns {Promise<Object<string, any>>} View
+   */
+  const captureView = async () => {
+    // The stored graph matches the latest view but for the shards read since
+    const base = await oplog.getView(await oplog.getOperation(oplog.headOperationId));
+    await graph.refresh();
+    await bookmarks.load();
+    await workspaces.load();
+    await workingCopy.load();
+    await conflicts.load();
+    const currentChangeId = workingCopy.getCurrentChangeId();
+
+    return {
+      heads: await graph.getHeadsSince(base),
+      changeShards: await graph.captureState(base.changeShards),
+      ...bookmarks.captureState(),
+      tags: await tags.load(),
+      conflicts: {
+        conflicts: Object.fromEntries(conflicts.conflicts),
+        fileConflicts: Object.fromEntries(conflicts.fileConflicts),
+      },
+      workspaces: workspaces.captureState(currentChangeId),
+      workingCopy: currentChangeId,
+    };
+  };
+
+  /**
+   * Helper to list the state of every change of a view in its `changes`
+   *
+   * Views hold shard states since they stopped listing every change; mergeViews()
+   * and revertViewEntries() work on the listing.
+   * @param {Object<string, any>} view - View recorded by captureView()
+   * @returns {Promise<Object<string, any>>} View with `changes` mapping change IDs to record hashes
+   */
+  const withChanges = async (view) => {
+    if (!view.changeShards) {
+      return view;
+    }
+    const { changeShards, ...rest } = view;
+    return { ...rest, changes: await baseGraph.readState(changeShards) };
+  };
+
+  /**
+   * Helper to read the state of one change in a view
+   * @param {Object<string, any>} view - View recorded by captureView()
+   * @param {string} changeId - Change ID
+   * @returns {Promise<string|undefined>} Record hash, or undefined if the view lacks the change
+   */
+  const viewRecordOf = async (view, changeId) => {
+    return view.changeShards ? await baseGraph.readStateEntry(view.changeShards, changeId) : view.changes?.[changeId];
+  };
+
+  /**
+   * Helper to put back a view recorded by captureView()
+   *
+   * The working directory is checked out from the restored working-copy change, or
+   * set to `opts.files` when given; it is left alone when that change is untouched.
+   * Views recorded before complete views existed only carry the working-copy
+   * change, so nothing else is touched for them.
+   * @param {Object<string, any>} view - View to restore
+   * @param {Object} [opts] - Options
+   * @param {Record<string, string|Uint8Array>} [opts.files] - Working directory files to write instead
+   * @returns {Promise<Record<string, string|Uint8Array>>} Files written to the working directory
+   */
+  const restoreView = async (view, opts = {}) => {
+    await graph.refresh();
+    await workingCopy.load();
+    const previousChangeId = workingCopy.getCurrentChangeId();
+    const previousChange = await graph.getChange(previousChangeId);
+    const previousFiles = (previousChange && previousChange.fileSnapshot) || {};
+    const complete = Boolean(view.changeShards || view.changes);
+    const previousState = complete ? await graph.getRecordHash(previousChangeId) : undefined;
+
+    if (complete) {
+      if (view.changeShards) {
+        const base = await oplog.getView(await oplog.getOperation(oplog.headOperationId));
+        await graph.restoreShards(view.changeShards, base.changeShards);
+      } else {
+        await graph.restoreState(view.changes);
+      }
+      await bookmarks.load();
+      await bookmarks.restoreState({
+        bookmarks: view.bookmarks || {},
+        remoteBookmarks: view.remoteBookmarks,
+        trackedBookmarks: view.trackedBookmarks,
+      });
+      await tags.save(view.tags || {});
+      if (view.conflicts) {
+        await conflicts.load();
+        conflicts.conflicts = new Map(Object.entries(view.conflicts.conflicts || {}));
+        conflicts.fileConflicts = new Map(Object.entries(view.conflicts.fileConflicts || {}));
+        await conflicts.save();
+      }
+      if (view.workspaces) {
+        await workspaces.load();
+        await workspaces.restoreState(view.workspaces);
+      }
+    }
+
+    if (!view.workingCopy) {
+      return {};
+    }
+    await workingCopy.setCurrentChange(view.workingCopy);
+
+    // Unsnapshotted edits stay when the working-copy change itself is untouched
+    const untouched = view.workingCopy === previousChangeId &&
+      (!complete || await viewRecordOf(view, previousChangeId) === previousState);
+    if (untouched && !opts.files) {
+      return previousFiles;
+    }
+
+    if (opts.files) {
+      await checkoutFiles(opts.files);
+      return opts.files;
+    }
+    const target = await graph.getChange(view.workingCopy);
+    const files = (target && target.fileSnapshot) || {};
+    await checkoutFiles(files, Object.keys(previousFiles).filter(filePath => !(filePath in files)));
+    return files;
+  };
+
+  /**
+   * Helper to undo one operation's edits to a part of a view
+   *
+   * Entries the operation changed go back to their value before it, unless a later
+   * operation changed them again.
+   * @param {Record<string, any>} [current] - Entries now
+   * @param {Record<string, any>} [before] - Entries before the operation
+   * @param {Record<string, any>} [after] - Entries after the operation
+   * @returns {{ state: Record<string, any>, reverted: string[] }} Entries with the edits undone, and the keys reverted
+   */
+  const revertViewEntries = (current = {}, before = {}, after = {}) => {
+    /** @type {(a: any, b: any) => boolean} */
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const state = { ...current };
+    const reverted = [];
+
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (same(before[key], after[key]) || !same(current[key], after[key])) {
+        continue;
+      }
+      if (before[key] === undefined) {
+        delete state[key];
+      } else {
+        state[key] = before[key];
+      }
+      reverted.push(key);
+    }
+
+    return { state, reverted };
+  };
+
+  /**
+   * Helper to write a file snapshot to the working directory
+   * @param {Record<string, string|Uint8Array>} files - Files to write
+   * @param {string[]} [removed] - Files to delete, e.g. those of the previous working-copy change
+   */
+  const checkoutFiles = async (files, removed = []) => {
+    for (const filePath of removed) {
+      try {
+        await fs.promises.unlink(path.join(dir, filePath));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new JJError('FILE_RESTORE_FAILED', `Failed to remove file ${filePath}: ${error.message}`, {
+            filePath,
+            originalError: error.message,
+          });
+        }
+      }
+      await workingCopy.untrackFile(filePath);
+    }
+
+    for (const [filePath, content] of Object.entries(files)) {
+      const fullPath = path.join(dir, filePath);
+      try {
+        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.promises.writeFile(fullPath, content, 'utf8');
+      } catch (error) {
+        throw new JJError('FILE_RESTORE_FAILED', `Failed to restore file ${filePath}: ${error.message}`, {
+          filePath,
+          originalError: error.message,
+        });
+      }
+      const stats = await fs.promises.stat(fullPath);
+      await workingCopy.trackFile(filePath, {
+        mtime: stats.mtime,
+        size: stats.size,
+        mode: stats.mode,
+      });
+    }
+  };
+
+  /**
+   * Helper to write a file snapshot under a directory outside the repository
+   * @param {string} root - Absolute directory path
+   * @param {Record<string, string|Uint8Array>} files - Files to write
+   */
+  const writeDirectoryFiles = async (root, files) => {
+    await fs.promises.mkdir(root, { recursive: true });
+    for (const [filePath, content] of Object.entries(files)) {
+      const fullPath = path.join(root, filePath);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, content);
+    }
+  };
+
+  /**
+   * Helper to snapshot the files under a directory outside the repository
+   * @param {string} root - Absolute directory path
+   * @returns {Promise<Record<string, string|Uint8Array>>} Files by path relative to `root`
+   */
+  const readDirectoryFiles = async (root) => {
+    /** @type {Record<string, string|Uint8Array>} */
+    const files = {};
+    const pending = [''];
+    while (pending.length > 0) {
+      const prefix = /** @type {string} */ (pending.shift());
+      for (const name of await fs.promises.readdir(path.join(root, prefix))) {
+        const filePath = prefix ? `${prefix}/${name}` : name;
+        const fullPath = path.join(root, filePath);
+        if ((await fs.promises.stat(fullPath)).isDirectory()) {
+          pending.push(filePath);
+        } else {
+          const bytes = await fs.promises.readFile(fullPath);
+          files[filePath] = decodeContent(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+        }
+      }
+    }
+    return files;
+  };
+
+  /**
+   * Helper to merge the edits between two snapshots into a third
+   *
+   * Text files are merged line by line, keeping conflict markers where both sides
+   * edited the same lines. For binary files, and for a file both edited and deleted,
+   * the third snapshot's version wins.
+   * @param {Record<string, string|Uint8Array>} base - Snapshot both sides started from
+   * @param {Record<string, string|Uint8Array>} ours - Snapshot with the edits to carry over
+   * @param {Record<string, string|Uint8Array>} theirs - Snapshot to carry them into
+   * @param {string[]} [conflicted] - Receives the paths of the files whose edits conflict
+   * @returns {Record<string, string|Uint8Array>} Merged snapshot
+   */
+  const mergeFiles = (base, ours, theirs, conflicted = []) => {
+    /** @type {(a: string|Uint8Array|undefined, b: string|Uint8Array|undefined) => boolean} */
+    const same = (a, b) => (a === undefined || b === undefined ? a === b : contentEquals(a, b));
+    /** @type {Record<string, string|Uint8Array>} */
+    const merged = {};
+    for (const filePath of new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)])) {
+      const [b, o, t] = [base[filePath], ours[filePath], theirs[filePath]];
+      let content = t;
+      if (same(t, b) || same(t, o)) {
+        content = o;
+      } else if (!same(o, b) && o !== undefined && t !== undefined &&
+        ![b, o, t].some(isBinaryContent)) {
+        const result = merge3(/** @type {string} */ (b || ''), /** @type {string} */ (o), /** @type {string} */ (t), {
+          labels: { left: 'Rewritten parent', base: 'Parent', right: 'Descendant' },
+        });
+        content = result.content;
+        if (!result.clean) {
+          conflicted.push(filePath);
+        }
+      } else if (!same(o, b)) {
+        conflicted.push(filePath);
+      }
+      if (content !== undefined) {
+        merged[filePath] = content;
+      }
+    }
+    return merged;
+  };
+
+  /**
+   * Helper to give a change new files and rebase its descendants onto the edit
+   *
+   * Each descendant keeps its own edits, merged into the new files of its first parent,
+   * unless `pinned` gives its files. Where a descendant's edits conflict with those of
+   * its parent, the conflicts are recorded and listed in the descendant's `conflicts`.
+   * When the working-copy change's files change, the working directory is updated.
+   * @param {string} changeId - Change to rewrite
+   * @param {Record<string, string|Uint8Array>} files - New files of the change
+   * @param {Map<string, Record<string, string|Uint8Array>>} [pinned] - Descendants to give these files instead
+   * @returns {Promise<string[]>} IDs of the descendants whose files changed
+   */
+  const rewriteFiles = async (changeId, files, pinned = new Map()) => {
+    const workingCopyId = workingCopy.getCurrentChangeId();
+    const rebased = [];
+    const visited = new Set();
+    /** @type {Array<{ changeId: string, files: Record<string, string|Uint8Array>, conflicts?: Map<string, string|Uint8Array>[] }>} */
+    const queue = [{ changeId, files }];
+
+    while (queue.length > 0) {
+      const next = /** @type {typeof queue[number]} */ (queue.shift());
+      const change = await graph.getChange(next.changeId);
+      if (!change || visited.has(next.changeId)) {
+        continue;
+      }
+      visited.add(next.changeId);
+
+      const previous = change.fileSnapshot || {};
+      const unchanged = Object.keys(previous).length === Object.keys(next.files).length &&
+        Object.entries(next.files).every(([filePath, content]) =>
+          filePath in previous && contentEquals(previous[filePath], content));
+      if (unchanged && !next.conflicts) {
+        continue;
+      }
+      if (next.changeId !== changeId) {
+        rebased.push(next.changeId);
+      }
+
+      change.fileSnapshot = next.files;
+      if (next.conflicts) {
+        const [baseFiles, leftFiles, rightFiles] = next.conflicts;
+        await conflicts.load();
+        const detected = await conflicts.detectConflicts({
+          baseFiles,
+          leftFiles,
+          rightFiles,
+          baseChange: change.parents[0],
+          leftChange: change.parents[0],
+          rightChange: next.changeId,
+        });
+        for (const conflict of detected) {
+          await conflicts.addConflict(conflict);
+          change.conflicts = { ...change.conflicts, [conflict.path]: conflict.conflictId };
+        }
+      }
+      await graph.updateChange(change);
+      if (next.changeId === workingCopyId) {
+        const written = Object.fromEntries(Object.entries(next.files).filter(([filePath, content]) =>
+          !(filePath in previous) || !contentEquals(previous[filePath], content)));
+        await checkoutFiles(written, Object.keys(previous).filter(filePath => !(filePath in next.files)));
+      }
+
+      for (const childId of await graph.getChildren(next.changeId)) {
+        const child = await graph.getChange(childId);
+        if (child && child.parents[0] === next.changeId) {
+          if (pinned.has(childId)) {
+            queue.push({ changeId: childId, files: /** @type {Record<string, string|Uint8Array>} */ (pinned.get(childId)) });
+            continue;
+          }
+          const childSnapshot = child.fileSnapshot || {};
+          /** @type {string[]} */
+          const conflicted = [];
+          const childFiles = mergeFiles(previous, next.files, childSnapshot, conflicted);
+          /** @param {Record<string, string|Uint8Array>} snapshot */
+          const sides = (snapshot) => new Map(conflicted.filter(filePath => filePath in snapshot)
+            .map(filePath => [filePath, snapshot[filePath]]));
+          queue.push({
+            changeId: childId,
+            files: childFiles,
+            conflicts: conflicted.length > 0 ? [sides(previous), sides(next.files), sides(childSnapshot)] : undefined,
+          });
+        }
+      }
+    }
+
+    return rebased;
+  };
+
+  /**
+   * Helper to look up the native jj ID an operation was mirrored as
+   *
+   * Each one is kept in a file of its own, repo/op_log/jj_operation_ids/<operation ID>,
+   * so recording an operation never rewrites the others. Repositories from before keep
+   * them all in repo/op_log/jj_operation_ids.json until gc() moves them.
+   * @param {string} operationId - Operation ID
+   * @returns {Promise<string|null>} Native operation ID, or null when the operation has none
+   */
+  const readNativeOperationId = async (operationId) => {
+    const entry = /** @type {{ nativeId: string }|null} */ (await storage.read(`repo/op_log/jj_operation_ids/${operationId}`));
+    if (entry) {
+      return entry.nativeId;
+    }
+    const legacy = /** @type {Record<string, string>|null} */ (await storage.read('repo/op_log/jj_operation_ids.json'));
+    return (legacy && legacy[operationId]) || null;
+  };
+
+  /**
+   * Helper to mirror a recorded operation in the native jj op store
+   *
+   * Repositories created with a Git backend carry jj's own op store, so the jj CLI
+   * can work on the same checkout. Each operation is written there too, with its
+   * view translated to commit IDs and the change IDs of the commits made since the
+   * last one. The native ID of each operation is kept to name the parents of later
+   * ones (see readNativeOperationId()).
+   * @param {Object<string, any>} operation - Recorded operation
+   */
+  const syncOperationToJJ = async (operation) => {
+    if (!gitBackend || !gitBackend.writeJJOperation) {
+      createdCommits.length = 0;
+      return;
+    }
+
+    const view = await oplog.getView(operation);
+    await graph.refresh();
+    /** @param {string} changeId */
+    const commitOf = async (changeId) => {
+      const change = changeId ? await graph.getChange(changeId) : null;
+      return (change && change.commitId) || null;
+    };
+    /** @param {Record<string, string>} [refs] */
+    const commitsOf = async (refs = {}) => {
+      /** @type {Record<string, string>} */
+      const commits = {};
+      for (const [name, changeId] of Object.entries(refs)) {
+        const commitId = await commitOf(changeId);
+        if (commitId) {
+          commits[name] = commitId;
+        }
+      }
+      return commits;
+    };
+
+    const heads = [];
+    for (const changeId of view.heads || []) {
+      const commitId = await commitOf(changeId);
+      if (commitId) {
+        heads.push(commitId);
+      }
+    }
+
+    const workingCopies = await commitsOf(Object.fromEntries(
+      Object.values(view.workspaces || {}).map(workspace => [workspace.name, workspace.changeId])
+    ));
+    const defaultCommit = await commitOf(view.workingCopy);
+    if (defaultCommit) {
+      workingCopies.default = defaultCommit;
+    }
+
+    /** @type {Record<string, Record<string, { commitId: string, tracked: boolean }>>} */
+    const remoteBookmarks = {};
+    const tracked = Object.values(view.trackedBookmarks || {});
+    for (const [key, commitId] of Object.entries(await commitsOf(view.remoteBookmarks))) {
+      const at = key.lastIndexOf('@');
+      const name = key.slice(0, at);
+      const remote = key.slice(at + 1);
+      remoteBookmarks[remote] = remoteBookmarks[remote] || {};
+      remoteBookmarks[remote][name] = {
+        commitId,
+        tracked: tracked.some(t => t.remote === remote && t.remoteName === name),
+      };
+    }
+
+    const parents = [];
+    for (const parentId of operation.parents || []) {
+      parents.push(await readNativeOperationId(parentId));
+    }
+    const commits = createdCommits.slice();
+    try {
+      const nativeId = await gitBackend.writeJJOperation({
+        parents: parents.filter(Boolean),
+        heads,
+        workingCopies,
+        bookmarks: await commitsOf(view.bookmarks),
+        remoteBookmarks,
+        tags: await commitsOf(view.tags),
+        commits,
+        metadata: {
+          description: operation.description,
+          timestamp: operation.timestamp,
+          hostname: operation.user && operation.user.hostname,
+          username: operation.user && operation.user.name,
+        },
+      });
+      createdCommits.splice(0, commits.length);
+      if (nativeId) {
+        await storage.write(`repo/op_log/jj_operation_ids/${operation.id}`, { nativeId });
+      }
+    } catch (error) {
+      throw new JJError('JJ_SYNC_FAILED', `Failed to record operation ${operation.id.slice(0, 12)} in the jj op store: ${error.message}`, {
+        operationId: operation.id,
+        originalError: error.message,
+        suggestion: 'Check that .jj/repo/op_store is writable',
+      });
+    }
+  };
+
+  /**
+   * Helper to append an operation to the log and mirror it in the native jj op store
+   * @param {Object<string, any>} operation - Operation to record (without id)
+   * @param {Object} [opts] - Options for OperationLog.recordOperation()
+   * @param {string[]} [opts.parents] - Parents to record instead of the current head
+   * @returns {Promise<Object<string, any>>} Recorded operation
+   */
+  const writeOperation = async (operation, opts) => withRepositoryLock(async () => {
+    // Under the lock, so gc() in another process never rewrites the log mid-append
+    const recorded = await oplog.recordOperation(operation, opts);
+    await syncOperationToJJ(recorded);
+    return recorded;
+  });
+
+  /**
+   * Helper to merge operations recorded concurrently
+   *
+   * Another process (an editor plugin, a background snapshotter) may record operations
+   * next to ours, leaving several operation heads. A merge operation joins them with
+   * the views merged by mergeViews(). Changes edited differently on several sides keep
+   * the latest version and are marked `divergent`; the other versions stay readable
+   * with operations.at(). Bookmarks moved to different targets keep the latest target
+   * and are reported as conflicted.
+   * @returns {Promise<Object<string, any>|null>} Merge operation, or null when there was one head
+   */
+  const mergeOperationHeads = async () => {
+    if ((await oplog.getHeads()).length < 2) {
+      return null;
+    }
+    return withRepositoryLock(mergeHeadsLocked);
+  };
+
+  /**
+   * Helper to merge the operation heads once the repository lock is held
+   *
+   * Another process may have merged them while this one waited for the lock.
+   * @returns {Promise<Object<string, any>|null>} Merge operation, or null when there was one head
+   */
+  const mergeHeadsLocked = async () => {
+    const previousHead = oplog.headOperationId;
+    const heads = await oplog.getHeads();
+    if (heads.length < 2) {
+      if (oplog.headOperationId !== previousHead) {
+        await reloadStores();
+      }
+      return null;
+    }
+
+    const headIds = heads.map(op => op.id);
+    // Heads without common history, say from a partial copy of the log, merge from an empty view
+    const base = await oplog.findCommonAncestor(headIds);
+    const baseView = base ? await withChanges(await oplog.getView(base)) : {};
+    const headViews = [];
+    for (const op of heads) {
+      headViews.push(await withChanges(await oplog.getView(op)));
+    }
+    const merged = mergeViews(baseView, headViews);
+    await restoreView(merged.view);
+
+    const divergentChanges = [];
+    for (const { changeId, states } of merged.divergentChanges) {
+      const change = await graph.getChange(changeId);
+      if (change) {
+        // Not a new commit, so Git needs no sync
+        change.divergent = true;
+        await baseGraph.updateChange(change);
+      }
+      divergentChanges.push({
+        changeId,
+        operations: heads.filter((op, i) => states.includes(headViews[i].changes?.[changeId])).map(op => op.id),
+      });
+    }
+
+    const operation = await writeOperation({
+      timestamp: new Date().toISOString(),
+      user: await getUserOplogInfo(),
+      description: `merge ${heads.length} concurrent operations`,
+      parents: headIds,
+      view: await captureView(),
+      divergentChanges,
+      conflictedBookmarks: merged.conflictedBookmarks,
+    }, { parents: headIds });
+
+    await dispatchEventAsync(jj, 'operations:merged', {
+      operation: operation.id,
+      heads: headIds,
+      divergentChanges,
+      conflictedBookmarks: merged.conflictedBookmarks,
+    }, { cancelable: false });
+
+    return operation;
+  };
+
+  /**
+   * Transaction run by jj.transaction(), or null outside one
+   * @type {{ operations: Array<Object<string, any>>, base: string|null }|null}
+   */
+  let transaction = null;
+
+  // Calls running under the repository lock taken by withRepositoryLock()
+  let lockDepth = 0;
+
+  /**
+   * Helper to run a call holding the repository lock
+   *
+   * Calls that change the repository wait for transactions and gc() of other processes
+   * this way. Calls made while the lock is held, by the callback of a transaction or by
+   * another call, run under the lock already taken.
+   * @param {() => Promise<any>} fn - Call to run
+   * @param {Object} [opts] - Options
+   * @param {number} [opts.timeout] - Milliseconds to wait for the lock
+   * @returns {Promise<any>} Value returned by fn
+   */
+  const withRepositoryLock = async (fn, opts = {}) => {
+    if (lockDepth > 0) {
+      lockDepth++;
+      try {
+        return await fn();
+      } finally {
+        lockDepth--;
+      }
+    }
+
+    const lock = new RepositoryLock(fs, dir, { timeout: opts.timeout });
+    try {
+      await lock.acquire();
+    } catch (/** @type {any} */ error) {
+      // Nothing to lock before the repository exists; the call reports that itself
+      if (error.code === 'LOCK_FAILED' && error.details.originalError?.code === 'ENOENT') {
+        return await fn();
+      }
+      throw error;
+    }
+    lockDepth++;
+    try {
+      return await fn();
+    } finally {
+      lockDepth--;
+      await lock.release();
+    }
+  };
+
+  /**
+   * Helper to record an operation, then merge it with any recorded concurrently
+   *
+   * Inside a transaction the operation is kept until the transaction commits.
+   * @param {Object<string, any>} operation - Operation to record (without id)
+   * @returns {Promise<Object<string, any>>} Recorded operation
+   */
+  const recordOperation = async (operation) => {
+    if (transaction) {
+      transaction.operations.push(operation);
+      return operation;
+    }
+
+    const recorded = await writeOperation(operation);
+    await mergeOperationHeads();
+    return recorded;
+  };
+
+  /**
+   * Helper to reload the stores from storage
+   */
+  const reloadStores = async () => {
+    await graph.load();
+    await workingCopy.load();
+    await bookmarks.load();
+    await conflicts.load();
+    await workspaces.load();
+  };
+
+  /**
+   * Helper to build the stores of a repository created by the jj CLI
+   *
+   * The latest native operation's view names the visible commits, bookmarks, tags and
+   * working-copy commit. Its commits are imported with the change IDs jj recorded, and
+   * the files of the working-copy commit already on disk are tracked. The operation
+   * recorded for this maps to that native operation, so the next one follows it.
+   * Nothing is created when the directory has no native op heads.
+   */
+  const openJJRepo = async () => {
+    const native = await /** @type {Object<string, any>} */ (gitBackend).readJJRepo();
+    if (!native) {
+      return;
+    }
+
+    const wcCommitId = native.workingCopies.default || native.heads[0];
+    const rootCommitId = '0'.repeat(40);
+    const wcCommit = wcCommitId && wcCommitId !== rootCommitId
+      ? await /** @type {Object<string, any>} */ (gitBackend).readCommit(wcCommitId)
+      : null;
+
+    await storage.init();
+    await userConfig.init({
+      userName: wcCommit ? wcCommit.author.name : undefined,
+      userEmail: wcCommit ? wcCommit.author.email : undefined,
+    });
+    await graph.init();
+    await oplog.init();
+    await bookmarks.init();
+    await conflicts.init();
+    await workspaces.init();
+
+    // jj's root commit and change have all-zero IDs
+    await baseGraph.addChange({
+      changeId: '0'.repeat(32),
+      commitId: rootCommitId,
+      parents: [],
+      tree: rootCommitId,
+      author: { name: '', email: '', timestamp: new Date(0).toISOString() },
+      committer: { name: '', email: '', timestamp: new Date(0).toISOString() },
+      description: '(root)',
+      timestamp: new Date(0).toISOString(),
+    });
+
+    const remoteTargets = Object.values(native.remoteBookmarks)
+      .flatMap(remote => Object.values(remote).map(ref => ref.commitId));
+    const tips = [
+      ...native.heads,
+      ...Object.values(native.workingCopies),
+      ...Object.values(native.bookmarks),
+      ...remoteTargets,
+      ...Object.values(native.tags),
+    ].filter(commitId => commitId !== rootCommitId);
+    await importGitCommits([...new Set(tips)], native.changeIds);
+
+    /** @param {Record<string, string>} refs */
+    const changeIdsOf = (refs) => Object.fromEntries(
+      Object.entries(refs)
+        .map(([name, commitId]) => [name, baseGraph.findByCommitId(commitId)])
+        .filter(([, changeId]) => changeId)
+    );
+
+    /** @type {Record<string, string>} */
+    const remoteBookmarks = {};
+    /** @type {Record<string, { remote: string, remoteName: string }>} */
+    const trackedBookmarks = {};
+    for (const [remote, refs] of Object.entries(native.remoteBookmarks)) {
+      for (const [name, ref] of Object.entries(/** @type {Object<string, any>} */ (refs))) {
+        const changeId = baseGraph.findByCommitId(ref.commitId);
+        if (changeId) {
+          remoteBookmarks[`${name}@${remote}`] = changeId;
+        }
+        if (ref.tracked) {
+          trackedBookmarks[name] = { remote, remoteName: name };
+        }
+      }
+    }
+    await bookmarks.restoreState({
+      bookmarks: changeIdsOf(native.bookmarks),
+      remoteBookmarks,
+      trackedBookmarks,
+    });
+    await tags.save(changeIdsOf(native.tags));
+
+    const wcChangeId = baseGraph.findByCommitId(wcCommitId) || '0'.repeat(32);
+    await workingCopy.init(wcChangeId);
+    const wcChange = await graph.getChange(wcChangeId);
+    for (const filePath of Object.keys((wcChange && wcChange.fileSnapshot) || {})) {
+      try {
+        const stats = await fs.promises.stat(path.join(dir, filePath));
+        await workingCopy.trackFile(filePath, { mtime: stats.mtime, size: stats.size, mode: stats.mode });
+      } catch (error) {
+        // Deleted since jj last snapshotted the working copy
+      }
+    }
+
+    const operation = await oplog.recordOperation({
+      timestamp: new Date().toISOString(),
+      user: await getUserOplogInfo(),
+      description: `import jj repository at operation ${native.operationId.slice(0, 12)}`,
+      parents: [],
+      view: await captureView(),
+    });
+    await storage.write(`repo/op_log/jj_operation_ids/${operation.id}`, { nativeId: native.operationId });
+  };
+
+  /**
+   * Helper to load the operation log with concurrent operations merged
+   *
+   * When another instance recorded operations since, the stores are reloaded so this
+   * one sees the state that instance left. A transaction keeps working on the state
+   * it started from.
+   */
+  const loadOperations = async () => {
+    if (transaction) {
+      return;
+    }
+
+    const previousHead = oplog.headOperationId;
+    await oplog.load();
+    if (previousHead && oplog.headOperationId !== previousHead) {
+      await reloadStores();
+    }
+    await mergeOperationHeads();
+  };
+
+  /**
+   * Helper to resolve a revision argument to a single change ID
+   *
+   * Accepts anything the revset engine does, including bookmarks, ID prefixes and
+   * revset aliases. Full change IDs and revisions that match nothing are returned
+   * unchanged, so callers still report CHANGE_NOT_FOUND.
+   * @param {string} revision - Change ID, bookmark, alias or revset
+   * @param {RevsetEngine} [engine] - Revset engine to resolve with, defaults to the repository's
+   * @returns {Promise<string>} Change ID
+   * @throws {JJError} AMBIGUOUS_REVISION when the revset matches several changes
+   */
+  const resolveRevision = async (revision, engine = revset) => {
+    if (typeof revision !== 'string' || revision === '' || /^[0-9a-f]{32}$/.test(revision)) {
+      return revision;
+    }
+
+    let changeIds;
+    try {
+      changeIds = await engine.evaluate(revision);
+    } catch (error) {
+      if (error.code === 'INVALID_REVSET_ALIAS') {
+        throw error;
+      }
+      return revision;
+    }
+
+    if (changeIds.length > 1) {
+      throw new JJError('AMBIGUOUS_REVISION', `Revision "${revision}" resolved to ${changeIds.length} changes`, {
+        revision,
+        changeIds,
+        suggestion: 'Use a revset that selects a single change, e.g. latest(...)',
+      });
+    }
+    return changeIds.length === 1 ? changeIds[0] : revision;
+  };
+
+  /**
+   * Helper to resolve the revision arguments of an API call
+   * @template T
+   * @param {T} args - API arguments
+   * @param {string[]} keys - Names of arguments holding a revision or an array of revisions
+   * @param {RevsetEngine} [engine] - Revset engine to resolve with, defaults to the repository's
+   * @returns {Promise<T>} Copy of args with those arguments resolved to change IDs
+   */
+  const resolveRevisionArgs = async (args, keys, engine = revset) => {
+    if (!args || typeof args !== 'object') {
+      return args;
+    }
+
+    const resolved = /** @type {any} */ ({ ...args });
+    for (const key of keys) {
+      const value = resolved[key];
+      if (Array.isArray(value)) {
+        resolved[key] = await Promise.all(value.map(revision => resolveRevision(revision, engine)));
+      } else if (value !== undefined) {
+        resolved[key] = await resolveRevision(value, engine);
+      }
+    }
+    return resolved;
+  };
+
+  /**
+   * Helper to list changes for log()
+   * @param {Object<string, any>} args - log() arguments
+   * @param {typeof repoStores} stores - Stores to read
+   * @returns {Promise<Array<any>>} Changes, or rendered strings when a template is given
+   */
+  const listChanges = async (args, stores) => {
+    await stores.graph.load();
+    await stores.workingCopy.load();
+
+    const revsetExpr = args.revset || 'all()';
+    const changeIds = await stores.revset.evaluate(revsetExpr);
+
+    let changes = [];
+    for (const changeId of changeIds) {
+      const change = await stores.graph.getChange(changeId);
+      if (change) {
+        changes.push(change);
+      }
+    }
+
+    // Sort by topological order (children before parents), then by timestamp
+    // This matches jj's default log behavior
+    changes.sort((a, b) => {
+      // Primary: Topological order - children (descendants) before parents
+      const aIsParentOfB = b.parents && b.parents.includes(a.changeId);
+      const bIsParentOfA = a.parents && a.parents.includes(b.changeId);
+
+      if (aIsParentOfB) return 1;  // a is parent of b, so b comes first
+      if (bIsParentOfA) return -1; // b is parent of a, so a comes first
+
+      // Secondary: Sort by timestamp descending (newest first)
+      const aTime = new Date(a.timestamp).getTime();
+      const bTime = new Date(b.timestamp).getTime();
+      return bTime - aTime;
+    });
+
+    // Apply limit if specified
+    if (args.limit) {
+      changes = changes.slice(0, args.limit);
+    }
+
+    if (args.template !== undefined) {
+      const render = await templates.compile(args.template);
+      const keywordsFor = await changeTemplateKeywords(stores);
+      const lines = [];
+      for (const change of changes) {
+        lines.push(render(await keywordsFor(change)));
+      }
+      return lines;
+    }
+
+    return changes;
+  };
+
+  /**
+   * Helper to describe a change for show()
+   * @param {Object<string, any>} args - show() arguments
+   * @param {typeof repoStores} stores - Stores to read
+   * @param {Array<Object<string, any>>} ops - Operations that may have touched the change
+   * @returns {Promise<Object|string>} Detailed change information, or the rendered template
+   */
+  const showChange = async (args, stores, ops) => {
+    if (!args || !args.change) {
+      throw new JJError('INVALID_ARGUMENT', 'Missing change argument', {
+        suggestion: 'Provide { change: changeId }'
+      });
+    }
+
+    await stores.graph.load();
+
+    // Resolve revset if needed
+    let changeId = args.change;
+    if (args.change === '@') {
+      await stores.workingCopy.load();
+      changeId = stores.workingCopy.getCurrentChangeId();
+    } else {
+      // Try to resolve as revset
+      try {
+        const changes = await stores.revset.evaluate(args.change);
+        if (changes.length > 0) {
+          changeId = changes[0];
+        }
+      } catch {
+        // Use as-is
+      }
+    }
+
+    const change = await stores.graph.getChange(changeId);
+    if (!change) {
+      throw new JJError('CHANGE_NOT_FOUND', `Change ${changeId} not found`);
+    }
+
+    if (args.template !== undefined) {
+      const render = await templates.compile(args.template);
+      const keywordsFor = await changeTemplateKeywords(stores);
+      return render(await keywordsFor(change));
+    }
+
+    // Get additional context
+    const children = await stores.graph.getChildren(change.changeId);
+    await stores.bookmarks.load();
+
+    // Find bookmarks pointing to this change
+    const allBookmarks = await stores.bookmarks.list();
+    const changeBookmarks = allBookmarks
+      .filter(b => b.changeId === change.changeId)
+      .map(b => b.name);
+
+    // Find operations that modified this change
+    const relatedOps = [];
+    for (const op of ops) {
+      const view = await oplog.getView(op);
+      if (view.workingCopy === change.changeId || (view.heads && view.heads.includes(change.changeId))) {
+        relatedOps.push(op);
+      }
+    }
+
+    return {
+      ...change,
+      children,
+      bookmarks: changeBookmarks,
+      operations: relatedOps.map(op => ({
+        id: op.id,
+        timestamp: op.timestamp,
+        description: op.description,
+      })),
+    };
+  };
+
+  /**
+   * Helper to read a file from a change's snapshot, or from its Git commit
+   * @param {Object<string, any>} change - Change
+   * @param {{ path: string, changeId?: string, encoding?: string }} args - read() arguments
+   * @returns {Promise<string|Uint8Array>} File contents
+   */
+  const readChangeFile = async (change, args) => {
+    const encoding = args.encoding || 'utf-8';
+
+    // Try to read from fileSnapshot cache first
+    if (change.fileSnapshot && change.fileSnapshot[args.path]) {
+      const content = change.fileSnapshot[args.path];
+      if (encoding === 'binary') {
+        return toBytes(content);
+      }
+      return isBinaryContent(content) ? new TextDecoder().decode(content) : content;
+    }
+
+    // Fallback: read from Git if we have a commitId
+    if (gitBackend && change.commitId && change.commitId !== '0000000000000000000000000000000000000000') {
+      try {
+        const git = (await import('isomorphic-git')).default;
+        const { blob } = await git.readBlob({
+          fs,
+          dir,
+          oid: change.commitId,
+          filepath: args.path,
+        });
+
+        if (encoding === 'utf-8' || encoding === 'utf8') {
+          return new TextDecoder().decode(blob);
+        }
+        return blob;
+      } catch (error) {
+        throw new JJError('FILE_NOT_FOUND', `File ${args.path} not found in change ${args.changeId}`, {
+          path: args.path,
+          changeId: args.changeId,
+          originalError: error,
+        });
+      }
+    }
+
+    throw new JJError('FILE_NOT_FOUND', `File ${args.path} not found in change ${args.changeId}`, {
+      path: args.path,
+      changeId: args.changeId,
+      suggestion: 'File not in snapshot cache and no Git commit available',
+    });
+  };
+
+  /**
+   * Helper to pick the kind of stream readStream() and writeStream() return
+   * @param {string|undefined} format - Requested format
+   * @param {string} factory - Name of the fs method Node.js streams are created with
+   * @returns {'node'|'web'} Node.js streams where the fs can create them, unless asked for web streams
+   */
+  const streamFormat = (format, factory) => {
+    const nodeStreams = typeof process !== 'undefined' && typeof /** @type {Object<string, any>} */ (fs)[factory] === 'function';
+    const resolved = format || (nodeStreams ? 'node' : 'web');
+    if (resolved !== 'node' && resolved !== 'web') {
+      throw new JJError('INVALID_ARGUMENT', `Unknown stream format "${format}"`, {
+        format,
+        suggestion: "Use format: 'node' or format: 'web'",
+      });
+    }
+    if (resolved === 'node' && !nodeStreams) {
+      throw new JJError('UNSUPPORTED_OPERATION', 'Node.js streams are only supported in Node.js', {
+        suggestion: "Use format: 'web' for WHATWG streams",
+      });
+    }
+    return resolved;
+  };
+
+  /**
+   * Helper to stream a file of a change without reading the change's other files
+   *
+   * Contents come from the blob store. A blob missing from it, or a file found only in
+   * the change's Git commit, is read through the Git backend's readBlob(), which a
+   * LazyGitBackend fetches on demand.
+   * @param {string} changeId - Change ID
+   * @param {string} filePath - File path
+   * @returns {Promise<ReadableStream<Uint8Array>>} File bytes
+   */
+  const streamChangeFile = async (changeId, filePath) => {
+    await graph.load();
+    const change = baseGraph.nodes.get(changeId);
+    if (!change) {
+      throw new JJError('CHANGE_NOT_FOUND', `Change ${changeId} not found`, { changeId });
+    }
+
+    const hash = await graph.getFileHash(changeId, filePath);
+    if (hash) {
+      return await blobs.stream(hash, { gitBackend: /** @type {any} */ (gitBackend) });
+    }
+
+    if (gitBackend && change.commitId && change.commitId !== '0000000000000000000000000000000000000000') {
+      const backend = /** @type {Object<string, any>} */ (gitBackend);
+      let oid = change.commitId;
+      try {
+        for (const name of filePath.split('/')) {
+          const entry = (await backend.readTree(oid)).find((/** @type {{ path: string }} */ e) => e.path === name);
+          oid = entry ? entry.oid : null;
+          if (!oid) {
+            break;
+          }
+        }
+      } catch (error) {
+        throw new JJError('FILE_NOT_FOUND', `File ${filePath} not found in change ${changeId}`, {
+          path: filePath,
+          changeId,
+          originalError: error,
+        });
+      }
+      if (oid) {
+        return bytesReadableStream(async () => (await backend.readBlob(oid)).blob);
+      }
+    }
+
+    throw new JJError('FILE_NOT_FOUND', `File ${filePath} not found in change ${changeId}`, {
+      path: filePath,
+      changeId,
+    });
+  };
+
+  /**
+   * Helper to list the files of a change's snapshot, or of its Git commit
+   * @param {Object<string, any>} change - Change
+   * @param {string} changeId - Change ID, for errors
+   * @returns {Promise<Array<string>>} File paths
+   */
+  const listChangeFiles = async (change, changeId) => {
+    // Try fileSnapshot first
+    if (change.fileSnapshot) {
+      return Object.keys(change.fileSnapshot);
+    }
+
+    // Fallback: read from Git tree
+    if (gitBackend && change.commitId && change.commitId !== '0000000000000000000000000000000000000000') {
+      try {
+        const git = (await import('isomorphic-git')).default;
+        const { tree } = await git.readTree({
+          fs,
+          dir,
+          oid: change.commitId,
+        });
+
+        return tree
+          .filter(entry => entry.type === 'blob')
+          .map(entry => entry.path);
+      } catch (error) {
+        throw new JJError('TREE_READ_FAILED', `Failed to read tree for change ${changeId}`, {
+          changeId: changeId,
+          originalError: error,
+        });
+      }
+    }
+
+    return [];
+  };
+
+  /**
+   * Helper to diff two changes for diff()
+   * @param {{ from?: string, to?: string, paths?: string[], context?: number, ignoreWhitespace?: boolean, format?: string }} args
+   *   diff() arguments with revisions resolved
+   * @param {typeof repoStores} stores - Stores to read
+   * @returns {Promise<Object>} Diff result
+   */
+  const diffChanges = async (args, stores) => {
+    await stores.graph.load();
+    await stores.workingCopy.load();
+
+    const context = args.context ?? 3;
+    if (!Number.isInteger(context) || context < 0) {
+      throw new JJError('INVALID_ARGUMENT', `Invalid context size: ${args.context}`, {
+        suggestion: 'Provide a non-negative integer number of context lines',
+      });
+    }
+    if (args.format !== undefined && args.format !== 'unified') {
+      throw new JJError('INVALID_ARGUMENT', `Unknown diff format: ${args.format}`, {
+        suggestion: 'Use format: "unified" or omit it for structured hunks only',
+      });
+    }
+
+    const toChangeId = args.to || stores.workingCopy.getCurrentChangeId();
+    const toChange = await stores.graph.getChange(toChangeId);
+    if (!toChange) {
+      throw new JJError('CHANGE_NOT_FOUND', `Target change ${toChangeId} not found`);
+    }
+
+    // Default 'from' to parent of 'to'
+    let fromChangeId = args.from;
+    if (!fromChangeId) {
+      fromChangeId = toChange.parents && toChange.parents.length > 0 ? toChange.parents[0] : null;
+    }
+
+    const fromChange = fromChangeId ? await stores.graph.getChange(fromChangeId) : null;
+
+    const fromFiles = fromChange?.fileSnapshot || {};
+    const toFiles = toChange.fileSnapshot || {};
+
+    // Find all paths that changed
+    const allPaths = new Set([...Object.keys(fromFiles), ...Object.keys(toFiles)]);
+    const diffs = [];
+    const patches = [];
+
+    for (const filePath of [...allPaths].sort()) {
+      // Filter by paths if specified
+      if (args.paths && args.paths.length > 0) {
+        if (!args.paths.some(pattern => matchesPathPattern(filePath, pattern))) {
+          continue;
+        }
+      }
+
+      const fromContent = fromFiles[filePath] || '';
+      const toContent = toFiles[filePath] || '';
 
-      // Update the change with the Git commit ID (bypass middleware to avoid infinite loop)
-      change.commitId = commitSha;
-      await baseGraph.updateChange(change);
-    } catch (error) {
-      // Throw error - Git sync failures should not be silent
-      throw new JJError(
-        'GIT_SYNC_FAILED',
-        `Failed to sync change ${change.changeId.slice(0, 8)} to Git: ${error.message}`,
-        {
-          changeId: change.changeId,
-          originalError: error.message,
-          suggestion: 'Check Git backend configuration and repository state',
+      if (contentEquals(fromContent, toContent)) {
+        continue;
+      }
+
+      const status = !contentSize(fromContent) ? 'added' : !contentSize(toContent) ? 'deleted' : 'modified';
+      /** @type {any} */
+      let file;
+
+      if (isBinaryContent(fromContent) || isBinaryContent(toContent)) {
+        // Binary files have no lines to diff; report sizes and blob IDs instead
+        file = {
+          path: filePath,
+          status,
+          binary: true,
+          fromContent,
+          toContent,
+          fromSize: contentSize(fromContent),
+          toSize: contentSize(toContent),
+          fromHash: status === 'added' ? null : await hashBlob(toBytes(fromContent)),
+          toHash: status === 'deleted' ? null : await hashBlob(toBytes(toContent)),
+          additions: 0,
+          deletions: 0,
+          hunks: [],
+        };
+      } else {
+        const hunks = diffHunks(fromContent, toContent, {
+          context,
+          ignoreWhitespace: args.ignoreWhitespace,
+        }).map(hunk => ({ id: hunkId(filePath, hunk), ...hunk }));
+
+        // Whitespace-only edits leave nothing to show
+        if (hunks.length === 0 && args.ignoreWhitespace) {
+          continue;
         }
-      );
+
+        file = {
+          path: filePath,
+          status,
+          fromContent,
+          toContent,
+          additions: hunks.reduce((sum, hunk) => sum + hunk.additions, 0),
+          deletions: hunks.reduce((sum, hunk) => sum + hunk.deletions, 0),
+          hunks,
+        };
+      }
+
+      if (args.format === 'unified') {
+        const patch = formatPatch(file);
+        patches.push(patch);
+        diffs.push({ ...file, diff: patch });
+      } else {
+        diffs.push(file);
+      }
     }
+
+    return {
+      from: fromChangeId,
+      to: toChangeId,
+      files: diffs,
+      ...(args.format === 'unified' && { patch: patches.join('') }),
+    };
   };
 
   /**
-   * Create a middleware-wrapped graph that intercepts add/update operations
-   * This allows pluggable backends without modifying core ChangeGraph logic
+   * Helper to load stores holding the repository as an operation left it
+   *
+   * The stores read the operation's view and refuse writes. Views recorded before
+   * complete views existed only carry the working-copy change, so changes, bookmarks
+   * and tags are read from the repository as it is now for them.
+   * @param {Object<string, any>} op - Operation
+   * @returns {Promise<typeof repoStores>} graph, workingCopy, bookmarks, tags, conflicts and revset of the view
    */
-  const createGraphWithMiddleware = (baseGraph, hooks) => {
-    return {
-      // Delegate all read operations directly to base graph
-      load: () => baseGraph.load(),
-      getChange: (changeId) => baseGraph.getChange(changeId),
-      getAllChanges: () => baseGraph.getAll(), // Alias for compatibility
-      getAll: () => baseGraph.getAll(),  // Used by revset engine
-      getAncestors: (changeId) => baseGraph.getAncestors(changeId),
-      getDescendants: (changeId) => baseGraph.getDescendants(changeId),
-      getParents: (changeId) => baseGraph.getParents(changeId),
-      getChildren: (changeId) => baseGraph.getChildren(changeId),
-      findChangeByCommitId: async (commitId) => {
-        const changeId = baseGraph.findByCommitId(commitId);
-        return changeId ? await baseGraph.getChange(changeId) : null;
-      },
+  const openView = async (op) => {
+    const view = await oplog.getView(op);
+    const viewStorage = new ViewStorage(storage, op.id);
+    const viewGraph = new ChangeGraph(viewStorage, blobs);
+    const viewBookmarks = new BookmarkStore(viewStorage);
+    const viewConflicts = new ConflictModel(viewStorage, fs, mergeDrivers);
+    const complete = Boolean(view.changeShards || view.changes);
+    const viewTags = complete ? view.tags || {} : await tags.load();
+
+    if (complete) {
+      if (view.changeShards) {
+        // The view storage reads through to the repository, which matches the latest view
+        const base = await oplog.getView(await oplog.getOperation(oplog.headOperationId));
+        await viewGraph.restoreShards(view.changeShards, base.changeShards);
+      } else {
+        await viewGraph.restoreState(view.changes);
+      }
+      await viewBookmarks.restoreState({
+        bookmarks: view.bookmarks || {},
+        remoteBookmarks: view.remoteBookmarks,
+        trackedBookmarks: view.trackedBookmarks,
+      });
+    }
+    if (view.conflicts) {
+      viewConflicts.conflicts = new Map(Object.entries(view.conflicts.conflicts || {}));
+      viewConflicts.fileConflicts = new Map(Object.entries(view.conflicts.fileConflicts || {}));
+      await viewConflicts.save();
+    }
+    viewStorage.seal();
 
-      // Wrap write operations with middleware hooks
-      async addChange(change) {
-        await baseGraph.addChange(change);
-        if (hooks.onAddChange) {
-          await hooks.onAddChange(change);
-        }
-      },
+    await viewGraph.load();
+    await viewBookmarks.load();
+    await viewConflicts.load();
 
-      async updateChange(change) {
-        await baseGraph.updateChange(change);
-        if (hooks.onUpdateChange) {
-          await hooks.onUpdateChange(change);
-        }
+    const stores = {
+      graph: viewGraph,
+      workingCopy: {
+        load: async () => {},
+        getCurrentChangeId: () => view.workingCopy || null,
       },
-
-      // Delegate other operations
-      init: () => baseGraph.init(),
+      bookmarks: viewBookmarks,
+      tags: {
+        list: async () => Object.entries(viewTags).map(([name, changeId]) => ({ name, changeId })),
+      },
+      conflicts: viewConflicts,
     };
-  };
-
-  // Create Git backend if specified
-  // Auto-detect: if git instance provided, use isomorphic-git backend
-  let gitBackend = null;
-  if (git || backend === 'isomorphic-git' || backend === 'git') {
-    gitBackend = new IsomorphicGitBackend({
-      fs,
-      dir,
-      http,
+    return /** @type {any} */ ({
+      ...stores,
+      revset: new RevsetEngine(viewGraph, stores.workingCopy, userConfig, viewBookmarks, /** @type {any} */ (stores.tags)),
     });
-  } else if (backend && typeof backend === 'object') {
-    // Custom backend instance provided
-    gitBackend = backend;
-  }
+  };
 
-  // Wrap the base graph with middleware that syncs to Git
-  // This allows us to support different backends in the future
-  const graph = createGraphWithMiddleware(baseGraph, {
-    onAddChange: async (change) => {
-      // Sync new change to Git backend
-      await syncChangeToGit(change);
-    },
-    onUpdateChange: async (change) => {
-      // Sync updated change to Git backend
-      await syncChangeToGit(change);
-    },
-  });
+  /**
+   * Helper to fill in the rest of the API for a read-only view
+   *
+   * Every method of `api` that `view` does not provide throws READ_ONLY_VIEW, and so
+   * does every method of its namespaces (`bookmark`, `git`, ...).
+   * @param {Object<string, any>} view - Methods the view supports
+   * @param {Object<string, any>} api - Full API to mirror
+   * @param {string} operationId - Operation the view shows
+   * @param {string} [prefix] - Namespace of `api`, for error messages
+   * @returns {Object<string, any>} View with every other method refusing
+   */
+  const readOnlyApi = (view, api, operationId, prefix = '') => {
+    /** @type {(value: any) => boolean} */
+    const isNamespace = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+    const result = { ...view };
+
+    for (const [name, value] of Object.entries(api)) {
+      const method = `${prefix}${name}`;
+      if (typeof value === 'function' && !(name in view)) {
+        result[name] = async () => {
+          throw new JJError('READ_ONLY_VIEW', `Cannot call ${method}() on a read-only view of operation ${operationId}`, {
+            method,
+            operation: operationId,
+            suggestion: 'Use operations.restore() to bring the repository back to this operation first',
+          });
+        };
+      } else if (isNamespace(value) && (!(name in view) || isNamespace(view[name]))) {
+        result[name] = readOnlyApi(view[name] || {}, value, operationId, `${method}.`);
+      }
+    }
 
-  // Create revset engine with the middleware-wrapped graph (v0.4: added bookmarkStore)
-  const revset = new RevsetEngine(graph, workingCopy, userConfig, bookmarks);
+    return result;
+  };
 
   /**
    * Helper to resolve conflicts with different strategies (v0.5)
    *
    * @param {Object} conflict - Conflict object
    * @param {string} strategy - Resolution strategy ('ours', 'theirs', 'union')
-   * @returns {string} Resolved content
+   * @returns {string|Uint8Array} Resolved content
    */
   function _resolveWithStrategy(conflict, strategy) {
     const ours = conflict.sides.left || '';
     const theirs = conflict.sides.right || '';
 
+    if (strategy === 'union' && (isBinaryContent(ours) || isBinaryContent(theirs))) {
+      throw new JJError('INVALID_STRATEGY', `Cannot take the union of binary file ${conflict.path}`, {
+        strategy,
+        path: conflict.path,
+        suggestion: 'Use "ours" or "theirs", or register a merge driver that accepts binary files',
+      });
+    }
+
+    // Line-level conflicts: apply the strategy to the conflicted regions only
+    if (conflict.regions && ['ours', 'theirs', 'union'].includes(strategy)) {
+      const favor = { ours: 'left', theirs: 'right', union: 'union' }[strategy];
+      return merge3(conflict.sides.base, ours, theirs, { favor }).content;
+    }
+
     switch (strategy) {
       case 'ours':
         return ours;
@@ -334,6 +1995,7 @@ export async function createJJ(options) {
     workspaces,
     userConfig,
     mergeDrivers,  // v0.5: expose merge driver registry
+    fixers,  // Registry of in-process fixers for fix()
     backgroundOps: null,  // Will be initialized below
     backend: gitBackend,  // Expose backend for advanced users
     
@@ -391,7 +2053,7 @@ export async function createJJ(options) {
       await workingCopy.init(rootChangeId);
 
       // Record init operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: {
           name: user.name,
@@ -400,12 +2062,7 @@ export async function createJJ(options) {
         },
         description: 'initialize repository',
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [rootChangeId],
-          workingCopy: rootChangeId,
-        },
+        view: await captureView(),
       });
     },
 
@@ -475,6 +2132,7 @@ export async function createJJ(options) {
      * @returns {Promise<string|Uint8Array>} File contents
      */
     async read(args) {
+      args = await resolveRevisionArgs(args, ['changeId']);
       if (!args || !args.path) {
         throw new JJError('INVALID_ARGUMENT', 'Missing path argument', {
           suggestion: 'Provide a path for the file to read',
@@ -512,7 +2170,7 @@ export async function createJJ(options) {
       }
 
       // Read from a specific change
-      await graph.load();
+      await graph.refresh();
       const change = await graph.getChange(args.changeId);
       if (!change) {
         throw new JJError('CHANGE_NOT_FOUND', `Change ${args.changeId} not found`, {
@@ -520,44 +2178,7 @@ export async function createJJ(options) {
         });
       }
 
-      // Try to read from fileSnapshot cache first
-      if (change.fileSnapshot && change.fileSnapshot[args.path]) {
-        const content = change.fileSnapshot[args.path];
-        if (encoding === 'binary') {
-          return new TextEncoder().encode(content);
-        }
-        return content;
-      }
-
-      // Fallback: read from Git if we have a commitId
-      if (gitBackend && change.commitId && change.commitId !== '0000000000000000000000000000000000000000') {
-        try {
-          const git = (await import('isomorphic-git')).default;
-          const { blob } = await git.readBlob({
-            fs,
-            dir,
-            oid: change.commitId,
-            filepath: args.path,
-          });
-
-          if (encoding === 'utf-8' || encoding === 'utf8') {
-            return new TextDecoder().decode(blob);
-          }
-          return blob;
-        } catch (error) {
-          throw new JJError('FILE_NOT_FOUND', `File ${args.path} not found in change ${args.changeId}`, {
-            path: args.path,
-            changeId: args.changeId,
-            originalError: error,
-          });
-        }
-      }
-
-      throw new JJError('FILE_NOT_FOUND', `File ${args.path} not found in change ${args.changeId}`, {
-        path: args.path,
-        changeId: args.changeId,
-        suggestion: 'File not in snapshot cache and no Git commit available',
-      });
+      return readChangeFile(change, args);
     },
 
     /**
@@ -579,6 +2200,7 @@ export async function createJJ(options) {
      * @returns {Promise<Array<string>>} Array of file paths
      */
     async listFiles(args = {}) {
+      args = await resolveRevisionArgs(args, ['changeId']);
       // List working copy files if no changeId specified
       if (!args.changeId) {
         await workingCopy.load();
@@ -594,63 +2216,36 @@ export async function createJJ(options) {
         });
       }
 
-      // Try fileSnapshot first
-      if (change.fileSnapshot) {
-        return Object.keys(change.fileSnapshot);
-      }
-
-      // Fallback: read from Git tree
-      if (gitBackend && change.commitId && change.commitId !== '0000000000000000000000000000000000000000') {
-        try {
-          const git = (await import('isomorphic-git')).default;
-          const { tree } = await git.readTree({
-            fs,
-            dir,
-            oid: change.commitId,
-          });
-
-          return tree
-            .filter(entry => entry.type === 'blob')
-            .map(entry => entry.path);
-        } catch (error) {
-          throw new JJError('TREE_READ_FAILED', `Failed to read tree for change ${args.changeId}`, {
-            changeId: args.changeId,
-            originalError: error,
-          });
-        }
-      }
-
-      return [];
+      return listChangeFiles(change, args.changeId);
     },
 
     /**
-     * Create a readable stream for a file (Node.js only)
+     * Create a readable stream for a file in the working copy or in any change
      *
      * For large files, use streaming to avoid loading entire file into memory.
+     * `format: 'web'` returns a WHATWG ReadableStream of Uint8Array chunks (strings with
+     * an encoding), which works in browsers over LightningFS. `format: 'node'`, the
+     * default where the filesystem has createReadStream(), returns a Node.js Readable.
      *
      * @param {Object} args - Arguments
      * @param {string} args.path - File path relative to repo root
      * @param {string} [args.changeId] - Change ID to read from (defaults to working copy)
      * @param {string} [args.encoding] - Optional encoding ('utf-8', etc.)
-     * @returns {Promise<ReadableStream>} Readable stream
-     * @throws {JJError} If not in Node.js environment or file not found
+     * @param {'node'|'web'} [args.format] - Kind of stream to return
+     * @returns {Promise<ReadableStream|import('stream').Readable>} Readable stream
+     * @throws {JJError} If a Node.js stream is requested outside Node.js, or a change's file is not found
      */
     async readStream(args) {
+      args = await resolveRevisionArgs(args, ['changeId']);
       if (!args || !args.path) {
         throw new JJError('INVALID_ARGUMENT', 'Missing path argument', {
           suggestion: 'Provide a path for the file to read',
         });
       }
-
-      // Check if we're in Node.js
-      if (typeof process === 'undefined' || !fs.createReadStream) {
-        throw new JJError('UNSUPPORTED_OPERATION', 'readStream() is only supported in Node.js', {
-          suggestion: 'Use read() instead for browser environments',
-        });
-      }
+      const format = streamFormat(args.format, 'createReadStream');
 
       // Reading from working copy
-      if (!args.changeId) {
+      if (!args.changeId && format === 'node') {
         const fullPath = path.join(dir, args.path);
         try {
           const stream = fs.createReadStream(fullPath, args.encoding ? { encoding: args.encoding } : {});
@@ -663,23 +2258,33 @@ export async function createJJ(options) {
         }
       }
 
-      // Reading from a specific change - for historical data, fall back to read()
-      // Streaming from Git objects requires more complex implementation
-      throw new JJError('UNSUPPORTED_OPERATION', 'Streaming from historical changes not yet supported', {
-        suggestion: 'Use read({ path, changeId }) for historical file access, or readStream({ path }) for working copy',
-      });
+      const stream = args.changeId
+        ? await streamChangeFile(args.changeId, args.path)
+        : fileReadableStream(fs, `${dir}/${args.path}`);
+
+      if (format === 'node') {
+        const { Readable } = await import('stream');
+        return Readable.fromWeb(/** @type {any} */ (stream), /** @type {any} */ ({ encoding: args.encoding }));
+      }
+      return args.encoding && args.encoding !== 'binary'
+        ? stream.pipeThrough(new TextDecoderStream(args.encoding))
+        : stream;
     },
 
     /**
-     * Create a writable stream for a file (Node.js only)
+     * Create a writable stream for a file in the working copy
      *
      * For large files, use streaming to avoid loading entire file into memory.
+     * `format: 'web'` returns a WHATWG WritableStream accepting strings (written as UTF-8)
+     * and bytes; the file is tracked before its close() resolves. `format: 'node'`, the
+     * default where the filesystem has createWriteStream(), returns a Node.js Writable.
      *
      * @param {Object} args - Arguments
      * @param {string} args.path - File path relative to repo root
-     * @param {string} [args.encoding] - Optional encoding ('utf-8', etc.)
-     * @returns {Promise<WritableStream>} Writable stream
-     * @throws {JJError} If not in Node.js environment
+     * @param {string} [args.encoding] - Optional encoding for Node.js streams ('utf-8', etc.)
+     * @param {'node'|'web'} [args.format] - Kind of stream to return
+     * @returns {Promise<WritableStream|import('stream').Writable>} Writable stream
+     * @throws {JJError} If a Node.js stream is requested outside Node.js
      */
     async writeStream(args) {
       if (!args || !args.path) {
@@ -687,37 +2292,39 @@ export async function createJJ(options) {
           suggestion: 'Provide a path for the file to write',
         });
       }
+      const format = streamFormat(args.format, 'createWriteStream');
 
-      // Check if we're in Node.js
-      if (typeof process === 'undefined' || !fs.createWriteStream) {
-        throw new JJError('UNSUPPORTED_OPERATION', 'writeStream() is only supported in Node.js', {
-          suggestion: 'Use write() instead for browser environments',
-        });
-      }
-
-      const fullPath = path.join(dir, args.path);
+      const fullPath = format === 'node' ? path.join(dir, args.path) : `${dir}/${args.path}`;
 
       // Ensure directory exists
       const pathParts = args.path.split('/');
       if (pathParts.length > 1) {
         const dirPath = pathParts.slice(0, -1).join('/');
-        const fullDirPath = path.join(dir, dirPath);
+        const fullDirPath = format === 'node' ? path.join(dir, dirPath) : `${dir}/${dirPath}`;
         await fs.promises.mkdir(fullDirPath, { recursive: true });
       }
 
+      const trackFile = async () => {
+        await workingCopy.load();
+        const stats = await fs.promises.stat(fullPath);
+        await workingCopy.trackFile(args.path, {
+          mtime: stats.mtime,
+          size: stats.size,
+          mode: stats.mode,
+        });
+      };
+
+      if (format === 'web') {
+        return fileWritableStream(fs, fullPath, trackFile);
+      }
+
       // Create writable stream
       const stream = fs.createWriteStream(fullPath, args.encoding ? { encoding: args.encoding } : {});
 
       // Track file when stream finishes
       stream.on('finish', async () => {
         try {
-          await workingCopy.load();
-          const stats = await fs.promises.stat(fullPath);
-          await workingCopy.trackFile(args.path, {
-            mtime: stats.mtime,
-            size: stats.size,
-            mode: stats.mode,
-          });
+          await trackFile();
         } catch (error) {
           // Silently ignore - stream already finished, file tracking is best-effort
           // (Common in tests where temp directories are cleaned up quickly)
@@ -819,6 +2426,7 @@ export async function createJJ(options) {
      * @returns {Promise<Object>} Updated change object
      */
     async _moveChange(args) {
+      args = await resolveRevisionArgs(args, ['changeId', 'newParent', 'from', 'to']);
       await graph.load();
 
       const changeId = args.changeId || args.from;
@@ -888,17 +2496,12 @@ export async function createJJ(options) {
       await graph.updateChange(change);
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: await getUserOplogInfo(),
         description: `move change ${changeId.slice(0, 8)} to ${newParent.slice(0, 8)}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [],
-          workingCopy: workingCopy.getCurrentChangeId(),
-        },
+        view: await captureView(),
       });
 
       return change;
@@ -1050,7 +2653,8 @@ export async function createJJ(options) {
      * Describe the working copy change
      */
     async describe(args = {}) {
-      await graph.load();
+      args = await resolveRevisionArgs(args, ['revision']);
+      await graph.refresh();
       await workingCopy.load();
       await userConfig.load();
 
@@ -1088,49 +2692,33 @@ export async function createJJ(options) {
       if (isWorkingCopy) {
         // Snapshot current file contents for conflict detection
         // This allows us to load file contents during merge/rebase
+        // Contents go to the blob store when the graph is saved, so large files are kept too
         const fileSnapshot = {};
         const trackedFiles = await workingCopy.listFiles();
 
-        // Safeguards to prevent excessive memory usage
-        const MAX_FILE_SIZE = 1 * 1024 * 1024; // 1MB per file
-        const MAX_TOTAL_SIZE = 10 * 1024 * 1024; // 10MB total snapshot size
-        let totalSnapshotSize = 0;
-
         for (const filePath of trackedFiles) {
           try {
-            const fullPath = path.join(dir, filePath);
-            const stats = await fs.promises.stat(fullPath);
-
-            // Skip files that are too large (silently - this is an optimization)
-            if (stats.size > MAX_FILE_SIZE) {
-              continue;
-            }
-
-            // Stop if total snapshot size would exceed limit (silently - optimization)
-            if (totalSnapshotSize + stats.size > MAX_TOTAL_SIZE) {
-              break;
-            }
-
-            const content = await fs.promises.readFile(fullPath, 'utf-8');
-            fileSnapshot[filePath] = content;
-            totalSnapshotSize += stats.size;
+            fileSnapshot[filePath] = await readWorkingFile(filePath);
           } catch (error) {
             // Throw on file read errors - don't silently skip
             throw new JJError(
               'SNAPSHOT_FILE_FAILED',
               `Could not snapshot file ${filePath}: ${error.message}`,
-              { filePath, originalError: error.message, suggestion: 'File may be binary, deleted, or inaccessible' }
+              { filePath, originalError: error.message, suggestion: 'File may be deleted or inaccessible' }
             );
           }
         }
         change.fileSnapshot = fileSnapshot;
       }
 
+      // Describing a divergent change settles on the version described
+      delete change.divergent;
+
       // Save the updated change (middleware will sync to Git)
       await graph.updateChange(change);
 
       // Record operation with filesystem snapshot from BEFORE operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: {
           name: user.name,
@@ -1140,10 +2728,7 @@ export async function createJJ(options) {
         description: `describe change ${targetChangeId.slice(0, 8)}`,
         parents: [],
         view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [targetChangeId],
-          workingCopy: workingCopy.getCurrentChangeId(),
+          ...(await captureView()),
           fileSnapshot: fileSnapshotBefore, // Store filesystem state from before operation
         },
       });
@@ -1177,6 +2762,7 @@ export async function createJJ(options) {
      * @returns {Promise<Object>} Updated change object
      */
     async metaedit(args = {}) {
+      args = await resolveRevisionArgs(args, ['revision']);
       await graph.load();
       await workingCopy.load();
       await userConfig.load();
@@ -1267,17 +2853,12 @@ export async function createJJ(options) {
       await graph.updateChange(change);
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: { name: user.name, email: user.email, hostname: 'localhost' },
         description: `metaedit change ${changeId.slice(0, 8)}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [changeId],
-          workingCopy: workingCopy.getCurrentChangeId(),
-        },
+        view: await captureView(),
       });
 
       return change;
@@ -1295,7 +2876,8 @@ export async function createJJ(options) {
      * @returns {Promise<Object>} The new change object including changeId, description, parents, author, and timestamp
      */
     async new(args = {}) {
-      await graph.load();
+      args = await resolveRevisionArgs(args, ['parents', 'insertAfter', 'insertBefore']);
+      await graph.refresh();
       await workingCopy.load();
       await userConfig.load();
 
@@ -1383,7 +2965,7 @@ export async function createJJ(options) {
       await workingCopy.setCurrentChange(newChangeId);
 
       // Record operation with filesystem snapshot
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: {
           name: user.name,
@@ -1393,10 +2975,7 @@ export async function createJJ(options) {
         description: `new change ${newChangeId.slice(0, 8)}`,
         parents: [],
         view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [newChangeId],
-          workingCopy: newChangeId,
+          ...(await captureView()),
           fileSnapshot, // Store filesystem state before operation
         },
       });
@@ -1444,7 +3023,7 @@ export async function createJJ(options) {
     async stats() {
       await graph.load();
       await workingCopy.load();
-      await oplog.load();
+      await loadOperations();
       await userConfig.load();
       await bookmarks.load();
 
@@ -1464,10 +3043,8 @@ export async function createJJ(options) {
       // Count files
       const allFiles = new Set();
       for (const change of all) {
-        if (change.fileSnapshot) {
-          for (const file of Object.keys(change.fileSnapshot)) {
-            allFiles.add(file);
-          }
+        for (const file of await graph.getFilePaths(change.changeId)) {
+          allFiles.add(file);
         }
       }
 
@@ -1523,126 +3100,35 @@ export async function createJJ(options) {
         },
         currentUser: {
           name: currentUser.name,
-          email: currentUser.email,
-        },
-      };
-    },
-
-    /**
-     * View change history
-     *
-     * @param {Object} args - Arguments
-     * @param {string} [args.revset='all()'] - Revset expression to filter changes
-     * @param {number} [args.limit] - Maximum number of changes to return
-     * @returns {Promise<Array>} Array of changes
-     */
-    async log(args = {}) {
-      await graph.load();
-      await workingCopy.load();
-
-      const revsetExpr = args.revset || 'all()';
-      const changeIds = await revset.evaluate(revsetExpr);
-
-      let changes = [];
-      for (const changeId of changeIds) {
-        const change = await graph.getChange(changeId);
-        if (change) {
-          changes.push(change);
-        }
-      }
-
-      // Sort by topological order (children before parents), then by timestamp
-      // This matches jj's default log behavior
-      changes.sort((a, b) => {
-        // Primary: Topological order - children (descendants) before parents
-        const aIsParentOfB = b.parents && b.parents.includes(a.changeId);
-        const bIsParentOfA = a.parents && a.parents.includes(b.changeId);
-
-        if (aIsParentOfB) return 1;  // a is parent of b, so b comes first
-        if (bIsParentOfA) return -1; // b is parent of a, so a comes first
-
-        // Secondary: Sort by timestamp descending (newest first)
-        const aTime = new Date(a.timestamp).getTime();
-        const bTime = new Date(b.timestamp).getTime();
-        return bTime - aTime;
-      });
-
-      // Apply limit if specified
-      if (args.limit) {
-        changes = changes.slice(0, args.limit);
-      }
-
-      return changes;
-    },
-
-    /**
-     * Show detailed information about a specific change
-     *
-     * @param {Object} args - Arguments
-     * @param {string} args.change - Change ID or revset to show
-     * @returns {Promise<Object>} Detailed change information
-     */
-    async show(args) {
-      if (!args || !args.change) {
-        throw new JJError('INVALID_ARGUMENT', 'Missing change argument', {
-          suggestion: 'Provide { change: changeId }'
-        });
-      }
-
-      await graph.load();
-
-      // Resolve revset if needed
-      let changeId = args.change;
-      if (args.change === '@') {
-        await workingCopy.load();
-        changeId = workingCopy.getCurrentChangeId();
-      } else {
-        // Try to resolve as revset
-        try {
-          const changes = await revset.evaluate(args.change);
-          if (changes.length > 0) {
-            changeId = changes[0];
-          }
-        } catch {
-          // Use as-is
-        }
-      }
-
-      const change = await graph.getChange(changeId);
-      if (!change) {
-        throw new JJError('CHANGE_NOT_FOUND', `Change ${changeId} not found`);
-      }
-
-      // Get additional context
-      const children = await graph.getChildren(change.changeId);
-      await oplog.load();
-      await bookmarks.load();
-
-      // Find bookmarks pointing to this change
-      const allBookmarks = await bookmarks.list();
-      const changeBookmarks = allBookmarks
-        .filter(b => b.target === change.changeId)
-        .map(b => b.name);
+          email: currentUser.email,
+        },
+      };
+    },
 
-      // Find operations that modified this change
-      const ops = await oplog.list();
-      const relatedOps = ops.filter(op =>
-        op.view && (
-          op.view.workingCopy === change.changeId ||
-          (op.view.heads && op.view.heads.includes(change.changeId))
-        )
-      );
+    /**
+     * View change history
+     *
+     * @param {Object} args - Arguments
+     * @param {string} [args.revset='all()'] - Revset expression to filter changes
+     * @param {number} [args.limit] - Maximum number of changes to return
+     * @param {string} [args.template] - Template rendering each change as text
+     * @returns {Promise<Array>} Array of changes, or of rendered strings when a template is given
+     */
+    async log(args = {}) {
+      return listChanges(args, repoStores);
+    },
 
-      return {
-        ...change,
-        children,
-        bookmarks: changeBookmarks,
-        operations: relatedOps.map(op => ({
-          id: op.id,
-          timestamp: op.timestamp,
-          description: op.description,
-        })),
-      };
+    /**
+     * Show detailed information about a specific change
+     *
+     * @param {Object} args - Arguments
+     * @param {string} args.change - Change ID or revset to show
+     * @param {string} [args.template] - Template rendering the change as text
+     * @returns {Promise<Object|string>} Detailed change information, or the rendered template
+     */
+    async show(args) {
+      await loadOperations();
+      return showChange(args, repoStores, await oplog.list());
     },
 
     /**
@@ -1678,6 +3164,7 @@ export async function createJJ(options) {
      * @returns {Promise<Object>} Information about the edited change including changeId, description, and file count
      */
     async edit(args) {
+      args = await resolveRevisionArgs(args, ['changeId']);
       if (!args || !args.changeId) {
         throw new JJError('INVALID_ARGUMENT', 'Missing changeId argument', {
           suggestion: 'Provide a changeId to edit',
@@ -1758,7 +3245,7 @@ export async function createJJ(options) {
       await workingCopy.setCurrentChange(args.changeId);
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: {
           name: user.name,
@@ -1767,12 +3254,7 @@ export async function createJJ(options) {
         },
         description: `edit change ${args.changeId.slice(0, 8)}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [args.changeId],
-          workingCopy: args.changeId,
-        },
+        view: await captureView(),
       });
 
       // Dispatch workingcopy:switched event (informational)
@@ -1797,11 +3279,14 @@ export async function createJJ(options) {
     /**
      * Undo last operation
      *
+     * Restores changes, bookmarks, tags, workspaces and the working copy as the
+     * previous operation left them.
+     *
      * @returns {Promise<Object>} Information about the undo including the undone operation and restored state
      */
     async undo() {
       // Get the operation we're about to undo to access its pre-state
-      await oplog.load();
+      await loadOperations();
       const ops = await oplog.list();
       if (ops.length === 0) {
         throw new JJError('NOTHING_TO_UNDO', 'No operations to undo');
@@ -1810,58 +3295,30 @@ export async function createJJ(options) {
       // Get the current operation (the one being undone) to restore its pre-state
       const currentOp = ops[ops.length - 1];
 
-      const previousView = await oplog.undo();
-
-      // Restore state from previous view
-      await workingCopy.setCurrentChange(previousView.workingCopy);
-
-      // Restore filesystem from previous operation's snapshot (taken BEFORE that operation)
-      // This is how JJ snapshots the working copy before every command
-      if (previousView.fileSnapshot) {
-        for (const [filePath, content] of Object.entries(previousView.fileSnapshot)) {
-          try {
-            const fullPath = path.join(dir, filePath);
-
-            // Ensure directory exists
-            const pathParts = filePath.split('/');
-            if (pathParts.length > 1) {
-              const dirPath = pathParts.slice(0, -1).join('/');
-              const fullDirPath = path.join(dir, dirPath);
-              await fs.promises.mkdir(fullDirPath, { recursive: true });
-            }
+      const previousView = /** @type {Object<string, any>} */ (await oplog.undo());
 
-            // Write file content
-            await fs.promises.writeFile(fullPath, content, 'utf8');
-          } catch (error) {
-            throw new JJError(
-              'UNDO_FILE_RESTORE_FAILED',
-              `Failed to restore file ${filePath} during undo: ${error.message}`,
-              { filePath, originalError: error.message }
-            );
-          }
-        }
-      }
+      // Put back the repository as the previous operation left it, and the working
+      // directory as it was just before the undone operation ran
+      const files = await restoreView(previousView, {
+        files: (await oplog.getView(currentOp)).fileSnapshot,
+      });
 
-      // Restore conflicts state from before the undone operation
-      // The conflictsSnapshot in an operation represents the state BEFORE that operation ran
-      await conflicts.load();
-      if (currentOp && currentOp.conflictsSnapshot) {
-        // Restore conflicts from the operation we're undoing (its pre-state)
+      // Views recorded before they held conflicts leave them to the conflictsSnapshot
+      // of the undone operation, the state before it ran
+      if (!previousView.conflicts && currentOp.conflictsSnapshot) {
+        await conflicts.load();
         conflicts.conflicts = new Map(Object.entries(currentOp.conflictsSnapshot.conflicts || {}));
         conflicts.fileConflicts = new Map(Object.entries(currentOp.conflictsSnapshot.fileConflicts || {}));
         await conflicts.save();
-      } else {
-        // No conflicts snapshot - clear conflicts
-        await conflicts.clear();
       }
 
       // Record undo operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: await getUserOplogInfo(),
         description: 'undo operation',
         parents: [],
-        view: previousView,
+        view: await captureView(),
       });
 
       // Return information about what was undone
@@ -1874,7 +3331,7 @@ export async function createJJ(options) {
         restoredState: {
           workingCopy: previousView.workingCopy,
           heads: previousView.heads,
-          fileCount: previousView.fileSnapshot ? Object.keys(previousView.fileSnapshot).length : 0,
+          fileCount: Object.keys(files).length,
         },
       };
     },
@@ -1885,23 +3342,38 @@ export async function createJJ(options) {
      * @param {Object} [opts] - Options
      * @param {number} [opts.limit] - Maximum number of operations to return
      * @param {string} [opts.change] - Show operations for specific change
-     * @returns {Promise<Array>} Array of operations
+     * @param {string} [opts.template] - Template rendering each operation as text
+     * @returns {Promise<Array>} Array of evolution events, or of rendered strings when a template is given
      */
     async obslog(opts = {}) {
-      await oplog.load();
+      await loadOperations();
       let operations = await oplog.list();
 
       // Support both changeId and change parameters
       const changeId = opts.changeId || opts.change;
 
-      // Filter by change if specified
+      // Filter by change if specified: operations that recorded a new state for it
       if (changeId) {
-        operations = operations.filter(op =>
-          op.view && (
-            op.view.workingCopy === changeId ||
-            (op.view.heads && op.view.heads.includes(changeId))
-          )
-        );
+        const byId = new Map(operations.map(op => [op.id, op]));
+        /** @param {Object<string, any>} op */
+        const recordsChange = async (op) => {
+          const view = await oplog.getView(op);
+          if (!view.changeShards && !view.changes) {
+            // Views recorded before complete views existed
+            return view.workingCopy === changeId || (view.heads && view.heads.includes(changeId));
+          }
+          const before = await oplog.getView(byId.get((op.parents || [])[0]));
+          const state = await viewRecordOf(view, changeId);
+          return state !== undefined &&
+            (!before.changeShards && !before.changes || await viewRecordOf(before, changeId) !== state);
+        };
+        const matching = [];
+        for (const op of operations) {
+          if (await recordsChange(op)) {
+            matching.push(op);
+          }
+        }
+        operations = matching;
       }
 
       // Apply limit
@@ -1909,6 +3381,12 @@ export async function createJJ(options) {
         operations = operations.slice(-opts.limit);
       }
 
+      if (opts.template !== undefined) {
+        const render = await templates.compile(opts.template);
+        const head = /** @type {Object<string, any>|null} */ (await oplog.getHeadOperation());
+        return operations.map(op => render(operationTemplateKeywords(op, head ? head.id : null))).reverse();
+      }
+
       // Transform to evolution events with operation field
       const events = operations.map(op => ({
         eventType: op.eventType || 'modify',
@@ -1925,28 +3403,127 @@ export async function createJJ(options) {
     /**
      * Operations namespace for advanced operation log queries
      */
+    /**
+     * Run several calls as a single operation
+     *
+     * The callback gets the repository and may call anything on it. Graph, bookmark and
+     * working-copy changes stay in memory until it returns; they are then written out
+     * and recorded as one operation. If the callback throws or writing them out fails,
+     * nothing stays written, the working directory files, Git refs, HEAD and index are
+     * put back and the error is rethrown.
+     *
+     * The repository lock keeps calls that change the repository from other processes
+     * out for the duration.
+     *
+     * @param {function(Object): Promise<any>} fn - Callback receiving the repository
+     * @param {Object} [opts] - Options
+     * @param {string} [opts.description] - Description of the recorded operation (defaults to those of the calls)
+     * @param {number} [opts.timeout=10000] - Milliseconds to wait for the repository lock
+     * @returns {Promise<any>} Value returned by the callback
+     */
+    async transaction(fn, opts = {}) {
+      if (typeof fn !== 'function') {
+        throw new JJError('INVALID_ARGUMENT', 'Missing transaction callback', {
+          suggestion: 'Provide a function: jj.transaction(async (tx) => { ... })',
+        });
+      }
+      if (transaction) {
+        throw new JJError('TRANSACTION_IN_PROGRESS', 'A transaction is already running on this repository', {
+          suggestion: 'Make the calls through the running transaction instead of starting another',
+        });
+      }
+
+      return withRepositoryLock(async () => {
+        try {
+          await loadOperations();
+          await workingCopy.load();
+          const trackedBefore = await workingCopy.listFiles();
+          const filesBefore = await snapshotFilesystem();
+          // Changes synced to Git move refs and rewrite the index, which a rollback puts back
+          const refsBackend = /** @type {Object<string, any>|null} */ (gitBackend);
+          const gitRefsBefore = refsBackend && refsBackend.captureRefs ? await refsBackend.captureRefs() : null;
+          const commitsBefore = createdCommits.length;
+
+          transaction = { operations: [], base: oplog.headOperationId };
+          storage.beginTransaction();
+
+          let result;
+          try {
+            result = await fn(jj);
+            // A failed write puts back the files written before it and rolls back as below
+            await storage.commitTransaction();
+          } catch (error) {
+            const tracked = await workingCopy.listFiles();
+            storage.rollbackTransaction();
+            oplog.invalidate();
+            transaction = null;
+            await reloadStores();
+            await checkoutFiles(filesBefore, tracked.filter(filePath => !trackedBefore.includes(filePath)));
+            if (gitRefsBefore) {
+              await /** @type {Object<string, any>} */ (refsBackend).restoreRefs(gitRefsBefore);
+            }
+            createdCommits.length = commitsBefore;
+            throw error;
+          }
+
+          const { operations, base } = transaction;
+          transaction = null;
+
+          if (operations.length > 0) {
+            await writeOperation({
+              timestamp: new Date().toISOString(),
+              user: await getUserOplogInfo(),
+              description: opts.description || operations.map(op => op.description).join(', '),
+              parents: [],
+              view: await captureView(),
+            }, base ? { parents: [base] } : {});
+            await mergeOperationHeads();
+          }
+
+          return result;
+        } finally {
+          if (transaction) {
+            transaction = null;
+            storage.rollbackTransaction();
+            oplog.invalidate();
+          }
+        }
+      }, { timeout: opts.timeout });
+    },
+
     operations: {
       /**
        * List all operations
        *
        * @param {Object} [opts] - Options
        * @param {number} [opts.limit] - Maximum number to return
-       * @returns {Promise<Array>} Array of operations
+       * @param {string} [opts.template] - Template rendering each operation as text
+       * @returns {Promise<Array>} Array of operations, or of rendered strings when a template is given
        */
       async list(opts = {}) {
-        await oplog.load();
+        await loadOperations();
         let ops = await oplog.list();
 
         if (opts.limit && opts.limit > 0) {
           ops = ops.slice(-opts.limit);
         }
 
+        if (opts.template !== undefined) {
+          const render = await templates.compile(opts.template);
+          const head = /** @type {Object<string, any>|null} */ (await oplog.getHeadOperation());
+          return ops.map(op => render(operationTemplateKeywords(op, head ? head.id : null))).reverse();
+        }
+
         return ops.reverse();
       },
 
       /**
        * View repository at a specific operation (time travel)
        *
+       * The view answers log(), show(), read(), listFiles(), diff(), revset.evaluate(),
+       * bookmark.list() and conflicts.list() as the repository stood after the operation,
+       * without touching the repository. Every other method throws READ_ONLY_VIEW.
+       *
        * @param {Object} args - Arguments
        * @param {string} args.operation - Operation ID to view at
        * @returns {Promise<Object>} Read-only repository view at that operation
@@ -1958,7 +3535,7 @@ export async function createJJ(options) {
           });
         }
 
-        await oplog.load();
+        await loadOperations();
         const ops = await oplog.list();
         const targetOp = ops.find(op => op.id === args.operation);
 
@@ -1966,37 +3543,95 @@ export async function createJJ(options) {
           throw new JJError('OPERATION_NOT_FOUND', `Operation ${args.operation} not found`);
         }
 
-        // Create a read-only view at this operation
-        return {
-          async log(logArgs = {}) {
-            // Get changes that existed at this operation
-            await graph.load();
-            const allChanges = await graph.getAllChanges();
-
-            // Filter to changes that existed before or at this operation
-            const opIndex = ops.indexOf(targetOp);
-            const validChanges = allChanges.filter(change => {
-              // Check if this change was created before this operation
-              const changeOps = ops.filter(op =>
-                op.view && op.view.heads && op.view.heads.includes(change.changeId)
-              );
-              return changeOps.length > 0 && ops.indexOf(changeOps[0]) <= opIndex;
+        const opIndex = ops.indexOf(targetOp);
+        const stores = await openView(targetOp);
+
+        /**
+         * @param {Object<string, any>} viewArgs - Arguments of a view method
+         * @param {string[]} keys - Names of revision arguments
+         */
+        const resolveViewArgs = (viewArgs, keys) => resolveRevisionArgs(viewArgs, keys, stores.revset);
+
+        /** @param {string} changeId */
+        const viewChange = async (changeId) => {
+          const change = await stores.graph.getChange(changeId);
+          if (!change) {
+            throw new JJError('CHANGE_NOT_FOUND', `Change ${changeId} not found at operation ${targetOp.id}`, {
+              changeId,
+              operation: targetOp.id,
             });
+          }
+          return change;
+        };
+
+        return readOnlyApi({
+          operation: targetOp.id,
+          graph: stores.graph,
+          revset: stores.revset,
+
+          /** @param {Object<string, any>} [logArgs] */
+          async log(logArgs = {}) {
+            return listChanges(logArgs, stores);
+          },
+
+          /** @param {Object<string, any>} showArgs */
+          async show(showArgs) {
+            return showChange(showArgs, stores, ops.slice(0, opIndex + 1));
+          },
+
+          /** @param {Object<string, any>} readArgs */
+          async read(readArgs) {
+            readArgs = await resolveViewArgs(readArgs, ['changeId']);
+            if (!readArgs || !readArgs.path) {
+              throw new JJError('INVALID_ARGUMENT', 'Missing path argument', {
+                suggestion: 'Provide a path for the file to read',
+              });
+            }
+            // Without a change, read the working-copy change as the operation left it
+            const changeId = readArgs.changeId || stores.workingCopy.getCurrentChangeId();
+            return readChangeFile(await viewChange(changeId), { path: readArgs.path, encoding: readArgs.encoding, changeId });
+          },
+
+          /** @param {Object<string, any>} readArgs */
+          async cat(readArgs) {
+            return this.read(readArgs);
+          },
+
+          /** @param {Object<string, any>} [listArgs] */
+          async listFiles(listArgs = {}) {
+            listArgs = await resolveViewArgs(listArgs, ['changeId']);
+            const changeId = listArgs.changeId || stores.workingCopy.getCurrentChangeId();
+            return listChangeFiles(await viewChange(changeId), changeId);
+          },
 
-            return validChanges;
+          /** @param {Object<string, any>} [diffArgs] */
+          async diff(diffArgs = {}) {
+            return diffChanges(await resolveViewArgs(diffArgs, ['from', 'to']), stores);
           },
 
           async status() {
             return {
-              workingCopy: targetOp.view.workingCopy,
+              workingCopy: stores.workingCopy.getCurrentChangeId(),
               operation: targetOp.id,
               timestamp: targetOp.timestamp,
               description: targetOp.description,
             };
           },
 
-          // Other methods can be added as needed
-        };
+          bookmark: {
+            async list() {
+              return stores.bookmarks.list();
+            },
+          },
+
+          conflicts: {
+            /** @param {{ includeResolved?: boolean }} [opts] */
+            async list(opts = {}) {
+              const resolved = opts.includeResolved ? undefined : false;
+              return stores.conflicts.listConflicts({ resolved });
+            },
+          },
+        }, jj, targetOp.id);
       },
 
       /**
@@ -2013,7 +3648,7 @@ export async function createJJ(options) {
           });
         }
 
-        await oplog.load();
+        await loadOperations();
         const ops = await oplog.list();
         const op = ops.find(o => o.id === args.operation);
 
@@ -2023,9 +3658,10 @@ export async function createJJ(options) {
 
         // Get changes introduced by this operation
         await graph.load();
+        const view = await oplog.getView(op);
         const changes = [];
-        if (op.view && op.view.heads) {
-          for (const changeId of op.view.heads) {
+        if (view.heads) {
+          for (const changeId of view.heads) {
             const change = await graph.getChange(changeId);
             if (change) {
               changes.push(change);
@@ -2039,7 +3675,7 @@ export async function createJJ(options) {
           user: op.user,
           description: op.description,
           parents: op.parents || [],
-          view: op.view,
+          view: await withChanges(view),
           changes,
         };
       },
@@ -2059,7 +3695,7 @@ export async function createJJ(options) {
           });
         }
 
-        await oplog.load();
+        await loadOperations();
         const ops = await oplog.list();
         const fromOp = ops.find(o => o.id === args.from);
         const toOp = ops.find(o => o.id === args.to);
@@ -2072,15 +3708,17 @@ export async function createJJ(options) {
         }
 
         // Compare views
-        const fromHeads = new Set(fromOp.view?.heads || []);
-        const toHeads = new Set(toOp.view?.heads || []);
+        const fromView = await oplog.getView(fromOp);
+        const toView = await oplog.getView(toOp);
+        const fromHeads = new Set(fromView.heads || []);
+        const toHeads = new Set(toView.heads || []);
 
         const addedHeads = [...toHeads].filter(h => !fromHeads.has(h));
         const removedHeads = [...fromHeads].filter(h => !toHeads.has(h));
 
         // Compare bookmarks
-        const fromBookmarks = fromOp.view?.bookmarks || {};
-        const toBookmarks = toOp.view?.bookmarks || {};
+        const fromBookmarks = fromView.bookmarks || {};
+        const toBookmarks = toView.bookmarks || {};
 
         const bookmarkChanges = {};
         for (const name of new Set([...Object.keys(fromBookmarks), ...Object.keys(toBookmarks)])) {
@@ -2100,7 +3738,7 @@ export async function createJJ(options) {
           changes: [...addedHeads, ...removedHeads], // Combined for convenience
           bookmarkChanges,
           bookmarks: Object.keys(bookmarkChanges), // Array of changed bookmark names
-          workingCopyChanged: fromOp.view?.workingCopy !== toOp.view?.workingCopy,
+          workingCopyChanged: fromView.workingCopy !== toView.workingCopy,
         };
       },
 
@@ -2118,7 +3756,7 @@ export async function createJJ(options) {
           });
         }
 
-        await oplog.load();
+        await loadOperations();
         const ops = await oplog.list();
         const targetOp = ops.find(o => o.id === args.operation);
 
@@ -2126,34 +3764,15 @@ export async function createJJ(options) {
           throw new JJError('OPERATION_NOT_FOUND', `Operation ${args.operation} not found`);
         }
 
-        // Restore bookmarks from the target operation
-        if (targetOp.view && targetOp.view.bookmarks) {
-          await bookmarks.load();
-          // Clear current bookmarks
-          const currentBookmarks = await jj.bookmark.list();
-          for (const bookmark of currentBookmarks) {
-            await bookmarks.delete(bookmark.name);
-          }
-          // Restore bookmarks from target operation
-          for (const [name, changeId] of Object.entries(targetOp.view.bookmarks)) {
-            await bookmarks.set(name, changeId);
-          }
-          await bookmarks.save();
-        }
-
-        // Restore working copy if specified
-        if (targetOp.view && targetOp.view.workingCopy) {
-          await workingCopy.load();
-          await workingCopy.setCurrentChange(targetOp.view.workingCopy);
-        }
+        await restoreView(await oplog.getView(targetOp));
 
         // Record this restoration as a new operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `restore to operation ${args.operation}`,
           parents: [],
-          view: targetOp.view,
+          view: await captureView(),
         });
 
         return {
@@ -2180,7 +3799,7 @@ export async function createJJ(options) {
           });
         }
 
-        await oplog.load();
+        await loadOperations();
         const ops = await oplog.list();
         const targetOp = ops.find(o => o.id === args.operation);
 
@@ -2196,72 +3815,66 @@ export async function createJJ(options) {
           });
         }
 
-        const previousOp = ops[targetIndex - 1];
+        const parentId = (targetOp.parents || [])[0];
+        const previousOp = ops.find(o => o.id === parentId) || ops[targetIndex - 1];
+        const before = await withChanges(await oplog.getView(previousOp));
+        const after = await withChanges(await oplog.getView(targetOp));
+        const current = await withChanges(await captureView());
+
+        // Views recorded before complete views existed only carry the working copy
+        const complete = Boolean(before.changes && after.changes);
+        /** @param {string} part */
+        const revertPart = (part) => complete
+          ? revertViewEntries(current[part], before[part], after[part])
+          : { state: current[part], reverted: [] };
+
+        const changes = revertPart('changes');
+        const localBookmarks = revertPart('bookmarks');
+        const remoteBookmarks = revertPart('remoteBookmarks');
+        const trackedBookmarks = revertPart('trackedBookmarks');
+        const revertedTags = revertPart('tags');
+        const revertedWorkspaces = revertPart('workspaces');
+        const revertWorkingCopy = Boolean(before.workingCopy) &&
+          before.workingCopy !== after.workingCopy &&
+          current.workingCopy === after.workingCopy;
+
+        await restoreView({
+          changes: changes.state,
+          bookmarks: localBookmarks.state,
+          remoteBookmarks: remoteBookmarks.state,
+          trackedBookmarks: trackedBookmarks.state,
+          tags: revertedTags.state,
+          workspaces: revertedWorkspaces.state,
+          workingCopy: revertWorkingCopy ? before.workingCopy : current.workingCopy,
+        });
 
-        // Compute the inverse changes
-        const inversChanges = {
-          bookmarks: {},
-          heads: [],
+        const inverseChanges = {
+          bookmarks: Object.fromEntries(localBookmarks.reverted.map(name => {
+            if (before.bookmarks[name] === undefined) {
+              return [name, { action: 'deleted' }];
+            }
+            if (after.bookmarks[name] === undefined) {
+              return [name, { action: 'restored', to: before.bookmarks[name] }];
+            }
+            return [name, { action: 'moved', from: after.bookmarks[name], to: before.bookmarks[name] }];
+          })),
+          changes: changes.reverted,
+          tags: revertedTags.reverted,
+          heads: graph.getHeads(),
         };
 
-        // Revert bookmark changes
-        const prevBookmarks = previousOp.view?.bookmarks || {};
-        const targetBookmarks = targetOp.view?.bookmarks || {};
-        await bookmarks.load();
-
-        for (const name of Object.keys(targetBookmarks)) {
-          if (!prevBookmarks[name]) {
-            // Bookmark was added - delete it
-            await bookmarks.delete(name);
-            inversChanges.bookmarks[name] = { action: 'deleted' };
-          } else if (prevBookmarks[name] !== targetBookmarks[name]) {
-            // Bookmark was moved - move it back
-            await bookmarks.set(name, prevBookmarks[name]);
-            inversChanges.bookmarks[name] = {
-              action: 'moved',
-              from: targetBookmarks[name],
-              to: prevBookmarks[name],
-            };
-          }
-        }
-
-        // Check for deleted bookmarks (existed before, don't exist after)
-        for (const name of Object.keys(prevBookmarks)) {
-          if (!targetBookmarks[name]) {
-            // Bookmark was deleted - restore it
-            await bookmarks.set(name, prevBookmarks[name]);
-            inversChanges.bookmarks[name] = {
-              action: 'restored',
-              to: prevBookmarks[name],
-            };
-          }
-        }
-
-        await bookmarks.save();
-
-        // Revert working copy change if it changed
-        if (previousOp.view?.workingCopy !== targetOp.view?.workingCopy) {
-          await workingCopy.load();
-          await workingCopy.setCurrentChange(previousOp.view.workingCopy);
-        }
-
         // Record the revert as a new operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `revert operation ${args.operation}`,
           parents: [],
-          view: {
-            bookmarks: prevBookmarks,
-            remoteBookmarks: previousOp.view?.remoteBookmarks || {},
-            heads: previousOp.view?.heads || [],
-            workingCopy: previousOp.view?.workingCopy,
-          },
+          view: await captureView(),
         });
 
         return {
           reverted: args.operation,
-          inverseChanges: inversChanges,
+          inverseChanges,
           description: targetOp.description,
         };
       },
@@ -2287,24 +3900,19 @@ export async function createJJ(options) {
           });
         }
 
-        await oplog.load();
+        await loadOperations();
 
         // Call the OperationLog abandon method
         const result = await oplog.abandon(args.operation);
 
         // Record a new operation about the abandonment
         // Note: This creates a meta-record that an operation was abandoned
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `abandon operation ${args.operation}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
           metadata: {
             abandonedOperation: args.operation,
             relinkedChildren: result.relinkedChildren.map(c => c.operationId),
@@ -2327,22 +3935,26 @@ export async function createJJ(options) {
     /**
      * Squash source change into destination change
      *
-     * @param {Object} args - Arguments
+     * @param {Object} [args] - Arguments
      * @param {string} [args.source] - Source change ID to squash (defaults to @ - working copy)
-     * @param {string} [args.dest] - Destination change ID (if source is @, defaults to parent)
+     * @param {string} [args.dest] - Destination change ID (defaults to parent if source is the working copy)
      * @param {string} [args.into] - Alias for dest (matches JJ CLI)
+     * @param {string[]} [args.paths] - Move only the edits to these paths, directories or globs
+     * @param {Array<string|{ id: string, lines: number[] }>} [args.hunks] - Move only these hunks of diff({ to: source })
+     * @param {Function} [args.select] - Called with each hunk and its file; returns whether to move it
      */
     async squash(args = {}) {
-      // Check for interactive mode (not supported)
-      if (args.interactive) {
+      args = await resolveRevisionArgs(args, ['source', 'into', 'dest']);
+      // Interactive mode needs the caller to do the picking
+      if (args.interactive && !args.hunks && !args.select) {
         throw new JJError(
           'UNSUPPORTED_OPERATION',
           'Interactive mode not supported in library API',
           {
             feature: 'squash --interactive',
             reason: 'Interactive file/hunk selection requires terminal UI',
-            alternative: 'Specify paths explicitly: squash({ paths: [...] })',
-            suggestion: 'For interactive squashing, use JJ CLI',
+            alternative: 'Pick hunks with squash({ select: (hunk, file) => ... }) or squash({ hunks: [...] }), or whole files with paths: [...]',
+            suggestion: 'Take hunk IDs from diff({ to: source })',
           }
         );
       }
@@ -2396,6 +4008,10 @@ export async function createJJ(options) {
         timestamp: new Date().toISOString(),
       });
 
+      if (hasSelection(args)) {
+        return await this._squashSelection(args, sourceChange, destChange);
+      }
+
       // Mark source as abandoned
       sourceChange.abandoned = true;
       await graph.updateChange(sourceChange);
@@ -2404,8 +4020,6 @@ export async function createJJ(options) {
       destChange.description += `\n\n(squashed from ${source.slice(0, 8)})`;
       await graph.updateChange(destChange);
 
-      let newWorkingCopyId = currentWorkingCopyId;
-
       // If squashing the working copy, create a new empty working copy on top of dest
       if (isSquashingWorkingCopy) {
         const user = userConfig.getUser();
@@ -2432,21 +4046,15 @@ export async function createJJ(options) {
 
         await graph.addChange(newChange);  // Middleware will sync to Git
         await workingCopy.setCurrentChange(newChangeId);
-        newWorkingCopyId = newChangeId;
       }
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: await getUserOplogInfo(),
         description: `squash ${source.slice(0, 8)} into ${destChangeId.slice(0, 8)}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [destChangeId],
-          workingCopy: newWorkingCopyId,
-        },
+        view: await captureView(),
       });
 
       // Dispatch change:squashed event (informational)
@@ -2462,6 +4070,65 @@ export async function createJJ(options) {
       return destChange;
     },
     
+    /**
+     * Move the picked edits of a change into another
+     *
+     * The source keeps the edits that weren't picked and isn't abandoned. Descendants of
+     * both changes are rebased onto the edits.
+     *
+     * @private
+     * @param {Object<string, any>} args - squash() arguments with `paths`, `hunks` or `select`
+     * @param {Object<string, any>} sourceChange - Change to take the edits from
+     * @param {Object<string, any>} destChange - Change to add them to
+     * @returns {Promise<Object<string, any>>} Updated destination change
+     */
+    async _squashSelection(args, sourceChange, destChange) {
+      const source = sourceChange.changeId;
+      const dest = destChange.changeId;
+
+      await snapshotWorkingChange();
+
+      const sourceFiles = { ...((await graph.getChange(source)).fileSnapshot || {}) };
+      const sourceParent = sourceChange.parents && sourceChange.parents.length > 0
+        ? await graph.getChange(sourceChange.parents[0])
+        : null;
+      const sourceParentFiles = (sourceParent && sourceParent.fileSnapshot) || {};
+      const { selected, remaining, paths } = await selectChanges(sourceParentFiles, sourceFiles, args);
+
+      let rebased;
+      if (graph.getAncestors(source).includes(dest)) {
+        // Moving edits into an ancestor leaves the source's files as they are
+        const destFiles = mergeFiles(sourceParentFiles, selected, (await graph.getChange(dest)).fileSnapshot || {});
+        rebased = await rewriteFiles(dest, destFiles, new Map([[source, sourceFiles]]));
+      } else {
+        rebased = await rewriteFiles(source, remaining);
+        const rebasedDest = await graph.getChange(dest);
+        rebased.push(...await rewriteFiles(dest, mergeFiles(sourceParentFiles, selected, rebasedDest.fileSnapshot || {})));
+      }
+
+      await recordOperation({
+        timestamp: new Date().toISOString(),
+        user: await getUserOplogInfo(),
+        description: `squash ${paths.length} file(s) from ${source.slice(0, 8)} into ${dest.slice(0, 8)}`,
+        parents: [],
+        view: await captureView(),
+      });
+
+      const updatedDest = await graph.getChange(dest);
+      await dispatchEventAsync(jj, 'change:squashed', {
+        operation: 'squash',
+        sourceChangeId: source,
+        destChangeId: dest,
+        sourceChange: await graph.getChange(source),
+        destChange: updatedDest,
+        paths,
+        rebased: [...new Set(rebased)],
+        timestamp: new Date().toISOString(),
+      }, { cancelable: false });
+
+      return updatedDest;
+    },
+
     /**
      * Rebase a change to a new parent (matches `jj rebase`)
      *
@@ -2496,6 +4163,7 @@ export async function createJJ(options) {
      * @returns {Promise<Object>} The abandoned change object including changeId, description, and abandoned flag
      */
     async abandon(args = {}) {
+      args = await resolveRevisionArgs(args, ['changeId']);
       await graph.load();
       await workingCopy.load();
       await userConfig.load();
@@ -2522,17 +4190,12 @@ export async function createJJ(options) {
       await graph.updateChange(change);
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: { name: user.name, email: user.email, hostname: 'localhost' },
         description: `abandon change ${changeId.slice(0, 8)}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [],
-          workingCopy: workingCopy.getCurrentChangeId(),
-        },
+        view: await captureView(),
       });
 
       // Dispatch change:abandoned event (informational)
@@ -2558,6 +4221,7 @@ export async function createJJ(options) {
      * @returns {Promise<Object>} The new backout change including changeId, description, and backedOut field
      */
     async backout(args) {
+      args = await resolveRevisionArgs(args, ['revision']);
       if (!args || !args.revision) {
         throw new JJError('INVALID_ARGUMENT', 'Missing revision argument', {
           suggestion: 'Provide the change ID to back out: { revision: "abc123..." }',
@@ -2618,17 +4282,12 @@ export async function createJJ(options) {
       await graph.addChange(backoutChange);
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: { name: user.name, email: user.email, hostname: 'localhost' },
         description: `backout ${args.revision.slice(0, 8)}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [backoutChangeId],
-          workingCopy: workingCopy.getCurrentChangeId(),
-        },
+        view: await captureView(),
       });
 
       return {
@@ -2655,6 +4314,9 @@ export async function createJJ(options) {
      *
      * @param {Object} [args] - Optional arguments
      * @param {boolean} [args.dryRun] - Preview without making changes
+     * @param {string[]} [args.paths] - Absorb only the edits to these paths, directories or globs
+     * @param {Array<string|{ id: string, lines: number[] }>} [args.hunks] - Absorb only these hunks of diff()
+     * @param {Function} [args.select] - Called with each hunk of diff() and its file; returns whether to absorb it
      * @returns {Promise<Object>} Result with affected changes
      */
     async absorb(args = {}) {
@@ -2701,18 +4363,24 @@ export async function createJJ(options) {
         }
       }
 
+      // With a selection, only the picked edits are absorbed and the rest stay in @
+      const selecting = hasSelection(args);
+      const absorbable = selecting
+        ? (await selectChanges(/** @type {Record<string, string|Uint8Array>} */ (parentSnapshot), currentSnapshot, args)).selected
+        : currentSnapshot;
+
       // Find modified files (existed in parent AND content is different)
       const modifiedFiles = {};
-      for (const [filePath, content] of Object.entries(currentSnapshot)) {
+      for (const [filePath, content] of Object.entries(absorbable)) {
         // Only count as modified if file existed in parent (not a new file)
-        if (parentSnapshot[filePath] !== undefined && parentSnapshot[filePath] !== content) {
+        if (parentSnapshot[filePath] !== undefined && !contentEquals(parentSnapshot[filePath], content)) {
           modifiedFiles[filePath] = content;
         }
       }
 
       // Also check for deletions (files in parent but not in working copy)
       for (const filePath of Object.keys(parentSnapshot)) {
-        if (!currentSnapshot[filePath]) {
+        if (!absorbable[filePath]) {
           modifiedFiles[filePath] = undefined; // Deletion
         }
       }
@@ -2728,7 +4396,7 @@ export async function createJJ(options) {
       // If only new files, nothing to absorb but still update working copy
       if (Object.keys(modifiedFiles).length === 0) {
         // Update working copy to have proper fileSnapshot with new files
-        if (!args.dryRun && Object.keys(newFiles).length > 0) {
+        if (!args.dryRun && !selecting && Object.keys(newFiles).length > 0) {
           workingChange.fileSnapshot = { ...parentSnapshot, ...newFiles };
           await graph.updateChange(workingChange);
         }
@@ -2747,14 +4415,14 @@ export async function createJJ(options) {
       for (const filePath of Object.keys(modifiedFiles)) {
         const currentContent = modifiedFiles[filePath];
 
-        // Handle file deletion
-        if (currentContent === undefined) {
+        // Deletions and binary edits go to the change that last touched the whole file
+        if (currentContent === undefined || isBinaryContent(currentContent) || isBinaryContent(parentSnapshot[filePath])) {
           const ancestor = await this._findFileAncestor(filePath, workingChange.parents);
           if (ancestor) {
             if (!ancestorModifications[ancestor.changeId]) {
               ancestorModifications[ancestor.changeId] = {};
             }
-            ancestorModifications[ancestor.changeId][filePath] = undefined;
+            ancestorModifications[ancestor.changeId][filePath] = currentContent;
           }
           continue;
         }
@@ -2807,11 +4475,11 @@ export async function createJJ(options) {
 
       // Capture original states of all changes BEFORE updating any ancestors
       // This is needed to properly track descendant modifications when rebuilding
-      const allChanges = graph.getAll();
+      const allChanges = await Promise.all(graph.getAll().map(c => graph.getChange(c.changeId)));
       const originalStates = new Map();
       for (const change of allChanges) {
         originalStates.set(change.changeId, {
-          fileSnapshot: JSON.parse(JSON.stringify(change.fileSnapshot || {})),
+          fileSnapshot: { ...change.fileSnapshot },
           parents: change.parents ? [...change.parents] : [],
         });
       }
@@ -2878,21 +4546,17 @@ export async function createJJ(options) {
         newWorkingSnapshot[filePath] = content;
       }
 
-      workingChange.fileSnapshot = newWorkingSnapshot;
+      // Edits that weren't picked stay in the working copy, whose files don't change
+      workingChange.fileSnapshot = selecting ? currentSnapshot : newWorkingSnapshot;
       await graph.updateChange(workingChange);
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: { name: user.name, email: user.email, hostname: 'localhost' },
         description: `absorb into ${affectedChanges.length} change(s)`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: affectedChanges,
-          workingCopy: workingChangeId,
-        },
+        view: await captureView(),
       });
 
       return {
@@ -2945,7 +4609,7 @@ export async function createJJ(options) {
             // This change modified the file if:
             // 1. Parent doesn't have the file (file was added)
             // 2. Content is different from parent
-            if (parentContent === undefined || parentContent !== changeContent) {
+            if (parentContent === undefined || !contentEquals(parentContent, changeContent)) {
               isModified = true;
             }
           } else {
@@ -3207,6 +4871,14 @@ export async function createJJ(options) {
           const originalParentContent = originalParentState.fileSnapshot[filePath] || '';
           const updatedParentContent = parent.fileSnapshot[filePath] || '';
 
+          // Binary files are kept whole: the descendant's version if it changed the file
+          if ([originalDescendantContent, originalParentContent, updatedParentContent].some(isBinaryContent)) {
+            newSnapshot[filePath] = contentEquals(originalDescendantContent, originalParentContent)
+              ? updatedParentContent
+              : originalDescendantContent;
+            continue;
+          }
+
           // Find which lines descendant modified from original parent
           const originalDescendantLines = originalDescendantContent.split('\n');
           const originalParentLines = originalParentContent.split('\n');
@@ -3260,7 +4932,7 @@ export async function createJJ(options) {
           if (parent) {
             originalParentStates.set(change.changeId, {
               parentId: change.parents[0],
-              parentSnapshot: JSON.parse(JSON.stringify(parent.fileSnapshot || {})),
+              parentSnapshot: { ...parent.fileSnapshot },
             });
           }
         }
@@ -3332,6 +5004,14 @@ export async function createJJ(options) {
           const originalParentContent = originalParentSnapshot[filePath] || '';
           const updatedParentContent = parent.fileSnapshot[filePath] || '';
 
+          // Binary files are kept whole: the descendant's version if it changed the file
+          if ([descendantContent, originalParentContent, updatedParentContent].some(isBinaryContent)) {
+            newSnapshot[filePath] = contentEquals(descendantContent, originalParentContent)
+              ? updatedParentContent
+              : descendantContent;
+            continue;
+          }
+
           // Find which lines descendant modified from original parent
           const descendantLines = descendantContent.split('\n');
           const originalParentLines = originalParentContent.split('\n');
@@ -3364,7 +5044,7 @@ export async function createJJ(options) {
         // Update the original parent state for this descendant's children
         originalParentStates.set(descendantId, {
           parentId: descendantId,
-          parentSnapshot: JSON.parse(JSON.stringify(descendant.fileSnapshot)),
+          parentSnapshot: { ...descendant.fileSnapshot },
         });
       }
     },
@@ -3430,6 +5110,7 @@ export async function createJJ(options) {
      * @returns {Promise<{changeId: string, simplified: boolean, removedParents?: string[]}>}
      */
     async simplifyParents(args) {
+      args = await resolveRevisionArgs(args, ['revision']);
       if (!args || !args.revision) {
         throw new JJError('INVALID_ARGUMENT', 'Missing revision argument', {
           suggestion: 'Provide: { revision: "abc123..." }',
@@ -3494,17 +5175,12 @@ export async function createJJ(options) {
       await graph.updateChange(change);
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: { name: user.name, email: user.email, hostname: 'localhost' },
         description: `simplify parents of ${args.revision.slice(0, 8)}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [args.revision],
-          workingCopy: workingCopy.getCurrentChangeId(),
-        },
+        view: await captureView(),
       });
 
       return {
@@ -3544,17 +5220,12 @@ export async function createJJ(options) {
       await graph.updateChange(change);
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: { name: user.name, email: user.email, hostname: 'localhost' },
         description: `unabandon change ${args.changeId.slice(0, 8)}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [],
-          workingCopy: workingCopy.getCurrentChangeId(),
-        },
+        view: await captureView(),
       });
 
       // Dispatch change:unabandoned event (informational)
@@ -3569,25 +5240,35 @@ export async function createJJ(options) {
     },
     
     /**
-     * Split a change into multiple changes (simplified v0.2 implementation)
+     * Split a change in two
+     *
+     * The first change keeps the original's change ID and gets the selected edits; a
+     * new child gets the rest. Children of the original are rebased onto the new change,
+     * whose files are those the original had, so their contents don't change. Without
+     * `paths`, `hunks` or `select`, every edit stays in the first part and the second
+     * starts empty.
      *
      * @param {Object} args - Arguments
-     * @param {string} args.changeId - Change ID to split
-     * @param {string} args.description1 - Description for first part
-     * @param {string} args.description2 - Description for second part
-     * @param {string[]} [args.paths] - Specific paths to include in first split (full implementation planned for future)
+     * @param {string} [args.changeId] - Change ID to split (defaults to @ - working copy)
+     * @param {string} [args.description1] - Description for first part
+     * @param {string} [args.description2] - Description for second part
+     * @param {string[]} [args.paths] - Paths, directories or globs whose edits go in the first part
+     * @param {Array<string|{ id: string, lines: number[] }>} [args.hunks] - Hunks from diff({ to: changeId }) to put in the first part
+     * @param {Function} [args.select] - Called with each hunk and its file; returns whether it goes in the first part
+     * @returns {Promise<Object>} `{ original, new, rebased }` - both parts and the IDs of the rebased children
      */
-    async split(args) {
-      // Check for interactive mode (not supported)
-      if (args.interactive) {
+    async split(args = {}) {
+      args = await resolveRevisionArgs(args, ['changeId']);
+      // Interactive mode needs the caller to do the picking
+      if (args.interactive && !args.hunks && !args.select) {
         throw new JJError(
           'UNSUPPORTED_OPERATION',
           'Interactive mode not supported in library API',
           {
             feature: 'split --interactive',
             reason: 'Interactive file/hunk selection requires terminal UI',
-            alternative: 'Specify paths explicitly: split({ changeId, paths: [...] })',
-            suggestion: 'For interactive splitting, use JJ CLI',
+            alternative: 'Pick hunks with split({ changeId, select: (hunk, file) => ... }) or split({ changeId, hunks: [...] }), or whole files with paths: [...]',
+            suggestion: 'Take hunk IDs from diff({ to: changeId })',
           }
         );
       }
@@ -3595,17 +5276,36 @@ export async function createJJ(options) {
       await graph.load();
       await workingCopy.load();
 
-      const originalChange = await graph.getChange(args.changeId);
+      const currentWorkingCopyId = workingCopy.getCurrentChangeId();
+      const changeId = args.changeId || currentWorkingCopyId;
+      const originalChange = await graph.getChange(changeId);
 
       if (!originalChange) {
-        throw new JJError('CHANGE_NOT_FOUND', `Change ${args.changeId} not found`);
+        throw new JJError('CHANGE_NOT_FOUND', `Change ${changeId} not found`);
       }
 
-      const currentWorkingCopyId = workingCopy.getCurrentChangeId();
-      const isSplittingWorkingCopy = args.changeId === currentWorkingCopyId;
+      const isSplittingWorkingCopy = changeId === currentWorkingCopyId;
+      if (isSplittingWorkingCopy) {
+        originalChange.fileSnapshot = await snapshotFilesystem();
+      }
+
+      const parent = originalChange.parents && originalChange.parents.length > 0
+        ? await graph.getChange(originalChange.parents[0])
+        : null;
+      const parentFiles = (parent && parent.fileSnapshot) || {};
+      const originalFiles = { ...(originalChange.fileSnapshot || {}) };
+
+      // The first part is the parent with the selected edits, the second the original
+      const { selected: firstFiles } = hasSelection(args)
+        ? await selectChanges(parentFiles, originalFiles, args)
+        : { selected: originalFiles };
+
+      const children = (await graph.getChildren(changeId)).filter(childId => childId !== changeId);
+      const description = originalChange.description;
 
       // Create first split change (keep original ID) - middleware will sync to Git
-      originalChange.description = args.description1 || originalChange.description + ' (part 1)';
+      originalChange.description = args.description1 || description + ' (part 1)';
+      originalChange.fileSnapshot = firstFiles;
       await graph.updateChange(originalChange);
 
       // Create second split change as new change on top - middleware will sync to Git
@@ -3613,38 +5313,42 @@ export async function createJJ(options) {
       const newChange = {
         changeId: newChangeId,
         commitId: '0000000000000000000000000000000000000000',
-        parents: [args.changeId],
+        parents: [changeId],
         tree: originalChange.tree,
         author: originalChange.author,
         committer: originalChange.committer,
-        description: args.description2 || originalChange.description + ' (part 2)',
+        description: args.description2 || description + ' (part 2)',
         timestamp: new Date().toISOString(),
+        fileSnapshot: { ...originalFiles },
       };
 
       await graph.addChange(newChange);
 
+      // Rebase children onto the second part, which has the files they were based on
+      for (const childId of children) {
+        const child = await graph.getChange(childId);
+        if (!child) {
+          continue;
+        }
+        child.parents = child.parents.map(parentId => (parentId === changeId ? newChangeId : parentId));
+        await graph.updateChange(child);
+      }
+
       // If splitting the working copy, move to the second (child) commit
-      let newWorkingCopyId = currentWorkingCopyId;
       if (isSplittingWorkingCopy) {
         await workingCopy.setCurrentChange(newChangeId);
-        newWorkingCopyId = newChangeId;
       }
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: await getUserOplogInfo(),
-        description: `split change ${args.changeId.slice(0, 8)}`,
+        description: `split change ${changeId.slice(0, 8)}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [newChangeId],
-          workingCopy: newWorkingCopyId,
-        },
+        view: await captureView(),
       });
 
-      return { original: originalChange, new: newChange };
+      return { original: originalChange, new: newChange, rebased: children };
     },
     
     // ========================================
@@ -3719,7 +5423,7 @@ export async function createJJ(options) {
         await workingCopy.init(rootChangeId);
 
         // Record init operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: {
             name: user.name,
@@ -3728,12 +5432,7 @@ export async function createJJ(options) {
           },
           description: 'initialize git-backed repository',
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [rootChangeId],
-            workingCopy: rootChangeId,
-          },
+          view: await captureView(),
         });
       },
 
@@ -3770,21 +5469,78 @@ export async function createJJ(options) {
           onAuth: args.onAuth,
         });
 
+        await graph.load();
+        await bookmarks.load();
+
+        // Import the commits behind every remote-tracking ref of this remote
+        const prefix = `refs/remotes/${args.remote}/`;
+        const remoteRefs = (await gitBackend.listRefs(prefix))
+          .filter(ref => ref.name !== `${prefix}HEAD`);
+        const importedCount = await importGitCommits(remoteRefs.map(ref => ref.oid));
+
+        /** @type {Record<string, string>} */
+        const remoteBookmarks = {};
+        /** @type {Record<string, string>} */
+        const updatedBookmarks = {};
+        const conflictedBookmarks = [];
+        const seen = new Set();
+
+        for (const ref of remoteRefs) {
+          const name = ref.name.slice(prefix.length);
+          const remoteTarget = baseGraph.findByCommitId(ref.oid);
+          if (!remoteTarget) {
+            continue;
+          }
+          seen.add(name);
+          remoteBookmarks[`${name}@${args.remote}`] = remoteTarget;
+
+          const previousTarget = await bookmarks.getRemote(args.remote, name);
+          if (previousTarget !== remoteTarget) {
+            await bookmarks.setRemote(args.remote, name, remoteTarget);
+          }
+
+          // Only tracked bookmarks follow their remote counterpart
+          if (bookmarks.tracking[name]?.remote !== args.remote) {
+            continue;
+          }
+
+          const localTarget = await bookmarks.get(name);
+          const merged = mergeBookmarkTargets(localTarget, previousTarget, remoteTarget);
+          if (merged.conflicted) {
+            conflictedBookmarks.push({ name, remote: args.remote, localTarget, remoteTarget });
+          } else if (merged.target && merged.target !== localTarget) {
+            if (localTarget) {
+              await bookmarks.move(name, merged.target);
+            } else {
+              await bookmarks.set(name, merged.target);
+            }
+            updatedBookmarks[name] = merged.target;
+          }
+        }
+
+        // Branches deleted on the remote no longer have a remote bookmark
+        for (const name of [...(bookmarks.remote.get(args.remote)?.keys() || [])]) {
+          if (!seen.has(name)) {
+            await bookmarks.deleteRemote(args.remote, name);
+          }
+        }
+
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `git fetch from ${args.remote}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
-        return result;
+        return {
+          ...result,
+          changes: importedCount,
+          remoteBookmarks,
+          updatedBookmarks: Object.keys(updatedBookmarks),
+          conflictedBookmarks,
+        };
       },
 
       /**
@@ -3815,17 +5571,12 @@ export async function createJJ(options) {
         });
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `git push to ${args.remote}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return result;
@@ -3890,17 +5641,12 @@ export async function createJJ(options) {
         await clonedBackend._createJJRepoStructure();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `git clone from ${args.url}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return {
@@ -3911,9 +5657,13 @@ export async function createJJ(options) {
       },
 
       /**
-       * Import Git refs into JJ bookmarks
+       * Import Git refs into JJ bookmarks (matches `jj git import`)
        *
-       * @returns {Promise<Object>} Import result
+       * Walks the ancestry of every branch and creates a change per commit not yet in the
+       * graph, keeping parents, author, committer, timestamps and message. Imported change
+       * IDs are derived from commit IDs, so importing again only adds new commits.
+       *
+       * @returns {Promise<Object>} Import result with bookmark names and new change count
        */
       async import() {
         if (!gitBackend) {
@@ -3929,58 +5679,39 @@ export async function createJJ(options) {
 
         // Get all Git refs
         const refs = await gitBackend.listRefs('refs/heads');
-        const importedBookmarks = [];
 
+        const importedCount = await importGitCommits(refs.map(ref => ref.oid));
+
+        const importedBookmarks = [];
         for (const ref of refs) {
           const bookmarkName = ref.name.replace('refs/heads/', '');
-
-          // Find or create change for this commit
-          let change = await graph.findChangeByCommitId(ref.oid);
-          if (!change) {
-            // Create a new change for this commit
-            const changeId = generateChangeId();
-            const user = userConfig.getUser();
-            change = {
-              changeId,
-              commitId: ref.oid,
-              parents: [],
-              tree: ref.oid,
-              author: { name: user.name, email: user.email, timestamp: new Date().toISOString() },
-              committer: { name: user.name, email: user.email, timestamp: new Date().toISOString() },
-              description: `Imported from Git ref ${ref.name}`,
-              timestamp: new Date().toISOString(),
-            };
-            await graph.addChange(change);
+          const changeId = baseGraph.findByCommitId(ref.oid);
+          if (!changeId) {
+            continue;
           }
 
           // Create or update bookmark pointing to this change
           const existing = await bookmarks.get(bookmarkName);
           if (existing) {
-            await bookmarks.move(bookmarkName, change.changeId);
+            await bookmarks.move(bookmarkName, changeId);
           } else {
-            await bookmarks.set(bookmarkName, change.changeId);
+            await bookmarks.set(bookmarkName, changeId);
           }
           importedBookmarks.push(bookmarkName);
         }
 
         await bookmarks.save();
-        // Note: graph.save() not needed - addChange() saves automatically
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
-          description: `git import (${importedBookmarks.length} refs)`,
+          description: `git import (${importedBookmarks.length} refs, ${importedCount} commits)`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
-        return { imported: importedBookmarks };
+        return { imported: importedBookmarks, changes: importedCount };
       },
 
       /**
@@ -4016,17 +5747,12 @@ export async function createJJ(options) {
         }
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `git export (${exportedRefs.length} refs)`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { exported: exportedRefs };
@@ -4087,17 +5813,12 @@ export async function createJJ(options) {
           });
 
           // Record operation
-          await oplog.recordOperation({
+          await recordOperation({
             timestamp: new Date().toISOString(),
             user: await getUserOplogInfo(),
             description: `git remote add ${args.name} ${args.url}`,
             parents: [],
-            view: {
-              bookmarks: {},
-              remoteBookmarks: {},
-              heads: [],
-              workingCopy: workingCopy.getCurrentChangeId(),
-            },
+            view: await captureView(),
           });
 
           return { name: args.name, url: args.url };
@@ -4133,17 +5854,12 @@ export async function createJJ(options) {
           });
 
           // Record operation
-          await oplog.recordOperation({
+          await recordOperation({
             timestamp: new Date().toISOString(),
             user: await getUserOplogInfo(),
             description: `git remote remove ${args.name}`,
             parents: [],
-            view: {
-              bookmarks: {},
-              remoteBookmarks: {},
-              heads: [],
-              workingCopy: workingCopy.getCurrentChangeId(),
-            },
+            view: await captureView(),
           });
 
           return { removed: args.name };
@@ -4186,17 +5902,12 @@ export async function createJJ(options) {
           await git.addRemote({ fs, dir, remote: args.newName, url: remote.url });
 
           // Record operation
-          await oplog.recordOperation({
+          await recordOperation({
             timestamp: new Date().toISOString(),
             user: await getUserOplogInfo(),
             description: `git remote rename ${args.oldName} ${args.newName}`,
             parents: [],
-            view: {
-              bookmarks: {},
-              remoteBookmarks: {},
-              heads: [],
-              workingCopy: workingCopy.getCurrentChangeId(),
-            },
+            view: await captureView(),
           });
 
           return { oldName: args.oldName, newName: args.newName, url: remote.url };
@@ -4239,17 +5950,12 @@ export async function createJJ(options) {
           await git.addRemote({ fs, dir, remote: args.name, url: args.url });
 
           // Record operation
-          await oplog.recordOperation({
+          await recordOperation({
             timestamp: new Date().toISOString(),
             user: await getUserOplogInfo(),
             description: `git remote set-url ${args.name} ${args.url}`,
             parents: [],
-            view: {
-              bookmarks: {},
-              remoteBookmarks: {},
-              heads: [],
-              workingCopy: workingCopy.getCurrentChangeId(),
-            },
+            view: await captureView(),
           });
 
           return { name: args.name, url: args.url };
@@ -4288,6 +5994,7 @@ export async function createJJ(options) {
      * @returns {Promise<Object>} Merge result with conflicts
      */
     async merge(args) {
+      args = await resolveRevisionArgs(args, ['source']);
       if (!args || !args.source) {
         throw new JJError('INVALID_ARGUMENT', 'Missing source change argument', {
           suggestion: 'Provide a source change ID to merge',
@@ -4343,14 +6050,13 @@ export async function createJJ(options) {
       const wcFiles = await workingCopy.listFiles();
       for (const file of wcFiles) {
         try {
-          const content = await fs.promises.readFile(path.join(dir, file), 'utf-8');
-          leftFiles.set(file, content);
+          leftFiles.set(file, await readWorkingFile(file));
         } catch (error) {
-          // File might be deleted or binary - throw error for explicit handling
+          // File might be deleted - throw error for explicit handling
           throw new JJError(
             'MERGE_FILE_READ_FAILED',
             `Could not read file ${file} for merge: ${error.message}`,
-            { file, originalError: error.message, suggestion: 'File may be binary or deleted' }
+            { file, originalError: error.message, suggestion: 'File may be deleted or inaccessible' }
           );
         }
       }
@@ -4392,17 +6098,12 @@ export async function createJJ(options) {
       }
 
       // Record operation with conflicts snapshot
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: await getUserOplogInfo(),
         description: `merge ${args.source}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [currentChangeId, args.source],
-          workingCopy: currentChangeId,
-        },
+        view: await captureView(),
         conflictsSnapshot, // Store conflicts state before merge for undo
       });
 
@@ -4437,7 +6138,7 @@ export async function createJJ(options) {
        *
        * @param {Object} args - Resolution arguments
        * @param {string} args.conflictId - Conflict ID
-       * @param {string} [args.resolution] - Manual resolution content
+       * @param {string|Uint8Array} [args.resolution] - Manual resolution content
        * @param {string} [args.driver] - Merge driver to use
        * @param {string} [args.strategy] - Resolution strategy ('ours', 'theirs', 'union')
        */
@@ -4571,10 +6272,23 @@ export async function createJJ(options) {
           throw new JJError('CONFLICT_NOT_FOUND', `Conflict ${args.conflictId} not found`);
         }
 
+        if (conflict.binary) {
+          throw new JJError('INVALID_CONFLICT_TYPE', `Cannot generate markers for binary file ${conflict.path}`, {
+            path: conflict.path,
+            suggestion: 'Resolve with strategy "ours" or "theirs", or pass the resolved bytes as resolution',
+          });
+        }
+
         // Generate standard conflict markers
         const ours = conflict.sides.left || '';
         const theirs = conflict.sides.right || '';
 
+        if (conflict.regions) {
+          return merge3(conflict.sides.base, ours, theirs, {
+            labels: { left: 'ours', base: null, right: 'theirs' },
+          }).content;
+        }
+
         return `<<<<<<< ours\n${ours}=======\n${theirs}>>>>>>> theirs`;
       },
 
@@ -4595,45 +6309,99 @@ export async function createJJ(options) {
     },
 
     /**
-     * Interactive conflict resolution (stub - not supported)
+     * Resolve conflicts with a merge tool (matches `jj resolve --tool`)
      *
-     * This is a stub method that throws an error explaining why interactive
-     * conflict resolution is not available in JavaScript/browser environments.
+     * The tool is either a function, called in-process with the sides of each conflict,
+     * or in Node.js the name of a tool in the `merge-tools` config table. A configured
+     * tool is run on temporary files holding the sides, and what it writes to `$output`
+     * resolves the conflict. Without `tool`, the one `ui.merge-editor` names is used.
+     * Conflicts the tool leaves alone (the function returns nothing, or `$output` is
+     * unchanged) stay unresolved, as do delete/modify conflicts a configured tool has no
+     * file for.
      *
-     * @throws {JJError} Always throws UNSUPPORTED_OPERATION
+     * @param {Object} [args] - Arguments
+     * @param {string|string[]|Function} [args.tool] - Configured tool name, a program and its
+     *   arguments, or a function called with `{ path, base, left, right, conflict }` that
+     *   returns (or resolves to) the resolved content
+     * @param {string[]} [args.paths] - Resolve only conflicts in these paths, directories or globs
+     * @returns {Promise<{ resolved: string[], unresolved: string[] }>} Paths of the conflicts
+     *   resolved and of those left unresolved
+     * @throws {JJError} UNSUPPORTED_OPERATION without a tool, or for configured tools outside Node.js;
+     *   MERGE_TOOL_FAILED when a tool cannot be run
      */
     async resolve(args = {}) {
-      // Check for external merge tool usage
-      if (args.tool) {
+      await userConfig.load();
+      const tool = args.tool || userConfig.get('ui.merge-editor');
+      if (!tool) {
         throw new JJError(
           'UNSUPPORTED_OPERATION',
-          'External merge tools not supported',
+          'Interactive conflict resolution (jj resolve) is not supported in JavaScript environments',
           {
-            feature: 'resolve --tool',
-            reason: 'External merge tools require system integration not available in library API',
-            alternative: 'Use jj.conflicts.resolve() with programmatic resolution',
-            suggestion: 'For conflict resolution, use the programmatic API or resolve files manually',
+            suggestion: [
+              'Use the programmatic conflict API instead:',
+              '  - jj.conflicts.list() to see conflicts',
+              '  - jj.conflicts.get({ conflictId }) to inspect a conflict',
+              '  - jj.conflicts.markers({ conflictId }) to get conflict markers',
+              '  - jj.conflicts.resolve({ conflictId, resolution }) to resolve',
+              '  - jj.conflicts.resolveMany({ strategy, paths }) for bulk resolution',
+              '',
+              'Or pass a merge tool: jj.resolve({ tool }) with a function, or in Node.js',
+              'the name of a tool configured in merge-tools.',
+            ].join('\n'),
           }
         );
       }
 
-      throw new JJError(
-        'UNSUPPORTED_OPERATION',
-        'Interactive conflict resolution (jj resolve) is not supported in JavaScript environments',
-        {
-          suggestion: [
-            'Use the programmatic conflict API instead:',
-            '  - jj.conflicts.list() to see conflicts',
-            '  - jj.conflicts.get({ conflictId }) to inspect a conflict',
-            '  - jj.conflicts.markers({ conflictId }) to get conflict markers',
-            '  - jj.conflicts.resolve({ conflictId, resolution }) to resolve',
-            '  - jj.conflicts.resolveMany({ strategy, paths }) for bulk resolution',
-            '',
-            'Interactive conflict resolution requires a terminal and editor,',
-            'which are not available in JavaScript/browser contexts.',
-          ].join('\n'),
+      let command = null;
+      if (typeof tool !== 'function') {
+        // Temporary files for the tool need a filesystem other programs can read
+        if (typeof process === 'undefined' || !fs.promises.mkdtemp) {
+          throw new JJError(
+            'UNSUPPORTED_OPERATION',
+            'External merge tools not supported',
+            {
+              feature: 'resolve --tool',
+              reason: 'External merge tools can only run in Node.js, with the Node.js filesystem',
+              alternative: 'Pass a function as tool, or use jj.conflicts.resolve() with programmatic resolution',
+              suggestion: 'jj.resolve({ tool: ({ base, left, right }) => resolvedContent })',
+            }
+          );
         }
-      );
+        command = mergeToolCommand(tool, userConfig.getMergeTools());
+      }
+
+      await conflicts.load();
+      const pending = conflicts.listConflicts({ resolved: false })
+        .filter(conflict => !args.paths || args.paths.some(pattern => matchesPathPattern(conflict.path, pattern)));
+
+      const resolved = [];
+      const unresolved = [];
+      for (const conflict of pending) {
+        const { base, left, right } = conflict.sides;
+        let content;
+        if (!command) {
+          content = await /** @type {Function} */ (tool)({ path: conflict.path, base, left, right, conflict });
+        } else {
+          // A deleted side has no file to hand the tool; leave it to jj.conflicts.resolve()
+          if (left === undefined || right === undefined) {
+            unresolved.push(conflict.path);
+            continue;
+          }
+          const markers = conflict.binary ? '' : await jj.conflicts.markers({ conflictId: conflict.conflictId });
+          const output = await runMergeTool(fs, command, { base: base || '', left, right, output: markers },
+            path.basename(conflict.path));
+          content = contentEquals(output, markers) ? undefined : output;
+        }
+
+        if (content === undefined || content === null) {
+          unresolved.push(conflict.path);
+          continue;
+        }
+        await jj.conflicts.resolve({ conflictId: conflict.conflictId, resolution: content });
+        resolved.push(conflict.path);
+      }
+
+      return { resolved, unresolved };
     },
 
     /**
@@ -4708,6 +6476,7 @@ export async function createJJ(options) {
        * @returns {Promise<Array>} Array of line annotations with changeId, author, timestamp, and content
        */
       async annotate(args) {
+        args = await resolveRevisionArgs(args, ['changeId']);
         if (!args || !args.path) {
           throw new JJError('INVALID_ARGUMENT', 'Missing path argument', {
             suggestion: 'Provide a file path to annotate',
@@ -4885,6 +6654,7 @@ export async function createJJ(options) {
        * @param {string} [args.changeId] - Change to check out
        */
       async add(args) {
+        args = await resolveRevisionArgs(args, ['changeId']);
         await workspaces.load();
         const workspace = await workspaces.add(args);
 
@@ -4924,17 +6694,12 @@ export async function createJJ(options) {
         }
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `add workspace at ${args.path}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return workspace;
@@ -4956,17 +6721,12 @@ export async function createJJ(options) {
         await workspaces.remove(args.id, args.force);
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `remove workspace ${args.id}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { removed: true };
@@ -4987,17 +6747,12 @@ export async function createJJ(options) {
         await workspaces.forget(args.id);
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `forget workspace ${args.id}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { forgotten: true };
@@ -5048,17 +6803,12 @@ export async function createJJ(options) {
         await workspaces.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `rename workspace ${args.workspace} to ${args.newName}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return workspace;
@@ -5147,17 +6897,12 @@ export async function createJJ(options) {
           await workspaces.save();
 
           // Record operation
-          await oplog.recordOperation({
+          await recordOperation({
             timestamp: new Date().toISOString(),
             user: await getUserOplogInfo(),
             description: `update ${toUpdate.length} stale workspace(s)`,
             parents: [],
-            view: {
-              bookmarks: {},
-              remoteBookmarks: {},
-              heads: [],
-              workingCopy: currentChangeId,
-            },
+            view: await captureView(),
           });
         }
 
@@ -5282,6 +7027,7 @@ export async function createJJ(options) {
        * @returns {Promise<Object>} Bookmark info
        */
       async set(args) {
+        args = await resolveRevisionArgs(args, ['changeId']);
         if (!args || !args.name || !args.changeId) {
           throw new JJError('INVALID_ARGUMENT', 'Missing name or changeId', {
             suggestion: 'Provide both: { name: "main", changeId: "abc123..." }',
@@ -5293,17 +7039,12 @@ export async function createJJ(options) {
         await bookmarks.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `bookmark set ${args.name}`,
           parents: [],
-          view: {
-            bookmarks: { [args.name]: args.changeId },
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { name: args.name, changeId: args.changeId };
@@ -5320,6 +7061,7 @@ export async function createJJ(options) {
        * @returns {Promise<Object>} Bookmark info
        */
       async create(args) {
+        args = await resolveRevisionArgs(args, ['changeId']);
         if (!args || !args.name) {
           throw new JJError('INVALID_ARGUMENT', 'Missing name argument', {
             suggestion: 'Provide: { name: "main", changeId: "abc123..." } or { name: "main" } for working copy',
@@ -5347,17 +7089,12 @@ export async function createJJ(options) {
         await bookmarks.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `bookmark create ${args.name}`,
           parents: [],
-          view: {
-            bookmarks: { [args.name]: changeId },
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { name: args.name, changeId };
@@ -5372,6 +7109,7 @@ export async function createJJ(options) {
        * @returns {Promise<Object>} Move result
        */
       async move(args) {
+        args = await resolveRevisionArgs(args, ['to']);
         if (!args || !args.name || !args.to) {
           throw new JJError('INVALID_ARGUMENT', 'Missing name or to', {
             suggestion: 'Provide both: { name: "main", to: "abc123..." }',
@@ -5387,17 +7125,12 @@ export async function createJJ(options) {
         await bookmarks.move(args.name, args.to);
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `bookmark move ${args.name}`,
           parents: [],
-          view: {
-            bookmarks: { [args.name]: args.to },
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { name: args.name, from: bookmarkChangeId, to: args.to };
@@ -5427,17 +7160,12 @@ export async function createJJ(options) {
         await bookmarks.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `bookmark delete ${args.name}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { deleted: args.name };
@@ -5470,17 +7198,12 @@ export async function createJJ(options) {
         await bookmarks.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `bookmark rename ${args.oldName} to ${args.newName}`,
           parents: [],
-          view: {
-            bookmarks: { [args.newName]: bookmarkChangeId },
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { oldName: args.oldName, newName: args.newName, changeId: bookmarkChangeId };
@@ -5502,7 +7225,6 @@ export async function createJJ(options) {
         }
 
         const remote = args.remote || 'origin';
-        const remoteBookmarkName = `${remote}/${args.name}`;
 
         // Store tracking info in bookmarks metadata
         await bookmarks.load();
@@ -5512,17 +7234,12 @@ export async function createJJ(options) {
         await bookmarks.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `bookmark track ${args.name} from ${remote}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: { [remoteBookmarkName]: true },
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { name: args.name, remote, tracking: true };
@@ -5551,17 +7268,12 @@ export async function createJJ(options) {
         await bookmarks.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `bookmark untrack ${args.name}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { name: args.name, tracking: false, wasTracking: !!wasTracking };
@@ -5592,17 +7304,12 @@ export async function createJJ(options) {
         await bookmarks.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `bookmark forget ${args.name} from ${remote}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { name: args.name, remote, forgotten: true };
@@ -5639,6 +7346,7 @@ export async function createJJ(options) {
        * @throws {JJError} If tag already exists or name is invalid
        */
       async create(args) {
+        args = await resolveRevisionArgs(args, ['changeId']);
         if (!args || args.name === undefined || args.name === null) {
           throw new JJError('INVALID_ARGUMENT', 'Missing name argument', {
             suggestion: 'Provide: { name: "v1.0.0", changeId: "abc123..." } or { name: "v1.0.0" } for working copy',
@@ -5656,17 +7364,12 @@ export async function createJJ(options) {
         const result = await tags.create(args.name, changeId);
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `tag create ${args.name}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return result;
@@ -5702,17 +7405,12 @@ export async function createJJ(options) {
         await tags.delete(args.name);
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `tag delete ${args.name}`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { deleted: args.name };
@@ -5796,9 +7494,10 @@ export async function createJJ(options) {
        * Set a configuration value (matches `jj config set`)
        *
        * @param {Object} args - Config arguments
-       * @param {string} args.name - Config key (e.g., 'user.name')
+       * @param {string} args.name - Config key (e.g., 'user.name' or 'revset-aliases.stack(x)')
        * @param {any} args.value - Config value
        * @returns {Promise<Object>} Set result
+       * @throws {JJError} INVALID_REVSET_ALIAS or INVALID_TEMPLATE_ALIAS when an alias is malformed
        */
       async set(args) {
         // Support both 'key' and 'name' parameters
@@ -5812,6 +7511,8 @@ export async function createJJ(options) {
 
         await userConfig.load();
 
+        validateConfigUpdate(userConfig.config, key, args.value);
+
         // Handle nested keys (e.g., 'user.name')
         const parts = key.split('.');
         let obj = userConfig.config;
@@ -5833,9 +7534,11 @@ export async function createJJ(options) {
        * List all configuration values (matches `jj config list`)
        *
        * @returns {Promise<Object>} All configuration values
+       * @throws {JJError} INVALID_REVSET_ALIAS or INVALID_TEMPLATE_ALIAS when a stored alias is malformed
        */
       async list() {
         await userConfig.load();
+        validateConfigAliases(userConfig.config);
         return userConfig.config;
       },
     },
@@ -5876,17 +7579,12 @@ export async function createJJ(options) {
         await workingCopy.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `sparse set ${args.patterns.length} pattern(s)`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { patterns: args.patterns };
@@ -5921,17 +7619,12 @@ export async function createJJ(options) {
         await workingCopy.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `sparse add ${args.patterns.length} pattern(s)`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { patterns: updatedPatterns };
@@ -5961,17 +7654,12 @@ export async function createJJ(options) {
         await workingCopy.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: `sparse remove ${args.patterns.length} pattern(s)`,
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { patterns: updatedPatterns };
@@ -5988,17 +7676,12 @@ export async function createJJ(options) {
         await workingCopy.save();
 
         // Record operation
-        await oplog.recordOperation({
+        await recordOperation({
           timestamp: new Date().toISOString(),
           user: await getUserOplogInfo(),
           description: 'sparse reset (full checkout)',
           parents: [],
-          view: {
-            bookmarks: {},
-            remoteBookmarks: {},
-            heads: [],
-            workingCopy: workingCopy.getCurrentChangeId(),
-          },
+          view: await captureView(),
         });
 
         return { patterns: [] };
@@ -6298,60 +7981,15 @@ export async function createJJ(options) {
      * @param {Object} [args={}] - Diff arguments
      * @param {string} [args.from] - Source revision (defaults to parent of working copy)
      * @param {string} [args.to] - Target revision (defaults to working copy)
-     * @param {string[]} [args.paths] - Specific paths to diff
-     * @returns {Promise<Object>} Diff result with changed files
+     * @param {string[]} [args.paths] - Paths, directories or globs to diff
+     * @param {number} [args.context=3] - Unchanged lines around each hunk
+     * @param {boolean} [args.ignoreWhitespace=false] - Ignore whitespace-only line changes
+     * @param {string} [args.format] - 'unified' to also produce a git-compatible patch
+     * @returns {Promise<Object>} Diff result with changed files and their hunks; binary files carry sizes and blob IDs instead
      */
     async diff(args = {}) {
-      await graph.load();
-      await workingCopy.load();
-
-      const toChangeId = args.to || workingCopy.getCurrentChangeId();
-      const toChange = await graph.getChange(toChangeId);
-      if (!toChange) {
-        throw new JJError('CHANGE_NOT_FOUND', `Target change ${toChangeId} not found`);
-      }
-
-      // Default 'from' to parent of 'to'
-      let fromChangeId = args.from;
-      if (!fromChangeId) {
-        fromChangeId = toChange.parents && toChange.parents.length > 0 ? toChange.parents[0] : null;
-      }
-
-      const fromChange = fromChangeId ? await graph.getChange(fromChangeId) : null;
-
-      const fromFiles = fromChange?.fileSnapshot || {};
-      const toFiles = toChange.fileSnapshot || {};
-
-      // Find all paths that changed
-      const allPaths = new Set([...Object.keys(fromFiles), ...Object.keys(toFiles)]);
-      const diffs = [];
-
-      for (const filePath of allPaths) {
-        // Filter by paths if specified
-        if (args.paths && args.paths.length > 0) {
-          if (!args.paths.includes(filePath)) {
-            continue;
-          }
-        }
-
-        const fromContent = fromFiles[filePath] || '';
-        const toContent = toFiles[filePath] || '';
-
-        if (fromContent !== toContent) {
-          diffs.push({
-            path: filePath,
-            status: !fromContent ? 'added' : !toContent ? 'deleted' : 'modified',
-            fromContent,
-            toContent,
-          });
-        }
-      }
-
-      return {
-        from: fromChangeId,
-        to: toChangeId,
-        files: diffs,
-      };
+      args = await resolveRevisionArgs(args, ['from', 'to']);
+      return diffChanges(args, repoStores);
     },
 
     /**
@@ -6454,6 +8092,7 @@ export async function createJJ(options) {
      * @returns {Promise<Object>} Duplication result with new change IDs
      */
     async duplicate(args = {}) {
+      args = await resolveRevisionArgs(args, ['changes', 'changeId', 'destination']);
       await graph.load();
       await workingCopy.load();
       await userConfig.load();
@@ -6488,17 +8127,12 @@ export async function createJJ(options) {
       }
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: await getUserOplogInfo(),
         description: `duplicate ${changesToDup.length} change(s)`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: duplicatedChanges.map(d => d.duplicate),
-          workingCopy: workingCopy.getCurrentChangeId(),
-        },
+        view: await captureView(),
       });
 
       // Return both formats for compatibility
@@ -6515,9 +8149,12 @@ export async function createJJ(options) {
      * @param {string} [args.from] - Source revision to restore from
      * @param {string} [args.to] - Target revision to restore to (defaults to working copy)
      * @param {string[]} [args.paths] - Specific paths to restore (defaults to all)
+     * @param {Array<string|{ id: string, lines: number[] }>} [args.hunks] - Restore only these hunks of diff({ from, to })
+     * @param {Function} [args.select] - Called with each hunk of diff({ from, to }) and its file; returns whether to restore it
      * @returns {Promise<Object>} Restore result
      */
     async restore(args = {}) {
+      args = await resolveRevisionArgs(args, ['from', 'to']);
       await graph.load();
       await workingCopy.load();
 
@@ -6539,28 +8176,32 @@ export async function createJJ(options) {
       }
 
       const restoredPaths = [];
-      const filesToRestore = args.paths || Object.keys(fromChange.fileSnapshot || {});
+      if (args.hunks || args.select) {
+        // Undo the picked edits between the two revisions in the target
+        await snapshotWorkingChange();
+        const toFiles = (await graph.getChange(toChangeId)).fileSnapshot || {};
+        const { remaining, paths } = await selectChanges(fromChange.fileSnapshot || {}, toFiles, args);
+        await rewriteFiles(toChangeId, remaining);
+        restoredPaths.push(...paths);
+      } else {
+        const filesToRestore = args.paths || Object.keys(fromChange.fileSnapshot || {});
 
-      for (const filePath of filesToRestore) {
-        const content = fromChange.fileSnapshot[filePath];
-        if (content !== undefined) {
-          await jj.write({ path: filePath, data: content });
-          restoredPaths.push(filePath);
+        for (const filePath of filesToRestore) {
+          const content = fromChange.fileSnapshot[filePath];
+          if (content !== undefined) {
+            await jj.write({ path: filePath, data: content });
+            restoredPaths.push(filePath);
+          }
         }
       }
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: await getUserOplogInfo(),
         description: `restore ${restoredPaths.length} path(s) from ${fromChangeId}`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: [],
-          workingCopy: toChangeId,
-        },
+        view: await captureView(),
       });
 
       return {
@@ -6570,6 +8211,255 @@ export async function createJJ(options) {
       };
     },
 
+    /**
+     * Edit the files of a change in a caller-supplied diff editor (matches `jj diffedit`)
+     *
+     * The editor is shown the change's parent on the left and the change on the right,
+     * and returns the right side as it should be. The change is given those files and its
+     * descendants are rebased onto them; where a descendant's own edits conflict with the
+     * new files, the conflicts are recorded.
+     *
+     * @param {Object} [args] - Arguments
+     * @param {Function} [args.editor] - Called with `{ left, right, changeId }`, where `left`
+     *   and `right` are path → content maps, or with `directory: true` the paths of
+     *   temporary directories holding the files. Returns (or resolves to) the edited right
+     *   side; when it returns nothing, `right` as the editor left it is used. Required:
+     *   without it, diffedit() throws UNSUPPORTED_OPERATION
+     * @param {string} [args.revision] - Change to edit (defaults to working copy)
+     * @param {string} [args.from] - Show this revision on the left instead of the parent
+     * @param {string} [args.to] - Change to edit when `from` is given (defaults to working copy)
+     * @param {boolean} [args.directory=false] - Pass temporary directories (Node.js only)
+     * @returns {Promise<Object>} The edited change, the rebased descendants and the conflicts recorded
+     */
+    async diffedit(args = {}) {
+      const { editor } = args;
+      if (!editor) {
+        throw new JJError('UNSUPPORTED_OPERATION', 'diffedit requires interactive diff editor', {
+          feature: 'diffedit',
+          reason: 'Interactive tools not supported in library API',
+          alternative: 'Pass editor: ({ left, right }) => editedRight, or use jj.diff() to view changes and jj.write() to modify them',
+          suggestion: 'For programmatic editing, use jj.write() to update files and jj.describe() to update the description',
+        });
+      }
+      if (typeof editor !== 'function') {
+        throw new JJError('INVALID_ARGUMENT', 'editor must be a function', {
+          suggestion: 'Pass editor: ({ left, right, changeId }) => editedRight',
+        });
+      }
+      if (args.revision && (args.from || args.to)) {
+        throw new JJError('INVALID_ARGUMENT', 'Cannot combine revision with from or to', {
+          suggestion: 'Use revision to edit a change against its parent, or from and to to pick both sides',
+        });
+      }
+      if (args.directory && (typeof process === 'undefined' || !fs.promises.mkdtemp)) {
+        throw new JJError('UNSUPPORTED_OPERATION', 'Temporary directories are only supported in Node.js', {
+          suggestion: 'Omit directory to receive the files as maps',
+        });
+      }
+
+      args = await resolveRevisionArgs(args, ['revision', 'from', 'to']);
+      await graph.load();
+      await workingCopy.load();
+      await snapshotWorkingChange();
+
+      const changeId = args.revision || args.to || workingCopy.getCurrentChangeId();
+      const change = await graph.getChange(changeId);
+      if (!change) {
+        throw new JJError('CHANGE_NOT_FOUND', `Change ${changeId} not found`);
+      }
+      const fromChangeId = args.from || (change.parents.length > 0 ? change.parents[0] : null);
+      const fromChange = fromChangeId ? await graph.getChange(fromChangeId) : null;
+      if (fromChangeId && !fromChange) {
+        throw new JJError('CHANGE_NOT_FOUND', `Source change ${fromChangeId} not found`);
+      }
+
+      const left = { ...((fromChange && fromChange.fileSnapshot) || {}) };
+      const right = { ...(change.fileSnapshot || {}) };
+      let edited;
+      if (args.directory) {
+        const os = await import('os');
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'jj-diffedit-'));
+        try {
+          await writeDirectoryFiles(path.join(tempDir, 'left'), left);
+          await writeDirectoryFiles(path.join(tempDir, 'right'), right);
+          await editor({ left: path.join(tempDir, 'left'), right: path.join(tempDir, 'right'), changeId });
+          edited = await readDirectoryFiles(path.join(tempDir, 'right'));
+        } finally {
+          await fs.promises.rm(tempDir, { recursive: true, force: true });
+        }
+      } else {
+        edited = (await editor({ left, right, changeId })) || right;
+      }
+
+      if (typeof edited !== 'object' || Array.isArray(edited) ||
+        !Object.values(edited).every(content => typeof content === 'string' || content instanceof Uint8Array)) {
+        throw new JJError('INVALID_ARGUMENT', 'editor must return a map of file paths to contents', {
+          suggestion: 'Return the right side, with strings or Uint8Arrays as contents',
+        });
+      }
+
+      // Snapshot conflicts state before the rebase (for undo)
+      await conflicts.load();
+      const conflictsSnapshot = {
+        conflicts: Object.fromEntries(conflicts.conflicts),
+        fileConflicts: Object.fromEntries(conflicts.fileConflicts),
+      };
+
+      const rebased = await rewriteFiles(changeId, edited);
+      const recorded = conflicts.listConflicts({ resolved: false })
+        .filter(conflict => !(conflict.conflictId in conflictsSnapshot.conflicts));
+
+      await recordOperation({
+        timestamp: new Date().toISOString(),
+        user: await getUserOplogInfo(),
+        description: `diffedit ${changeId}`,
+        parents: [],
+        view: await captureView(),
+        conflictsSnapshot,
+      });
+
+      return {
+        change: await graph.getChange(changeId),
+        rebased,
+        conflicts: recorded,
+      };
+    },
+
+    /**
+     * Update files with formatting fixes (matches `jj fix`)
+     *
+     * Runs the fixers registered in `jj.fixers`, and in Node.js the tools configured in
+     * the `fix.tools` config table, over the files of the given changes and all their
+     * descendants. By default only files a change modifies are fixed. Each file content
+     * is fixed once and the fixed content replaces it in every change holding it, so
+     * descendants pick up their ancestors' fixes without being merged. A fixer that
+     * throws, or a tool that fails, leaves the file unchanged.
+     *
+     * @param {Object} [args] - Arguments
+     * @param {string|string[]} [args.revisions='@'] - Revsets of the changes to fix
+     * @param {string[]} [args.paths] - Fix only these paths, directories or globs
+     * @param {boolean} [args.includeUnchanged=false] - Also fix files the changes don't modify
+     * @returns {Promise<Object>} The rewritten changes with the paths fixed in each, and the failures
+     * @throws {JJError} UNSUPPORTED_OPERATION when no fixers are registered or configured
+     */
+    async fix(args = {}) {
+      await userConfig.load();
+      const tools = fixToolCommands(userConfig.get('fix.tools') || {});
+      if (fixers.list().length === 0 && tools.length === 0) {
+        throw new JJError(
+          'UNSUPPORTED_OPERATION',
+          'Automatic formatting needs fixers',
+          {
+            feature: 'fix',
+            reason: 'External formatters (prettier, eslint, etc.) must be registered with jj.fixers.register() or configured in fix.tools',
+            alternative: 'Register a fixer: jj.fixers.register({ prettier: { patterns, fix } }), or run formatters separately and use jj.write()',
+            suggestion: 'In Node.js, configure a command: fix.tools.prettier = { command: ["prettier", "--stdin-filepath=$path"], patterns: ["**/*.js"] }',
+          }
+        );
+      }
+      if (tools.length > 0 && typeof process === 'undefined') {
+        throw new JJError('UNSUPPORTED_OPERATION', 'Fix tools configured in fix.tools can only run in Node.js', {
+          feature: 'fix',
+          suggestion: 'Register in-process fixers with jj.fixers.register() instead',
+        });
+      }
+
+      await graph.load();
+      await workingCopy.load();
+      await snapshotWorkingChange();
+
+      const revisions = Array.isArray(args.revisions) ? args.revisions : [args.revisions || '@'];
+      /** @type {Set<string>} */
+      const targets = new Set();
+      for (const revision of revisions) {
+        for (const changeId of await revset.evaluate(`(${revision})::`)) {
+          targets.add(changeId);
+        }
+      }
+
+      // Fix each file content once; the same content at the same path is fixed the same way
+      /** @type {Map<string, Map<string|Uint8Array, string|Uint8Array>>} */
+      const fixedContents = new Map();
+      const failed = [];
+      for (const changeId of targets) {
+        const change = await graph.getChange(changeId);
+        const files = (change && change.fileSnapshot) || {};
+        const parent = change && change.parents.length > 0 ? await graph.getChange(change.parents[0]) : null;
+        const parentFiles = (parent && parent.fileSnapshot) || {};
+
+        for (const [filePath, content] of Object.entries(files)) {
+          if (isBinaryContent(content) ||
+            (!args.includeUnchanged && filePath in parentFiles && contentEquals(parentFiles[filePath], content)) ||
+            (args.paths && !args.paths.some(pattern => matchesPathPattern(filePath, pattern)))) {
+            continue;
+          }
+          const fixedForPath = fixedContents.get(filePath) || new Map();
+          fixedContents.set(filePath, fixedForPath);
+          if (fixedForPath.has(content)) {
+            continue;
+          }
+
+          let fixed = content;
+          let name = '';
+          try {
+            for (const tool of tools.filter(candidate => fixToolMatches(candidate, filePath))) {
+              name = tool.name;
+              fixed = await runFixTool(tool, filePath, fixed, dir);
+            }
+            for (const fixer of fixers.findFixers(filePath)) {
+              name = fixer.name;
+              fixed = await fixer.fix({ path: filePath, content: fixed });
+              if (typeof fixed !== 'string' && !(fixed instanceof Uint8Array)) {
+                throw new Error(`Fixer "${name}" did not return the file content`);
+              }
+            }
+          } catch (error) {
+            failed.push({ path: filePath, tool: name, message: error.message });
+            fixed = content;
+          }
+          fixedForPath.set(content, fixed);
+        }
+      }
+
+      // Give each change the fixed contents, including those it inherits unmodified
+      const workingCopyId = workingCopy.getCurrentChangeId();
+      const rewritten = [];
+      for (const changeId of targets) {
+        const change = await graph.getChange(changeId);
+        if (!change) {
+          continue;
+        }
+        /** @type {Record<string, string|Uint8Array>} */
+        const written = {};
+        for (const [filePath, content] of Object.entries(change.fileSnapshot || {})) {
+          const fixed = fixedContents.get(filePath)?.get(content);
+          if (fixed !== undefined && !contentEquals(fixed, content)) {
+            written[filePath] = fixed;
+          }
+        }
+        if (Object.keys(written).length === 0) {
+          continue;
+        }
+
+        change.fileSnapshot = { ...change.fileSnapshot, ...written };
+        await graph.updateChange(change);
+        if (changeId === workingCopyId) {
+          await checkoutFiles(written);
+        }
+        rewritten.push({ changeId, paths: Object.keys(written).sort() });
+      }
+
+      await recordOperation({
+        timestamp: new Date().toISOString(),
+        user: await getUserOplogInfo(),
+        description: `fix ${rewritten.length} change(s)`,
+        parents: [],
+        view: await captureView(),
+      });
+
+      return { changes: rewritten, failed };
+    },
+
     /**
      * Make multiple changes siblings (parallelize them)
      *
@@ -6594,6 +8484,7 @@ export async function createJJ(options) {
      * });
      */
     async parallelize(args) {
+      args = await resolveRevisionArgs(args, ['changes']);
       if (!args || !args.changes || !Array.isArray(args.changes)) {
         throw new JJError('INVALID_ARGUMENT', 'Missing or invalid changes array', {
           suggestion: 'Provide an array of change IDs: { changes: [changeId1, changeId2, ...] }',
@@ -6677,17 +8568,12 @@ export async function createJJ(options) {
       }
 
       // Record operation
-      await oplog.recordOperation({
+      await recordOperation({
         timestamp: new Date().toISOString(),
         user: await getUserOplogInfo(),
         description: `parallelize ${args.changes.length} change(s)`,
         parents: [],
-        view: {
-          bookmarks: {},
-          remoteBookmarks: {},
-          heads: args.changes,
-          workingCopy: workingCopy.getCurrentChangeId(),
-        },
+        view: await captureView(),
       });
 
       return {
@@ -6702,44 +8588,6 @@ export async function createJJ(options) {
   // These features cannot/should not be implemented in a library API
   // ============================================================================
 
-  /**
-   * diffedit - Touch up changes with diff editor (STUB)
-   *
-   * @status UNSUPPORTED - Requires interactive diff editor
-   * @throws {JJError} Always throws UNSUPPORTED_OPERATION
-   */
-  jj.diffedit = async function (args) {
-    throw new JJError(
-      'UNSUPPORTED_OPERATION',
-      'diffedit requires interactive diff editor',
-      {
-        feature: 'diffedit',
-        reason: 'Interactive tools not supported in library API',
-        alternative: 'Use jj.diff() to view changes, then jj.edit() to modify the change',
-        suggestion: 'For programmatic editing, use jj.write() to update files and jj.describe() to update the description',
-      }
-    );
-  };
-
-  /**
-   * fix - Update files with formatting fixes (STUB)
-   *
-   * @status UNSUPPORTED - Requires external formatters
-   * @throws {JJError} Always throws UNSUPPORTED_OPERATION
-   */
-  jj.fix = async function (args) {
-    throw new JJError(
-      'UNSUPPORTED_OPERATION',
-      'Automatic formatting requires external tools',
-      {
-        feature: 'fix',
-        reason: 'External formatters (prettier, eslint, etc.) must be integrated separately',
-        alternative: 'Run formatters separately, then use jj.write() to update files',
-        suggestion: 'Consider using pre-commit hooks to run formatters automatically',
-      }
-    );
-  };
-
   /**
    * sign - Cryptographically sign a revision (STUB)
    *
@@ -6800,19 +8648,143 @@ export async function createJJ(options) {
     },
 
     /**
-     * gc - Garbage collection (STUB)
-     * @throws {JJError} Always throws UNSUPPORTED_OPERATION
+     * gc - Compact the operation log and delete what nothing refers to any more
+     *
+     * Operations older than both limits are squashed into a checkpoint operation holding
+     * the view of the last of them, so history before it can no longer be undone or
+     * restored. Abandoned changes that no remaining operation shows as visible, and that
+     * no visible change, bookmark or workspace needs, are dropped, and then the blobs no
+     * remaining change or view refers to. Conflict records no path refers to and temp
+     * files left by interrupted writes are deleted too. Without limits every operation
+     * is kept. Blobs younger than minBlobAge are kept, since another process may be
+     * about to record an operation that refers to them. Operations kept whose parents
+     * or view changed get new IDs; the old one stays in their formerId.
+     *
+     * @param {Object} [opts] - Options
+     * @param {Date|string|number} [opts.keepOperationsNewerThan] - Keep operations recorded after this time
+     * @param {number} [opts.keepLast] - Keep at least this many of the latest operations
+     * @param {number} [opts.minBlobAge=3600000] - Milliseconds a blob nothing refers to must be old before
+     *   it is deleted
+     * @param {number} [opts.timeout=10000] - Milliseconds to wait for the repository lock
+     * @returns {Promise<Object>} Counts of what was removed and the bytes reclaimed in .jj
      */
-    async gc() {
-      throw new JJError(
-        'UNSUPPORTED_OPERATION',
-        'Garbage collection is a CLI utility',
-        {
-          feature: 'util.gc',
-          reason: 'Storage management handled automatically by isomorphic-jj',
-          alternative: 'Repository cleanup happens automatically',
+    async gc(opts = {}) {
+      if (transaction) {
+        throw new JJError('TRANSACTION_IN_PROGRESS', 'Cannot collect garbage inside a transaction', {
+          suggestion: 'Run util.gc() after the transaction',
+        });
+      }
+
+      let cutoff = null;
+      if (opts.keepOperationsNewerThan !== undefined) {
+        cutoff = new Date(opts.keepOperationsNewerThan).getTime();
+        if (Number.isNaN(cutoff)) {
+          throw new JJError('INVALID_ARGUMENT', `Invalid time: ${opts.keepOperationsNewerThan}`, {
+            keepOperationsNewerThan: opts.keepOperationsNewerThan,
+            suggestion: 'Pass a Date, an ISO 8601 string or milliseconds since the epoch',
+          });
         }
-      );
+      }
+      if (opts.keepLast !== undefined && !(Number.isInteger(opts.keepLast) && opts.keepLast >= 1)) {
+        throw new JJError('INVALID_ARGUMENT', `Invalid keepLast: ${opts.keepLast}`, {
+          keepLast: opts.keepLast,
+          suggestion: 'Keep at least the latest operation (keepLast: 1)',
+        });
+      }
+      if (opts.minBlobAge !== undefined && !(Number.isFinite(opts.minBlobAge) && opts.minBlobAge >= 0)) {
+        throw new JJError('INVALID_ARGUMENT', `Invalid minBlobAge: ${opts.minBlobAge}`, {
+          minBlobAge: opts.minBlobAge,
+          suggestion: 'Pass milliseconds, or 0 to delete every blob nothing refers to',
+        });
+      }
+
+      return withRepositoryLock(async () => {
+        await loadOperations();
+        await reloadStores();
+        const bytesBefore = await storage.usage();
+
+        // Operations from the first one kept on stay; heads always do
+        const operations = await oplog.list();
+        const headIds = (await oplog.getHeads()).map(op => op.id);
+        const limited = cutoff !== null || opts.keepLast !== undefined;
+        const firstKept = operations.findIndex((op, index) => !limited ||
+          headIds.includes(op.id) ||
+          (cutoff !== null && new Date(op.timestamp).getTime() > cutoff) ||
+          (opts.keepLast !== undefined && index >= operations.length - opts.keepLast));
+        const count = firstKept === -1 ? 0 : firstKept;
+        const keptViews = [];
+        for (const op of operations.slice(Math.max(count - 1, 0))) {
+          keptViews.push(await oplog.getView(op));
+        }
+        const currentView = await captureView();
+        keptViews.push(currentView);
+
+        // Changes still needed: visible in a kept view, named by one, or their ancestors
+        const { visible } = await baseGraph.collectReferences(keptViews);
+        for (const view of keptViews) {
+          const named = [
+            view.workingCopy,
+            ...Object.values(view.bookmarks || {}),
+            ...Object.values(view.remoteBookmarks || {}),
+            ...Object.values(view.workspaces || {}).map(workspace => workspace.changeId),
+          ];
+          named.filter(Boolean).forEach(changeId => visible.add(changeId));
+        }
+        for (const changeId of [...visible]) {
+          baseGraph.getAncestors(changeId).forEach(ancestor => visible.add(ancestor));
+        }
+        const dropped = graph.getAll()
+          .filter(change => change.abandoned && !visible.has(change.changeId))
+          .map(change => change.changeId);
+
+        const { removed, renamed } = await oplog.compact(count, { forgetChanges: dropped });
+        await baseGraph.removeChanges(dropped);
+
+        // Native IDs follow renamed operations; those of older repositories move to a
+        // file per operation
+        const idsPath = 'repo/op_log/jj_operation_ids.json';
+        const legacyIds = /** @type {Record<string, string>|null} */ (await storage.read(idsPath));
+        for (const [id, nativeId] of Object.entries(legacyIds || {})) {
+          if (!removed.includes(id)) {
+            await storage.write(`repo/op_log/jj_operation_ids/${renamed[id] || id}`, { nativeId });
+          }
+        }
+        if (legacyIds) {
+          await storage.remove(idsPath);
+        }
+        for (const id of [...removed, ...Object.keys(renamed)]) {
+          const entry = await storage.read(`repo/op_log/jj_operation_ids/${id}`);
+          if (entry && renamed[id]) {
+            await storage.write(`repo/op_log/jj_operation_ids/${renamed[id]}`, entry);
+          }
+          await storage.remove(`repo/op_log/jj_operation_ids/${id}`);
+        }
+
+        const remaining = await oplog.list();
+        const remainingViews = [];
+        for (const op of remaining) {
+          remainingViews.push(await oplog.getView(op));
+        }
+        const { blobs: reachable, conflicts: conflictIds } = await baseGraph.collectReferences(remainingViews);
+        remaining.filter(op => op.viewId).forEach(op => reachable.add(op.viewId));
+        const blobsRemoved = await blobs.prune(reachable, opts.minBlobAge);
+
+        // Conflict records stay while a change or a path of a kept view names them
+        for (const view of [...remainingViews, currentView]) {
+          Object.values(view.conflicts?.fileConflicts || {}).forEach(id => conflictIds.add(id));
+        }
+        const conflictsRemoved = await conflicts.prune(conflictIds);
+        const tempFiles = await storage.removeTempFiles();
+
+        return {
+          operationsRemoved: removed.length,
+          changesRemoved: dropped.length,
+          blobsRemoved: blobsRemoved.count,
+          conflictsRemoved,
+          tempFilesRemoved: tempFiles.count,
+          bytesReclaimed: Math.max(bytesBefore - (await storage.usage()), 0),
+        };
+      }, { timeout: opts.timeout });
     },
 
     /**
@@ -6878,8 +8850,41 @@ export async function createJJ(options) {
   jj.removeEventListener = eventTarget.removeEventListener.bind(eventTarget);
   jj.dispatchEvent = eventTarget.dispatchEvent.bind(eventTarget);
 
+  // Calls that change the repository take the repository lock; branch.* are bookmark.*
+  const lockedMethods = [
+    'write', 'writeStream', 'move', 'remove', 'describe', 'metaedit', 'new', 'amend', 'commit', 'edit',
+    'undo', 'squash', 'rebase', 'abandon', 'backout', 'absorb', 'simplifyParents', 'unabandon', 'split',
+    'merge', 'resolve', 'next', 'prev', 'duplicate', 'restore', 'diffedit', 'fix', 'parallelize', 'sign',
+    'unsign',
+    'operations.restore', 'operations.revert', 'operations.abandon',
+    'file.write', 'file.move', 'file.remove', 'file.chmod', 'file.track', 'file.untrack',
+    'workspace.add', 'workspace.remove', 'workspace.forget', 'workspace.rename', 'workspace.updateStale',
+    'bookmark.set', 'bookmark.create', 'bookmark.move', 'bookmark.delete', 'bookmark.rename',
+    'bookmark.track', 'bookmark.untrack', 'bookmark.forget',
+    'tag.create', 'tag.delete',
+    'remote.fetch', 'remote.push', 'remote.add',
+    'sparse.set', 'sparse.add', 'sparse.remove', 'sparse.reset', 'sparse.clear',
+    'git.fetch', 'git.push', 'git.import', 'git.export',
+    'git.remote.add', 'git.remote.remove', 'git.remote.rename', 'git.remote.setUrl',
+  ];
+  for (const method of lockedMethods) {
+    const path = method.split('.');
+    const name = /** @type {string} */ (path.pop());
+    const namespace = path.reduce((object, key) => object[key], /** @type {Object<string, any>} */ (jj));
+    const call = namespace[name];
+    namespace[name] = (/** @type {any[]} */ ...args) => withRepositoryLock(() => call.apply(namespace, args));
+  }
+
   // Set jj instance on merge drivers for event emission
   mergeDrivers.jj = jj;
 
+  // Repositories created by the jj CLI only carry jj's own state until first opened here
+  if (gitBackend && gitBackend.readJJRepo) {
+    await gitBackend.useJJGitTarget();
+    if (!(await storage.exists('repo/store/graph.json'))) {
+      await openJJRepo();
+    }
+  }
+
   return jj;
 }
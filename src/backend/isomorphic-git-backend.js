@@ -11,7 +11,19 @@ import { JJCheckout } from '../core/jj-checkout.js';
 import { JJTreeState } from '../core/jj-tree-state.js';
 import { JJOperationStore } from '../core/jj-operation-store.js';
 import { JJViewStore } from '../core/jj-view-store.js';
+import { JJExtraStore } from '../core/jj-extra-store.js';
 import crypto from 'crypto';
+import path from 'path';
+
+/**
+ * Decode a change ID in jj's "reverse hex" (z for 0 through k for 15) to hex
+ *
+ * @param {string} reverseHex - Change ID as written in the `change-id` commit header
+ * @returns {string} Lowercase hex string
+ */
+function decodeReverseHex(reverseHex) {
+  return Array.from(reverseHex.trim(), c => (122 - c.charCodeAt(0)).toString(16)).join('');
+}
 
 /**
  * Backend adapter for isomorphic-git
@@ -23,11 +35,12 @@ export class IsomorphicGitBackend {
    * Create isomorphic-git backend
    * 
    * @param {Object} options - Backend options
-   * @param {Object} options.fs - Filesystem implementation (Node fs or LightningFS)
+   * @param {any} options.fs - Filesystem implementation (Node fs or LightningFS)
    * @param {Object} [options.http] - HTTP client for network operations
    * @param {string} options.dir - Repository directory path
+   * @param {string} [options.gitdir] - Git directory path (default: `${dir}/.git`)
    */
-  constructor({ fs, http, dir }) {
+  constructor({ fs, http, dir, gitdir }) {
     if (!fs) {
       throw new JJError(
         'INVALID_BACKEND_CONFIG',
@@ -46,6 +59,7 @@ export class IsomorphicGitBackend {
     this.fs = fs;
     this.http = http;
     this.dir = dir;
+    this.gitdir = gitdir || `${dir}/.git`;
   }
 
   /**
@@ -60,6 +74,7 @@ export class IsomorphicGitBackend {
       await git.init({
         fs: this.fs,
         dir: this.dir,
+        gitdir: this.gitdir,
         defaultBranch: opts.defaultBranch || 'main',
       });
 
@@ -86,6 +101,7 @@ export class IsomorphicGitBackend {
       const { type, object } = await git.readObject({
         fs: this.fs,
         dir: this.dir,
+        gitdir: this.gitdir,
         oid,
       });
       return { type, data: object };
@@ -117,6 +133,7 @@ export class IsomorphicGitBackend {
       const oid = await git.writeObject({
         fs: this.fs,
         dir: this.dir,
+        gitdir: this.gitdir,
         type,
         object: data,
       });
@@ -130,9 +147,108 @@ export class IsomorphicGitBackend {
     }
   }
 
+  /**
+   * Read a Git commit
+   *
+   * @param {string} oid - Commit SHA-1 hash
+   * @returns {Promise<{oid: string, tree: string, parents: string[], message: string, author: Object, committer: Object, changeId?: string}>}
+   *   Commit; author/committer timestamps are milliseconds since epoch. `changeId` is set
+   *   for commits written by jj with a `change-id` header.
+   */
+  async readCommit(oid) {
+    try {
+      const { commit } = await git.readCommit({
+        fs: this.fs,
+        dir: this.dir,
+        gitdir: this.gitdir,
+        oid,
+      });
+
+      // jj records the change ID of commits it writes in this header
+      const changeIdHeader = /** @type {Object<string, any>} */ (commit)['change-id'];
+      const person = (p) => ({
+        name: p.name,
+        email: p.email,
+        timestamp: p.timestamp * 1000,
+        timezoneOffset: p.timezoneOffset,
+      });
+
+      return {
+        oid,
+        tree: commit.tree,
+        parents: commit.parent,
+        message: commit.message,
+        author: person(commit.author),
+        committer: person(commit.committer),
+        ...(changeIdHeader && { changeId: decodeReverseHex(changeIdHeader) }),
+      };
+    } catch (error) {
+      if (error.code === 'NotFoundError' || error.code === 'ReadObjectFail') {
+        throw new JJError(
+          'NOT_FOUND',
+          `Git commit ${oid} not found`,
+          { oid, suggestion: 'The commit may be missing from a shallow clone' }
+        );
+      }
+      throw new JJError(
+        'STORAGE_READ_FAILED',
+        `Failed to read Git commit: ${error.message}`,
+        { oid, originalError: error }
+      );
+    }
+  }
+
+  /**
+   * Read the entries of a Git tree (one level)
+   *
+   * @param {string} oid - Tree (or commit) SHA-1 hash
+   * @returns {Promise<Array<{mode: string, path: string, oid: string, type: string}>>} Tree entries
+   */
+  async readTree(oid) {
+    try {
+      const { tree } = await git.readTree({
+        fs: this.fs,
+        dir: this.dir,
+        gitdir: this.gitdir,
+        oid,
+      });
+      return tree;
+    } catch (error) {
+      throw new JJError(
+        'TREE_READ_FAILED',
+        `Failed to read Git tree: ${error.message}`,
+        { oid, originalError: error }
+      );
+    }
+  }
+
+  /**
+   * Read a Git blob
+   *
+   * @param {string} oid - Blob SHA-1 hash
+   * @returns {Promise<Object>} Blob object (`{ blob: Uint8Array }`)
+   */
+  async readBlob(oid) {
+    try {
+      const { blob } = await git.readBlob({
+        fs: this.fs,
+        dir: this.dir,
+        gitdir: this.gitdir,
+        oid,
+      });
+      return { blob };
+    } catch (error) {
+      throw new JJError(
+        'STORAGE_READ_FAILED',
+        `Failed to read Git blob: ${error.message}`,
+        { oid, originalError: error }
+      );
+    }
+  }
+
   /**
    * Read Git reference
-   * 
+   *
    * @param {string} name - Full ref name (e.g., 'refs/heads/main')
    * @returns {Promise<string|null>} Commit SHA-1 or null if not found
    */
@@ -141,6 +257,7 @@ export class IsomorphicGitBackend {
       const oid = await git.resolveRef({
         fs: this.fs,
         dir: this.dir,
+        gitdir: this.gitdir,
         ref: name,
       });
       return oid;
@@ -167,7 +284,7 @@ export class IsomorphicGitBackend {
     try {
       if (oid === null) {
         // Delete ref
-        const refPath = `${this.dir}/.git/${name}`;
+        const refPath = `${this.gitdir}/${name}`;
         try {
           await this.fs.promises.unlink(refPath);
         } catch (error) {
@@ -181,6 +298,7 @@ export class IsomorphicGitBackend {
         await git.writeRef({
           fs: this.fs,
           dir: this.dir,
+          gitdir: this.gitdir,
           ref: name,
           value: oid,
           force: true,
@@ -213,7 +331,7 @@ export class IsomorphicGitBackend {
         }
         
         try {
-          const dirPath = `${this.dir}/.git/${refDir}`;
+          const dirPath = `${this.gitdir}/${refDir}`;
           const entries = await this.fs.promises.readdir(dirPath, { recursive: true });
           
           for (const entry of entries) {
@@ -246,6 +364,86 @@ export class IsomorphicGitBackend {
     }
   }
 
+  /**
+   * Record HEAD, the refs and the index, to put them back with restoreRefs()
+   *
+   * Creating commits moves the branch HEAD points to, and staging rewrites the index;
+   * a rolled-back transaction puts both back this way.
+   *
+   * @returns {Promise<{ head: string|null, refs: Record<string, string>, index: Uint8Array|null }>} State of
+   *   HEAD as written in its file, ref name → commit SHA, and the index file
+   */
+  async captureRefs() {
+    /**
+     * @param {string} filePath
+     * @param {string} [encoding]
+     */
+    const readOptional = async (filePath, encoding) => {
+      try {
+        return await this.fs.promises.readFile(filePath, encoding);
+      } catch (/** @type {any} */ error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    };
+
+    /** @type {Record<string, string>} */
+    const refs = {};
+    for (const { name, oid } of await this.listRefs()) {
+      refs[name] = oid;
+    }
+    return {
+      head: await readOptional(`${this.gitdir}/HEAD`, 'utf8'),
+      refs,
+      index: await readOptional(`${this.gitdir}/index`),
+    };
+  }
+
+  /**
+   * Put back HEAD, the refs and the index recorded by captureRefs()
+   *
+   * Refs created since are deleted. Objects written since stay in the object store.
+   *
+   * @param {{ head: string|null, refs: Record<string, string>, index: Uint8Array|null }} state - State
+   *   recorded by captureRefs()
+   * @returns {Promise<void>}
+   */
+  async restoreRefs(state) {
+    for (const { name, oid } of await this.listRefs()) {
+      if (state.refs[name] !== oid) {
+        await this.updateRef(name, state.refs[name] || null);
+      }
+    }
+    for (const [name, oid] of Object.entries(state.refs)) {
+      if (!(await this.readRef(name))) {
+        await this.updateRef(name, oid);
+      }
+    }
+
+    try {
+      if (state.head !== null) {
+        await this.fs.promises.writeFile(`${this.gitdir}/HEAD`, state.head, 'utf8');
+      }
+      if (state.index !== null) {
+        await this.fs.promises.writeFile(`${this.gitdir}/index`, state.index);
+      } else {
+        await this.fs.promises.unlink(`${this.gitdir}/index`).catch((/** @type {any} */ error) => {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        });
+      }
+    } catch (/** @type {any} */ error) {
+      throw new JJError(
+        'STORAGE_WRITE_FAILED',
+        `Failed to restore Git HEAD and index: ${error.message}`,
+        { originalError: error }
+      );
+    }
+  }
+
   /**
    * Create a Git commit from working directory state
    *
@@ -278,6 +476,7 @@ export class IsomorphicGitBackend {
       const commitSha = await git.commit({
         fs: this.fs,
         dir: this.dir,
+        gitdir: this.gitdir,
         message: opts.message,
         author,
         committer,
@@ -306,6 +505,7 @@ export class IsomorphicGitBackend {
       const tree = await git.writeTree({
         fs: this.fs,
         dir: this.dir,
+        gitdir: this.gitdir,
       });
       return tree;
     } catch (error) {
@@ -333,6 +533,7 @@ export class IsomorphicGitBackend {
           await git.add({
             fs: this.fs,
             dir: this.dir,
+            gitdir: this.gitdir,
             filepath,
           });
         } catch (error) {
@@ -438,6 +639,7 @@ export class IsomorphicGitBackend {
           fs: this.fs,
           http: this.http,
           dir: this.dir,
+          gitdir: this.gitdir,
           remote: opts.remote,
           ref,
           depth: opts.depth,           // v0.4: Shallow clone support
@@ -513,6 +715,7 @@ export class IsomorphicGitBackend {
             fs: this.fs,
             http: this.http,
             dir: this.dir,
+            gitdir: this.gitdir,
             remote: opts.remote,
             ref,
             force: opts.force || false,
@@ -562,6 +765,233 @@ export class IsomorphicGitBackend {
     }
   }
 
+  /**
+   * Record an operation in the native jj op store
+   *
+   * Writes the view and operation protobufs, makes the operation an op head in place
+   * of its parents and points the working copy at it, so the jj CLI sees the same
+   * history. The change IDs of the commits the operation created go to the extra
+   * metadata tables, so jj shows the same change IDs. Repositories without a native
+   * op store are left alone.
+   *
+   * @param {Object} opts - Operation to record
+   * @param {string[]} [opts.parents] - Native parent operation IDs (defaults to the current op heads)
+   * @param {string[]} opts.heads - Visible head commit IDs
+   * @param {Record<string, string>} opts.workingCopies - Working-copy commit ID by workspace name
+   * @param {Record<string, string>} [opts.bookmarks] - Local bookmark → commit ID
+   * @param {Record<string, Record<string, { commitId: string, tracked: boolean }>>} [opts.remoteBookmarks] - Remote → bookmark → target
+   * @param {Record<string, string>} [opts.tags] - Tag → commit ID
+   * @param {Array<{commitId: string, changeId: string}>} [opts.commits] - Commits created by the operation
+   * @param {Object} opts.metadata - Operation metadata
+   * @param {string} opts.metadata.description - Operation description
+   * @param {string} opts.metadata.timestamp - ISO timestamp
+   * @param {string} [opts.metadata.hostname] - Host the operation ran on
+   * @param {string} [opts.metadata.username] - User who ran it
+   * @returns {Promise<string|null>} Native operation ID, or null without a native op store
+   */
+  async writeJJOperation(opts) {
+    const opHeadsDir = `${this.dir}/.jj/repo/op_heads/heads`;
+    try {
+      await this.fs.promises.stat(`${this.dir}/.jj/repo/op_store/type`);
+    } catch (error) {
+      return null;
+    }
+
+    const parents = opts.parents && opts.parents.length > 0
+      ? opts.parents
+      : await this.readJJOperationHeads();
+
+    await new JJExtraStore(this.fs, this.dir).writeCommits(opts.commits || []);
+
+    const viewId = await new JJViewStore(this.fs, this.dir).writeView(null, opts.heads, opts.workingCopies, {
+      bookmarks: opts.bookmarks,
+      remoteBookmarks: opts.remoteBookmarks,
+      tags: opts.tags,
+    });
+
+    const time = {
+      millis_since_epoch: new Date(opts.metadata.timestamp).getTime(),
+      tz_offset: -new Date(opts.metadata.timestamp).getTimezoneOffset(),
+    };
+    const operationId = await new JJOperationStore(this.fs, this.dir).writeOperation(null, viewId, parents, {
+      start_time: time,
+      end_time: time,
+      description: opts.metadata.description,
+      hostname: opts.metadata.hostname || 'localhost',
+      username: opts.metadata.username || 'user',
+      is_snapshot: false,
+      tags: {},
+    });
+
+    // Add the new head before dropping its parents so jj always finds one
+    await this.fs.promises.writeFile(`${opHeadsDir}/${operationId}`, '');
+    for (const parentId of parents) {
+      try {
+        await this.fs.promises.unlink(`${opHeadsDir}/${parentId}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    await new JJCheckout(this.fs, this.dir).writeCheckout(operationId, 'default');
+    return operationId;
+  }
+
+  /**
+   * Read the native jj op heads
+   *
+   * @returns {Promise<string[]>} Operation IDs in .jj/repo/op_heads/heads
+   */
+  async readJJOperationHeads() {
+    try {
+      const names = await this.fs.promises.readdir(`${this.dir}/.jj/repo/op_heads/heads`);
+      return names.filter(name => /^[0-9a-f]+$/.test(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the repository state of the jj CLI
+   *
+   * Decodes the view of the latest op head, with every target as a commit ID. jj merges
+   * concurrent op heads the next time it runs; until then the latest one is read.
+   * Conflicted bookmarks and tags resolve to the last of their targets. Change IDs of the
+   * commits come from the extra metadata jj keeps next to the Git objects.
+   *
+   * @returns {Promise<Object|null>} Repository state, or null without native op heads:
+   *   `{ operationId, description, timestamp, heads, workingCopies, bookmarks, remoteBookmarks, tags, changeIds }`
+   */
+  async readJJRepo() {
+    const headIds = await this.readJJOperationHeads();
+    if (headIds.length === 0) {
+      return null;
+    }
+
+    /** @param {Uint8Array} bytes */
+    const hex = (bytes) => Buffer.from(bytes).toString('hex');
+    /** @param {Object<string, any>} op */
+    const endTime = (op) => Number(String(op.metadata.end_time.millis_since_epoch));
+
+    const opStore = new JJOperationStore(this.fs, this.dir);
+    let operationId = headIds[0];
+    /** @type {Object<string, any>} */
+    let operation = await opStore.readOperation(operationId);
+    for (const id of headIds.slice(1)) {
+      const candidate = await opStore.readOperation(id);
+      if (endTime(candidate) > endTime(operation)) {
+        operationId = id;
+        operation = candidate;
+      }
+    }
+    /** @type {Object<string, any>} */
+    const view = await new JJViewStore(this.fs, this.dir).readView(hex(operation.view_id));
+
+    /** @param {Array<Uint8Array|null>} values */
+    const lastAdded = (values) => {
+      const present = /** @type {Uint8Array[]} */ (values.filter(value => value && value.length > 0));
+      return present.length > 0 ? hex(present[present.length - 1]) : null;
+    };
+    /** @param {Object<string, any>|null} target */
+    const targetOf = (target) => {
+      if (!target) {
+        return null;
+      }
+      if (target.conflict) {
+        return lastAdded(target.conflict.adds.map(/** @param {Object<string, any>} term */ term => term.value));
+      }
+      if (target.conflictLegacy) {
+        return lastAdded(target.conflictLegacy.adds);
+      }
+      return target.commitId ? lastAdded([target.commitId]) : null;
+    };
+
+    /** @type {Record<string, string>} */
+    const bookmarks = {};
+    /** @type {Record<string, Record<string, { commitId: string, tracked: boolean }>>} */
+    const remoteBookmarks = {};
+    /**
+     * @param {string} remote
+     * @param {string} name
+     * @param {string|null} commitId
+     * @param {number} state - RemoteRefState; 1 is tracked
+     */
+    const setRemote = (remote, name, commitId, state) => {
+      // The "git" remote mirrors the refs of a colocated Git repository
+      if (commitId && remote !== 'git') {
+        remoteBookmarks[remote] = remoteBookmarks[remote] || {};
+        remoteBookmarks[remote][name] = { commitId, tracked: state === 1 };
+      }
+    };
+
+    for (const bookmark of view.bookmarks || []) {
+      const commitId = targetOf(bookmark.localTarget);
+      if (commitId) {
+        bookmarks[bookmark.name] = commitId;
+      }
+      for (const remote of bookmark.remoteBookmarks || []) {
+        setRemote(remote.remoteName, bookmark.name, targetOf(remote.target), remote.state);
+      }
+    }
+    for (const remoteView of view.remote_views || []) {
+      for (const ref of remoteView.bookmarks || []) {
+        const terms = /** @type {Array<Object<string, any>>} */ (ref.targetTerms || []);
+        setRemote(remoteView.name, ref.name, lastAdded(terms.map(term => term.value)), ref.state);
+      }
+    }
+
+    /** @type {Record<string, string>} */
+    const tags = {};
+    for (const tag of view.local_tags || []) {
+      const commitId = targetOf(tag.target);
+      if (commitId) {
+        tags[tag.name] = commitId;
+      }
+    }
+
+    const changeIds = new Map();
+    for (const [commitId, extra] of await new JJExtraStore(this.fs, this.dir).readCommits()) {
+      changeIds.set(commitId, extra.changeId);
+    }
+
+    return {
+      operationId,
+      description: operation.metadata.description,
+      timestamp: new Date(endTime(operation)).toISOString(),
+      heads: view.head_ids.map(hex),
+      workingCopies: Object.fromEntries(
+        Object.entries(view.wc_commit_ids).map(([workspace, commitId]) => [workspace, hex(/** @type {Uint8Array} */ (commitId))])
+      ),
+      bookmarks,
+      remoteBookmarks,
+      tags,
+      changeIds,
+    };
+  }
+
+  /**
+   * Use the Git directory named in .jj/repo/store/git_target
+   *
+   * Repositories made by `jj git init` without colocation keep Git in .jj/repo/store/git.
+   *
+   * @returns {Promise<void>}
+   */
+  async useJJGitTarget() {
+    let target;
+    try {
+      target = (await this.fs.promises.readFile(`${this.dir}/.jj/repo/store/git_target`, 'utf8')).trim();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    this.gitdir = path.isAbsolute(target) ? target : path.join(`${this.dir}/.jj/repo/store`, target);
+  }
+
   /**
    * Create minimal .jj/repo structure for jj CLI compatibility
    * @private
@@ -615,6 +1045,7 @@ export class IsomorphicGitBackend {
       const headOid = await git.resolveRef({
         fs: this.fs,
         dir: this.dir,
+        gitdir: this.gitdir,
         ref: 'HEAD',
       });
       if (headOid) {
@@ -0,0 +1,204 @@
+/**
+ * BlobStore - Content-addressed storage for file contents
+ *
+ * Change snapshots refer to file contents by hash instead of embedding them, so
+ * identical contents are stored once however many changes contain them. Hashes are
+ * Git blob IDs, which lets the store live either under .jj/repo/store/blobs or in
+ * the Git object database.
+ */
+
+import { JJError } from '../utils/errors.js';
+import { decodeContent, toBytes } from '../utils/binary.js';
+import { bytesReadableStream, fileReadableStream, DEFAULT_CHUNK_SIZE } from '../utils/streams.js';
+
+export class BlobStore {
+  /**
+   * @param {import('./storage-manager.js').Storage} storage - Storage manager instance
+   */
+  constructor(storage) {
+    this.storage = storage;
+    /** @type {{ putObject: Function, getObject: Function, readBlob?: Function } | null} */
+    this.gitBackend = null;
+    this.known = new Set(); // Hashes known to be stored
+  }
+
+  /**
+   * Store blobs in the Git object database instead of .jj
+   *
+   * @param {{ putObject: Function, getObject: Function }} gitBackend - Backend with putObject()/getObject()
+   */
+  useGitBackend(gitBackend) {
+    this.gitBackend = gitBackend;
+    this.known.clear();
+  }
+
+  /**
+   * Store file content
+   *
+   * @param {string|Uint8Array} content - File content (strings are stored as UTF-8)
+   * @returns {Promise<string>} Content hash (Git blob SHA-1)
+   */
+  async write(content) {
+    const bytes = toBytes(content);
+
+    if (this.gitBackend) {
+      const hash = await this.gitBackend.putObject('blob', bytes);
+      this.known.add(hash);
+      return hash;
+    }
+
+    const hash = await hashBlob(bytes);
+    if (this.known.has(hash) || (await this.storage.exists(this._path(hash)))) {
+      this.known.add(hash);
+      return hash;
+    }
+
+    const fullPath = `${this.storage.jjDir}/${this._path(hash)}`;
+    const tmpPath = `${fullPath}.tmp.${Date.now()}`;
+    try {
+      await this.storage.fs.promises.mkdir(fullPath.substring(0, fullPath.lastIndexOf('/')), {
+        recursive: true,
+      });
+      await this.storage.fs.promises.writeFile(tmpPath, bytes);
+      await this.storage.fs.promises.rename(tmpPath, fullPath);
+    } catch (/** @type {any} */ error) {
+      throw new JJError('STORAGE_WRITE_FAILED', `Failed to write blob ${hash}: ${error.message}`, {
+        hash,
+        originalError: error,
+      });
+    }
+
+    this.known.add(hash);
+    return hash;
+  }
+
+  /**
+   * Read file content
+   *
+   * @param {string} hash - Content hash
+   * @returns {Promise<string|Uint8Array>} UTF-8 text, or bytes for binary content
+   */
+  async read(hash) {
+    let bytes;
+    if (this.gitBackend) {
+      const { data } = await this.gitBackend.getObject(hash);
+      bytes = data;
+    } else {
+      try {
+        bytes = await this.storage.fs.promises.readFile(`${this.storage.jjDir}/${this._path(hash)}`);
+      } catch (/** @type {any} */ error) {
+        if (error.code === 'ENOENT') {
+          throw new JJError('BLOB_NOT_FOUND', `Blob ${hash} not found`, {
+            hash,
+            suggestion: 'The blob store may be incomplete; re-snapshot the affected files',
+          });
+        }
+        throw new JJError('STORAGE_READ_FAILED', `Failed to read blob ${hash}: ${error.message}`, {
+          hash,
+          originalError: error,
+        });
+      }
+    }
+
+    return decodeContent(new Uint8Array(bytes));
+  }
+
+  /**
+   * Stream a blob's bytes
+   *
+   * Blobs in .jj are read a chunk at a time where the filesystem allows it. Blobs in the
+   * Git object database, and blobs missing from .jj when a backend is passed, are read
+   * through the backend's readBlob(), so a LazyGitBackend fetches them on demand.
+   *
+   * @param {string} hash - Content hash
+   * @param {Object} [options] - Options
+   * @param {{ readBlob: Function }|null} [options.gitBackend] - Backend to read blobs missing from .jj
+   * @param {number} [options.chunkSize] - Bytes per chunk
+   * @returns {Promise<ReadableStream<Uint8Array>>}
+   */
+  async stream(hash, { gitBackend = null, chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+    const backend = this.gitBackend || gitBackend;
+    const readFromGit = async () => {
+      const git = /** @type {Object<string, any>} */ (backend);
+      return git.readBlob ? (await git.readBlob(hash)).blob : (await git.getObject(hash)).data;
+    };
+
+    if (this.gitBackend) {
+      return bytesReadableStream(readFromGit, chunkSize);
+    }
+    if (this.known.has(hash) || (await this.storage.exists(this._path(hash)))) {
+      return fileReadableStream(this.storage.fs, `${this.storage.jjDir}/${this._path(hash)}`, chunkSize);
+    }
+    if (backend) {
+      return bytesReadableStream(readFromGit, chunkSize);
+    }
+    throw new JJError('BLOB_NOT_FOUND', `Blob ${hash} not found`, {
+      hash,
+      suggestion: 'The blob store may be incomplete; re-snapshot the affected files',
+    });
+  }
+
+  /**
+   * Delete the blobs nothing refers to any more
+   *
+   * Blobs in the Git object database are left to `git gc`. Blobs written less than
+   * minAge ago are kept: another process may have written them for an operation it
+   * has yet to record.
+   *
+   * @param {Set<string>} reachable - Hashes of the blobs to keep
+   * @param {number} [minAge=3600000] - Milliseconds a blob must be old before it is deleted
+   * @returns {Promise<{ count: number, bytes: number }>} Blobs deleted and their size
+   */
+  async prune(reachable, minAge = 60 * 60 * 1000) {
+    let count = 0;
+    let bytes = 0;
+    if (this.gitBackend) {
+      return { count, bytes };
+    }
+
+    for (const prefix of await this.storage.list('repo/store/blobs')) {
+      for (const name of await this.storage.list(`repo/store/blobs/${prefix}`)) {
+        const hash = `${prefix}${name}`;
+        if (!/^[0-9a-f]{40}$/.test(hash) || reachable.has(hash)) {
+          continue;
+        }
+        const stats = await this.storage.fs.promises.stat(`${this.storage.jjDir}/${this._path(hash)}`);
+        if (Date.now() - (stats.mtimeMs ?? Number(stats.mtime)) < minAge) {
+          continue;
+        }
+        await this.storage.remove(this._path(hash));
+        this.known.delete(hash);
+        count++;
+        bytes += stats.size;
+      }
+    }
+    return { count, bytes };
+  }
+
+  /**
+   * Blob path relative to .jj, fanned out by the first two hex digits like Git
+   *
+   * @private
+   * @param {string} hash - Content hash
+   * @returns {string}
+   */
+  _path(hash) {
+    return `repo/store/blobs/${hash.slice(0, 2)}/${hash.slice(2)}`;
+  }
+}
+
+/**
+ * Compute the Git blob ID of some bytes
+ *
+ * @param {Uint8Array} bytes - Blob content
+ * @returns {Promise<string>} 40-character lowercase hex SHA-1
+ */
+export async function hashBlob(bytes) {
+  const header = new TextEncoder().encode(`blob ${bytes.length}\0`);
+  const data = new Uint8Array(header.length + bytes.length);
+  data.set(header);
+  data.set(bytes, header.length);
+
+  const digest = await crypto.subtle.digest('SHA-1', data);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
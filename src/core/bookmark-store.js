@@ -15,6 +15,8 @@ export class BookmarkStore {
     this.storage = storage;
     this.local = new Map();
     this.remote = new Map(); // remote → (bookmark → changeId)
+    /** @type {Record<string, { remote: string, remoteName: string }>} */
+    this.tracking = {}; // bookmark → tracked remote bookmark
   }
 
   /**
@@ -23,6 +25,7 @@ export class BookmarkStore {
   async init() {
     this.local.clear();
     this.remote.clear();
+    this.tracking = {};
 
     await this.storage.write('repo/store/bookmarks.json', {
       version: 1,
@@ -71,6 +74,8 @@ export class BookmarkStore {
       }
       this.remote.set(remoteName, remoteBookmarks);
     }
+
+    this.tracking = { ...(data.tracked || {}) };
   }
 
   /**
@@ -94,7 +99,7 @@ export class BookmarkStore {
       version: 1,
       local,
       remote,
-      tracked: {},
+      tracked: this.tracking,
     });
   }
 
@@ -187,6 +192,28 @@ export class BookmarkStore {
     await this.save();
   }
 
+  /**
+   * Delete a remote bookmark
+   *
+   * @param {string} remoteName - Remote name
+   * @param {string} name - Bookmark name
+   */
+  async deleteRemote(remoteName, name) {
+    const remoteBookmarks = this.remote.get(remoteName);
+    if (!remoteBookmarks || !remoteBookmarks.has(name)) {
+      throw new JJError('BOOKMARK_NOT_FOUND', `Bookmark ${name}@${remoteName} not found`, {
+        name,
+        remote: remoteName,
+      });
+    }
+
+    remoteBookmarks.delete(name);
+    if (remoteBookmarks.size === 0) {
+      this.remote.delete(remoteName);
+    }
+    await this.save();
+  }
+
   /**
    * Get remote bookmark target
    * 
@@ -199,6 +226,52 @@ export class BookmarkStore {
     return remoteBookmarks ? remoteBookmarks.get(name) || null : null;
   }
 
+  /**
+   * Record local and remote bookmarks for an operation view
+   *
+   * @returns {{ bookmarks: Record<string, string>, remoteBookmarks: Record<string, string>, trackedBookmarks: Record<string, Object> }}
+   *   Local bookmarks by name, remote bookmarks by `name@remote` and tracking information
+   */
+  captureState() {
+    /** @type {Record<string, string>} */
+    const remoteBookmarks = {};
+    for (const [remoteName, bookmarks] of this.remote.entries()) {
+      for (const [name, target] of bookmarks.entries()) {
+        remoteBookmarks[`${name}@${remoteName}`] = target;
+      }
+    }
+
+    return {
+      bookmarks: Object.fromEntries(this.local),
+      remoteBookmarks,
+      trackedBookmarks: { ...this.tracking },
+    };
+  }
+
+  /**
+   * Replace all bookmarks with the ones recorded by captureState()
+   *
+   * @param {{ bookmarks: Record<string, string>, remoteBookmarks?: Record<string, string>, trackedBookmarks?: Record<string, any> }} state - Recorded bookmarks
+   */
+  async restoreState(state) {
+    this.local = new Map(Object.entries(state.bookmarks));
+    this.remote.clear();
+    if (state.trackedBookmarks) {
+      this.tracking = { ...state.trackedBookmarks };
+    }
+
+    for (const [key, target] of Object.entries(state.remoteBookmarks || {})) {
+      const at = key.lastIndexOf('@');
+      const remoteName = key.slice(at + 1);
+      if (!this.remote.has(remoteName)) {
+        this.remote.set(remoteName, new Map());
+      }
+      this.remote.get(remoteName).set(key.slice(0, at), target);
+    }
+
+    await this.save();
+  }
+
   /**
    * List all bookmarks (local and remote)
    *
@@ -2,19 +2,53 @@
  * ChangeGraph - Manages the change graph with stable change IDs
  * 
  * Tracks changes, their relationships (parents/children), and evolution (amends/rewrites).
+ *
+ * Storage (version 2): repo/store/graph.json only holds the format version. Changes are
+ * sharded by the first two hex digits of their ID into repo/store/graph/<xx>.json, and a
+ * save rewrites only the shards of changes that moved. load() re-reads only shards whose
+ * file changed since it last read them. refresh() reads no new shards: the others are
+ * read when a change in them is first asked for, or by load(). Methods answering for
+ * the whole graph (getAll(), getHeads(), getChildren() and the like) throw
+ * GRAPH_NOT_LOADED while shards are left unread.
+ *
+ * File contents live in a BlobStore, and so does each change's `manifest` (path → content
+ * hash), which is read when the change is requested with getChange() and returned as
+ * `fileSnapshot`. Changes listed with getAll() carry only the manifest's hash; use
+ * getFilePaths() for their paths.
+ *
+ * A CommitIndex kept alongside the shards answers children, generation, author and
+ * path lookups without scanning every change.
  */
 
 import { JJError } from '../utils/errors.js';
 import { validateChangeId } from '../utils/validation.js';
+import { BlobStore } from './blob-store.js';
+import { CommitIndex } from './commit-index.js';
+import { binaryReplacer, binaryReviver } from '../utils/binary.js';
+
+const GRAPH_VERSION = 2;
+const SHARD_DIR = 'repo/store/graph';
 
 export class ChangeGraph {
   /**
    * @param {Storage} storage - Storage manager instance
+   * @param {BlobStore} [blobs] - Blob store for file contents
    */
-  constructor(storage) {
+  constructor(storage, blobs = new BlobStore(storage)) {
     this.storage = storage;
+    this.blobs = blobs;
     this.nodes = new Map(); // changeId → Change
     this.commitIndex = new Map(); // commitId → changeId
+    this.dirty = new Set(); // IDs of changes added, updated or dropped since the last save
+    this.shardForms = new Map(); // shard file name → object last written to or read from storage
+    this.storedForms = new WeakMap(); // change → object last written to or read from storage
+    this.manifests = new WeakMap(); // fileSnapshot → { files, contents, hash } as last stored
+    this.manifestFiles = new Map(); // manifest hash → files
+    this.records = new WeakMap(); // stored form → hash of its record, as captured for a view
+    this.shardStates = new WeakMap(); // shard → hash of its state, as captured for a view
+    this.stateRecords = new Map(); // shard state hash → change ID → record hash
+    this.unloaded = new Set(); // names of the shard files not read yet
+    this.index = new CommitIndex(storage);
   }
 
   /**
@@ -23,17 +57,33 @@ export class ChangeGraph {
   async init() {
     this.nodes.clear();
     this.commitIndex.clear();
+    this.dirty.clear();
+    this.shardForms.clear();
+    this.unloaded.clear();
 
-    await this.storage.write('repo/store/graph.json', {
-      version: 1,
-      changes: {},
-    });
+    for (const name of await this.storage.list(SHARD_DIR)) {
+      await this.storage.remove(`${SHARD_DIR}/${name}`);
+    }
+    await this.index.init();
+    await this.storage.write('repo/store/graph.json', { version: GRAPH_VERSION });
   }
 
   /**
    * Load graph from storage
+   *
+   * Graphs stored in version 1 (every change in graph.json) are migrated on the way.
    */
   async load() {
+    await this.refresh();
+    await this._readShards([...this.unloaded]);
+  }
+
+  /**
+   * Pick up what other processes stored in the shards already read
+   *
+   * Shards not read yet are only listed; changes in them are read when first asked for.
+   */
+  async refresh() {
     const data = await this.storage.read('repo/store/graph.json');
 
     if (!data) {
@@ -42,44 +92,227 @@ export class ChangeGraph {
       });
     }
 
-    if (data.version !== 1) {
+    if (data.version === 1) {
+      await this._migrate(data);
+      return;
+    }
+
+    if (data.version !== GRAPH_VERSION) {
       throw new JJError('STORAGE_VERSION_MISMATCH', `Unsupported graph version: ${data.version}`, {
         version: data.version,
         suggestion: 'Upgrade isomorphic-jj or run migration tool',
       });
     }
 
+    /** @type {string[]} */
+    const names = (await this.storage.list(SHARD_DIR)).filter((/** @type {string} */ name) => /^[0-9a-f]{2}\.json$/.test(name));
+    const dropped = [];
+    for (const name of this.shardForms.keys()) {
+      if (!names.includes(name)) {
+        dropped.push(...this._dropShard(name).keys());
+      }
+    }
+    this.unloaded = new Set(names.filter(name => !this.shardForms.has(name)));
+
+    await this._readShards(names.filter(name => this.shardForms.has(name)), dropped);
+  }
+
+  /**
+   * Read every change, including those in shards not read yet
+   *
+   * @returns {Promise<void>}
+   */
+  async loadAll() {
+    await this._readShards([...this.unloaded]);
+  }
+
+  /**
+   * Read shards whose stored form differs from the one last read
+   *
+   * @private
+   * @param {string[]} names - Shard file names
+   * @param {string[]} [dropped] - IDs of changes already dropped, to remove from the index
+   */
+  async _readShards(names, dropped = []) {
+    /** @type {Map<string, import('./commit-index.js').IndexEntry>} */
+    const indexed = new Map();
+    const persisted = new Set();
+    for (const name of names) {
+      this.unloaded.delete(name);
+      const shard = await this.storage.read(`${SHARD_DIR}/${name}`);
+      if (!shard || this.shardForms.get(name) === shard) {
+        continue;
+      }
+
+      // Keep handing out the same object while its stored form is unchanged
+      const previous = this._dropShard(name);
+      const entries = await this.index.readShard(name.slice(0, 2));
+      for (const [changeId, stored] of Object.entries(shard.changes)) {
+        const existing = previous.get(changeId);
+        const change = existing && this.storedForms.get(existing) === stored ? existing : { ...stored };
+        this.storedForms.set(change, stored);
+
+        // Reuse contents already read for this manifest instead of reading blobs again
+        const loaded = change !== existing && existing && existing.fileSnapshot && this.manifests.get(existing.fileSnapshot);
+        if (loaded && loaded.hash === stored.manifest) {
+          delete change.manifest;
+          change.fileSnapshot = { ...loaded.contents };
+          this.manifests.set(change.fileSnapshot, loaded);
+        }
+
+        this.nodes.set(changeId, change);
+        this.commitIndex.set(change.commitId, changeId);
+
+        // Index entries stored for the same parents, author and manifest are still right
+        if (this.index.matches(entries[changeId], stored)) {
+          indexed.set(changeId, entries[changeId]);
+          persisted.add(changeId);
+        } else {
+          indexed.set(changeId, await this._indexEntry(stored));
+        }
+      }
+      dropped.push(...[...previous.keys()].filter(changeId => !(changeId in shard.changes)));
+      this.shardForms.set(name, shard);
+    }
+
+    if (indexed.size > 0 || dropped.length > 0) {
+      this.index.update(indexed, dropped, persisted);
+    }
+  }
+
+  /**
+   * Read the shard of a change if it wasn't read yet
+   *
+   * @private
+   * @param {string} changeId - Change ID
+   */
+  async _readShardOf(changeId) {
+    const name = `${changeId.slice(0, 2)}.json`;
+    if (this.unloaded.has(name)) {
+      await this._readShards([name]);
+    }
+  }
+
+  /**
+   * Fail when some shards were never read
+   *
+   * @private
+   * @param {string} [changeId] - Only fail when the shard of this change wasn't read
+   */
+  _requireLoaded(changeId) {
+    const unread = changeId === undefined
+      ? this.unloaded.size > 0
+      : typeof changeId === 'string' && this.unloaded.has(`${changeId.slice(0, 2)}.json`);
+    if (unread) {
+      throw new JJError('GRAPH_NOT_LOADED', 'The change graph was only partly read', {
+        suggestion: 'Call load() before asking about the whole graph',
+      });
+    }
+  }
+
+  /**
+   * Save the changes that moved since the last save
+   *
+   * Each shard holding one of them is rewritten; other shards are left alone.
+   */
+  async save() {
+    if (this.dirty.size === 0) {
+      return;
+    }
+
+    const prefixes = new Set([...this.dirty].map(changeId => changeId.slice(0, 2)));
+    /** @type {Map<string, import('./commit-index.js').IndexEntry>} */
+    const indexed = new Map();
+    /** @type {Map<string, Record<string, Object>>} */
+    const shards = new Map([...prefixes].map(prefix => [prefix, {}]));
+    for (const [changeId, change] of this.nodes.entries()) {
+      const changes = shards.get(changeId.slice(0, 2));
+      if (!changes) {
+        continue;
+      }
+      const stored = !this.dirty.has(changeId) && this.storedForms.get(change) || await this._toStored(change);
+      changes[changeId] = stored;
+      this.storedForms.set(change, stored);
+      if (this.dirty.has(changeId)) {
+        indexed.set(changeId, await this._indexEntry(stored));
+      }
+    }
+
+    for (const [prefix, changes] of shards) {
+      const name = `${prefix}.json`;
+      if (Object.keys(changes).length === 0) {
+        await this.storage.remove(`${SHARD_DIR}/${name}`);
+        this.shardForms.delete(name);
+        continue;
+      }
+      const shard = { changes };
+      await this.storage.write(`${SHARD_DIR}/${name}`, shard);
+      this.shardForms.set(name, shard);
+    }
+    if (!(await this.storage.exists('repo/store/graph.json'))) {
+      await this.storage.write('repo/store/graph.json', { version: GRAPH_VERSION });
+    }
+
+    this.index.update(indexed, [...this.dirty].filter(changeId => !this.nodes.has(changeId)));
+    await this.index.save();
+    this.dirty.clear();
+  }
+
+  /**
+   * Rewrite a version 1 graph as shards
+   *
+   * @private
+   * @param {{ changes: Record<string, Object<string, any>> }} data - Version 1 graph.json
+   */
+  async _migrate(data) {
     this.nodes.clear();
     this.commitIndex.clear();
+    this.shardForms.clear();
+    this.unloaded.clear();
 
-    for (const [changeId, change] of Object.entries(data.changes)) {
+    for (const [changeId, stored] of Object.entries(data.changes)) {
+      const change = { ...stored };
       this.nodes.set(changeId, change);
       this.commitIndex.set(change.commitId, changeId);
+      this.dirty.add(changeId);
     }
+
+    await this.save();
+    await this.storage.write('repo/store/graph.json', { version: GRAPH_VERSION });
   }
 
   /**
-   * Save graph to storage
+   * Forget the changes of a shard as last read
+   *
+   * @private
+   * @param {string} name - Shard file name
+   * @returns {Map<string, Object<string, any>>} The forgotten changes by ID
    */
-  async save() {
-    const changes = {};
-    for (const [changeId, change] of this.nodes.entries()) {
-      changes[changeId] = change;
+  _dropShard(name) {
+    const dropped = new Map();
+    const shard = this.shardForms.get(name);
+    for (const changeId of Object.keys((shard && shard.changes) || {})) {
+      const change = this.nodes.get(changeId);
+      if (change) {
+        dropped.set(changeId, change);
+        this.nodes.delete(changeId);
+        if (this.commitIndex.get(change.commitId) === changeId) {
+          this.commitIndex.delete(change.commitId);
+        }
+      }
     }
-
-    await this.storage.write('repo/store/graph.json', {
-      version: 1,
-      changes,
-    });
+    this.shardForms.delete(name);
+    return dropped;
   }
 
   /**
    * Add a change to the graph
    * 
-   * @param {Object} change - Change object
+   * @param {Object<string, any>} change - Change object
    */
   async addChange(change) {
     validateChangeId(change.changeId);
+    await this._readShardOf(change.changeId);
 
     if (this.nodes.has(change.changeId)) {
       throw new JJError('CHANGE_EXISTS', `Change ${change.changeId} already exists`, {
@@ -90,6 +323,37 @@ export class ChangeGraph {
 
     this.nodes.set(change.changeId, change);
     this.commitIndex.set(change.commitId, change.changeId);
+    this.dirty.add(change.changeId);
+
+    await this.save();
+  }
+
+  /**
+   * Add several changes to the graph and save once
+   *
+   * Used for bulk imports, where saving after every change would rewrite the
+   * graph file once per commit.
+   *
+   * @param {Array<Object<string, any>>} changes - Change objects
+   */
+  async addChanges(changes) {
+    for (const change of changes) {
+      validateChangeId(change.changeId);
+      await this._readShardOf(change.changeId);
+
+      if (this.nodes.has(change.changeId)) {
+        throw new JJError('CHANGE_EXISTS', `Change ${change.changeId} already exists`, {
+          changeId: change.changeId,
+          suggestion: 'Use evolveChange() to update an existing change',
+        });
+      }
+    }
+
+    for (const change of changes) {
+      this.nodes.set(change.changeId, change);
+      this.commitIndex.set(change.commitId, change.changeId);
+      this.dirty.add(change.changeId);
+    }
 
     await this.save();
   }
@@ -102,7 +366,155 @@ export class ChangeGraph {
    */
   async getChange(changeId) {
     validateChangeId(changeId);
-    return this.nodes.get(changeId) || null;
+    await this._readShardOf(changeId);
+
+    const change = this.nodes.get(changeId);
+    if (!change) {
+      return null;
+    }
+
+    if (change.manifest || change.files) {
+      await this._readFiles(change);
+    }
+    return change;
+  }
+
+  /**
+   * Get the paths of a change's files without reading their contents
+   *
+   * @param {string} changeId - Change ID
+   * @returns {Promise<string[]>} File paths, or an empty array if the change doesn't exist
+   */
+  async getFilePaths(changeId) {
+    await this._readShardOf(changeId);
+    const change = this.nodes.get(changeId);
+    if (!change) {
+      return [];
+    }
+    if (change.fileSnapshot || change.files) {
+      return Object.keys(change.fileSnapshot || change.files);
+    }
+    return change.manifest ? Object.keys(await this._readManifest(change.manifest)) : [];
+  }
+
+  /**
+   * Get the content hash of one of a change's files without reading any contents
+   *
+   * @param {string} changeId - Change ID
+   * @param {string} filePath - File path
+   * @returns {Promise<string|null>} Blob hash, or null if the change doesn't have the file
+   */
+  async getFileHash(changeId, filePath) {
+    await this._readShardOf(changeId);
+    const change = this.nodes.get(changeId);
+    if (!change) {
+      return null;
+    }
+    if (change.fileSnapshot) {
+      const stored = this.manifests.get(change.fileSnapshot);
+      return (filePath in change.fileSnapshot && stored && stored.files[filePath]) || null;
+    }
+    const files = change.files || (change.manifest ? await this._readManifest(change.manifest) : {});
+    return files[filePath] || null;
+  }
+
+  /**
+   * Convert a change to its stored form, writing file contents to the blob store
+   *
+   * Only contents that changed since the snapshot was last stored are hashed again.
+   *
+   * @private
+   * @param {Object<string, any>} change - Change object
+   * @returns {Promise<Object>} Change with a `manifest` hash in place of `fileSnapshot` or `files`
+   */
+  async _toStored(change) {
+    const { fileSnapshot, files: inlineFiles, ...rest } = change;
+    if (fileSnapshot) {
+      const previous = this.manifests.get(fileSnapshot);
+      /** @type {Record<string, string>} */
+      const files = {};
+      for (const [filePath, content] of Object.entries(fileSnapshot)) {
+        files[filePath] = previous && previous.contents[filePath] === content
+          ? previous.files[filePath]
+          : await this.blobs.write(content);
+      }
+
+      const unchanged = previous && Object.keys(files).length === Object.keys(previous.files).length &&
+        Object.entries(files).every(([filePath, hash]) => previous.files[filePath] === hash);
+      const hash = unchanged && previous.hash ? previous.hash : await this._writeManifest(files);
+      this.manifests.set(fileSnapshot, { files, contents: { ...fileSnapshot }, hash });
+      return { ...rest, manifest: hash };
+    }
+
+    if (inlineFiles) {
+      // Version 1 kept the manifest inline
+      return { ...rest, manifest: await this._writeManifest(inlineFiles) };
+    }
+    return rest;
+  }
+
+  /**
+   * @private
+   * @param {Record<string, string>} files - Path → content hash
+   * @returns {Promise<string>} Manifest hash
+   */
+  async _writeManifest(files) {
+    const sorted = Object.fromEntries(Object.entries(files).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+    const hash = await this.blobs.write(JSON.stringify(sorted));
+    this.manifestFiles.set(hash, sorted);
+    return hash;
+  }
+
+  /**
+   * @private
+   * @param {string} hash - Manifest hash
+   * @returns {Promise<Record<string, string>>} Path → content hash
+   */
+  async _readManifest(hash) {
+    let files = this.manifestFiles.get(hash);
+    if (!files) {
+      files = JSON.parse(String(await this.blobs.read(hash)));
+      this.manifestFiles.set(hash, files);
+    }
+    return /** @type {Record<string, string>} */ (files);
+  }
+
+  /**
+   * Commit index entry of a stored change
+   *
+   * @private
+   * @param {Object<string, any>} stored - Stored form of the change
+   * @returns {Promise<import('./commit-index.js').IndexEntry>}
+   */
+  async _indexEntry(stored) {
+    return {
+      parents: stored.parents || [],
+      author: stored.author || null,
+      manifest: stored.manifest || null,
+      paths: stored.manifest ? Object.keys(await this._readManifest(stored.manifest)) : [],
+    };
+  }
+
+  /**
+   * Replace a change's manifest with the file contents it points to
+   *
+   * @private
+   * @param {Object<string, any>} change - Change object loaded from storage
+   */
+  async _readFiles(change) {
+    const files = change.files || await this._readManifest(change.manifest);
+    /** @type {Record<string, string|Uint8Array>} */
+    const contents = {};
+    for (const [filePath, hash] of Object.entries(files)) {
+      contents[filePath] = await this.blobs.read(hash);
+    }
+
+    const hash = change.manifest;
+    delete change.files;
+    delete change.manifest;
+    change.fileSnapshot = { ...contents };
+    // Inline files have no manifest yet, but their hashes still spare getFileHash() a rehash
+    this.manifests.set(change.fileSnapshot, { files, contents, hash });
   }
 
   /**
@@ -111,6 +523,7 @@ export class ChangeGraph {
    * @returns {Array} Array of all changes
    */
   getAll() {
+    this._requireLoaded();
     return Array.from(this.nodes.values());
   }
 
@@ -121,6 +534,7 @@ export class ChangeGraph {
    * @returns {string|null} Change ID or null if not found
    */
   findByCommitId(commitId) {
+    this._requireLoaded();
     return this.commitIndex.get(commitId) || null;
   }
 
@@ -131,6 +545,7 @@ export class ChangeGraph {
    * @returns {Array<string>} Array of parent change IDs
    */
   getParents(changeId) {
+    this._requireLoaded(changeId);
     const change = this.nodes.get(changeId);
     return change ? change.parents : [];
   }
@@ -142,15 +557,42 @@ export class ChangeGraph {
    * @returns {Array<string>} Array of child change IDs
    */
   getChildren(changeId) {
-    const children = [];
-    
-    for (const change of this.nodes.values()) {
-      if (change.parents.includes(changeId)) {
-        children.push(change.changeId);
-      }
-    }
-    
-    return children;
+    this._requireLoaded();
+    return this.index.getChildren(changeId);
+  }
+
+  /**
+   * Get the generation number of a change
+   *
+   * @param {string} changeId - Change ID
+   * @returns {number} Generation number, higher than those of all its ancestors, or -1 if
+   *   the change doesn't exist
+   */
+  getGeneration(changeId) {
+    this._requireLoaded();
+    return this.index.getGeneration(changeId);
+  }
+
+  /**
+   * Find changes by author
+   *
+   * @param {(author: { name: string, email: string }) => boolean} predicate - Test for each distinct author
+   * @returns {string[]} Change IDs
+   */
+  findByAuthor(predicate) {
+    this._requireLoaded();
+    return this.index.findByAuthor(predicate);
+  }
+
+  /**
+   * Find changes with a file at a matching path
+   *
+   * @param {(path: string) => boolean} predicate - Test for each distinct path
+   * @returns {string[]} Change IDs
+   */
+  findByFile(predicate) {
+    this._requireLoaded();
+    return this.index.findByPath(predicate);
   }
 
   /**
@@ -163,6 +605,7 @@ export class ChangeGraph {
    */
   async evolveChange(changeId, newCommitId) {
     validateChangeId(changeId);
+    await this._readShardOf(changeId);
 
     const change = this.nodes.get(changeId);
     if (!change) {
@@ -182,6 +625,7 @@ export class ChangeGraph {
     this.commitIndex.delete(change.commitId);
     change.commitId = newCommitId;
     this.commitIndex.set(newCommitId, changeId);
+    this.dirty.add(changeId);
 
     await this.save();
   }
@@ -189,10 +633,11 @@ export class ChangeGraph {
   /**
    * Update a change (modify in place)
    * 
-   * @param {Object} change - Updated change object
+   * @param {Object<string, any>} change - Updated change object
    */
   async updateChange(change) {
     validateChangeId(change.changeId);
+    await this._readShardOf(change.changeId);
 
     if (!this.nodes.has(change.changeId)) {
       throw new JJError('CHANGE_NOT_FOUND', `Change ${change.changeId} not found`, {
@@ -201,7 +646,14 @@ export class ChangeGraph {
       });
     }
 
+    // The commit ID may have been changed in place, so look it up as last stored
+    const previous = this.storedForms.get(this.nodes.get(change.changeId));
+    if (previous && this.commitIndex.get(previous.commitId) === change.changeId) {
+      this.commitIndex.delete(previous.commitId);
+    }
     this.nodes.set(change.changeId, change);
+    this.commitIndex.set(change.commitId, change.changeId);
+    this.dirty.add(change.changeId);
     await this.save();
   }
 
@@ -212,6 +664,7 @@ export class ChangeGraph {
    * @returns {Array<string>} Array of ancestor change IDs (breadth-first order)
    */
   getAncestors(changeId) {
+    this._requireLoaded();
     const ancestors = [];
     const visited = new Set();
     const queue = [changeId];
@@ -236,6 +689,370 @@ export class ChangeGraph {
     return ancestors;
   }
 
+  /**
+   * Get visible heads: changes that are not abandoned and have no visible children
+   *
+   * @returns {string[]} Head change IDs
+   */
+  getHeads() {
+    const visible = this.getAll().filter(change => !change.abandoned);
+    const parents = new Set(visible.flatMap(change => change.parents || []));
+    return visible.filter(change => !parents.has(change.changeId)).map(change => change.changeId);
+  }
+
+  /**
+   * Visible heads, derived from those of the latest recorded view while shards are unread
+   *
+   * The stored graph matches the latest recorded view but for the shards written
+   * since, so only the changes in those are compared with the view. Changes that lost
+   * parents or went out of sight can uncover heads anywhere; the whole graph is read
+   * for them.
+   *
+   * @param {{ heads?: string[], changeShards?: Record<string, string> }} [base] - Latest recorded view
+   * @returns {Promise<string[]>} Head change IDs
+   */
+  async getHeadsSince(base = {}) {
+    if (this.unloaded.size === 0 || !base.heads || !base.changeShards) {
+      await this.loadAll();
+      return this.getHeads();
+    }
+
+    const state = await this.captureState(base.changeShards);
+    const added = [];
+    const covered = new Set();
+    for (const prefix of new Set([...Object.keys(state), ...Object.keys(base.changeShards)])) {
+      if (state[prefix] === base.changeShards[prefix]) {
+        continue;
+      }
+      const before = base.changeShards[prefix] ? await this._readStateRecords(base.changeShards[prefix]) : {};
+      const after = state[prefix] ? await this._readStateRecords(state[prefix]) : {};
+      for (const changeId of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (before[changeId] === after[changeId]) {
+          continue;
+        }
+        const was = before[changeId] ? await this._readRecord(before[changeId]) : null;
+        const now = this.nodes.get(changeId);
+        const parentsBefore = (was && was.parents) || [];
+        const parentsNow = (now && now.parents) || [];
+        const wasVisible = Boolean(was && !was.abandoned);
+        const nowVisible = Boolean(now && !now.abandoned);
+        if ((wasVisible && (!nowVisible || parentsBefore.some(/** @param {string} id */ id => !parentsNow.includes(id)))) ||
+          (was && !wasVisible && nowVisible)) {
+          await this.loadAll();
+          return this.getHeads();
+        }
+        if (nowVisible) {
+          if (!was) {
+            added.push(changeId);
+          }
+          parentsNow.forEach(/** @param {string} id */ id => covered.add(id));
+        }
+      }
+    }
+    return [...new Set([...base.heads, ...added])].filter(changeId => !covered.has(changeId));
+  }
+
+  /**
+   * Record the state of every change for an operation view
+   *
+   * Each change is written to the blob store as a JSON record, and each shard as a
+   * JSON object of change ID → record hash, so a view names at most 256 shard states.
+   * Only shards stored since they were last captured are written. Shards not read yet
+   * take their state from `base`, the states of the latest recorded view, which the
+   * stored graph matches; they are read when `base` lacks them.
+   *
+   * @param {Record<string, string>} [base] - Shard states of the latest recorded view
+   * @returns {Promise<Record<string, string>>} Shard prefix → hash of the shard's state
+   */
+  async captureState(base = {}) {
+    await this.save();
+    await this._readShards([...this.unloaded].filter(name => !(name.slice(0, 2) in base)));
+
+    /** @type {Record<string, string>} */
+    const state = {};
+    for (const [name, shard] of this.shardForms) {
+      let hash = this.shardStates.get(shard);
+      if (!hash) {
+        /** @type {Record<string, string>} */
+        const records = {};
+        for (const changeId of Object.keys(shard.changes).sort()) {
+          records[changeId] = await this._recordHash(shard.changes[changeId]);
+        }
+        hash = await this.blobs.write(JSON.stringify(records));
+        this.shardStates.set(shard, hash);
+        this.stateRecords.set(hash, records);
+      }
+      state[name.slice(0, 2)] = hash;
+    }
+    for (const name of this.unloaded) {
+      state[name.slice(0, 2)] = base[name.slice(0, 2)];
+    }
+    return Object.fromEntries(Object.entries(state).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  }
+
+  /**
+   * Hash of a change's record, as captureState() would record it
+   *
+   * @param {string} changeId - Change ID
+   * @returns {Promise<string|undefined>} Record hash, or undefined if the change doesn't exist
+   */
+  async getRecordHash(changeId) {
+    await this.save();
+    await this._readShardOf(changeId);
+    const change = this.nodes.get(changeId);
+    const stored = change && this.storedForms.get(change);
+    return stored ? await this._recordHash(stored) : undefined;
+  }
+
+  /**
+   * Read the record hashes of the changes in shard states recorded by captureState()
+   *
+   * @param {Record<string, string>} state - Shard prefix → shard state hash
+   * @returns {Promise<Record<string, string>>} Change ID → record hash
+   */
+  async readState(state) {
+    /** @type {Record<string, string>} */
+    const records = {};
+    for (const hash of Object.values(state)) {
+      Object.assign(records, await this._readStateRecords(hash));
+    }
+    return records;
+  }
+
+  /**
+   * Read the record hash of one change in shard states recorded by captureState()
+   *
+   * @param {Record<string, string>} state - Shard prefix → shard state hash
+   * @param {string} changeId - Change ID
+   * @returns {Promise<string|undefined>} Record hash, or undefined if the states lack the change
+   */
+  async readStateEntry(state, changeId) {
+    const hash = state[changeId.slice(0, 2)];
+    return hash ? (await this._readStateRecords(hash))[changeId] : undefined;
+  }
+
+  /**
+   * Hash of the record of a stored change, writing the record when needed
+   *
+   * @private
+   * @param {Object<string, any>} stored - Stored form of the change
+   * @returns {Promise<string>}
+   */
+  async _recordHash(stored) {
+    let hash = this.records.get(stored);
+    if (!hash) {
+      hash = await this.blobs.write(JSON.stringify(stored, binaryReplacer));
+      this.records.set(stored, hash);
+    }
+    return hash;
+  }
+
+  /**
+   * @private
+   * @param {string} hash - Record hash
+   * @returns {Promise<Object<string, any>>} Stored form of the change
+   */
+  async _readRecord(hash) {
+    return JSON.parse(String(await this.blobs.read(hash)), binaryReviver);
+  }
+
+  /**
+   * @private
+   * @param {string} hash - Shard state hash
+   * @returns {Promise<Record<string, string>>} Change ID → record hash
+   */
+  async _readStateRecords(hash) {
+    let records = this.stateRecords.get(hash);
+    if (!records) {
+      records = /** @type {Record<string, string>} */ (JSON.parse(String(await this.blobs.read(hash))));
+      this.stateRecords.set(hash, records);
+    }
+    return records;
+  }
+
+  /**
+   * Replace every change with the shard states recorded by captureState()
+   *
+   * Only shards whose state differs are read and written.
+   *
+   * @param {Record<string, string>} state - Shard prefix → shard state hash
+   * @param {Record<string, string>} [base] - Shard states of the latest recorded view
+   */
+  async restoreShards(state, base = {}) {
+    await this.refresh();
+    const current = await this.captureState(base);
+    const prefixes = [...new Set([...Object.keys(current), ...Object.keys(state)])]
+      .filter(prefix => current[prefix] !== state[prefix]);
+    await this._readShards(prefixes.map(prefix => `${prefix}.json`).filter(name => this.unloaded.has(name)));
+
+    /** @type {Record<string, string>} */
+    const records = {};
+    for (const prefix of prefixes) {
+      Object.assign(records, state[prefix] ? await this._readStateRecords(state[prefix]) : {});
+    }
+    const changeIds = [...this.nodes.keys()].filter(changeId => prefixes.includes(changeId.slice(0, 2)));
+    await this._restoreChanges(records, changeIds);
+  }
+
+  /**
+   * Replace every change with the state recorded by captureState()
+   *
+   * Takes the change ID → record hash map views held before shard states, or the
+   * merge of several views' states. Changes missing from the state are dropped from
+   * the graph. Only the shards of changes that differ from the state are written.
+   *
+   * @param {Record<string, string>} state - Change ID → record hash
+   */
+  async restoreState(state) {
+    await this.load();
+    await this._restoreChanges(state, [...this.nodes.keys()]);
+  }
+
+  /**
+   * Put back the recorded changes, dropping the given ones the records lack
+   *
+   * @private
+   * @param {Record<string, string>} state - Change ID → record hash
+   * @param {string[]} changeIds - IDs of the changes to drop when missing from the state
+   */
+  async _restoreChanges(state, changeIds) {
+    for (const changeId of changeIds) {
+      const change = this.nodes.get(changeId);
+      if (change && !(changeId in state)) {
+        this.nodes.delete(changeId);
+        if (this.commitIndex.get(change.commitId) === changeId) {
+          this.commitIndex.delete(change.commitId);
+        }
+        this.dirty.add(changeId);
+      }
+    }
+
+    const restored = new Map(); // change → record hash
+    for (const [changeId, hash] of Object.entries(state)) {
+      const current = this.nodes.get(changeId);
+      const stored = current && this.storedForms.get(current);
+      if (stored && this.records.get(stored) === hash) {
+        continue;
+      }
+
+      const change = await this._readRecord(hash);
+      if (current && this.commitIndex.get(current.commitId) === changeId) {
+        this.commitIndex.delete(current.commitId);
+      }
+      this.nodes.set(changeId, change);
+      this.commitIndex.set(change.commitId, changeId);
+      this.dirty.add(changeId);
+      restored.set(change, hash);
+    }
+
+    await this.save();
+
+    // Records of views from before manifests were stored separately differ from the stored form
+    for (const [change, hash] of restored) {
+      const stored = this.storedForms.get(change);
+      if (!change.files && JSON.stringify(stored, binaryReplacer) === String(await this.blobs.read(hash))) {
+        this.records.set(stored, hash);
+      }
+    }
+  }
+
+  /**
+   * Drop changes from the graph
+   *
+   * @param {string[]} changeIds - IDs of the changes to drop
+   */
+  async removeChanges(changeIds) {
+    for (const changeId of changeIds) {
+      await this._readShardOf(changeId);
+      const change = this.nodes.get(changeId);
+      if (!change) {
+        continue;
+      }
+      this.nodes.delete(changeId);
+      if (this.commitIndex.get(change.commitId) === changeId) {
+        this.commitIndex.delete(change.commitId);
+      }
+      this.dirty.add(changeId);
+    }
+    await this.save();
+  }
+
+  /**
+   * Find what the graph and the given views refer to
+   *
+   * Blobs are the shard states and records of the views, the manifests of their
+   * changes and of the changes in the graph, and the file contents listed in those
+   * manifests. Conflicts are the records named in the `conflicts` of the same changes.
+   *
+   * @param {Array<{ changes?: Record<string, string>, changeShards?: Record<string, string> }>} views - Views
+   *   recorded by operations, holding states recorded by captureState()
+   * @returns {Promise<{ blobs: Set<string>, visible: Set<string>, conflicts: Set<string> }>} Hashes of
+   *   the blobs referred to, the IDs of the changes not abandoned in at least one of the views,
+   *   and the IDs of the conflict records referred to
+   */
+  async collectReferences(views) {
+    const blobs = new Set();
+    const visible = new Set();
+    const conflicts = new Set();
+    const manifests = new Set();
+    /** @param {Record<string, string>} files */
+    const addFiles = (files) => Object.values(files).forEach(hash => blobs.add(hash));
+    /** @param {Record<string, string>} [changeConflicts] - Path → conflict ID */
+    const addConflicts = (changeConflicts) => Object.values(changeConflicts || {}).forEach(id => conflicts.add(id));
+
+    await this.loadAll();
+    await this.save();
+    for (const change of this.nodes.values()) {
+      const stored = this.storedForms.get(change);
+      if (stored && stored.manifest) {
+        manifests.add(stored.manifest);
+      }
+      addConflicts(change.conflicts);
+    }
+
+    /** @type {Map<string, Object<string, any>>} */
+    const records = new Map();
+    /** @param {Record<string, string>} state */
+    const addState = async (state) => {
+      for (const [changeId, hash] of Object.entries(state)) {
+        let record = records.get(hash);
+        if (!record) {
+          const parsed = /** @type {Object<string, any>} */ (JSON.parse(String(await this.blobs.read(hash))));
+          records.set(hash, parsed);
+          blobs.add(hash);
+          if (parsed.manifest) {
+            manifests.add(parsed.manifest);
+          } else if (parsed.files) {
+            addFiles(parsed.files);
+          }
+          addConflicts(parsed.conflicts);
+          record = parsed;
+        }
+        if (!record.abandoned) {
+          visible.add(changeId);
+        }
+      }
+    };
+    for (const view of views) {
+      if (view.changeShards) {
+        for (const hash of Object.values(view.changeShards)) {
+          if (!blobs.has(hash)) {
+            blobs.add(hash);
+            await addState(await this._readStateRecords(hash));
+          }
+        }
+      } else if (view.changes) {
+        await addState(view.changes);
+      }
+    }
+
+    for (const hash of manifests) {
+      blobs.add(hash);
+      addFiles(await this._readManifest(hash));
+    }
+    return { blobs, visible, conflicts };
+  }
+
   /**
    * Create a change with default values (helper for tests)
    *
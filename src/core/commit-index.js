@@ -0,0 +1,359 @@
+/**
+ * CommitIndex - Lookup structures over the change graph for revset evaluation
+ *
+ * Keeps, for every change, its generation number (0 for a change without known
+ * parents, otherwise one more than its highest parent), the changes that name it as a
+ * parent, and postings from each distinct author and file path to the changes that
+ * have them. Revsets use these instead of scanning every change.
+ *
+ * The parents, author, manifest hash and file paths of each change are stored in
+ * repo/store/index/<xx>.json, sharded like the graph, so the paths of changes loaded
+ * from storage are known without reading their manifests. Generation numbers and
+ * children are derived from the parents when the index is loaded.
+ */
+
+const INDEX_DIR = 'repo/store/index';
+
+/**
+ * @typedef {Object} IndexEntry
+ * @property {string[]} parents - Parent change IDs
+ * @property {{ name: string, email: string }|null} author - Author name and email
+ * @property {string|null} manifest - Hash of the change's manifest
+ * @property {string[]} paths - Paths of the change's files
+ */
+
+export class CommitIndex {
+  /**
+   * @param {import('./storage-manager.js').Storage} storage - Storage manager instance
+   */
+  constructor(storage) {
+    this.storage = storage;
+    /** @type {Map<string, IndexEntry>} */
+    this.entries = new Map(); // changeId → entry
+    this.generations = new Map(); // changeId → generation number
+    /** @type {Map<string, Set<string>>} */
+    this.children = new Map(); // changeId → IDs of the changes naming it as a parent
+    /** @type {Map<string, { name: string, email: string, changeIds: Set<string> }>} */
+    this.authors = new Map(); // name and email → changes by that author
+    /** @type {Map<string, Set<string>>} */
+    this.files = new Map(); // path → IDs of the changes with a file there
+    this.dirty = new Set(); // Shard prefixes with entries changed since the last save
+  }
+
+  /**
+   * Forget every entry and delete the stored shards
+   */
+  async init() {
+    this.entries.clear();
+    this.generations.clear();
+    this.children.clear();
+    this.authors.clear();
+    this.files.clear();
+    this.dirty.clear();
+
+    for (const name of await this.storage.list(INDEX_DIR)) {
+      await this.storage.remove(`${INDEX_DIR}/${name}`);
+    }
+  }
+
+  /**
+   * Read the stored entries of a shard
+   *
+   * @param {string} prefix - First two hex digits of the change IDs in the shard
+   * @returns {Promise<Record<string, IndexEntry>>} Change ID → entry, empty if the shard doesn't exist
+   */
+  async readShard(prefix) {
+    const shard = /** @type {{ entries: Record<string, IndexEntry> }|null} */ (
+      await this.storage.read(`${INDEX_DIR}/${prefix}.json`)
+    );
+    return (shard && shard.entries) || {};
+  }
+
+  /**
+   * Add, replace and drop entries
+   *
+   * A single change is updated in place, along with the generations of its
+   * descendants when its parents changed. Larger batches, such as imports or the
+   * shards read by a load, recompute every generation once instead.
+   *
+   * @param {Map<string, IndexEntry>} entries - Change ID → new entry
+   * @param {string[]} [removed] - IDs of the changes to drop
+   * @param {Set<string>} [persisted] - IDs of the entries that are already stored as given
+   */
+  update(entries, removed = [], persisted = new Set()) {
+    const orphans = [];
+    for (const changeId of removed) {
+      const entry = this.entries.get(changeId);
+      if (!entry) {
+        continue;
+      }
+      this._unlink(changeId, entry);
+      this.entries.delete(changeId);
+      this.generations.delete(changeId);
+      this.dirty.add(changeId.slice(0, 2));
+      orphans.push(...(this.children.get(changeId) || []));
+    }
+    for (const [changeId, entry] of entries) {
+      this._put(changeId, entry);
+      if (!persisted.has(changeId)) {
+        this.dirty.add(changeId.slice(0, 2));
+      }
+    }
+
+    if (entries.size + removed.length > 1) {
+      this._computeGenerations();
+    } else {
+      this._propagate([...entries.keys(), ...orphans]);
+    }
+  }
+
+  /**
+   * Whether a stored entry still describes a change
+   *
+   * @param {IndexEntry|undefined} entry - Stored entry
+   * @param {Object<string, any>} stored - Stored form of the change
+   * @returns {boolean}
+   */
+  matches(entry, stored) {
+    const parents = stored.parents || [];
+    const author = stored.author || null;
+    return entry !== undefined &&
+      entry.manifest === (stored.manifest || null) &&
+      entry.parents.length === parents.length &&
+      entry.parents.every((parent, i) => parent === parents[i]) &&
+      (entry.author
+        ? Boolean(author) && entry.author.name === (author.name || '') && entry.author.email === (author.email || '')
+        : !author);
+  }
+
+  /**
+   * Generation number of a change
+   *
+   * A change's generation is always higher than those of its ancestors, so a change
+   * can only be an ancestor of changes with a higher generation.
+   *
+   * @param {string} changeId - Change ID
+   * @returns {number} Generation number, or -1 if the change isn't indexed
+   */
+  getGeneration(changeId) {
+    const generation = this.generations.get(changeId);
+    return generation === undefined ? -1 : generation;
+  }
+
+  /**
+   * IDs of the changes naming a change as a parent
+   *
+   * @param {string} changeId - Change ID
+   * @returns {string[]} Child change IDs
+   */
+  getChildren(changeId) {
+    return [...(this.children.get(changeId) || [])];
+  }
+
+  /**
+   * IDs of the changes by matching authors
+   *
+   * @param {(author: { name: string, email: string }) => boolean} predicate - Test for each distinct author
+   * @returns {string[]} Change IDs
+   */
+  findByAuthor(predicate) {
+    const result = [];
+    for (const { name, email, changeIds } of this.authors.values()) {
+      if (predicate({ name, email })) {
+        result.push(...changeIds);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * IDs of the changes with a file at a matching path
+   *
+   * @param {(path: string) => boolean} predicate - Test for each distinct path
+   * @returns {string[]} Change IDs, each once
+   */
+  findByPath(predicate) {
+    const result = new Set();
+    for (const [path, changeIds] of this.files) {
+      if (predicate(path)) {
+        changeIds.forEach(changeId => result.add(changeId));
+      }
+    }
+    return [...result];
+  }
+
+  /**
+   * Write the shards with entries changed since the last save
+   */
+  async save() {
+    if (this.dirty.size === 0) {
+      return;
+    }
+
+    /** @type {Map<string, Record<string, IndexEntry>>} */
+    const shards = new Map([...this.dirty].map(prefix => [prefix, {}]));
+    for (const [changeId, entry] of this.entries) {
+      const entries = shards.get(changeId.slice(0, 2));
+      if (entries) {
+        entries[changeId] = entry;
+      }
+    }
+
+    for (const [prefix, entries] of shards) {
+      if (Object.keys(entries).length === 0) {
+        await this.storage.remove(`${INDEX_DIR}/${prefix}.json`);
+      } else {
+        await this.storage.write(`${INDEX_DIR}/${prefix}.json`, { entries });
+      }
+    }
+    this.dirty.clear();
+  }
+
+  /**
+   * Store an entry and update the children and postings, leaving generations alone
+   *
+   * @private
+   * @param {string} changeId - Change ID
+   * @param {IndexEntry} entry - Entry of the change
+   */
+  _put(changeId, entry) {
+    const previous = this.entries.get(changeId);
+    if (previous) {
+      this._unlink(changeId, previous);
+    }
+
+    const stored = {
+      parents: [...entry.parents],
+      author: entry.author ? { name: entry.author.name || '', email: entry.author.email || '' } : null,
+      manifest: entry.manifest || null,
+      paths: [...entry.paths],
+    };
+    this.entries.set(changeId, stored);
+
+    for (const parent of stored.parents) {
+      const children = this.children.get(parent) || new Set();
+      children.add(changeId);
+      this.children.set(parent, children);
+    }
+    if (stored.author) {
+      const key = JSON.stringify([stored.author.name, stored.author.email]);
+      const posting = this.authors.get(key) || { ...stored.author, changeIds: new Set() };
+      posting.changeIds.add(changeId);
+      this.authors.set(key, posting);
+    }
+    for (const path of stored.paths) {
+      const changeIds = this.files.get(path) || new Set();
+      changeIds.add(changeId);
+      this.files.set(path, changeIds);
+    }
+  }
+
+  /**
+   * Remove a change from the children and postings of its entry
+   *
+   * @private
+   * @param {string} changeId - Change ID
+   * @param {IndexEntry} entry - Entry of the change
+   */
+  _unlink(changeId, entry) {
+    for (const parent of entry.parents) {
+      const children = this.children.get(parent);
+      children?.delete(changeId);
+      if (children && children.size === 0) {
+        this.children.delete(parent);
+      }
+    }
+    if (entry.author) {
+      const key = JSON.stringify([entry.author.name, entry.author.email]);
+      const posting = this.authors.get(key);
+      posting?.changeIds.delete(changeId);
+      if (posting && posting.changeIds.size === 0) {
+        this.authors.delete(key);
+      }
+    }
+    for (const path of entry.paths) {
+      const changeIds = this.files.get(path);
+      changeIds?.delete(changeId);
+      if (changeIds && changeIds.size === 0) {
+        this.files.delete(path);
+      }
+    }
+  }
+
+  /**
+   * Generation a change has given the generations of its parents
+   *
+   * @private
+   * @param {string} changeId - Change ID
+   * @returns {number}
+   */
+  _generationFromParents(changeId) {
+    const entry = /** @type {IndexEntry} */ (this.entries.get(changeId));
+    let generation = 0;
+    for (const parent of entry.parents) {
+      const parentGeneration = this.generations.get(parent);
+      if (parentGeneration !== undefined) {
+        generation = Math.max(generation, parentGeneration + 1);
+      }
+    }
+    return generation;
+  }
+
+  /**
+   * Recompute the generations of some changes and, where they moved, of their descendants
+   *
+   * @private
+   * @param {string[]} changeIds - IDs of the changes whose parents changed
+   */
+  _propagate(changeIds) {
+    const queue = [...changeIds];
+    while (queue.length > 0) {
+      const changeId = /** @type {string} */ (queue.shift());
+      if (!this.entries.has(changeId)) {
+        continue;
+      }
+      // No generation exceeds the number of changes unless parents form a cycle
+      const generation = this._generationFromParents(changeId);
+      if (this.generations.get(changeId) !== generation && generation <= this.entries.size) {
+        this.generations.set(changeId, generation);
+        queue.push(...(this.children.get(changeId) || []));
+      }
+    }
+  }
+
+  /**
+   * Compute the generation of every change, parents before children
+   *
+   * @private
+   */
+  _computeGenerations() {
+    this.generations.clear();
+    for (const start of this.entries.keys()) {
+      if (this.generations.has(start)) {
+        continue;
+      }
+
+      // Depth-first over parents without recursion, so long histories don't overflow the stack
+      const stack = [start];
+      const entered = new Set();
+      while (stack.length > 0) {
+        const changeId = stack[stack.length - 1];
+        if (this.generations.has(changeId)) {
+          stack.pop();
+          continue;
+        }
+        const pending = entered.has(changeId)
+          ? []
+          : /** @type {IndexEntry} */ (this.entries.get(changeId)).parents
+            .filter(parent => this.entries.has(parent) && !this.generations.has(parent) && !entered.has(parent));
+        entered.add(changeId);
+        if (pending.length > 0) {
+          stack.push(...pending);
+          continue;
+        }
+        this.generations.set(changeId, this._generationFromParents(changeId));
+        stack.pop();
+      }
+    }
+  }
+}
@@ -13,6 +13,8 @@
 import path from 'path';
 import { JJError } from '../utils/errors.js';
 import { generateId } from '../utils/id-generation.js';
+import { merge3 } from '../utils/line-diff.js';
+import { isBinaryContent, contentEquals } from '../utils/binary.js';
 
 /**
  * Conflict types supported by JJ
@@ -25,6 +27,23 @@ export const ConflictType = {
   ADD_ADD: 'add-add',        // Same path added in both sides
 };
 
+/**
+ * A stored conflict
+ *
+ * @typedef {Object} ConflictRecord
+ * @property {string} conflictId - Conflict ID
+ * @property {string} type - One of ConflictType
+ * @property {string} path - File path
+ * @property {Object<string, any>} sides - Content of each side (base, left, right)
+ * @property {string} message - Description of the conflict
+ * @property {boolean} resolved - Whether the conflict was resolved
+ * @property {string} timestamp - ISO timestamp of when it was found
+ * @property {boolean} [binary] - Set when any side is binary
+ * @property {Array<Object>} [regions] - Overlapping hunks of a line-level merge
+ * @property {boolean} [driverFailed] - Set when a merge driver failed on the file
+ * @property {string} [driverError] - Error of the failed merge driver
+ */
+
 /**
  * ConflictModel manages conflict detection, storage, and resolution
  */
@@ -84,8 +103,8 @@ export class ConflictModel {
    * @param {Map} opts.baseFiles - Files in base
    * @param {Map} opts.leftFiles - Files in left
    * @param {Map} opts.rightFiles - Files in right
-   * @param {Object} opts.drivers - Custom merge drivers (v0.5)
-   * @param {string} opts.workingCopyDir - Working copy directory for file writes (v0.5)
+   * @param {Object} [opts.drivers] - Custom merge drivers (v0.5)
+   * @param {string|null} [opts.workingCopyDir] - Working copy directory for file writes, none when omitted (v0.5)
    * @returns {Array<Conflict>} Detected conflicts
    */
   async detectConflicts(opts) {
@@ -126,6 +145,7 @@ export class ConflictModel {
                   path,
                   sides: { base: baseContent, left: leftContent, right: rightContent },
                   message: driverConflict.message || mergeResult.message || `Merge driver detected conflicts`,
+                  regions: driverConflict.regions,
                   driverResult: mergeResult,
                   driverFailed: mergeResult.driverFailed,
                   driverError: mergeResult.driverError,
@@ -155,6 +175,24 @@ export class ConflictModel {
         }
       }
 
+      // Both sides edited a text file: merge line by line, conflicting only where hunks overlap
+      const lineMerge = this.mergeContent(baseContent, leftContent, rightContent);
+      if (lineMerge) {
+        if (workingCopyDir) {
+          await this._writeDriverResult(workingCopyDir, path, { content: lineMerge.content });
+        }
+        if (!lineMerge.clean) {
+          conflicts.push(this._createConflict({
+            type: ConflictType.CONTENT,
+            path,
+            sides: { base: baseContent, left: leftContent, right: rightContent },
+            message: `Conflicting changes to file content in ${lineMerge.regions.length} region(s)`,
+            regions: lineMerge.regions,
+          }));
+        }
+        continue;
+      }
+
       // Fall back to default conflict detection
       const conflict = this._detectPathConflict(path, baseContent, leftContent, rightContent);
       if (conflict) {
@@ -165,6 +203,30 @@ export class ConflictModel {
     return conflicts;
   }
 
+  /**
+   * Line-level three-way merge of a file modified differently on both sides
+   *
+   * Returns null when a line merge does not apply: the file is missing on some side,
+   * is not text, or at most one side changed it.
+   *
+   * @param {string} base - Base content
+   * @param {string} left - Left content
+   * @param {string} right - Right content
+   * @returns {{clean: boolean, content: string, regions: Array<Object>}|null} Merge result,
+   *   with conflict markers in `content` for each conflicted region
+   */
+  mergeContent(base, left, right) {
+    if (typeof base !== 'string' || typeof left !== 'string' || typeof right !== 'string') {
+      return null;
+    }
+    if (base === left || base === right || left === right) {
+      return null;
+    }
+
+    const { clean, content, regions } = merge3(base, left, right);
+    return { clean, content, regions };
+  }
+
   /**
    * Detect conflict for a single path
    */
@@ -173,26 +235,31 @@ export class ConflictModel {
     const leftExists = left !== undefined;
     const rightExists = right !== undefined;
 
+    // Binary contents are compared byte by byte
+    const baseIsLeft = contentEquals(base, left);
+    const baseIsRight = contentEquals(base, right);
+    const leftIsRight = contentEquals(left, right);
+
     // No conflict if all three are the same
-    if (base === left && left === right) {
+    if (baseIsLeft && leftIsRight) {
       return null;
     }
 
     // No conflict if only one side changed
-    if (base === left && base !== right) {
+    if (baseIsLeft && !baseIsRight) {
       return null; // Right side wins
     }
-    if (base === right && base !== left) {
+    if (baseIsRight && !baseIsLeft) {
       return null; // Left side wins
     }
-    if (base !== left && base !== right && left === right) {
+    if (!baseIsLeft && !baseIsRight && leftIsRight) {
       return null; // Both sides made the same change
     }
 
     // Now we have actual conflicts
     if (!baseExists && leftExists && rightExists) {
       // File added in both sides
-      if (left === right) {
+      if (leftIsRight) {
         return null; // Same content, no conflict
       }
       return this._createConflict({
@@ -243,9 +310,21 @@ export class ConflictModel {
 
   /**
    * Create a conflict object
+   *
+   * @param {Object} opts - Conflict fields
+   * @param {string} opts.type - One of ConflictType, or a merge driver's own type
+   * @param {string} opts.path - File path
+   * @param {Object<string, any>} opts.sides - Content of each side
+   * @param {string} opts.message - Description of the conflict
+   * @param {Array<Object>} [opts.regions] - Overlapping hunks of a line-level merge
+   * @param {Object<string, any>} [opts.driverResult] - Result of the merge driver that reported it
+   * @param {boolean} [opts.driverFailed] - Set when the merge driver failed
+   * @param {string} [opts.driverError] - Error of the failed merge driver
+   * @returns {ConflictRecord}
    */
-  _createConflict({ type, path, sides, message, driverFailed, driverError }) {
+  _createConflict({ type, path, sides, message, regions, driverFailed, driverError }) {
     const conflictId = generateId('conflict');
+    /** @type {ConflictRecord} */
     const conflict = {
       conflictId,
       type,
@@ -256,6 +335,16 @@ export class ConflictModel {
       timestamp: new Date().toISOString(),
     };
 
+    // Binary conflicts have no regions and cannot carry conflict markers
+    if (Object.values(sides).some(isBinaryContent)) {
+      conflict.binary = true;
+    }
+
+    // Line ranges of each conflicted region (line-level merges only)
+    if (regions !== undefined) {
+      conflict.regions = regions;
+    }
+
     // Add driver failure metadata if present
     if (driverFailed !== undefined) {
       conflict.driverFailed = driverFailed;
@@ -369,6 +458,40 @@ export class ConflictModel {
     await this.save();
   }
 
+  /**
+   * Drop conflict records nothing refers to any more
+   *
+   * A conflict detected again on the same path replaces the earlier one in
+   * `fileConflicts`, but changes and recorded views may still name the earlier one,
+   * so callers pass those IDs in. Paths pointing to records that are gone are
+   * dropped too.
+   *
+   * @param {Iterable<string>} [reachable] - Conflict IDs referred to from elsewhere
+   * @returns {Promise<number>} Number of records and paths dropped
+   */
+  async prune(reachable = []) {
+    const referenced = new Set([...this.fileConflicts.values(), ...reachable]);
+    let count = 0;
+
+    for (const conflictId of [...this.conflicts.keys()]) {
+      if (!referenced.has(conflictId)) {
+        this.conflicts.delete(conflictId);
+        count++;
+      }
+    }
+    for (const [filePath, conflictId] of [...this.fileConflicts]) {
+      if (!this.conflicts.has(conflictId)) {
+        this.fileConflicts.delete(filePath);
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      await this.save();
+    }
+    return count;
+  }
+
   /**
    * Check if a change has conflicts
    */
@@ -384,9 +507,19 @@ export class ConflictModel {
       throw new JJError('INVALID_CONFLICT_TYPE',
         'Can only generate markers for content conflicts');
     }
+    if (conflict.binary) {
+      throw new JJError('INVALID_CONFLICT_TYPE',
+        `Cannot generate markers for binary file ${conflict.path}`,
+        { path: conflict.path, suggestion: 'Resolve with strategy "ours" or "theirs", or pass the resolved bytes as resolution' });
+    }
 
     const { base, left, right } = conflict.sides;
 
+    // Markers only around the conflicted regions, with the clean hunks merged in
+    if (conflict.regions) {
+      return merge3(base, left, right).content;
+    }
+
     return [
       '<<<<<<< Left',
       left || '',
@@ -480,7 +613,7 @@ export class ConflictModel {
 
     // Write main file
     if (result.content !== null && result.content !== undefined) {
-      if (Buffer.isBuffer(result.content)) {
+      if (isBinaryContent(result.content)) {
         await this.fs.promises.writeFile(fullPath, result.content);
       } else {
         await this.fs.promises.writeFile(fullPath, result.content, 'utf-8');
@@ -494,7 +627,7 @@ export class ConflictModel {
         const additionalDir = path.dirname(additionalFullPath);
         await this.fs.promises.mkdir(additionalDir, { recursive: true });
 
-        if (Buffer.isBuffer(additionalContent)) {
+        if (isBinaryContent(additionalContent)) {
           await this.fs.promises.writeFile(additionalFullPath, additionalContent);
         } else {
           await this.fs.promises.writeFile(additionalFullPath, additionalContent, 'utf-8');
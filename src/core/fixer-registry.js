@@ -0,0 +1,100 @@
+/**
+ * FixerRegistry - Registry of in-process fixers for jj.fix()
+ *
+ * A fixer takes a file's content and returns it fixed, for example formatted with
+ * prettier. Fixers apply to the files matching their patterns, in the order they
+ * were registered.
+ */
+
+import { JJError } from '../utils/errors.js';
+import { matchesPathPattern } from '../utils/path-pattern.js';
+
+/**
+ * FixerRegistry manages in-process fixers
+ */
+export class FixerRegistry {
+  constructor() {
+    /** @type {Map<string, { fix: Function, patterns: string[]|null }>} */
+    this.fixers = new Map();
+  }
+
+  /**
+   * Register one or more fixers
+   *
+   * A fixer is called with `{ path, content }` and returns (or resolves to) the fixed
+   * content. Without patterns, it applies to every text file. Registering a name again
+   * replaces the fixer.
+   *
+   * @param {Object<string, Function|{ fix: Function, patterns?: string[] }>} fixers - Name -> fixer map
+   *
+   * @example
+   * registry.register({
+   *   prettier: {
+   *     patterns: ['**\/*.js', '**\/*.ts'],
+   *     fix: ({ path, content }) => prettier.format(content, { filepath: path }),
+   *   },
+   *   'trailing-whitespace': ({ content }) => content.replace(/[ \t]+$/gm, ''),
+   * });
+   */
+  register(fixers) {
+    for (const [name, fixerOrConfig] of Object.entries(fixers)) {
+      const fix = typeof fixerOrConfig === 'function' ? fixerOrConfig : fixerOrConfig && fixerOrConfig.fix;
+      const patterns = typeof fixerOrConfig === 'function' ? undefined : fixerOrConfig && fixerOrConfig.patterns;
+
+      if (typeof fix !== 'function') {
+        throw new JJError('INVALID_FIXER', `Fixer "${name}" must be a function`, {
+          name,
+          suggestion: 'Register a function, or { fix, patterns }',
+        });
+      }
+      if (patterns !== undefined && (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string'))) {
+        throw new JJError('INVALID_FIXER', `Patterns of fixer "${name}" must be an array of strings`, {
+          name,
+          suggestion: 'Pass paths, directories or globs, e.g. patterns: ["**/*.js"]',
+        });
+      }
+
+      this.fixers.set(name, { fix, patterns: patterns || null });
+    }
+  }
+
+  /**
+   * Unregister a fixer by name
+   *
+   * @param {string} name - Fixer name
+   */
+  unregister(name) {
+    this.fixers.delete(name);
+  }
+
+  /**
+   * Get a fixer function by name
+   *
+   * @param {string} name - Fixer name
+   * @returns {Function|undefined} Fixer function or undefined
+   */
+  get(name) {
+    return this.fixers.get(name)?.fix;
+  }
+
+  /**
+   * List all registered fixers
+   *
+   * @returns {Array<{name: string, patterns: string[]|null}>} Fixer list
+   */
+  list() {
+    return [...this.fixers].map(([name, { patterns }]) => ({ name, patterns }));
+  }
+
+  /**
+   * Find the fixers that apply to a file, in registration order
+   *
+   * @param {string} filePath - Repository-relative file path
+   * @returns {Array<{name: string, fix: Function}>} Matching fixers
+   */
+  findFixers(filePath) {
+    return [...this.fixers]
+      .filter(([, { patterns }]) => !patterns || patterns.some(pattern => matchesPathPattern(filePath, pattern)))
+      .map(([name, { fix }]) => ({ name, fix }));
+  }
+}
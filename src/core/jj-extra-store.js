@@ -0,0 +1,189 @@
+/**
+ * JJ Extra Metadata Store
+ *
+ * Handles encoding and decoding of .jj/repo/store/extra/* files written by jj's Git backend.
+ * Git commits have no room for a change ID, so jj keeps one per commit in these
+ * tables, keyed by commit ID and stored as git_store.Commit protobuf messages.
+ *
+ * Each table file is a stack: it names its parent table and adds entries to it.
+ *   u32 LE  length of the parent table's file name (0 for none)
+ *   bytes   parent table's file name
+ *   u32 LE  number of entries
+ *   entries (commit ID, u32 LE offset of its value), sorted by commit ID
+ *   values  concatenated; each runs up to the next entry's offset
+ * .jj/repo/store/extra/heads/ holds an empty file named after each table on top.
+ */
+
+import protobuf from 'protobufjs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const COMMIT_ID_LENGTH = 20;
+
+export class JJExtraStore {
+  /**
+   * @param {Object<string, any>} fs - Filesystem implementation (Node fs, LightningFS, etc.)
+   * @param {string} dir - Repository directory path
+   */
+  constructor(fs, dir) {
+    this.fs = fs;
+    this.dir = dir;
+    this.extraDir = `${dir}/.jj/repo/store/extra`;
+    this.protoPath = path.join(__dirname, '..', 'protos', 'git_store.proto');
+  }
+
+  /**
+   * Read the change ID and predecessors of every commit jj recorded
+   *
+   * Tables of all heads are read, so entries of concurrent jj processes are included.
+   *
+   * @returns {Promise<Map<string, {changeId: string, predecessors: string[]}>>} Commit ID → metadata
+   */
+  async readCommits() {
+    const root = await protobuf.load(this.protoPath);
+    const Commit = root.lookupType('git_store.Commit');
+
+    const commits = new Map();
+    const visited = new Set();
+    for (const head of await this._readHeads()) {
+      // Walk down to the oldest table, then apply each table on top of its parent
+      const stack = [];
+      /** @type {string|null} */
+      let name = head;
+      while (name && !visited.has(name)) {
+        visited.add(name);
+        const table = await this._readTable(name);
+        stack.push(table);
+        name = table.parent;
+      }
+
+      for (const table of stack.reverse()) {
+        for (const [commitId, value] of table.entries) {
+          const message = /** @type {Object<string, any>} */ (Commit.decode(value));
+          commits.set(commitId, {
+            changeId: Buffer.from(message.changeId).toString('hex'),
+            predecessors: message.predecessors.map(/** @param {Uint8Array} id */ id => Buffer.from(id).toString('hex')),
+          });
+        }
+      }
+    }
+
+    return commits;
+  }
+
+  /**
+   * Record the change ID and predecessors of commits
+   *
+   * The entries go into a new table on top of the current one, named after the hash of
+   * its content like jj names its own. With several heads left by concurrent jj
+   * processes, the others stay heads; jj merges them the next time it runs.
+   *
+   * @param {Array<{commitId: string, changeId: string, predecessors?: string[]}>} commits - Commits to record
+   * @returns {Promise<string|null>} Name of the new table, or null when there was nothing to record
+   */
+  async writeCommits(commits) {
+    if (commits.length === 0) {
+      return null;
+    }
+    const root = await protobuf.load(this.protoPath);
+    const Commit = root.lookupType('git_store.Commit');
+
+    // Keys are sorted for jj's binary search; a later entry for a commit wins
+    const byCommit = new Map(commits.map(commit => [commit.commitId, commit]));
+    const sorted = [...byCommit.values()].sort((a, b) => (a.commitId < b.commitId ? -1 : 1));
+    const values = sorted.map(commit => Buffer.from(Commit.encode(Commit.create({
+      changeId: Buffer.from(commit.changeId, 'hex'),
+      predecessors: (commit.predecessors || []).map(id => Buffer.from(id, 'hex')),
+    })).finish()));
+
+    /** @param {number} n */
+    const u32 = (n) => {
+      const buffer = Buffer.alloc(4);
+      buffer.writeUInt32LE(n);
+      return buffer;
+    };
+    const [parent = null] = (await this._readHeads()).sort();
+    /** @type {Buffer[]} */
+    const index = [];
+    let offset = 0;
+    sorted.forEach((commit, i) => {
+      index.push(Buffer.from(commit.commitId, 'hex'), u32(offset));
+      offset += values[i].length;
+    });
+    const buffer = Buffer.concat([
+      u32(parent ? Buffer.byteLength(parent) : 0),
+      Buffer.from(parent || ''),
+      u32(sorted.length),
+      ...index,
+      ...values,
+    ]);
+
+    const name = crypto.createHash('blake2b512').update(buffer).digest('hex');
+    await this.fs.promises.mkdir(`${this.extraDir}/heads`, { recursive: true });
+    await this.fs.promises.writeFile(`${this.extraDir}/${name}`, buffer);
+    // Add the new head before dropping its parent so jj always finds one
+    await this.fs.promises.writeFile(`${this.extraDir}/heads/${name}`, '');
+    if (parent) {
+      try {
+        await this.fs.promises.unlink(`${this.extraDir}/heads/${parent}`);
+      } catch (/** @type {any} */ error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return name;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<string[]>} Names of the tables on top
+   */
+  async _readHeads() {
+    try {
+      return await this.fs.promises.readdir(`${this.extraDir}/heads`);
+    } catch (/** @type {any} */ error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} name - Table file name
+   * @returns {Promise<{parent: string|null, entries: Array<[string, Uint8Array]>}>} Decoded table
+   */
+  async _readTable(name) {
+    const buffer = Buffer.from(await this.fs.promises.readFile(`${this.extraDir}/${name}`));
+
+    let pos = 0;
+    const parentLength = buffer.readUInt32LE(pos);
+    pos += 4;
+    const parent = parentLength > 0 ? buffer.toString('utf8', pos, pos + parentLength) : null;
+    pos += parentLength;
+
+    const count = buffer.readUInt32LE(pos);
+    pos += 4;
+    const entrySize = COMMIT_ID_LENGTH + 4;
+    const valuesStart = pos + count * entrySize;
+    /** @param {number} i */
+    const offsetAt = (i) => buffer.readUInt32LE(pos + i * entrySize + COMMIT_ID_LENGTH);
+
+    /** @type {Array<[string, Uint8Array]>} */
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const keyStart = pos + i * entrySize;
+      const commitId = buffer.toString('hex', keyStart, keyStart + COMMIT_ID_LENGTH);
+      const end = i + 1 < count ? offsetAt(i + 1) : buffer.length - valuesStart;
+      entries.push([commitId, buffer.subarray(valuesStart + offsetAt(i), valuesStart + end)]);
+    }
+
+    return { parent, entries };
+  }
+}
@@ -7,6 +7,7 @@
 
 import protobuf from 'protobufjs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -22,10 +23,11 @@ export class JJOperationStore {
   /**
    * Write operation file
    *
-   * @param {string} operationId - Operation ID as hex string (128 characters)
+   * @param {string|null} operationId - Operation ID as hex string (128 characters), or null to use the content hash
    * @param {string} viewId - View ID as hex string (128 characters)
    * @param {Array<string>} parentIds - Parent operation IDs as hex strings
    * @param {Object} metadata - Operation metadata
+   * @returns {Promise<string>} Operation ID
    */
   async writeOperation(operationId, viewId, parentIds, metadata) {
     // Load protobuf schema
@@ -70,10 +72,12 @@ export class JJOperationStore {
 
     // Encode to binary
     const buffer = Operation.encode(message).finish();
+    const id = operationId || crypto.createHash('blake2b512').update(buffer).digest('hex');
 
     // Write to .jj/repo/op_store/operations/OPERATIONID
-    const opPath = `${this.dir}/.jj/repo/op_store/operations/${operationId}`;
+    const opPath = `${this.dir}/.jj/repo/op_store/operations/${id}`;
     await this.fs.promises.writeFile(opPath, buffer);
+    return id;
   }
 
   /**
@@ -7,6 +7,7 @@
 
 import protobuf from 'protobufjs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -22,11 +23,16 @@ export class JJViewStore {
   /**
    * Write view file
    *
-   * @param {string} viewId - View ID as hex string (128 characters)
+   * @param {string|null} viewId - View ID as hex string (128 characters), or null to use the content hash
    * @param {Array<string>} headIds - Head commit IDs as hex strings
    * @param {Object} wcCommitIds - Working copy commit IDs by workspace name
+   * @param {Object} [refs] - Bookmarks and tags, as commit IDs
+   * @param {Record<string, string>} [refs.bookmarks] - Local bookmark → commit ID
+   * @param {Record<string, Record<string, { commitId: string, tracked: boolean }>>} [refs.remoteBookmarks] - Remote → bookmark → target
+   * @param {Record<string, string>} [refs.tags] - Tag → commit ID
+   * @returns {Promise<string>} View ID
    */
-  async writeView(viewId, headIds, wcCommitIds = {}) {
+  async writeView(viewId, headIds, wcCommitIds = {}, refs = {}) {
     // Load protobuf schema
     const root = await protobuf.load(this.protoPath);
     const View = root.lookupType('simple_op_store.View');
@@ -40,13 +46,37 @@ export class JJViewStore {
       wcCommitIdsMap[workspace] = Buffer.from(commitId, 'hex');
     }
 
+    // Refs are written the way current jj writes them: a target is a conflict with a single add
+    /** @param {string} commitId */
+    const refTarget = (commitId) => ({
+      conflict: { removes: [], adds: [{ value: Buffer.from(commitId, 'hex') }] },
+    });
+
+    const bookmarks = Object.entries(refs.bookmarks || {}).map(([name, commitId]) => ({
+      name,
+      localTarget: refTarget(commitId),
+    }));
+    const localTags = Object.entries(refs.tags || {}).map(([name, commitId]) => ({
+      name,
+      target: refTarget(commitId),
+    }));
+    const remoteViews = Object.entries(refs.remoteBookmarks || {}).map(([remote, remoteBookmarks]) => ({
+      name: remote,
+      bookmarks: Object.entries(remoteBookmarks).map(([name, { commitId, tracked }]) => ({
+        name,
+        targetTerms: [{ value: Buffer.from(commitId, 'hex') }],
+        state: tracked ? 1 : 0,
+      })),
+      tags: [],
+    }));
+
     // Create view message (use camelCase for protobufjs)
     const message = View.create({
       headIds: headBuffers,
       wcCommitIds: wcCommitIdsMap,
-      bookmarks: [],
-      localTags: [],
-      remoteViews: [],
+      bookmarks,
+      localTags,
+      remoteViews,
       gitRefs: [],
       gitHead: null,
       hasGitRefsMigratedToRemoteTags: false
@@ -60,10 +90,12 @@ export class JJViewStore {
 
     // Encode to binary
     const buffer = View.encode(message).finish();
+    const id = viewId || crypto.createHash('blake2b512').update(buffer).digest('hex');
 
     // Write to .jj/repo/op_store/views/VIEWID
-    const viewPath = `${this.dir}/.jj/repo/op_store/views/${viewId}`;
+    const viewPath = `${this.dir}/.jj/repo/op_store/views/${id}`;
     await this.fs.promises.writeFile(viewPath, buffer);
+    return id;
   }
 
   /**
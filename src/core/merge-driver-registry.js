@@ -6,6 +6,8 @@
  */
 
 import { JJError } from '../utils/errors.js';
+import { merge3 } from '../utils/line-diff.js';
+import { contentEquals } from '../utils/binary.js';
 
 /**
  * Check if a file path matches a glob pattern
@@ -35,11 +37,11 @@ function matchesPattern(path, pattern) {
 /**
  * Check if a file is likely binary based on content
  *
- * @param {string|Buffer} content - File content
+ * @param {string|Uint8Array} content - File content
  * @returns {boolean} Whether content appears binary
  */
 function isBinaryContent(content) {
-  if (Buffer.isBuffer(content)) return true;
+  if (content instanceof Uint8Array) return true;
   if (typeof content !== 'string') return false;
 
   // Check for null bytes (common in binary files)
@@ -68,20 +70,51 @@ async function defaultMergeDriver(context) {
   const { base, ours, theirs } = content;
 
   // Simple cases
-  if (ours === theirs) {
+  if (contentEquals(ours, theirs)) {
     return { content: ours, hasConflict: false };
   }
 
-  if (ours === base) {
+  if (contentEquals(ours, base)) {
     // No changes on our side, take theirs
     return { content: theirs, hasConflict: false };
   }
 
-  if (theirs === base) {
+  if (contentEquals(theirs, base)) {
     // No changes on their side, take ours
     return { content: ours, hasConflict: false };
   }
 
+  // Both sides changed a text file - merge line by line
+  if (typeof base === 'string' && typeof ours === 'string' && typeof theirs === 'string') {
+    const merged = merge3(base, ours, theirs, {
+      labels: { left: 'ours', base: null, right: 'theirs' },
+    });
+    if (merged.clean) {
+      return { content: merged.content, hasConflict: false };
+    }
+    return {
+      content: merged.content,
+      hasConflict: true,
+      conflicts: [{
+        type: 'content',
+        sides: ['ours', 'theirs'],
+        regions: merged.regions,
+      }],
+    };
+  }
+
+  // Both sides changed a binary file - keep ours, there is nothing to interleave
+  if (ours instanceof Uint8Array || theirs instanceof Uint8Array) {
+    return {
+      content: ours,
+      hasConflict: true,
+      conflicts: [{
+        type: 'binary',
+        sides: ['ours', 'theirs'],
+      }],
+    };
+  }
+
   // Both sides changed - conflict
   const conflictMarkers = `<<<<<<< ours\n${ours || ''}\n=======\n${theirs || ''}\n>>>>>>> theirs`;
 
@@ -174,6 +207,7 @@ export class MergeDriverRegistry {
     /** @type {Array<{pattern: string, driver: Function, accepts: Object, strict: boolean}>} */
     this.drivers = [];
     this.jj = jj; // JJ instance for event emission
+    this.defaultDriver = defaultMergeDriver; // Returned by findDriver() when nothing matches
   }
 
   /**
@@ -320,9 +354,9 @@ export class MergeDriverRegistry {
    * @param {Function} driver - Driver function
    * @param {Object} context - Merge context
    * @param {string} context.path - File path
-   * @param {string|Buffer|null} context.base - Base content
-   * @param {string|Buffer|null} context.ours - Our content
-   * @param {string|Buffer|null} context.theirs - Their content
+   * @param {string|Uint8Array|null} context.base - Base content
+   * @param {string|Uint8Array|null} context.ours - Our content
+   * @param {string|Uint8Array|null} context.theirs - Their content
    * @param {Object} context.metadata - Metadata
    * @param {boolean} isBinary - Whether content is binary
    * @returns {Promise<MergeResult>}
@@ -349,9 +383,9 @@ export class MergeDriverRegistry {
   /**
    * Prepare content for driver based on binary/text
    *
-   * @param {string|Buffer|null} content - Raw content
-   * @param {boolean} isBinary - Whether to return as Buffer
-   * @returns {string|Buffer|null} Prepared content
+   * @param {string|Uint8Array|null} content - Raw content
+   * @param {boolean} isBinary - Whether to return as Uint8Array
+   * @returns {string|Uint8Array|null} Prepared content
    */
   prepareContent(content, isBinary) {
     if (content === null || content === undefined) {
@@ -359,14 +393,13 @@ export class MergeDriverRegistry {
     }
 
     if (isBinary) {
-      // Convert to Buffer if needed
-      if (Buffer.isBuffer(content)) return content;
-      if (typeof content === 'string') return Buffer.from(content, 'utf-8');
-      return Buffer.from(String(content));
+      // Convert to bytes if needed
+      if (content instanceof Uint8Array) return content;
+      return new TextEncoder().encode(String(content));
     } else {
       // Convert to string if needed
       if (typeof content === 'string') return content;
-      if (Buffer.isBuffer(content)) return content.toString('utf-8');
+      if (content instanceof Uint8Array) return new TextDecoder().decode(content);
       return String(content);
     }
   }
@@ -375,7 +408,7 @@ export class MergeDriverRegistry {
    * Check if file is binary based on path or content
    *
    * @param {string} path - File path
-   * @param {string|Buffer} content - File content
+   * @param {string|Uint8Array} content - File content
    * @returns {boolean} Whether file is binary
    */
   isBinaryFile(path, content) {
@@ -407,7 +440,7 @@ export class MergeDriverRegistry {
  * (exported for external use)
  *
  * @param {string} path - File path
- * @param {string|Buffer} content - File content
+ * @param {string|Uint8Array} content - File content
  * @returns {boolean} Whether file is binary
  */
 export function isBinaryFile(path, content) {
@@ -2,19 +2,36 @@
  * OperationLog - Manages the append-only operation log
  * 
  * Records all repository mutations for complete undo/redo and time-travel.
+ *
+ * Like jj, the log is lock-free: each operation names the operation it was based on
+ * as its parent, and repo/op_log/heads holds one file per operation no other operation
+ * builds on. Processes recording operations at the same time leave several heads,
+ * which the repository merges with a merge operation.
+ *
+ * The view an operation records is written to the blob store as JSON, and its line in
+ * oplog.jsonl only holds the view's hash as `viewId`, so operations that leave the
+ * same view share it and the log stays small however large the repository grows.
+ * Read views with getView().
  */
 
 import { JJError } from '../utils/errors.js';
 import { generateOperationId } from '../utils/id-generation.js';
+import { binaryReplacer, binaryReviver } from '../utils/binary.js';
+import { BlobStore } from './blob-store.js';
 
 export class OperationLog {
   /**
-   * @param {Storage} storage - Storage manager instance
+   * @param {import('./storage-manager.js').Storage} storage - Storage manager instance
+   * @param {BlobStore} [blobs] - Blob store for the recorded views
    */
-  constructor(storage) {
+  constructor(storage, blobs = new BlobStore(storage)) {
     this.storage = storage;
+    this.blobs = blobs;
     this.operations = [];
-    this.headOperationId = null;
+    this.headOperationId = null; // operation the repository state of this process is based on
+    /** @type {string[]} */
+    this.headIds = []; // heads found by the last load()
+    this.views = new Map(); // view ID → view, as written or last read
   }
 
   /**
@@ -25,47 +42,211 @@ export class OperationLog {
     this.headOperationId = null;
 
     await this.storage.write('repo/op_log/oplog.jsonl', '');
+    await this._writeHeads([]);
   }
 
   /**
    * Load operation log from storage
+   *
+   * Only repo/op_log/heads is listed when every head in it is an operation already
+   * read: nothing was recorded elsewhere since, so the log is not read again. When
+   * another process recorded operations, the log is read and the storage cache is
+   * dropped so the repository state it left is read again.
    */
   async load() {
-    const lines = await this.storage.readLines('repo/op_log/oplog.jsonl');
+    const names = await this._listHeads();
+    const known = new Set(this.operations.map(op => op.id));
+    if (names.length === 0 || !names.every(name => known.has(name))) {
+      this.operations = await this.storage.readLines('repo/op_log/oplog.jsonl');
+    }
+    const heads = this._orderHeads(names, this.operations);
+    const previousHead = this._renamedId(this.headOperationId);
+
+    this.headIds = heads;
+    this.headOperationId = previousHead;
+    if (!previousHead || !heads.includes(previousHead)) {
+      this.headOperationId = heads.length > 0 ? heads[heads.length - 1] : null;
+      if (previousHead) {
+        this.storage.invalidateCache();
+      }
+    }
+  }
 
-    this.operations = lines;
-    this.headOperationId = lines.length > 0 ? lines[lines.length - 1].id : null;
+  /**
+   * Find the ID an operation has now
+   *
+   * compact() gives the operations it rewrites new IDs, keeping the old one as
+   * formerId.
+   *
+   * @private
+   * @param {string|null} id - Operation ID, possibly from before a compact()
+   * @returns {string|null} ID of the operation in the log read, or the ID given when it has none
+   */
+  _renamedId(id) {
+    if (!id || this.operations.some(op => op.id === id)) {
+      return id;
+    }
+    const renamed = this.operations.find(op => op.formerId === id);
+    return renamed ? renamed.id : id;
+  }
+
+  /**
+   * Forget the operations read, so the next load() reads the log again
+   *
+   * For when log writes were dropped, such as by a rolled back transaction.
+   */
+  invalidate() {
+    this.operations = [];
+  }
+
+  /**
+   * Read the IDs of the operation heads
+   *
+   * Logs written before repo/op_log/heads existed get their heads from the log.
+   *
+   * @param {Array<any>} [operations] - Operations already read from the log
+   * @returns {Promise<string[]>} Head operation IDs, oldest first
+   */
+  async readHeadIds(operations) {
+    const names = await this._listHeads();
+    /** @type {Array<any>} */
+    const log = operations || await this.storage.readLines('repo/op_log/oplog.jsonl');
+    return this._orderHeads(names, log);
+  }
+
+  /**
+   * List the head files in repo/op_log/heads
+   *
+   * @private
+   * @returns {Promise<string[]>} Head operation IDs, in no particular order
+   */
+  async _listHeads() {
+    const files = /** @type {string[]} */ (await this.storage.list('repo/op_log/heads'));
+    return files.filter(name => !name.includes('.tmp.'));
+  }
+
+  /**
+   * Put head IDs in log order, or find the heads of a log without head files
+   *
+   * @private
+   * @param {string[]} names - Head file names
+   * @param {Array<any>} log - Operations of the log
+   * @returns {string[]} Head operation IDs, oldest first
+   */
+  _orderHeads(names, log) {
+    if (names.length === 0) {
+      return findHeads(log);
+    }
+    return log.map(op => op.id).filter(id => names.includes(id));
+  }
+
+  /**
+   * Get the operations no other operation builds on
+   *
+   * More than one head means operations were recorded concurrently. Heads that are
+   * ancestors of other heads (left by an interrupted record) are dropped.
+   *
+   * @returns {Promise<Array<any>>} Head operations, oldest first
+   */
+  async getHeads() {
+    await this.load();
+    const heads = this.headIds;
+    const byId = new Map(this.operations.map(op => [op.id, op]));
+    if (heads.length < 2) {
+      return heads.map(id => byId.get(id));
+    }
+
+    const covered = new Set();
+    for (const id of heads) {
+      for (const ancestor of this._ancestors(id, byId)) {
+        if (ancestor !== id) {
+          covered.add(ancestor);
+        }
+      }
+    }
+
+    const result = heads.filter(id => !covered.has(id));
+    if (result.length !== heads.length) {
+      await this._writeHeads(result);
+    }
+    return result.map(id => byId.get(id));
+  }
+
+  /**
+   * Find the latest operation all the given operations descend from
+   *
+   * @param {string[]} operationIds - Operation IDs
+   * @returns {Promise<Object<string, any>|null>} Common ancestor, or null if the operations share none
+   */
+  async findCommonAncestor(operationIds) {
+    if (this.operations.length === 0 && this.headOperationId === null) {
+      await this.load();
+    }
+
+    const byId = new Map(this.operations.map(op => [op.id, op]));
+    const [first, ...rest] = operationIds.map(id => this._ancestors(id, byId));
+    const common = [...first].filter(id => rest.every(ancestors => ancestors.has(id)));
+    const latest = [...this.operations].reverse().find(op => common.includes(op.id));
+    return latest || null;
   }
 
   /**
    * Record a new operation
+   *
+   * The operation's parent is the operation this process's repository state is based
+   * on, even when other processes recorded operations since.
    * 
-   * @param {Object} operation - Operation to record (without id)
-   * @returns {Promise<Object>} Recorded operation with id
+   * @param {Object<string, any>} operation - Operation to record (without id)
+   * @param {Object} [opts] - Options
+   * @param {string[]} [opts.parents] - Parents to record instead, e.g. the heads a merge operation joins
+   * @returns {Promise<Object<string, any>>} Recorded operation with id
    */
-  async recordOperation(operation) {
+  async recordOperation(operation, opts = {}) {
     // Ensure operations are loaded
     if (this.operations.length === 0 && this.headOperationId === null) {
       await this.load();
     }
 
     // Set parent to current head
-    if (this.headOperationId) {
+    if (opts.parents) {
+      operation.parents = opts.parents;
+    } else if (this.headOperationId) {
+      // gc() in another process may have renamed the head since the log was read
+      const known = new Set(this.operations.map(op => op.id));
+      if (!(await this._listHeads()).every(name => known.has(name))) {
+        this.operations = await this.storage.readLines('repo/op_log/oplog.jsonl');
+        const head = this._renamedId(this.headOperationId);
+        // Squashed into a checkpoint: build on the latest head instead
+        this.headOperationId = this.operations.some(op => op.id === head)
+          ? head
+          : this._orderHeads(await this._listHeads(), this.operations).pop();
+      }
       operation.parents = [this.headOperationId];
     } else {
       operation.parents = operation.parents || [];
     }
 
+    // The view goes to the blob store; the log line only names it
+    const { view, ...recorded } = operation;
+    if (view) {
+      recorded.viewId = await this.writeView(view);
+    }
+
     // Generate operation ID
-    const id = await generateOperationId(operation);
+    const id = await generateOperationId(recorded);
     const fullOperation = {
       id,
-      ...operation,
+      ...recorded,
     };
 
-    // Append to log
-    const line = JSON.stringify(fullOperation);
+    // Append to log, then move the heads: add ours before dropping its parents so a
+    // concurrent reader always finds at least one head
+    const line = JSON.stringify(fullOperation, binaryReplacer);
     await this.storage.appendLine('repo/op_log/oplog.jsonl', line);
+    await this.storage.write(`repo/op_log/heads/${id}`, '');
+    for (const parentId of operation.parents) {
+      await this.storage.remove(`repo/op_log/heads/${parentId}`);
+    }
 
     // Update in-memory state
     this.operations.push(fullOperation);
@@ -74,6 +255,42 @@ export class OperationLog {
     return fullOperation;
   }
 
+  /**
+   * Store a view in the blob store
+   *
+   * @param {Object<string, any>} view - View to store
+   * @returns {Promise<string>} View ID (hash of the view)
+   */
+  async writeView(view) {
+    const viewId = await this.blobs.write(JSON.stringify(view, binaryReplacer));
+    this.views.set(viewId, view);
+    return viewId;
+  }
+
+  /**
+   * Read the view an operation recorded
+   *
+   * Operations recorded before views were stored separately carry theirs inline.
+   *
+   * @param {Object<string, any>|null} [operation] - Operation
+   * @returns {Promise<Object<string, any>>} View, empty for an operation without one
+   */
+  async getView(operation) {
+    if (!operation) {
+      return {};
+    }
+    if (!operation.viewId) {
+      return operation.view || {};
+    }
+
+    let view = this.views.get(operation.viewId);
+    if (!view) {
+      view = JSON.parse(String(await this.blobs.read(operation.viewId)), binaryReviver);
+      this.views.set(operation.viewId, view);
+    }
+    return view;
+  }
+
   /**
    * Get all operations
    * 
@@ -84,7 +301,7 @@ export class OperationLog {
       await this.load();
     }
     
-    return this.operations;
+    return [...this.operations];
   }
 
   /**
@@ -122,7 +339,7 @@ export class OperationLog {
     // Get the previous operation (before current head)
     if (this.operations.length === 1) {
       // Special case: undoing the first operation returns its view
-      return this.operations[0].view;
+      return await this.getView(this.operations[0]);
     }
 
     // Return view from parent operation
@@ -134,10 +351,10 @@ export class OperationLog {
     
     if (!parentOp) {
       // If parent not found, return view from operation before current
-      return this.operations[this.operations.length - 2].view;
+      return await this.getView(this.operations[this.operations.length - 2]);
     }
 
-    return parentOp.view;
+    return await this.getView(parentOp);
   }
 
   /**
@@ -160,7 +377,7 @@ export class OperationLog {
       });
     }
 
-    return operation.view;
+    return await this.getView(operation);
   }
 
   /**
@@ -259,9 +476,10 @@ export class OperationLog {
 
     // Rewrite JSONL file
     const content = this.operations
-      .map(op => JSON.stringify(op))
+      .map(op => JSON.stringify(op, binaryReplacer))
       .join('\n') + (this.operations.length > 0 ? '\n' : '');
     await this.storage.write('repo/op_log/oplog.jsonl', content);
+    await this._writeHeads(findHeads(this.operations));
 
     return {
       abandoned: operation,
@@ -269,4 +487,193 @@ export class OperationLog {
       newHead: this.headOperationId,
     };
   }
+
+  /**
+   * Squash the oldest operations into a checkpoint
+   *
+   * The checkpoint carries the view of the last operation it replaces, without the
+   * snapshots kept for undoing it, and takes its place as the parent of the operations
+   * that built on the replaced ones. Heads are never replaced.
+   *
+   * @param {number} count - Number of operations to replace, from the start of the log
+   * @param {Object} [opts] - Options
+   * @param {string[]} [opts.forgetChanges] - Changes to drop from the view of every operation kept
+   * @returns {Promise<{ checkpoint: Object<string, any>|null, removed: string[], renamed: Object<string, string> }>}
+   *   The checkpoint, or null when there was nothing to squash, the IDs of the replaced operations,
+   *   and the new IDs of the operations rewritten, by old ID
+   */
+  async compact(count, opts = {}) {
+    await this.load();
+
+    const forget = opts.forgetChanges || [];
+    let replaced = this.operations.slice(0, count);
+    const heads = await this.readHeadIds(this.operations);
+    if (replaced.some(op => heads.includes(op.id))) {
+      throw new JJError('INVALID_ARGUMENT', 'Cannot squash an operation head into a checkpoint', {
+        count,
+        suggestion: 'Keep at least the latest operation',
+      });
+    }
+    if (replaced.length === 1 && replaced[0].checkpoint) {
+      replaced = [];
+    }
+    if (replaced.length === 0 && forget.length === 0) {
+      return { checkpoint: null, removed: [], renamed: {} };
+    }
+
+    /** @type {Object<string, any>|null} */
+    let checkpoint = null;
+    if (replaced.length > 0) {
+      const last = replaced[replaced.length - 1];
+      const operation = {
+        timestamp: last.timestamp,
+        user: last.user,
+        description: `checkpoint of ${replaced.length} operations`,
+        parents: [],
+        ...(last.viewId ? { viewId: last.viewId } : { view: last.view }),
+        checkpoint: true,
+      };
+      checkpoint = { id: await generateOperationId(operation), ...operation };
+    }
+
+    const removed = replaced.map(op => op.id);
+    /** @type {Map<string, string|null>} */
+    const shardStates = new Map(); // shard state hash → hash without the forgotten changes
+    /** @param {string} hash */
+    const forgetInShard = async (hash) => {
+      if (!shardStates.has(hash)) {
+        const records = JSON.parse(String(await this.blobs.read(hash)));
+        forget.forEach(changeId => delete records[changeId]);
+        shardStates.set(hash, Object.keys(records).length > 0 ? await this.blobs.write(JSON.stringify(records)) : null);
+      }
+      return shardStates.get(hash);
+    };
+    /** @param {Object<string, any>} op */
+    const rewrite = async (op) => {
+      const result = { ...op };
+      if ((op.parents || []).some(/** @param {string} id */ id => removed.includes(id))) {
+        const parents = op.parents.map(/** @param {string} id */ id => (removed.includes(id) ? checkpoint?.id : id));
+        result.parents = [...new Set(parents)];
+      }
+      const view = await this.getView(op);
+      /** @type {Object<string, any>|null} */
+      let forgotten = null;
+      if (view.changeShards) {
+        const prefixes = new Set(forget.map(changeId => changeId.slice(0, 2)));
+        const changeShards = { ...view.changeShards };
+        let changed = false;
+        for (const prefix of Object.keys(changeShards).filter(prefix => prefixes.has(prefix))) {
+          const hash = await forgetInShard(changeShards[prefix]);
+          changed = changed || hash !== changeShards[prefix];
+          if (hash) {
+            changeShards[prefix] = hash;
+          } else {
+            delete changeShards[prefix];
+          }
+        }
+        if (changed) {
+          forgotten = { ...view, changeShards };
+        }
+      } else if (view.changes && forget.some(changeId => changeId in view.changes)) {
+        const changes = { ...view.changes };
+        forget.forEach(changeId => delete changes[changeId]);
+        forgotten = { ...view, changes };
+      }
+      if (forgotten && op.viewId) {
+        result.viewId = await this.writeView(forgotten);
+      } else if (forgotten) {
+        result.view = forgotten;
+      }
+      return result;
+    };
+    // An operation whose parents or view changed gets the ID of its new content, and
+    // keeps its old one as formerId so processes still based on it find it
+    /** @type {Object<string, string>} */
+    const renamed = {};
+    /** @param {string} id */
+    const renameOf = id => renamed[id] || id;
+    const kept = checkpoint ? [checkpoint] : this.operations.slice(0, replaced.length);
+    const rewritten = [];
+    for (const op of [...kept, ...this.operations.slice(replaced.length)]) {
+      const result = await rewrite(op);
+      if (result.parents) {
+        result.parents = result.parents.map(renameOf);
+      }
+      if (result.divergentChanges) {
+        result.divergentChanges = result.divergentChanges.map(/** @param {Object<string, any>} entry */ entry => ({
+          ...entry,
+          operations: entry.operations.map(renameOf),
+        }));
+      }
+      const newId = await generateOperationId(result);
+      if (newId !== await generateOperationId(op)) {
+        renamed[op.id] = newId;
+        rewritten.push({ ...result, id: newId, formerId: op.id });
+      } else {
+        rewritten.push(result);
+      }
+    }
+    this.operations = rewritten;
+    this.headOperationId = this.headOperationId && renameOf(this.headOperationId);
+    this.headIds = heads.map(renameOf);
+
+    // storage.write() renames a temp file into place, so readers see the old log or
+    // the new one. The caller holds the repository lock, which appends take too.
+    const content = this.operations.map(op => JSON.stringify(op, binaryReplacer)).join('\n') + '\n';
+    await this.storage.write('repo/op_log/oplog.jsonl', content);
+    await this._writeHeads(this.headIds);
+
+    return { checkpoint: checkpoint && this.operations[0], removed, renamed };
+  }
+
+  /**
+   * Replace the operation heads
+   *
+   * @private
+   * @param {string[]} ids - Head operation IDs
+   */
+  async _writeHeads(ids) {
+    for (const name of await this.storage.list('repo/op_log/heads')) {
+      if (!ids.includes(name)) {
+        await this.storage.remove(`repo/op_log/heads/${name}`);
+      }
+    }
+    for (const id of ids) {
+      await this.storage.write(`repo/op_log/heads/${id}`, '');
+    }
+  }
+
+  /**
+   * Collect an operation and all its ancestors
+   *
+   * @private
+   * @param {string} operationId - Operation ID
+   * @param {Map<string, any>} byId - Operations by ID
+   * @returns {Set<string>} IDs of the operation and its ancestors
+   */
+  _ancestors(operationId, byId) {
+    const seen = new Set();
+    const stack = [operationId];
+    while (stack.length > 0) {
+      const id = /** @type {string} */ (stack.pop());
+      if (seen.has(id)) {
+        continue;
+      }
+      seen.add(id);
+      const op = byId.get(id);
+      stack.push(...((op && op.parents) || []));
+    }
+    return seen;
+  }
+}
+
+/**
+ * Find the operations no other operation lists as a parent
+ *
+ * @param {Array<any>} operations - Operations in log order
+ * @returns {string[]} Head operation IDs, oldest first
+ */
+function findHeads(operations) {
+  const parents = new Set(operations.flatMap(op => op.parents || []));
+  return operations.map(op => op.id).filter(id => !parents.has(id));
 }
@@ -0,0 +1,198 @@
+/**
+ * RepositoryLock - Exclusive lock on a repository across processes
+ *
+ * The lock is a directory: creating a directory that already exists fails on every
+ * filesystem isomorphic-jj supports, Node's fs and LightningFS included, so whoever
+ * creates it holds the lock. The holder writes a random token and the time into
+ * `owner` inside it, and rewrites it every `heartbeat` milliseconds while it holds
+ * the lock. A lock whose owner file wasn't rewritten for `staleAfter` was left behind
+ * by a process that died, and is taken over. It is only removed if its token is still
+ * the one found stale, so a lock another process took over in the meantime stays.
+ */
+
+import { JJError } from '../utils/errors.js';
+import { generateId } from '../utils/id-generation.js';
+
+export class RepositoryLock {
+  /**
+   * @param {any} fs - Filesystem implementation (Node fs, LightningFS, etc.)
+   * @param {string} dir - Repository directory path
+   * @param {Object} [opts] - Options
+   * @param {number} [opts.timeout=10000] - Milliseconds to wait for the lock
+   * @param {number} [opts.staleAfter=60000] - Milliseconds without a heartbeat after which a held lock is
+   *   considered abandoned
+   * @param {number} [opts.heartbeat] - Milliseconds between heartbeats (defaults to a quarter of staleAfter)
+   */
+  constructor(fs, dir, opts = {}) {
+    this.fs = fs;
+    this.path = `${dir}/.jj/repo/lock`;
+    this.timeout = opts.timeout ?? 10000;
+    this.staleAfter = opts.staleAfter ?? 60000;
+    this.heartbeat = opts.heartbeat ?? this.staleAfter / 4;
+    this.held = false;
+    /** @type {string|null} */
+    this.token = null;
+    /** @type {ReturnType<typeof setInterval>|null} */
+    this.timer = null;
+  }
+
+  /**
+   * Wait for the lock and take it
+   *
+   * @throws {JJError} REPOSITORY_LOCKED if the lock is still held after the timeout
+   */
+  async acquire() {
+    const deadline = Date.now() + this.timeout;
+    let delay = 10;
+
+    for (;;) {
+      let created = false;
+      try {
+        await this.fs.promises.mkdir(this.path);
+        created = true;
+      } catch (/** @type {any} */ error) {
+        if (error.code !== 'EEXIST') {
+          throw new JJError('LOCK_FAILED', `Failed to lock repository: ${error.message}`, {
+            path: this.path,
+            originalError: error,
+          });
+        }
+      }
+      if (created) {
+        this.token = generateId('lock');
+        this.held = true;
+        await this._writeOwner();
+        this._startHeartbeat();
+        return;
+      }
+
+      const stale = await this._staleOwner();
+      if (stale) {
+        await this._remove(stale.token);
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new JJError('REPOSITORY_LOCKED', 'The repository is locked by another process', {
+          path: this.path,
+          suggestion: 'Wait for the other operation to finish, or delete .jj/repo/lock if no process holds it',
+        });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay = Math.min(delay * 2, 200);
+    }
+  }
+
+  /**
+   * Give the lock up
+   *
+   * A lock taken over by another process after this one stopped its heartbeat for
+   * too long is left to that process.
+   */
+  async release() {
+    if (!this.held) {
+      return;
+    }
+    this.held = false;
+    this._stopHeartbeat();
+    await this._remove(this.token);
+    this.token = null;
+  }
+
+  /**
+   * @private
+   */
+  async _writeOwner() {
+    await this.fs.promises.writeFile(`${this.path}/owner`, JSON.stringify({ token: this.token, time: Date.now() }), 'utf8');
+  }
+
+  /**
+   * @private
+   * @returns {Promise<{ token: string|null, time: number }|null>} Token and last heartbeat of the holder,
+   *   or null when the lock is gone. The token is null while the holder has yet to write it.
+   */
+  async _readOwner() {
+    try {
+      const owner = JSON.parse(String(await this.fs.promises.readFile(`${this.path}/owner`, 'utf8')));
+      return { token: owner.token, time: owner.time };
+    } catch (error) {
+      // No owner file yet: judge by when the lock was created
+      try {
+        const stats = await this.fs.promises.stat(this.path);
+        return { token: null, time: stats.mtimeMs ?? Number(stats.mtime) };
+      } catch (statError) {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<{ token: string|null, time: number }|null>} The holder when its last heartbeat is
+   *   older than staleAfter, or null
+   */
+  async _staleOwner() {
+    const owner = await this._readOwner();
+    return owner && Date.now() - owner.time > this.staleAfter ? owner : null;
+  }
+
+  /**
+   * @private
+   */
+  _startHeartbeat() {
+    this.timer = setInterval(() => {
+      this._writeOwner().catch(() => {
+        // The next heartbeat tries again; missing several lets the lock go stale
+      });
+    }, this.heartbeat);
+    // Node: a held lock doesn't keep the process alive
+    if (typeof this.timer === 'object' && this.timer && 'unref' in this.timer) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Remove the lock if its holder still has the given token
+   *
+   * @private
+   * @param {string|null} token - Token of the holder to remove the lock of
+   */
+  async _remove(token) {
+    const owner = await this._readOwner();
+    if (!owner || owner.token !== token) {
+      return;
+    }
+    try {
+      await this.fs.promises.unlink(`${this.path}/owner`);
+    } catch (/** @type {any} */ error) {
+      if (error.code !== 'ENOENT') {
+        throw new JJError('LOCK_FAILED', `Failed to unlock repository: ${error.message}`, {
+          path: this.path,
+          originalError: error,
+        });
+      }
+    }
+    try {
+      await this.fs.promises.rmdir(this.path);
+    } catch (/** @type {any} */ error) {
+      // ENOTEMPTY: the holder was alive after all and wrote its heartbeat again
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTEMPTY') {
+        throw new JJError('LOCK_FAILED', `Failed to unlock repository: ${error.message}`, {
+          path: this.path,
+          originalError: error,
+        });
+      }
+    }
+  }
+}
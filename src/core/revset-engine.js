@@ -1,10 +1,16 @@
 /**
  * RevsetEngine - Query language for finding changes
  * 
- * Implements a simplified revset language for querying the change graph.
+ * Evaluates revset expressions, parsed by utils/revset-parser.js, against the
+ * change graph. Children, authors and file paths are looked up in the graph's
+ * commit index rather than by scanning every change.
  */
 
 import { JJError } from '../utils/errors.js';
+import { parseRevset } from '../utils/revset-parser.js';
+import { compileStringPattern } from '../utils/string-pattern.js';
+import { compileRevsetAliases, expandRevsetAliases } from '../utils/revset-aliases.js';
+import { globToRegExp } from '../utils/path-pattern.js';
 
 export class RevsetEngine {
   /**
@@ -12,12 +18,14 @@ export class RevsetEngine {
    * @param {WorkingCopy} workingCopy - Working copy instance
    * @param {UserConfig} userConfig - User configuration instance (optional)
    * @param {BookmarkStore} bookmarkStore - Bookmark store instance (optional, v0.4)
+   * @param {import('./tag-store.js').TagStore|null} tagStore - Tag store instance (optional)
    */
-  constructor(graph, workingCopy, userConfig = null, bookmarkStore = null) {
+  constructor(graph, workingCopy, userConfig = null, bookmarkStore = null, tagStore = null) {
     this.graph = graph;
     this.workingCopy = workingCopy;
     this.userConfig = userConfig;
     this.bookmarkStore = bookmarkStore;
+    this.tagStore = tagStore;
   }
 
   /**
@@ -25,453 +33,594 @@ export class RevsetEngine {
    * 
    * @param {string} expression - Revset expression
    * @returns {Promise<Array<string>>} Array of matching change IDs
+   * @throws {JJError} INVALID_REVSET for syntax errors, unknown functions and symbols
+   * @throws {JJError} INVALID_REVSET_ALIAS for invalid or recursive revset aliases
    */
   async evaluate(expression) {
-    const trimmed = expression.trim();
-
-    // @ - working copy
-    if (trimmed === '@') {
-      return [this.workingCopy.getCurrentChangeId()];
-    }
-
-    // @- operator (parent of working copy) - handles chaining like @-- for grandparents
-    const atParentsMatch = trimmed.match(/^@(-+)$/);
-    if (atParentsMatch) {
-      const depth = atParentsMatch[1].length; // Count number of '-' characters
-      const workingCopyId = this.workingCopy.getCurrentChangeId();
+    return await this.evaluateNode(await this.expandAliases(parseRevset(expression)));
+  }
 
-      let currentSet = [workingCopyId];
-      for (let i = 0; i < depth; i++) {
-        currentSet = await this.getParentsOfSet(currentSet);
-        if (currentSet.length === 0) break; // Stop if we reach root
-      }
-      return currentSet;
+  /**
+   * Expand the user's revset-aliases in a parsed expression
+   *
+   * @param {Object<string, any>} node - AST node from parseRevset()
+   * @returns {Promise<Object<string, any>>} AST without alias references
+   */
+  async expandAliases(node) {
+    if (!this.userConfig) {
+      return node;
     }
 
-    // @+ operator (children of working copy)
-    const atChildrenMatch = trimmed.match(/^@(\++)$/);
-    if (atChildrenMatch) {
-      const depth = atChildrenMatch[1].length; // Count number of '+' characters
-      const workingCopyId = this.workingCopy.getCurrentChangeId();
-
-      let currentSet = [workingCopyId];
-      for (let i = 0; i < depth; i++) {
-        currentSet = await this.getChildrenOfSet(currentSet);
-        if (currentSet.length === 0) break; // Stop if we reach leaves
-      }
-      return currentSet;
+    await this.userConfig.load();
+    const aliases = this.userConfig.getRevsetAliases();
+    if (Object.keys(aliases).length === 0) {
+      return node;
     }
+    return expandRevsetAliases(node, compileRevsetAliases(aliases));
+  }
 
-    // all() - all changes
-    if (trimmed === 'all()') {
-      await this.graph.load();
-      return this.graph.getAll().map((c) => c.changeId);
-    }
+  /**
+   * Evaluate a parsed revset expression
+   *
+   * @param {Object<string, any>} node - AST node from parseRevset()
+   * @returns {Promise<Array<string>>} Array of matching change IDs
+   */
+  async evaluateNode(node) {
+    switch (node.type) {
+      case 'symbol':
+        return await this.resolveSymbol(node);
 
-    // v1.0: none() - empty set
-    if (trimmed === 'none()') {
-      return [];
-    }
+      case 'string':
+        return await this.resolveSymbol(node);
 
-    // v1.0: root() - the first commit (oldest commit with no parents)
-    if (trimmed === 'root()') {
-      await this.graph.load();
-      const allChanges = this.graph.getAll();
-      const rootCommits = allChanges.filter(c => !c.parents || c.parents.length === 0);
-      if (rootCommits.length === 0) return [];
-      // Return the oldest root by timestamp
-      const oldest = rootCommits.sort((a, b) =>
-        new Date(a.timestamp) - new Date(b.timestamp)
-      )[0];
-      return [oldest.changeId];
-    }
+      case 'function':
+        return await this.evaluateFunction(node);
 
-    // v1.0: visible_heads() - all commits with no children
-    if (trimmed === 'visible_heads()') {
-      await this.graph.load();
-      const allChanges = this.graph.getAll();
-      const changeIdSet = new Set(allChanges.map(c => c.changeId));
-      const hasChildren = new Set();
-
-      // Mark all commits that have children
-      for (const change of allChanges) {
-        if (change.parents) {
-          for (const parent of change.parents) {
-            if (changeIdSet.has(parent)) {
-              hasChildren.add(parent);
-            }
-          }
+      case 'union': {
+        const result = new Set(await this.evaluateNode(node.left));
+        for (const id of await this.evaluateNode(node.right)) {
+          result.add(id);
         }
+        return Array.from(result);
       }
 
-      // Return commits without children
-      return allChanges
-        .filter(c => !hasChildren.has(c.changeId))
-        .map(c => c.changeId);
-    }
-
-    // v1.0: git_refs() - all commits with bookmarks
-    if (trimmed === 'git_refs()') {
-      if (!this.bookmarkStore) return [];
-      await this.bookmarkStore.load();
-      const allBookmarks = await this.bookmarkStore.list();
-      return allBookmarks.map(b => b.changeId);
-    }
-
-    // v1.0: git_head() - current working copy (Git HEAD equivalent)
-    if (trimmed === 'git_head()') {
-      try {
-        const currentId = this.workingCopy.getCurrentChangeId();
-        return currentId ? [currentId] : [];
-      } catch (error) {
-        // Working copy not loaded, return empty set
-        return [];
+      case 'intersection': {
+        const right = new Set(await this.evaluateNode(node.right));
+        return (await this.evaluateNode(node.left)).filter(id => right.has(id));
       }
-    }
-
-    // ancestors(changeId) - all ancestors including the change itself
-    const ancestorsMatch = trimmed.match(/^ancestors\(([0-9a-f]{32})\)$/);
-    if (ancestorsMatch) {
-      const changeId = ancestorsMatch[1];
-      return await this.getAncestors(changeId);
-    }
 
-    // v0.2: author(name) - changes by author
-    const authorMatch = trimmed.match(/^author\((.+?)\)$/);
-    if (authorMatch) {
-      const authorName = authorMatch[1].replace(/['"]/g, '');
-      return await this.filterByAuthor(authorName);
-    }
+      case 'difference': {
+        const right = new Set(await this.evaluateNode(node.right));
+        return (await this.evaluateNode(node.left)).filter(id => !right.has(id));
+      }
 
-    // v0.2: description(text) - changes with description containing text
-    const descMatch = trimmed.match(/^description\((.+?)\)$/);
-    if (descMatch) {
-      const text = descMatch[1].replace(/['"]/g, '');
-      return await this.filterByDescription(text);
-    }
+      case 'not': {
+        const excluded = new Set(await this.evaluateNode(node.operand));
+        return (await this.getAllIds()).filter(id => !excluded.has(id));
+      }
 
-    // v0.2: empty() - changes with no content
-    if (trimmed === 'empty()') {
-      return await this.filterEmpty();
-    }
+      case 'parents':
+        return await this.getParentsOfSet(await this.evaluateNode(node.operand));
 
-    // v0.3.1: mine() - changes by current user
-    if (trimmed === 'mine()') {
-      return await this.filterMine();
-    }
+      case 'children':
+        return await this.getChildrenOfSet(await this.evaluateNode(node.operand));
 
-    // v0.3.1: merge() - merge commits (multiple parents)
-    if (trimmed === 'merge()') {
-      return await this.filterMerge();
-    }
+      case 'range':
+        return await this.evaluateRange(node);
 
-    // v0.3.1: file(pattern) - changes touching files matching pattern
-    const fileMatch = trimmed.match(/^file\((.+?)\)$/);
-    if (fileMatch) {
-      const pattern = fileMatch[1].replace(/['"]/g, '');
-      return await this.filterByFile(pattern);
+      default:
+        throw this.revsetError(`Unsupported revset node '${node.type}'`, node);
     }
+  }
 
-    // v0.4: roots(revset) - commits not descendants of others in set
-    const rootsMatch = trimmed.match(/^roots\((.+?)\)$/);
-    if (rootsMatch) {
-      const innerRevset = rootsMatch[1];
-      const innerResults = await this.evaluate(innerRevset);
-      return await this.filterRoots(innerResults);
+  /**
+   * Evaluate `x::y`, `x..y` and their open-ended forms
+   *
+   * `x::y` is descendants of x that are ancestors of y; `x..y` is ancestors of y that
+   * are not ancestors of x. A missing `x` means root(), a missing `y` means all heads.
+   *
+   * @param {Object<string, any>} node - Range node
+   * @returns {Promise<Array<string>>} Array of matching change IDs
+   */
+  async evaluateRange(node) {
+    const to = node.to
+      ? await this.getAncestorsOfSet(await this.evaluateNode(node.to))
+      : await this.getAllIds();
+
+    if (node.op === '::') {
+      if (!node.from) {
+        return to;
+      }
+      // Every change on a path from x to an ancestor of y is itself an ancestor of y
+      const toSet = new Set(to);
+      const descendants = new Set();
+      const queue = (await this.evaluateNode(node.from)).filter(id => toSet.has(id));
+      while (queue.length > 0) {
+        const current = /** @type {string} */ (queue.shift());
+        if (descendants.has(current)) {
+          continue;
+        }
+        descendants.add(current);
+        queue.push(...this.graph.getChildren(current).filter(child => toSet.has(child)));
+      }
+      return to.filter(id => descendants.has(id));
     }
 
-    // v0.4: heads(revset) - commits not ancestors of others in set
-    const headsMatch = trimmed.match(/^heads\((.+?)\)$/);
-    if (headsMatch) {
-      const innerRevset = headsMatch[1];
-      const innerResults = await this.evaluate(innerRevset);
-      return await this.filterHeads(innerResults);
-    }
+    const excluded = new Set(
+      node.from
+        ? await this.getAncestorsOfSet(await this.evaluateNode(node.from))
+        : await this.evaluateFunction({ type: 'function', name: 'root', args: [], column: node.column })
+    );
+    return to.filter(id => !excluded.has(id));
+  }
 
-    // v1.0: parents(revset) - direct parents of commits in set
-    const parentsMatch = trimmed.match(/^parents\((.+?)\)$/);
-    if (parentsMatch) {
-      const innerRevset = parentsMatch[1];
-      const innerResults = await this.evaluate(innerRevset);
-      return await this.getParentsOfSet(innerResults);
-    }
+  /**
+   * Resolve a revision name: `@`, a change ID, a local or remote bookmark, or a
+   * unique change/commit ID prefix
+   *
+   * A full-length change ID that does not exist resolves to the empty set.
+   *
+   * @param {Object<string, any>} node - Symbol or string node
+   * @returns {Promise<Array<string>>} Single-element array with the change ID, or empty
+   */
+  async resolveSymbol(node) {
+    const name = node.value;
 
-    // v1.0: children(revset) - direct children of commits in set
-    const childrenMatch = trimmed.match(/^children\((.+?)\)$/);
-    if (childrenMatch) {
-      const innerRevset = childrenMatch[1];
-      const innerResults = await this.evaluate(innerRevset);
-      return await this.getChildrenOfSet(innerResults);
+    if (name === '@') {
+      return [this.workingCopy.getCurrentChangeId()];
     }
 
-    // v0.4: latest(revset, [count]) - latest N commits by committer timestamp
-    const latestMatch = trimmed.match(/^latest\((.+?)(?:,\s*(\d+))?\)$/);
-    if (latestMatch) {
-      const innerRevset = latestMatch[1];
-      const count = latestMatch[2] ? parseInt(latestMatch[2], 10) : 1;
-      const innerResults = await this.evaluate(innerRevset);
-      return await this.filterLatest(innerResults, count);
-    }
+    await this.graph.load();
 
-    // v0.4: tags([pattern]) - tag targets
-    const tagsMatch = trimmed.match(/^tags\((?:(.+?))?\)$/);
-    if (tagsMatch || trimmed === 'tags()') {
-      const pattern = tagsMatch ? tagsMatch[1]?.replace(/['"]/g, '') : undefined;
-      return await this.filterTags(pattern);
+    if (/^[0-9a-f]{32}$/.test(name)) {
+      const change = await this.graph.getChange(name);
+      return change ? [name] : [];
     }
 
-    // v1.0: bookmark(name) - single bookmark by exact name
-    const bookmarkMatch = trimmed.match(/^bookmark\((.+?)\)$/);
-    if (bookmarkMatch) {
-      const name = bookmarkMatch[1].replace(/['"]/g, '');
-      if (!this.bookmarkStore) return [];
+    if (this.bookmarkStore) {
       await this.bookmarkStore.load();
-      const target = await this.bookmarkStore.get(name);
-      return target ? [target] : [];
-    }
-
-    // v0.4: bookmarks([pattern]) - bookmark targets
-    const bookmarksMatch = trimmed.match(/^bookmarks\((?:(.+?))?\)$/);
-    if (bookmarksMatch || trimmed === 'bookmarks()') {
-      const pattern = bookmarksMatch ? bookmarksMatch[1]?.replace(/['"]/g, '') : undefined;
-      return await this.filterBookmarks(pattern);
-    }
-
-    // v0.5: last(N) - last N commits
-    // v0.5: last(Nd) - commits in last N days
-    // v0.5: last(Nh) - commits in last N hours
-    const lastMatch = trimmed.match(/^last\((\d+)([dh])?\)$/);
-    if (lastMatch) {
-      const value = parseInt(lastMatch[1], 10);
-      const unit = lastMatch[2]; // 'd', 'h', or undefined
-
-      if (unit) {
-        // Time-based: last(Nd) or last(Nh)
-        return await this.filterByTimeRange(value, unit);
-      } else {
-        // Count-based: last(N)
-        return await this.filterLast(value);
+      const at = name.lastIndexOf('@');
+      const target = at > 0
+        ? await this.bookmarkStore.getRemote(name.slice(at + 1), name.slice(0, at))
+        : await this.bookmarkStore.get(name);
+      if (target) {
+        return [target];
       }
     }
 
-    // v0.5: since(date) - commits since date
-    const sinceMatch = trimmed.match(/^since\(([0-9-]+)\)$/);
-    if (sinceMatch) {
-      const date = sinceMatch[1];
-      return await this.filterSince(date);
+    if (/^[0-9a-f]+$/.test(name)) {
+      const matches = this.graph.getAll().filter(c =>
+        c.changeId.startsWith(name) || (c.commitId && c.commitId.startsWith(name))
+      );
+      if (matches.length === 1) {
+        return [matches[0].changeId];
+      }
+      if (matches.length > 1) {
+        throw this.revsetError(`Change ID prefix "${name}" is ambiguous`, node, {
+          suggestion: 'Use more characters of the change ID',
+        });
+      }
     }
 
-    // v0.5: between(start, end) - commits between dates
-    const betweenMatch = trimmed.match(/^between\(([0-9-]+),\s*([0-9-]+)\)$/);
-    if (betweenMatch) {
-      const startDate = betweenMatch[1];
-      const endDate = betweenMatch[2];
-      return await this.filterBetween(startDate, endDate);
-    }
+    throw this.revsetError(`Revision "${name}" doesn't exist`, node, {
+      suggestion: 'Use @, a change ID, a bookmark name, or a function such as all()',
+    });
+  }
 
-    // v0.5: descendants(changeId[, depth]) - all descendants
-    const descendantsMatch = trimmed.match(/^descendants\(([0-9a-f]{32})(?:,\s*(\d+))?\)$/);
-    if (descendantsMatch) {
-      const changeId = descendantsMatch[1];
-      const depth = descendantsMatch[2] ? parseInt(descendantsMatch[2], 10) : undefined;
-      return await this.getDescendants(changeId, depth);
-    }
+  /**
+   * Evaluate a revset function call
+   *
+   * @param {Object<string, any>} node - Function node
+   * @returns {Promise<Array<string>>} Array of matching change IDs
+   */
+  async evaluateFunction(node) {
+    const args = node.args;
+
+    switch (node.name) {
+      // all() - all changes
+      case 'all':
+        this.expectArgs(node, 0);
+        return await this.getAllIds();
+
+      // v1.0: none() - empty set
+      case 'none':
+        this.expectArgs(node, 0);
+        return [];
 
-    // v0.5: common_ancestor(rev1, rev2) - common ancestor
-    const commonAncestorMatch = trimmed.match(/^common_ancestor\(([0-9a-f]{32}),\s*([0-9a-f]{32})\)$/);
-    if (commonAncestorMatch) {
-      const rev1 = commonAncestorMatch[1];
-      const rev2 = commonAncestorMatch[2];
-      return await this.findCommonAncestor(rev1, rev2);
-    }
+      // v1.0: root() - the first commit (oldest commit with no parents)
+      case 'root': {
+        this.expectArgs(node, 0);
+        await this.graph.load();
+        const rootCommits = this.graph.getAll().filter(c => !c.parents || c.parents.length === 0);
+        if (rootCommits.length === 0) return [];
+        // Return the oldest root by timestamp
+        const oldest = rootCommits.sort((a, b) =>
+          new Date(a.timestamp) - new Date(b.timestamp)
+        )[0];
+        return [oldest.changeId];
+      }
 
-    // v0.5: range(base..tip) - commits in range
-    const rangeMatch = trimmed.match(/^range\(([0-9a-f]{32})\.\.([0-9a-f]{32})\)$/);
-    if (rangeMatch) {
-      const base = rangeMatch[1];
-      const tip = rangeMatch[2];
-      return await this.getRange(base, tip);
-    }
+      // v1.0: visible_heads() - all commits with no children
+      case 'visible_heads': {
+        this.expectArgs(node, 0);
+        await this.graph.load();
+        const allChanges = this.graph.getAll();
+        const changeIdSet = new Set(allChanges.map(c => c.changeId));
+        const hasChildren = new Set();
+
+        // Mark all commits that have children
+        for (const change of allChanges) {
+          for (const parent of change.parents || []) {
+            if (changeIdSet.has(parent)) {
+              hasChildren.add(parent);
+            }
+          }
+        }
 
-    // v0.5: diverge_point(rev1, rev2) - divergence point
-    const divergeMatch = trimmed.match(/^diverge_point\(([0-9a-f]{32}),\s*([0-9a-f]{32})\)$/);
-    if (divergeMatch) {
-      const rev1 = divergeMatch[1];
-      const rev2 = divergeMatch[2];
-      return await this.findDivergePoint(rev1, rev2);
-    }
+        // Return commits without children
+        return allChanges
+          .filter(c => !hasChildren.has(c.changeId))
+          .map(c => c.changeId);
+      }
 
-    // v0.5: connected(rev1, rev2) - check if path exists
-    const connectedMatch = trimmed.match(/^connected\(([0-9a-f]{32}),\s*([0-9a-f]{32})\)$/);
-    if (connectedMatch) {
-      const rev1 = connectedMatch[1];
-      const rev2 = connectedMatch[2];
-      return await this.checkConnected(rev1, rev2);
-    }
+      // v1.0: git_refs() - all commits with bookmarks
+      case 'git_refs': {
+        this.expectArgs(node, 0);
+        if (!this.bookmarkStore) return [];
+        await this.bookmarkStore.load();
+        const allBookmarks = await this.bookmarkStore.list();
+        return allBookmarks.map(b => b.changeId);
+      }
 
-    // v1.0: x- operator (parents) - handles chaining like x-- for grandparents
-    const parentsOpMatch = trimmed.match(/^([0-9a-f]{32})(-+)$/);
-    if (parentsOpMatch) {
-      const baseChangeId = parentsOpMatch[1];
-      const depth = parentsOpMatch[2].length; // Count number of '-' characters
+      // v1.0: git_head() - current working copy (Git HEAD equivalent)
+      case 'git_head':
+        this.expectArgs(node, 0);
+        try {
+          const currentId = this.workingCopy.getCurrentChangeId();
+          return currentId ? [currentId] : [];
+        } catch (error) {
+          // Working copy not loaded, return empty set
+          return [];
+        }
 
-      let currentSet = [baseChangeId];
-      for (let i = 0; i < depth; i++) {
-        currentSet = await this.getParentsOfSet(currentSet);
-        if (currentSet.length === 0) break; // Stop if we reach root
+      // ancestors(revset) - all ancestors including the changes themselves
+      case 'ancestors':
+        this.expectArgs(node, 1);
+        return await this.getAncestorsOfSet(await this.evaluateNode(args[0]));
+
+      // reachable(revset) - all changes reachable from the given heads
+      case 'reachable':
+        this.expectArgs(node, 1);
+        return await this.getAncestorsOfSet(await this.evaluateNode(args[0]));
+
+      // v0.5: descendants(revset[, depth]) - all descendants, excluding the changes themselves
+      case 'descendants': {
+        this.expectArgs(node, 1, 2);
+        const depth = args[1] ? this.numberArg(args[1]) : undefined;
+        const result = new Set();
+        for (const id of await this.evaluateNode(args[0])) {
+          for (const descendant of await this.getDescendants(id, depth)) {
+            result.add(descendant);
+          }
+        }
+        return Array.from(result);
       }
-      return currentSet;
-    }
 
-    // v1.0: x+ operator (children) - handles chaining like x++ for grandchildren
-    const childrenOpMatch = trimmed.match(/^([0-9a-f]{32})(\++)$/);
-    if (childrenOpMatch) {
-      const baseChangeId = childrenOpMatch[1];
-      const depth = childrenOpMatch[2].length; // Count number of '+' characters
-
-      let currentSet = [baseChangeId];
-      for (let i = 0; i < depth; i++) {
-        currentSet = await this.getChildrenOfSet(currentSet);
-        if (currentSet.length === 0) break; // Stop if we reach leaves
+      // v0.2: author(name) - changes by author
+      case 'author':
+        this.expectArgs(node, 1);
+        return await this.filterByAuthor(this.patternArg(args[0], 'substring'));
+
+      // v0.2: description(text) - changes with description containing text
+      case 'description':
+        this.expectArgs(node, 1);
+        return await this.filterByDescription(this.patternArg(args[0], 'substring'));
+
+      // v0.2: empty() - changes with no content
+      case 'empty':
+        this.expectArgs(node, 0);
+        return await this.filterEmpty();
+
+      // v0.3.1: mine() - changes by current user
+      case 'mine':
+        this.expectArgs(node, 0);
+        return await this.filterMine();
+
+      // v0.3.1: merge() - merge commits (multiple parents)
+      case 'merge':
+        this.expectArgs(node, 0);
+        return await this.filterMerge();
+
+      // v0.3.1: file(pattern) - changes touching files matching pattern
+      case 'file':
+        this.expectArgs(node, 1);
+        return await this.filterByFile(this.filePatternArg(args[0]));
+
+      // conflicted() - changes with conflicts
+      case 'conflicted': {
+        this.expectArgs(node, 0);
+        await this.graph.load();
+        return this.graph.getAll()
+          .filter(c => c.conflicts && Object.keys(c.conflicts).length > 0)
+          .map(c => c.changeId);
       }
-      return currentSet;
-    }
 
-    // Range operator (..) - all changes from base to tip
-    // Format: base..tip means ancestors(tip) ~ ancestors(base)
-    if (trimmed.includes('..')) {
-      const parts = trimmed.split('..');
-      if (parts.length === 2) {
-        const base = parts[0].trim();
-        const tip = parts[1].trim();
-
-        // Get ancestors of tip
-        const baseChange = await this.graph.getChange(base);
-        const tipChange = await this.graph.getChange(tip);
-
-        if (!baseChange || !tipChange) {
-          throw new JJError('INVALID_REVSET', `Invalid range: ${trimmed}`, {
-            suggestion: 'Both base and tip must be valid change IDs',
-          });
-        }
+      // divergent() - changes edited differently by concurrent operations
+      case 'divergent': {
+        this.expectArgs(node, 0);
+        await this.graph.load();
+        return this.graph.getAll()
+          .filter(c => c.divergent)
+          .map(c => c.changeId);
+      }
 
-        // ancestors(tip) ~ ancestors(base) gives us all changes from base to tip
-        const tipAncestors = new Set(await this.getAncestors(tip));
-        const baseAncestors = new Set(await this.getAncestors(base));
+      // tracked() - changes with tracked files (all changes with files)
+      // untracked() - changes with no tracked files (empty changes)
+      case 'tracked':
+      case 'untracked': {
+        this.expectArgs(node, 0);
+        await this.graph.load();
+        const withFiles = new Set(this.graph.findByFile(() => true));
+        return this.graph.getAll()
+          .filter(c => withFiles.has(c.changeId) === (node.name === 'tracked'))
+          .map(c => c.changeId);
+      }
 
-        // Remove base's ancestors from tip's ancestors
-        const rangeChanges = [...tipAncestors].filter(id => !baseAncestors.has(id));
+      // v0.4: roots(revset) - commits not descendants of others in set
+      case 'roots':
+        this.expectArgs(node, 1);
+        return await this.filterRoots(await this.evaluateNode(args[0]));
+
+      // v0.4: heads(revset) - commits not ancestors of others in set
+      case 'heads':
+        this.expectArgs(node, 1);
+        return await this.filterHeads(await this.evaluateNode(args[0]));
+
+      // v1.0: parents(revset) - direct parents of commits in set
+      case 'parents':
+        this.expectArgs(node, 1);
+        return await this.getParentsOfSet(await this.evaluateNode(args[0]));
+
+      // v1.0: children(revset) - direct children of commits in set
+      case 'children':
+        this.expectArgs(node, 1);
+        return await this.getChildrenOfSet(await this.evaluateNode(args[0]));
+
+      // v0.4: latest(revset, [count]) - latest N commits by committer timestamp
+      case 'latest': {
+        this.expectArgs(node, 1, 2);
+        const count = args[1] ? this.numberArg(args[1]) : 1;
+        return await this.filterLatest(await this.evaluateNode(args[0]), count);
+      }
 
-        return rangeChanges;
+      // v0.4: tags([pattern]) - tag targets
+      case 'tags':
+        this.expectArgs(node, 0, 1);
+        return await this.filterTags(args[0] ? this.patternArg(args[0], 'glob') : undefined);
+
+      // v1.0: bookmark(name) - single bookmark by exact name
+      case 'bookmark': {
+        this.expectArgs(node, 1);
+        if (!this.bookmarkStore) return [];
+        await this.bookmarkStore.load();
+        const target = await this.bookmarkStore.get(this.stringArg(args[0]));
+        return target ? [target] : [];
       }
-    }
 
-    // conflicted() - changes with conflicts
-    if (trimmed === 'conflicted()') {
-      await this.graph.load();
-      const all = this.graph.getAll();
-      return all
-        .filter(c => c.conflicts && Object.keys(c.conflicts).length > 0)
-        .map(c => c.changeId);
-    }
+      // v0.4: bookmarks([pattern]) - bookmark targets
+      case 'bookmarks':
+        this.expectArgs(node, 0, 1);
+        return await this.filterBookmarks(args[0] ? this.patternArg(args[0], 'glob') : undefined);
+
+      // remote_branches([pattern]) - remote branch targets
+      case 'remote_branches':
+        this.expectArgs(node, 0, 1);
+        return await this.filterRemoteBranches(args[0] ? this.patternArg(args[0], 'glob') : undefined);
+
+      // v0.5: last(N) - last N commits; last(Nd) / last(Nh) - commits in last N days/hours
+      case 'last': {
+        this.expectArgs(node, 1);
+        const match = this.stringArg(args[0]).match(/^(\d+)([dh])?$/);
+        if (!match) {
+          throw this.revsetError('last() expects a count, or a number of days (7d) or hours (24h)', args[0]);
+        }
+        const value = parseInt(match[1], 10);
+        return match[2] ? await this.filterByTimeRange(value, match[2]) : await this.filterLast(value);
+      }
 
-    // reachable(heads) - all changes reachable from heads
-    // Use a more careful regex that handles nested expressions
-    if (trimmed.startsWith('reachable(')) {
-      const innerStart = 'reachable('.length;
-      let parenCount = 1;
-      let endIndex = innerStart;
-
-      // Find the matching closing parenthesis
-      while (endIndex < trimmed.length && parenCount > 0) {
-        if (trimmed[endIndex] === '(') parenCount++;
-        if (trimmed[endIndex] === ')') parenCount--;
-        endIndex++;
+      // v0.5: since(date) - commits since date
+      case 'since':
+        this.expectArgs(node, 1);
+        return await this.filterSince(this.stringArg(args[0]));
+
+      // v0.5: between(start, end) - commits between dates
+      case 'between':
+        this.expectArgs(node, 2);
+        return await this.filterBetween(this.stringArg(args[0]), this.stringArg(args[1]));
+
+      // v0.5: common_ancestor(a, b) / diverge_point(a, b) - latest common ancestors
+      case 'common_ancestor':
+      case 'diverge_point': {
+        this.expectArgs(node, 2);
+        const second = new Set(await this.getAncestorsOfSet(await this.evaluateNode(args[1])));
+        const common = (await this.getAncestorsOfSet(await this.evaluateNode(args[0])))
+          .filter(id => second.has(id));
+        return await this.filterHeads(common);
       }
 
-      // Check if this is a complete reachable() expression (not part of a larger expression)
-      if (parenCount === 0 && endIndex === trimmed.length) {
-        const headsExpr = trimmed.substring(innerStart, endIndex - 1).trim();
-        const heads = await this.evaluate(headsExpr);
-
-        // Get all ancestors of all heads
-        const reachable = new Set();
-        for (const headId of heads) {
-          const ancestors = await this.getAncestors(headId);
-          for (const ancestorId of ancestors) {
-            reachable.add(ancestorId);
-          }
+      // v0.5: range(base..tip) or range(base, tip) - commits in range
+      case 'range':
+        this.expectArgs(node, 1, 2);
+        if (args.length === 1) {
+          return await this.evaluateNode(args[0]);
         }
-
-        return Array.from(reachable);
+        return await this.evaluateRange({ type: 'range', op: '..', from: args[0], to: args[1], column: node.column });
+
+      // v0.5: connected(set) - set plus the changes between its members;
+      // connected(a, b) - [true] if one is an ancestor of the other
+      case 'connected': {
+        this.expectArgs(node, 1, 2);
+        if (args.length === 1) {
+          return await this.evaluateRange({ type: 'range', op: '::', from: args[0], to: args[0], column: node.column });
+        }
+        const [first] = await this.evaluateNode(args[0]);
+        const [second] = await this.evaluateNode(args[1]);
+        if (!first || !second) {
+          return [false];
+        }
+        return await this.checkConnected(first, second);
       }
-    }
 
-    // tracked() - changes with tracked files (all changes with files)
-    if (trimmed === 'tracked()') {
-      await this.graph.load();
-      const all = this.graph.getAll();
-      return all
-        .filter(c => c.fileSnapshot && Object.keys(c.fileSnapshot).length > 0)
-        .map(c => c.changeId);
+      default:
+        throw this.revsetError(`Unknown revset function "${node.name}"`, node, {
+          suggestion: 'Use @, @-, @+, bookmark(name), all(), none(), root(), visible_heads(), git_refs(), git_head(), ancestors(revset), author(name), description(text), empty(), mine(), merge(), file(pattern), roots(revset), heads(revset), parents(revset), children(revset), latest(revset, [count]), tags([pattern]), bookmarks([pattern]), last(N[dh]), since(date), between(start, end), descendants(revset[, depth]), common_ancestor(a, b), range(base..tip), diverge_point(a, b), connected(revset), operators (x-, x+, x::y, x..y), set operations (& | ~), or a change ID',
+        });
     }
+  }
 
-    // untracked() - changes with no tracked files (empty changes)
-    if (trimmed === 'untracked()') {
-      await this.graph.load();
-      const all = this.graph.getAll();
-      return all
-        .filter(c => !c.fileSnapshot || Object.keys(c.fileSnapshot).length === 0)
-        .map(c => c.changeId);
+  /**
+   * Check the number of arguments passed to a revset function
+   *
+   * @param {Object<string, any>} node - Function node
+   * @param {number} min - Minimum argument count
+   * @param {number} [max=min] - Maximum argument count
+   * @throws {JJError} INVALID_REVSET when the count is out of range
+   */
+  expectArgs(node, min, max = min) {
+    const count = node.args.length;
+    if (count < min || count > max) {
+      const expected = min === max ? `${min}` : `${min} to ${max}`;
+      throw this.revsetError(
+        `Function "${node.name}" expects ${expected} argument${max === 1 ? '' : 's'}, got ${count}`,
+        node
+      );
     }
+  }
 
-    // remote_branches([pattern]) - remote branch targets
-    const remoteBranchesMatch = trimmed.match(/^remote_branches\((?:"([^"]+)")?\)$/);
-    if (remoteBranchesMatch || trimmed === 'remote_branches()') {
-      if (!this.bookmarkStore) return [];
-
-      await this.bookmarkStore.load();
-      const allBookmarks = await this.bookmarkStore.list();
+  /**
+   * Read a function argument written as a name or a quoted string
+   *
+   * @param {Object<string, any>} node - Argument node
+   * @returns {string} Argument text
+   * @throws {JJError} INVALID_REVSET when the argument is an expression
+   */
+  stringArg(node) {
+    if (node.type !== 'symbol' && node.type !== 'string') {
+      throw this.revsetError('Expected a name or quoted string', node);
+    }
+    return node.value;
+  }
 
-      // Filter for remote branches (bookmarks with '/' in the name)
-      let remoteBookmarks = allBookmarks.filter(bookmark => bookmark.name.includes('/'));
+  /**
+   * Read a string pattern argument such as `exact:main` or `glob-i:"feat*"`
+   *
+   * @param {Object<string, any>} node - Argument node
+   * @param {string} defaultKind - Pattern kind for arguments without a `kind:` prefix
+   * @returns {(text: string) => boolean} Predicate for the pattern
+   * @throws {JJError} INVALID_REVSET for unknown pattern kinds and invalid regexes
+   */
+  patternArg(node, defaultKind) {
+    const kind = node.type === 'pattern' ? node.kind : defaultKind;
+    const value = node.type === 'pattern' ? node.value : this.stringArg(node);
+    try {
+      return compileStringPattern(value, kind);
+    } catch (error) {
+      throw this.revsetError(error.message, node, { suggestion: error.context.suggestion });
+    }
+  }
 
-      // If pattern provided, filter by pattern
-      if (remoteBranchesMatch && remoteBranchesMatch[1]) {
-        const pattern = remoteBranchesMatch[1];
-        const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-        remoteBookmarks = remoteBookmarks.filter(bookmark => regex.test(bookmark.name));
+  /**
+   * Read a fileset argument: a bare path pattern, `glob:`, `glob-i:` or `root:`
+   *
+   * @param {Object<string, any>} node - Argument node
+   * @returns {string|((path: string) => boolean)} Bare pattern, or a predicate for prefixed ones
+   * @throws {JJError} INVALID_REVSET for other pattern kinds
+   */
+  filePatternArg(node) {
+    if (node.type !== 'pattern') {
+      return this.stringArg(node);
+    }
+    switch (node.kind) {
+      case 'glob':
+      case 'glob-i': {
+        const regex = new RegExp(globToRegExp(node.value).source, node.kind === 'glob-i' ? 'i' : '');
+        return (path) => regex.test(path);
       }
-
-      // Get target change IDs
-      const targets = new Set();
-      for (const bookmark of remoteBookmarks) {
-        if (bookmark.changeId) {
-          targets.add(bookmark.changeId);
-        }
+      case 'root': {
+        // A literal path from the repo root: the file itself or anything below it
+        const root = node.value.replace(/^\.?\/+|\/+$/g, '');
+        return (path) => root === '' || root === '.' || path === root || path.startsWith(`${root}/`);
       }
-
-      return Array.from(targets);
-    }
-
-    // v0.5: Set operations - intersection (&), union (|), difference (~)
-    if (trimmed.includes(' & ') || trimmed.includes(' | ') || trimmed.includes(' ~ ')) {
-      return await this.evaluateSetOperation(trimmed);
+      default:
+        throw this.revsetError(`Unknown file pattern kind "${node.kind}"`, node, {
+          suggestion: 'Use glob:, glob-i: or root:',
+        });
     }
+  }
 
-    // Direct changeId
-    if (/^[0-9a-f]{32}$/.test(trimmed)) {
-      await this.graph.load();
-      const change = await this.graph.getChange(trimmed);
-      return change ? [trimmed] : [];
+  /**
+   * Read a non-negative integer function argument
+   *
+   * @param {Object<string, any>} node - Argument node
+   * @returns {number} Argument value
+   * @throws {JJError} INVALID_REVSET when the argument is not a number
+   */
+  numberArg(node) {
+    const text = this.stringArg(node);
+    if (!/^\d+$/.test(text)) {
+      throw this.revsetError(`Expected a number, got "${text}"`, node);
     }
+    return parseInt(text, 10);
+  }
 
-    throw new JJError('INVALID_REVSET', `Invalid revset expression: ${expression}`, {
-      expression,
-      suggestion: 'Use @, @-, @+, bookmark(name), all(), none(), root(), visible_heads(), git_refs(), git_head(), ancestors(changeId), author(name), description(text), empty(), mine(), merge(), file(pattern), roots(revset), heads(revset), parents(revset), children(revset), latest(revset, [count]), tags([pattern]), bookmarks([pattern]), last(N[dh]), since(date), between(start, end), descendants(rev[, depth]), common_ancestor(rev1, rev2), range(base..tip), diverge_point(rev1, rev2), connected(rev1, rev2), operators (x-, x+), set operations (& | ~), or a direct change ID',
+  /**
+   * Build an INVALID_REVSET error pointing at an AST node
+   *
+   * @param {string} message - Error description
+   * @param {Object<string, any>} node - Offending node
+   * @param {Object} [context={}] - Extra error context
+   * @returns {JJError}
+   */
+  revsetError(message, node, context = {}) {
+    return new JJError('INVALID_REVSET', `${message} at column ${node.column}`, {
+      column: node.column,
+      ...context,
     });
   }
 
+  /**
+   * Get the IDs of all changes
+   *
+   * @returns {Promise<Array<string>>} Array of change IDs
+   */
+  async getAllIds() {
+    await this.graph.load();
+    return this.graph.getAll().map((c) => c.changeId);
+  }
+
+  /**
+   * Get all ancestors of a set of changes (including the changes themselves)
+   *
+   * @param {Array<string>} changeIds - Array of change IDs
+   * @returns {Promise<Array<string>>} Array of ancestor change IDs (deduplicated)
+   */
+  async getAncestorsOfSet(changeIds) {
+    await this.graph.load();
+
+    // One walk for the whole set, so shared history is visited once
+    const result = new Set();
+    const queue = [...changeIds];
+    while (queue.length > 0) {
+      const current = /** @type {string} */ (queue.shift());
+      if (result.has(current)) {
+        continue;
+      }
+      result.add(current);
+      queue.push(...this.graph.getParents(current));
+    }
+    return Array.from(result);
+  }
+
   /**
    * Get all ancestors of a change (including the change itself)
    * 
@@ -505,32 +654,31 @@ export class RevsetEngine {
   }
 
   /**
-   * Filter changes by author name (v0.2)
+   * Filter changes by author name or email (v0.2)
    * 
-   * @param {string} authorName - Author name to match
+   * @param {string|((text: string) => boolean)} pattern - Substring, or a compiled string pattern
    * @returns {Promise<Array<string>>} Array of matching change IDs
    */
-  async filterByAuthor(authorName) {
+  async filterByAuthor(pattern) {
     await this.graph.load();
-    const all = this.graph.getAll();
-    
-    return all
-      .filter((c) => c.author && c.author.name.includes(authorName))
-      .map((c) => c.changeId);
+    const matches = toMatcher(pattern, 'substring');
+
+    return this.graph.findByAuthor((author) => matches(author.name) || matches(author.email));
   }
 
   /**
    * Filter changes by description text (v0.2)
    * 
-   * @param {string} text - Text to search for in description
+   * @param {string|((text: string) => boolean)} pattern - Substring, or a compiled string pattern
    * @returns {Promise<Array<string>>} Array of matching change IDs
    */
-  async filterByDescription(text) {
+  async filterByDescription(pattern) {
     await this.graph.load();
     const all = this.graph.getAll();
+    const matches = toMatcher(pattern, 'substring');
     
     return all
-      .filter((c) => c.description && c.description.includes(text))
+      .filter((c) => c.description && matches(c.description))
       .map((c) => c.changeId);
   }
 
@@ -556,21 +704,17 @@ export class RevsetEngine {
    */
   async filterMine() {
     await this.graph.load();
-    const all = this.graph.getAll();
 
     if (!this.userConfig) {
       // If no userConfig, return all changes
-      return all.map((c) => c.changeId);
+      return this.graph.getAll().map((c) => c.changeId);
     }
 
     await this.userConfig.load();
     const currentUser = this.userConfig.getUser();
 
-    return all
-      .filter((c) => c.author &&
-        (c.author.email === currentUser.email ||
-         c.author.name === currentUser.name))
-      .map((c) => c.changeId);
+    return this.graph.findByAuthor((author) =>
+      author.email === currentUser.email || author.name === currentUser.name);
   }
 
   /**
@@ -590,30 +734,19 @@ export class RevsetEngine {
   /**
    * Filter changes touching files matching pattern (v0.3.1)
    *
-   * @param {string} pattern - File pattern (glob-style)
+   * @param {string|((path: string) => boolean)} pattern - Bare file pattern (exact, substring
+   *   or glob), or a predicate from a `glob:`/`root:` fileset pattern
    * @returns {Promise<Array<string>>} Array of change IDs
    */
   async filterByFile(pattern) {
     await this.graph.load();
-    const all = this.graph.getAll();
 
-    // Simple pattern matching for now (exact match or contains)
-    const results = [];
-    for (const change of all) {
-      if (change.fileSnapshot) {
-        const files = Object.keys(change.fileSnapshot);
-        const matches = files.some(file =>
-          file === pattern ||
-          file.includes(pattern) ||
-          this.globMatch(file, pattern)
-        );
-        if (matches) {
-          results.push(change.changeId);
-        }
-      }
-    }
+    // Bare patterns match exactly, by substring or as a simple glob
+    const matchesFile = typeof pattern === 'function'
+      ? pattern
+      : (/** @type {string} */ file) => file === pattern || file.includes(pattern) || this.globMatch(file, pattern);
 
-    return results;
+    return this.graph.findByFile(matchesFile);
   }
 
   /**
@@ -713,21 +846,23 @@ export class RevsetEngine {
   /**
    * Filter tags matching pattern (v0.4)
    *
-   * @param {string} [pattern] - Optional tag name pattern
+   * @param {string|((text: string) => boolean)} [pattern] - Optional glob, or a compiled string pattern
    * @returns {Promise<Array<string>>} Change IDs pointed to by matching tags
    */
   async filterTags(pattern) {
-    await this.graph.load();
+    if (!this.tagStore) {
+      return [];
+    }
 
-    // For now, return empty array since we don't have tag support yet
-    // TODO: Implement when tag storage is added
-    return [];
+    const matches = pattern ? toMatcher(pattern, 'glob') : () => true;
+    const tags = await this.tagStore.list();
+    return [...new Set(tags.filter(tag => matches(tag.name)).map(tag => tag.changeId))];
   }
 
   /**
    * Filter bookmarks matching pattern (v0.4)
    *
-   * @param {string} [pattern] - Optional bookmark name pattern (glob-style)
+   * @param {string|((text: string) => boolean)} [pattern] - Optional glob, or a compiled string pattern
    * @returns {Promise<Array<string>>} Change IDs pointed to by matching bookmarks
    */
   async filterBookmarks(pattern) {
@@ -736,6 +871,7 @@ export class RevsetEngine {
       return [];
     }
 
+    const matches = pattern ? toMatcher(pattern, 'glob') : () => true;
     await this.bookmarkStore.load();
     const allBookmarks = await this.bookmarkStore.list();
 
@@ -747,17 +883,49 @@ export class RevsetEngine {
       }
 
       // Apply pattern if provided
-      if (pattern && !this.globMatch(bookmark.name, pattern)) {
+      if (!matches(bookmark.name)) {
         continue;
       }
 
-      result.push(bookmark.target);
+      result.push(bookmark.changeId);
     }
 
     // Return unique changeIds
     return [...new Set(result)];
   }
 
+  /**
+   * Filter remote branch targets
+   *
+   * @param {string|((text: string) => boolean)} [pattern] - Optional glob, or a compiled string pattern
+   * @returns {Promise<Array<string>>} Change IDs pointed to by matching remote branches
+   */
+  async filterRemoteBranches(pattern) {
+    if (!this.bookmarkStore) return [];
+
+    await this.bookmarkStore.load();
+    const allBookmarks = await this.bookmarkStore.list();
+
+    // Filter for remote branches (bookmarks with '/' in the name)
+    let remoteBookmarks = allBookmarks.filter(bookmark => bookmark.name.includes('/'));
+
+    // If pattern provided, filter by pattern
+    if (pattern) {
+      const matches = toMatcher(pattern, 'glob');
+      remoteBookmarks = remoteBookmarks.filter(bookmark => matches(bookmark.name));
+    }
+
+    // Get target change IDs
+    const targets = new Set();
+    for (const bookmark of remoteBookmarks) {
+      if (bookmark.changeId) {
+        targets.add(bookmark.changeId);
+      }
+    }
+
+    return Array.from(targets);
+  }
+
   /**
    * Filter last N commits by timestamp (v0.5)
    *
@@ -964,19 +1132,27 @@ export class RevsetEngine {
   async checkConnected(rev1, rev2) {
     await this.graph.load();
 
-    // Check if rev2 is reachable from rev1
-    const descendants = new Set(await this.getDescendants(rev1));
-    const isDescendant = descendants.has(rev2);
+    // Only a change of a lower generation can be an ancestor of the other
+    const [older, newer] = this.graph.getGeneration(rev1) <= this.graph.getGeneration(rev2)
+      ? [rev1, rev2]
+      : [rev2, rev1];
+    const floor = this.graph.getGeneration(older);
 
-    if (isDescendant) {
-      return [true];
+    const visited = new Set();
+    const queue = [newer];
+    while (queue.length > 0) {
+      const current = /** @type {string} */ (queue.shift());
+      if (current === older) {
+        return [true];
+      }
+      if (visited.has(current)) {
+        continue;
+      }
+      visited.add(current);
+      queue.push(...this.graph.getParents(current).filter(parent => this.graph.getGeneration(parent) >= floor));
     }
 
-    // Check if rev1 is reachable from rev2
-    const ancestors = new Set(await this.getAncestors(rev2));
-    const isAncestor = ancestors.has(rev1);
-
-    return [isAncestor];
+    return [false];
   }
 
   /**
@@ -1012,70 +1188,23 @@ export class RevsetEngine {
     await this.graph.load();
 
     const children = new Set();
-    const changeIdSet = new Set(changeIds);
-
-    // Get all changes and check if their parents include any from our set
-    const allChanges = this.graph.getAll();
-    for (const change of allChanges) {
-      if (change.parents && change.parents.some((p) => changeIdSet.has(p))) {
-        children.add(change.changeId);
+    for (const changeId of changeIds) {
+      for (const child of this.graph.getChildren(changeId)) {
+        children.add(child);
       }
     }
 
     return Array.from(children);
   }
+}
 
-  /**
-   * Evaluate set operations (v0.5)
-   *
-   * @param {string} expression - Expression with set operations
-   * @returns {Promise<Array<string>>} Result of set operation
-   */
-  async evaluateSetOperation(expression) {
-    // Parse set operations: & (intersection), | (union), ~ (difference)
-    // Simple implementation - split by operators and evaluate left to right
-
-    // Handle intersection (&)
-    if (expression.includes(' & ')) {
-      const parts = expression.split(' & ');
-      let result = new Set(await this.evaluate(parts[0]));
-
-      for (let i = 1; i < parts.length; i++) {
-        const partResult = new Set(await this.evaluate(parts[i]));
-        result = new Set([...result].filter(x => partResult.has(x)));
-      }
-
-      return Array.from(result);
-    }
-
-    // Handle union (|)
-    if (expression.includes(' | ')) {
-      const parts = expression.split(' | ');
-      const result = new Set();
-
-      for (const part of parts) {
-        const partResult = await this.evaluate(part);
-        partResult.forEach(id => result.add(id));
-      }
-
-      return Array.from(result);
-    }
-
-    // Handle difference (~)
-    if (expression.includes(' ~ ')) {
-      const parts = expression.split(' ~ ');
-      let result = new Set(await this.evaluate(parts[0]));
-
-      for (let i = 1; i < parts.length; i++) {
-        const partResult = new Set(await this.evaluate(parts[i]));
-        result = new Set([...result].filter(x => !partResult.has(x)));
-      }
-
-      return Array.from(result);
-    }
-
-    throw new JJError('INVALID_SET_OPERATION', `Invalid set operation: ${expression}`, {
-      expression,
-    });
-  }
+/**
+ * Turn a filter argument into a predicate
+ *
+ * @param {string|((text: string) => boolean)} pattern - Pattern text or an already compiled predicate
+ * @param {string} kind - Pattern kind used for pattern text
+ * @returns {(text: string) => boolean}
+ */
+function toMatcher(pattern, kind) {
+  return typeof pattern === 'function' ? pattern : compileStringPattern(pattern, kind);
 }
@@ -2,13 +2,15 @@
  * Storage Manager for isomorphic-jj
  * 
  * Manages JSON storage in .jj directory with atomic writes and caching.
+ * Uint8Array values (binary file contents) survive a JSON round trip.
  */
 
 import { JJError } from '../utils/errors.js';
+import { binaryReplacer, binaryReviver } from '../utils/binary.js';
 
 export class Storage {
   /**
-   * @param {Object} fs - Filesystem implementation (Node fs, LightningFS, etc.)
+   * @param {any} fs - Filesystem implementation (Node fs, LightningFS, etc.)
    * @param {string} dir - Repository directory path
    */
   constructor(fs, dir) {
@@ -18,6 +20,7 @@ export class Storage {
     this.repoDir = `${dir}/.jj/repo`;  // Core repo data
     this.workingCopyDir = `${dir}/.jj/working_copy`;  // Default workspace working copy
     this.cache = new Map();
+    this.pending = null; // path → data (null when removed) buffered by a transaction
   }
 
   /**
@@ -60,6 +63,11 @@ export class Storage {
   async read(path) {
     const fullPath = `${this.jjDir}/${path}`;
 
+    if (this.pending && this.pending.has(path)) {
+      const data = this.pending.get(path);
+      return typeof data === 'string' ? JSON.parse(data, binaryReviver) : data;
+    }
+
     // Check cache
     if (this.cache.has(path)) {
       return this.cache.get(path);
@@ -67,7 +75,7 @@ export class Storage {
 
     try {
       const content = await this.fs.promises.readFile(fullPath, 'utf8');
-      const data = JSON.parse(content);
+      const data = JSON.parse(content, binaryReviver);
       this.cache.set(path, data);
       return data;
     } catch (error) {
@@ -88,9 +96,14 @@ export class Storage {
    * @param {Object|string} data - Data to write (object will be stringified)
    */
   async write(path, data) {
+    if (this.pending) {
+      this.pending.set(path, data);
+      return;
+    }
+
     const fullPath = `${this.jjDir}/${path}`;
     const tmpPath = `${fullPath}.tmp.${Date.now()}`;
-    const jsonData = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+    const jsonData = typeof data === 'string' ? data : JSON.stringify(data, binaryReplacer, 2);
 
     try {
       // Ensure parent directory exists
@@ -130,12 +143,14 @@ export class Storage {
     const fullPath = `${this.jjDir}/${path}`;
 
     try {
-      const content = await this.fs.promises.readFile(fullPath, 'utf8');
+      const content = this.pending && this.pending.has(path)
+        ? this.pending.get(path) || ''
+        : await this.fs.promises.readFile(fullPath, 'utf8');
       return content
         .trim()
         .split('\n')
         .filter((line) => line.length > 0)
-        .map((line) => JSON.parse(line));
+        .map((line) => JSON.parse(line, binaryReviver));
     } catch (error) {
       if (error.code === 'ENOENT') {
         return [];
@@ -149,6 +164,10 @@ export class Storage {
 
   /**
    * Append line to JSONL file
+   *
+   * Filesystems with appendFile (Node) add the line in a single O_APPEND write, so
+   * lines appended by concurrent processes are all kept. Others (LightningFS) rewrite
+   * the file with the line added, as does a transaction buffering the file.
    * 
    * @param {string} path - Relative path from .jj directory
    * @param {string} line - JSON string to append
@@ -157,10 +176,18 @@ export class Storage {
     const fullPath = `${this.jjDir}/${path}`;
 
     try {
+      if (this.fs.promises.appendFile && !this.pending) {
+        await this.fs.promises.mkdir(fullPath.substring(0, fullPath.lastIndexOf('/')), { recursive: true });
+        await this.fs.promises.appendFile(fullPath, line + '\n', 'utf8');
+        return;
+      }
+
       // Read existing content
       let existing = '';
       try {
-        existing = await this.fs.promises.readFile(fullPath, 'utf8');
+        existing = this.pending && this.pending.has(path)
+          ? this.pending.get(path) || ''
+          : await this.fs.promises.readFile(fullPath, 'utf8');
       } catch (error) {
         if (error.code !== 'ENOENT') throw error;
       }
@@ -182,6 +209,10 @@ export class Storage {
    * @returns {Promise<boolean>}
    */
   async exists(path) {
+    if (this.pending && this.pending.has(path)) {
+      return this.pending.get(path) !== null;
+    }
+
     const fullPath = `${this.jjDir}/${path}`;
     
     try {
@@ -192,9 +223,226 @@ export class Storage {
     }
   }
 
+  /**
+   * List the files in a directory
+   *
+   * @param {string} path - Relative path from .jj directory
+   * @returns {Promise<string[]>} File names, or an empty array if the directory doesn't exist
+   */
+  async list(path) {
+    let names;
+    try {
+      names = await this.fs.promises.readdir(`${this.jjDir}/${path}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new JJError('STORAGE_READ_FAILED', `Failed to list ${path}: ${error.message}`, {
+          path: `${this.jjDir}/${path}`,
+          originalError: error,
+        });
+      }
+      names = [];
+    }
+
+    if (!this.pending) {
+      return names;
+    }
+    const result = new Set(names);
+    for (const [pendingPath, data] of this.pending) {
+      const name = pendingPath.slice(path.length + 1);
+      if (pendingPath.startsWith(`${path}/`) && !name.includes('/')) {
+        if (data === null) {
+          result.delete(name);
+        } else {
+          result.add(name);
+        }
+      }
+    }
+    return [...result];
+  }
+
+  /**
+   * Delete a file
+   *
+   * @param {string} path - Relative path from .jj directory
+   */
+  async remove(path) {
+    this.cache.delete(path);
+    if (this.pending) {
+      this.pending.set(path, null);
+      return;
+    }
+
+    try {
+      await this.fs.promises.unlink(`${this.jjDir}/${path}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new JJError('STORAGE_WRITE_FAILED', `Failed to remove ${path}: ${error.message}`, {
+          path: `${this.jjDir}/${path}`,
+          originalError: error,
+        });
+      }
+    }
+  }
+
+  /**
+   * Start buffering writes and removals in memory
+   *
+   * Reads see the buffered state. Nothing reaches the filesystem until
+   * commitTransaction(); rollbackTransaction() drops it all.
+   */
+  beginTransaction() {
+    if (this.pending) {
+      throw new JJError('TRANSACTION_IN_PROGRESS', 'Storage is already buffering a transaction', {
+        suggestion: 'Commit or roll back the current transaction first',
+      });
+    }
+    this.pending = new Map();
+  }
+
+  /**
+   * Write out everything buffered since beginTransaction()
+   *
+   * Each file is written atomically, one after another, and the operation log last so
+   * no operation is visible before the files it records. If a write fails, the files
+   * already written are put back as they were and the error is rethrown.
+   */
+  async commitTransaction() {
+    const pending = this.pending || new Map();
+    this.pending = null;
+
+    const isOpLog = (/** @type {string} */ path) => path.startsWith('repo/op_log/');
+    const entries = [...pending].sort(([a], [b]) => Number(isOpLog(a)) - Number(isOpLog(b)));
+    /** @type {Array<[string, string|null]>} */
+    const previous = [];
+    try {
+      for (const [path, data] of entries) {
+        previous.push([path, await this._readRaw(path)]);
+        if (data === null) {
+          await this.remove(path);
+        } else {
+          await this.write(path, data);
+        }
+      }
+    } catch (error) {
+      this.cache.clear();
+      for (const [path, content] of previous.reverse()) {
+        try {
+          if (content === null) {
+            await this.remove(path);
+          } else {
+            await this.write(path, content);
+          }
+        } catch {
+          // Keep putting back the others; the first error is the one to report
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Drop everything buffered since beginTransaction()
+   */
+  rollbackTransaction() {
+    this.pending = null;
+    this.cache.clear();
+  }
+
+  /**
+   * Total size of the files in .jj
+   *
+   * @returns {Promise<number>} Bytes
+   */
+  async usage() {
+    let bytes = 0;
+    for (const file of await this._walk('')) {
+      bytes += file.size;
+    }
+    return bytes;
+  }
+
+  /**
+   * Delete temp files left behind by writes that never finished
+   *
+   * Temp files are named after the time their write started, so one still being
+   * written by another process is left alone until it is older than `maxAge`.
+   *
+   * @param {number} [maxAge=60000] - Milliseconds after which a temp file is abandoned
+   * @returns {Promise<{ count: number, bytes: number }>} Files deleted and their size
+   */
+  async removeTempFiles(maxAge = 60000) {
+    let count = 0;
+    let bytes = 0;
+    for (const file of await this._walk('')) {
+      const match = /\.tmp\.(\d+)$/.exec(file.path);
+      if (match && Date.now() - Number(match[1]) > maxAge) {
+        await this.remove(file.path);
+        count++;
+        bytes += file.size;
+      }
+    }
+    return { count, bytes };
+  }
+
+  /**
+   * Read a file as stored, bypassing the cache and any transaction
+   *
+   * @private
+   * @param {string} path - Relative path from .jj directory
+   * @returns {Promise<string|null>} File content, or null if the file doesn't exist
+   */
+  async _readRaw(path) {
+    try {
+      return await this.fs.promises.readFile(`${this.jjDir}/${path}`, 'utf8');
+    } catch (/** @type {any} */ error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new JJError('STORAGE_READ_FAILED', `Failed to read ${path}: ${error.message}`, {
+        path: `${this.jjDir}/${path}`,
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * List the files under a directory, recursively
+   *
+   * @private
+   * @param {string} path - Relative path from .jj directory ('' for .jj itself)
+   * @returns {Promise<Array<{ path: string, size: number }>>} Files with their paths relative to .jj
+   */
+  async _walk(path) {
+    const fullPath = path ? `${this.jjDir}/${path}` : this.jjDir;
+    let names;
+    try {
+      names = await this.fs.promises.readdir(fullPath);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return [];
+      }
+      throw new JJError('STORAGE_READ_FAILED', `Failed to list ${path}: ${error.message}`, {
+        path: fullPath,
+        originalError: error,
+      });
+    }
+
+    const files = [];
+    for (const name of names) {
+      const childPath = path ? `${path}/${name}` : name;
+      const stat = await this.fs.promises.stat(`${this.jjDir}/${childPath}`);
+      if (stat.isDirectory()) {
+        files.push(...await this._walk(childPath));
+      } else {
+        files.push({ path: childPath, size: stat.size });
+      }
+    }
+    return files;
+  }
+
   /**
    * Invalidate cache
-   * 
+   *
    * @param {string} [path] - Specific path to invalidate, or all if not provided
    */
   invalidateCache(path) {
@@ -64,7 +64,7 @@ export class TagStore {
    */
   async load() {
     try {
-      const data = await this.fs.readFile(this.tagsFile, 'utf8');
+      const data = await this._fs().readFile(this.tagsFile, 'utf8');
       return JSON.parse(data);
     } catch (error) {
       if (error.code === 'ENOENT') {
@@ -80,7 +80,18 @@ export class TagStore {
    * @returns {Promise<void>}
    */
   async save(tags) {
-    await this.fs.writeFile(this.tagsFile, JSON.stringify(tags, null, 2));
+    await this._fs().mkdir(`${this.jjDir}/store`, { recursive: true });
+    await this._fs().writeFile(this.tagsFile, JSON.stringify(tags, null, 2));
+  }
+
+  /**
+   * Promise-based filesystem API (Node fs and LightningFS expose it as fs.promises)
+   *
+   * @private
+   * @returns {Object<string, any>}
+   */
+  _fs() {
+    return this.fs.promises || this.fs;
   }
 
   /**
@@ -0,0 +1,457 @@
+/**
+ * TemplateEngine - Renders changes and operations as text
+ *
+ * Evaluates templates, parsed by utils/template-parser.js, against a table of
+ * keywords supplied by the caller (change_id, description, author, ...).
+ * Templates may use the `template-aliases` defined in the user config.
+ */
+
+import { JJError } from '../utils/errors.js';
+import { parseTemplate, compileTemplateAliases } from '../utils/template-parser.js';
+
+export class TemplateEngine {
+  /**
+   * @param {import('./user-config.js').UserConfig|null} [userConfig] - User configuration instance (optional)
+   */
+  constructor(userConfig = null) {
+    this.userConfig = userConfig;
+  }
+
+  /**
+   * Compile a template for rendering many items
+   *
+   * @param {string} template - Template text, or the name of a template alias
+   * @returns {Promise<(keywords: Object<string, any>) => string>} Renderer taking a keyword table
+   * @throws {JJError} INVALID_TEMPLATE for syntax errors
+   * @throws {JJError} INVALID_TEMPLATE_ALIAS for malformed template-aliases
+   */
+  async compile(template) {
+    if (typeof template !== 'string') {
+      throw new JJError('INVALID_ARGUMENT', 'Template must be a string', {
+        suggestion: 'Pass a template such as \'change_id.short() ++ " " ++ description.first_line()\'',
+      });
+    }
+
+    const ast = parseTemplate(template);
+    const aliases = await this.loadAliases();
+
+    return (keywords) => toText(this.evaluateNode(ast, {
+      keywords,
+      aliases,
+      bindings: new Map(),
+      stack: [],
+    }));
+  }
+
+  /**
+   * Render one item
+   *
+   * @param {string} template - Template text, or the name of a template alias
+   * @param {Object<string, any>} keywords - Keyword values for the item
+   * @returns {Promise<string>} Rendered text
+   */
+  async render(template, keywords) {
+    const renderer = await this.compile(template);
+    return renderer(keywords);
+  }
+
+  /**
+   * Load the user's template-aliases
+   *
+   * @returns {Promise<ReturnType<typeof compileTemplateAliases>>} Compiled aliases
+   */
+  async loadAliases() {
+    if (!this.userConfig) {
+      return compileTemplateAliases({});
+    }
+    await this.userConfig.load();
+    return compileTemplateAliases(this.userConfig.getTemplateAliases());
+  }
+
+  /**
+   * Evaluate a template node
+   *
+   * @param {Object<string, any>} node - AST node from parseTemplate()
+   * @param {Object<string, any>} scope - Keywords, aliases, alias parameters and the alias stack
+   * @returns {*} Value of the node
+   */
+  evaluateNode(node, scope) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'keyword':
+        return this.evaluateKeyword(node, scope);
+
+      case 'call':
+        return this.evaluateCall(node, scope);
+
+      case 'method':
+        return this.evaluateMethod(node, this.evaluateNode(node.object, scope), scope);
+
+      case 'concat':
+        return node.parts.map((/** @type {Object<string, any>} */ part) => toText(this.evaluateNode(part, scope))).join('');
+
+      case 'or':
+        return isTruthy(this.evaluateNode(node.left, scope)) || isTruthy(this.evaluateNode(node.right, scope));
+
+      case 'and':
+        return isTruthy(this.evaluateNode(node.left, scope)) && isTruthy(this.evaluateNode(node.right, scope));
+
+      case 'not':
+        return !isTruthy(this.evaluateNode(node.operand, scope));
+
+      default:
+        throw this.templateError(`Unknown template node type: ${node.type}`, node);
+    }
+  }
+
+  /**
+   * Look up a keyword: an alias parameter, a keyword alias or a built-in keyword
+   *
+   * @param {Object<string, any>} node - Keyword node
+   * @param {Object<string, any>} scope - Evaluation scope
+   * @returns {*} Keyword value
+   */
+  evaluateKeyword(node, scope) {
+    const { name } = node;
+
+    if (scope.bindings.has(name)) {
+      return scope.bindings.get(name);
+    }
+
+    const alias = scope.aliases.keywords.get(name);
+    if (alias) {
+      return this.evaluateAlias(alias, [], node, scope);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(scope.keywords, name)) {
+      return scope.keywords[name];
+    }
+
+    throw this.templateError(`Keyword "${name}" doesn't exist`, node, {
+      suggestion: `Available keywords: ${Object.keys(scope.keywords).join(', ')}`,
+    });
+  }
+
+  /**
+   * Evaluate a function call: a function alias or a built-in function
+   *
+   * @param {Object<string, any>} node - Call node
+   * @param {Object<string, any>} scope - Evaluation scope
+   * @returns {*} Function result
+   */
+  evaluateCall(node, scope) {
+    const { args } = node;
+    /** @param {Object<string, any>} arg */
+    const text = (arg) => toText(this.evaluateNode(arg, scope));
+
+    const alias = scope.aliases.functions.get(`${node.name}/${args.length}`);
+    if (alias) {
+      const values = args.map((/** @type {Object<string, any>} */ arg) => this.evaluateNode(arg, scope));
+      return this.evaluateAlias(alias, values, node, scope);
+    }
+
+    switch (node.name) {
+      case 'if':
+        this.expectArgs(node, 2, 3);
+        if (isTruthy(this.evaluateNode(args[0], scope))) {
+          return this.evaluateNode(args[1], scope);
+        }
+        return args[2] ? this.evaluateNode(args[2], scope) : '';
+
+      case 'concat':
+        return args.map(text).join('');
+
+      case 'separate': {
+        this.expectArgs(node, 1, Infinity);
+        const separator = text(args[0]);
+        return args.slice(1).map(text).filter((/** @type {string} */ part) => part !== '').join(separator);
+      }
+
+      case 'coalesce':
+        return args.map(text).find((/** @type {string} */ part) => part !== '') || '';
+
+      case 'label':
+        // Labels only affect colors, which plain text output does not have
+        this.expectArgs(node, 2);
+        return this.evaluateNode(args[1], scope);
+
+      case 'indent': {
+        this.expectArgs(node, 2);
+        const prefix = text(args[0]);
+        return text(args[1]).replace(/^(?=.)/gm, prefix);
+      }
+
+      case 'surround': {
+        this.expectArgs(node, 3);
+        const content = text(args[2]);
+        return content === '' ? '' : text(args[0]) + content + text(args[1]);
+      }
+
+      default:
+        throw this.templateError(`Function "${node.name}" doesn't exist`, node, {
+          suggestion: 'Use if(), concat(), separate(), coalesce(), label(), indent() or surround()',
+        });
+    }
+  }
+
+  /**
+   * Call a method on a value
+   *
+   * @param {Object<string, any>} node - Method node
+   * @param {*} value - Receiver
+   * @param {Object<string, any>} scope - Evaluation scope
+   * @returns {*} Method result
+   */
+  evaluateMethod(node, value, scope) {
+    const { name, args } = node;
+    /** @param {number} i */
+    const arg = (i) => this.evaluateNode(args[i], scope);
+    const type = typeName(value);
+
+    if (type === 'String') {
+      switch (name) {
+        case 'len':
+          this.expectArgs(node, 0);
+          return value.length;
+        case 'contains':
+          this.expectArgs(node, 1);
+          return value.includes(toText(arg(0)));
+        case 'starts_with':
+          this.expectArgs(node, 1);
+          return value.startsWith(toText(arg(0)));
+        case 'ends_with':
+          this.expectArgs(node, 1);
+          return value.endsWith(toText(arg(0)));
+        case 'first_line':
+          this.expectArgs(node, 0);
+          return value.split('\n')[0];
+        case 'lines':
+          this.expectArgs(node, 0);
+          return value.replace(/\n$/, '').split('\n').filter((/** @type {string} */ line, /** @type {number} */ i, /** @type {string[]} */ all) => line !== '' || all.length > 1);
+        case 'upper':
+          this.expectArgs(node, 0);
+          return value.toUpperCase();
+        case 'lower':
+          this.expectArgs(node, 0);
+          return value.toLowerCase();
+        case 'trim':
+          this.expectArgs(node, 0);
+          return value.trim();
+        case 'short':
+          this.expectArgs(node, 0, 1);
+          return value.slice(0, args[0] ? this.integerArg(node, arg(0)) : 12);
+        case 'substr': {
+          this.expectArgs(node, 2);
+          return value.slice(this.integerArg(node, arg(0)), this.integerArg(node, arg(1)));
+        }
+      }
+    } else if (type === 'List') {
+      switch (name) {
+        case 'len':
+          this.expectArgs(node, 0);
+          return value.length;
+        case 'join':
+          this.expectArgs(node, 1);
+          return value.map(toText).join(toText(arg(0)));
+        case 'contains':
+          this.expectArgs(node, 1);
+          return value.map(toText).includes(toText(arg(0)));
+      }
+    } else if (type === 'Signature') {
+      switch (name) {
+        case 'name':
+          this.expectArgs(node, 0);
+          return value.name || '';
+        case 'email':
+          this.expectArgs(node, 0);
+          return value.email || '';
+        case 'timestamp':
+          this.expectArgs(node, 0);
+          return new Date(value.timestamp);
+      }
+    } else if (type === 'Timestamp') {
+      switch (name) {
+        case 'format':
+          this.expectArgs(node, 1);
+          return formatTimestamp(value, toText(arg(0)));
+        case 'ago':
+          this.expectArgs(node, 0);
+          return formatAgo(value);
+      }
+    }
+
+    throw this.templateError(`Method "${name}" doesn't exist for type "${type}"`, node);
+  }
+
+  /**
+   * Expand one alias use
+   *
+   * @param {Object<string, any>} alias - Compiled alias
+   * @param {Array<*>} values - Argument values
+   * @param {Object<string, any>} site - Node where the alias is used
+   * @param {Object<string, any>} scope - Evaluation scope
+   * @returns {*} Value of the alias body
+   */
+  evaluateAlias(alias, values, site, scope) {
+    if (scope.stack.includes(alias.declaration)) {
+      const cycle = [...scope.stack.slice(scope.stack.indexOf(alias.declaration)), alias.declaration];
+      throw new JJError('INVALID_TEMPLATE_ALIAS', `Template alias "${alias.declaration}" is recursive: ${cycle.join(' -> ')}`, {
+        alias: alias.declaration,
+        cycle,
+        column: site.column,
+      });
+    }
+
+    return this.evaluateNode(alias.body, {
+      ...scope,
+      bindings: new Map((alias.params || []).map((/** @type {string} */ param, /** @type {number} */ i) => [param, values[i]])),
+      stack: [...scope.stack, alias.declaration],
+    });
+  }
+
+  /**
+   * Check the number of arguments of a function or method call
+   *
+   * @param {Object<string, any>} node - Call or method node
+   * @param {number} min - Minimum argument count
+   * @param {number} [max=min] - Maximum argument count
+   * @throws {JJError} INVALID_TEMPLATE when the count is out of range
+   */
+  expectArgs(node, min, max = min) {
+    const count = node.args.length;
+    if (count < min || count > max) {
+      const expected = max === Infinity ? `at least ${min}` : min === max ? `${min}` : `${min} to ${max}`;
+      throw this.templateError(`"${node.name}" expects ${expected} argument${max === 1 ? '' : 's'}, got ${count}`, node);
+    }
+  }
+
+  /**
+   * Check that an argument value is an integer
+   *
+   * @param {Object<string, any>} node - Method node
+   * @param {*} value - Argument value
+   * @returns {number}
+   */
+  integerArg(node, value) {
+    if (!Number.isInteger(value)) {
+      throw this.templateError(`"${node.name}" expects an integer argument`, node);
+    }
+    return value;
+  }
+
+  /**
+   * Build an INVALID_TEMPLATE error pointing at an AST node
+   *
+   * @param {string} message - Error description
+   * @param {Object<string, any>} node - Offending node
+   * @param {Object} [context={}] - Extra error context
+   * @returns {JJError}
+   */
+  templateError(message, node, context = {}) {
+    return new JJError('INVALID_TEMPLATE', `${message} at column ${node.column}`, {
+      column: node.column,
+      ...context,
+    });
+  }
+}
+
+/**
+ * Name of a value's template type
+ *
+ * @param {*} value - Template value
+ * @returns {string} 'String', 'Integer', 'Boolean', 'List', 'Timestamp', 'Signature' or 'Nothing'
+ */
+function typeName(value) {
+  if (typeof value === 'string') return 'String';
+  if (typeof value === 'number') return 'Integer';
+  if (typeof value === 'boolean') return 'Boolean';
+  if (Array.isArray(value)) return 'List';
+  if (value instanceof Date) return 'Timestamp';
+  if (value && typeof value === 'object' && 'email' in value) return 'Signature';
+  return 'Nothing';
+}
+
+/**
+ * Convert a template value to text
+ *
+ * Lists are joined with spaces and signatures render as `name <email>`.
+ *
+ * @param {*} value - Template value
+ * @returns {string}
+ */
+function toText(value) {
+  switch (typeName(value)) {
+    case 'String':
+      return value;
+    case 'Integer':
+    case 'Boolean':
+      return String(value);
+    case 'List':
+      return value.map(toText).join(' ');
+    case 'Timestamp':
+      return formatTimestamp(value, '%Y-%m-%d %H:%M:%S');
+    case 'Signature':
+      return `${value.name || ''} <${value.email || ''}>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Whether a value counts as true in if(), ||, && and !
+ *
+ * @param {*} value - Template value
+ * @returns {boolean} False for false, '', 0, empty lists and missing values
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return Boolean(value);
+}
+
+/**
+ * Format a timestamp in UTC with strftime-style directives
+ *
+ * @param {Date} date - Timestamp
+ * @param {string} format - Format with %Y, %m, %d, %H, %M, %S and %%
+ * @returns {string}
+ */
+function formatTimestamp(date, format) {
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  /** @param {number} n */
+  const pad = (n) => String(n).padStart(2, '0');
+  /** @type {Object<string, string>} */
+  const fields = {
+    Y: String(date.getUTCFullYear()),
+    m: pad(date.getUTCMonth() + 1),
+    d: pad(date.getUTCDate()),
+    H: pad(date.getUTCHours()),
+    M: pad(date.getUTCMinutes()),
+    S: pad(date.getUTCSeconds()),
+    '%': '%',
+  };
+  return format.replace(/%([YmdHMS%])/g, (_, field) => fields[field]);
+}
+
+/**
+ * Describe how long ago a timestamp was, e.g. "3 hours ago"
+ *
+ * @param {Date} date - Timestamp
+ * @returns {string}
+ */
+function formatAgo(date) {
+  const seconds = Math.max(0, Math.floor((Date.now() - date.getTime()) / 1000));
+  const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+  for (const [unit, size] of units) {
+    const count = Math.floor(seconds / /** @type {number} */ (size));
+    if (count >= 1) {
+      return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    }
+  }
+  return `${seconds} second${seconds === 1 ? '' : 's'} ago`;
+}
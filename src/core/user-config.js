@@ -9,6 +9,47 @@
  * For now, we store it in the repository.
  */
 
+import { compileRevsetAliases } from '../utils/revset-aliases.js';
+import { compileTemplateAliases } from '../utils/template-parser.js';
+
+// Alias tables and the function validating each
+const ALIAS_TABLES = {
+  'revset-aliases': compileRevsetAliases,
+  'template-aliases': compileTemplateAliases,
+};
+
+/**
+ * Check that setting a config key leaves the alias tables valid
+ *
+ * Keys outside `revset-aliases` and `template-aliases` are not checked.
+ *
+ * @param {Object<string, any>|null} config - Current config
+ * @param {string} key - Config key being set, e.g. `revset-aliases` or `template-aliases.<declaration>`
+ * @param {*} value - New value
+ * @throws {JJError} INVALID_REVSET_ALIAS or INVALID_TEMPLATE_ALIAS when an alias is malformed
+ */
+export function validateConfigUpdate(config, key, value) {
+  for (const [table, compile] of Object.entries(ALIAS_TABLES)) {
+    if (key === table) {
+      compile(value);
+    } else if (key.startsWith(`${table}.`)) {
+      compile({ ...(config?.[table] || {}), [key.slice(table.length + 1)]: value });
+    }
+  }
+}
+
+/**
+ * Check every alias table in a config
+ *
+ * @param {Object<string, any>|null} config - Config to check
+ * @throws {JJError} INVALID_REVSET_ALIAS or INVALID_TEMPLATE_ALIAS when an alias is malformed
+ */
+export function validateConfigAliases(config) {
+  for (const [table, compile] of Object.entries(ALIAS_TABLES)) {
+    compile(config?.[table] || {});
+  }
+}
+
 export class UserConfig {
   /**
    * @param {Storage} storage - Storage manager instance
@@ -90,6 +131,33 @@ export class UserConfig {
     await this.save();
   }
 
+  /**
+   * Get the revset-aliases table
+   *
+   * @returns {Object<string, string>} Alias declarations mapped to revset expressions
+   */
+  getRevsetAliases() {
+    return this.get('revset-aliases') || {};
+  }
+
+  /**
+   * Get the template-aliases table
+   *
+   * @returns {Object<string, string>} Alias declarations mapped to templates
+   */
+  getTemplateAliases() {
+    return this.get('template-aliases') || {};
+  }
+
+  /**
+   * Get the merge-tools table
+   *
+   * @returns {Object<string, Object>} Tool names mapped to `{ program, 'merge-args' }`
+   */
+  getMergeTools() {
+    return this.get('merge-tools') || {};
+  }
+
   /**
    * Get config value
    *
@@ -125,6 +193,8 @@ export class UserConfig {
       await this.load();
     }
 
+    validateConfigUpdate(this.config, key, value);
+
     const parts = key.split('.');
     const lastPart = parts.pop();
     let target = this.config;
@@ -0,0 +1,142 @@
+/**
+ * ViewStorage - Storage for reading the repository as an operation left it
+ *
+ * Files written or removed while a view is set up stay in memory and shadow the
+ * repository's own; everything else is read from the repository storage. Once sealed, every
+ * write fails with READ_ONLY_VIEW, so stores loaded from a ViewStorage cannot
+ * change the repository.
+ */
+
+import { JJError } from '../utils/errors.js';
+
+export class ViewStorage {
+  /**
+   * @param {import('./storage-manager.js').Storage} storage - Repository storage to read through to
+   * @param {string|null} [operationId] - Operation the view belongs to, for error messages
+   */
+  constructor(storage, operationId = null) {
+    this.storage = storage;
+    this.operationId = operationId;
+    this.files = new Map(); // path → data written to the view, or null once removed
+    this.sealed = false;
+  }
+
+  /**
+   * Refuse any further writes
+   */
+  seal() {
+    this.sealed = true;
+  }
+
+  /**
+   * Read and parse JSON file
+   *
+   * @param {string} path - Relative path from .jj directory
+   * @returns {Promise<Object|null>} Parsed JSON or null if file doesn't exist
+   */
+  async read(path) {
+    if (this.files.has(path)) {
+      return this.files.get(path);
+    }
+    return this.storage.read(path);
+  }
+
+  /**
+   * Keep data for a file in memory
+   *
+   * @param {string} path - Relative path from .jj directory
+   * @param {Object|string} data - Data to write
+   * @throws {JJError} READ_ONLY_VIEW once the view is sealed
+   */
+  async write(path, data) {
+    if (this.sealed) {
+      throw this._readOnlyError(path);
+    }
+    this.files.set(path, data);
+  }
+
+  /**
+   * Read JSONL file (newline-delimited JSON)
+   *
+   * @param {string} path - Relative path from .jj directory
+   * @returns {Promise<Array<any>>} Array of parsed JSON objects
+   */
+  async readLines(path) {
+    return this.storage.readLines(path);
+  }
+
+  /**
+   * Append line to JSONL file
+   *
+   * @param {string} path - Relative path from .jj directory
+   * @throws {JJError} READ_ONLY_VIEW, as views never grow logs
+   */
+  async appendLine(path) {
+    throw this._readOnlyError(path);
+  }
+
+  /**
+   * Check if file exists
+   *
+   * @param {string} path - Relative path from .jj directory
+   * @returns {Promise<boolean>}
+   */
+  async exists(path) {
+    if (this.files.has(path)) {
+      return this.files.get(path) !== null;
+    }
+    return this.storage.exists(path);
+  }
+
+  /**
+   * List the files in a directory
+   *
+   * @param {string} path - Relative path from .jj directory
+   * @returns {Promise<string[]>} File names
+   */
+  async list(path) {
+    const result = new Set(await this.storage.list(path));
+    for (const [filePath, data] of this.files) {
+      const name = filePath.slice(path.length + 1);
+      if (filePath.startsWith(`${path}/`) && !name.includes('/')) {
+        if (data === null) {
+          result.delete(name);
+        } else {
+          result.add(name);
+        }
+      }
+    }
+    return [...result];
+  }
+
+  /**
+   * Hide a file from the view
+   *
+   * @param {string} path - Relative path from .jj directory
+   * @throws {JJError} READ_ONLY_VIEW once the view is sealed
+   */
+  async remove(path) {
+    if (this.sealed) {
+      throw this._readOnlyError(path);
+    }
+    this.files.set(path, null);
+  }
+
+  /**
+   * Invalidate cache (views keep no cache of their own)
+   */
+  invalidateCache() {}
+
+  /**
+   * @private
+   * @param {string} path - Path being written
+   * @returns {JJError}
+   */
+  _readOnlyError(path) {
+    return new JJError('READ_ONLY_VIEW', `Cannot write ${path}: the repository view is read-only`, {
+      path,
+      operation: this.operationId,
+      suggestion: 'Use operations.restore() to bring the repository back to this operation first',
+    });
+  }
+}
@@ -269,6 +269,44 @@ export class WorkspaceManager {
     await this.save();
   }
 
+  /**
+   * Record every workspace for an operation view
+   *
+   * @param {string} defaultChangeId - Working-copy change of the default workspace
+   * @returns {Record<string, Object>} Workspace ID → { name, path, changeId }
+   */
+  captureState(defaultChangeId) {
+    /** @type {Record<string, Object>} */
+    const state = {};
+    for (const [id, workspace] of this.workspaces.entries()) {
+      state[id] = {
+        name: workspace.name,
+        path: workspace.path,
+        changeId: id === 'default' ? defaultChangeId : workspace.changeId,
+      };
+    }
+    return state;
+  }
+
+  /**
+   * Replace all workspaces with the ones recorded by captureState()
+   *
+   * Workspaces missing from the state are forgotten; their files stay on disk.
+   *
+   * @param {Record<string, Object<string, any>>} state - Workspace ID → { name, path, changeId }
+   */
+  async restoreState(state) {
+    const previous = this.workspaces;
+    this.workspaces = new Map();
+    for (const [id, recorded] of Object.entries(state)) {
+      this.workspaces.set(id, {
+        ...(previous.get(id) || { id, created: new Date().toISOString() }),
+        ...recorded,
+      });
+    }
+    await this.save();
+  }
+
   /**
    * Clear all workspaces (except default)
    */
@@ -76,6 +76,15 @@ export interface Change {
   description: string;
   timestamp: Date;
   fileSnapshot?: Record<string, FileSnapshot>;
+  /**
+   * Hash of the change's manifest (path → content hash) in the blob store. Changes listed
+   * with getAll() carry it in place of fileSnapshot; getChange() reads it.
+   */
+  manifest?: string;
+  /** Content hashes (Git blob IDs) by path, kept inline by graphs stored in version 1 */
+  files?: Record<string, string>;
+  /** Set when concurrent operations edited the change differently */
+  divergent?: boolean;
 }
 
 /**
@@ -111,18 +120,39 @@ export interface Operation {
   user: OperationUser;
   description: string;
   parents: OperationID[];
-  view: View;
+  /** Hash of the recorded view in the blob store */
+  viewId?: string;
+  /** Recorded view, returned by operations.show() */
+  view?: View;
   fileSnapshot?: Record<string, FileSnapshot>;
+  /** On merge operations: changes the merged heads edited differently */
+  divergentChanges?: Array<{ changeId: ChangeID; operations: OperationID[] }>;
+  /** On merge operations: bookmarks the merged heads moved to different targets */
+  conflictedBookmarks?: Array<{ name: string; base: ChangeID | null; targets: Array<ChangeID | null> }>;
+  /** ID the operation had before util.gc() rewrote its parents or view */
+  formerId?: OperationID;
 }
 
 /**
  * Repository view at a specific operation
  */
 export interface View {
-  bookmarks: Map<string, ChangeID>;
-  remoteBookmarks: Map<string, Map<string, ChangeID>>;
-  heads: Set<ChangeID>;
+  /** Visible heads: non-abandoned changes without visible children */
+  heads: ChangeID[];
+  /** Shard prefix → hash of the recorded states of the shard's changes in the blob store */
+  changeShards?: Record<string, string>;
+  /** Change ID → hash of the change's recorded state, as listed by operations.show() */
+  changes?: Record<ChangeID, string>;
+  bookmarks: Record<string, ChangeID>;
+  /** Remote bookmarks keyed by `name@remote` */
+  remoteBookmarks: Record<string, ChangeID>;
+  trackedBookmarks: Record<string, { remote: string; remoteName: string }>;
+  tags: Record<string, ChangeID>;
+  conflicts: { conflicts: Record<string, Conflict>; fileConflicts: Record<string, string> };
+  workspaces: Record<string, { name: string; path: string; changeId: ChangeID | null }>;
   workingCopy: ChangeID;
+  /** Working directory files just before the operation, kept by some operations for undo() */
+  fileSnapshot?: Record<string, string | Uint8Array>;
 }
 
 // ============================================================================
@@ -157,6 +187,31 @@ export interface Conflict {
   base?: TreeRef;
   sides: TreeRef[];
   resolved: boolean;
+  /** Overlapping hunks of a line-level merge (content conflicts only) */
+  regions?: ConflictRegion[];
+  /** Set when any side is binary; such conflicts have no markers */
+  binary?: boolean;
+  /** Set when a merge driver failed on the file */
+  driverFailed?: boolean;
+  /** Error of the failed merge driver */
+  driverError?: string;
+}
+
+/**
+ * Line range of one side of a conflicted region (1-based start)
+ */
+export interface LineRange {
+  start: number;
+  lines: number;
+}
+
+/**
+ * A region of a file where both sides changed the same lines
+ */
+export interface ConflictRegion {
+  base: LineRange;
+  left: LineRange;
+  right: LineRange;
 }
 
 /**
@@ -291,6 +346,8 @@ export interface CreateJJOptions {
   http?: HttpClient;
   /** Backend name or instance */
   backend?: string | any;
+  /** Where file contents are stored: .jj/repo/store/blobs ('jj', default) or the Git object database ('git') */
+  blobStore?: 'jj' | 'git';
   /** Event hooks */
   hooks?: Hooks;
 }
@@ -345,20 +402,24 @@ export interface ListFilesArgs {
 }
 
 /**
- * Read stream arguments (Node.js only)
+ * Read stream arguments
  */
 export interface ReadStreamArgs {
   path: string;
   changeId?: ChangeID;
   encoding?: string;
+  /** 'node' for a Node.js Readable (default where fs has createReadStream), 'web' for a WHATWG ReadableStream */
+  format?: 'node' | 'web';
 }
 
 /**
- * Write stream arguments (Node.js only)
+ * Write stream arguments
  */
 export interface WriteStreamArgs {
   path: string;
   encoding?: string;
+  /** 'node' for a Node.js Writable (default where fs has createWriteStream), 'web' for a WHATWG WritableStream */
+  format?: 'node' | 'web';
 }
 
 /**
@@ -403,23 +464,48 @@ export interface EditArgs {
   changeId: Revset;
 }
 
+/**
+ * Edits to pick from a change's diff, in place of `jj split -i` and `jj squash -i`
+ */
+export interface HunkSelection {
+  /** Paths, directories or globs whose edits are picked whole */
+  paths?: string[];
+  /** IDs of hunks from diff() to pick, or an ID with indices into the hunk's `lines` */
+  hunks?: Array<string | { id: string; lines: number[] }>;
+  /** Called for each hunk not in `hunks`: whether to pick it, or indices into its `lines` */
+  select?: (
+    hunk: DiffHunk,
+    file: { path: string; status: 'added' | 'modified' | 'deleted' }
+  ) => boolean | number[] | Promise<boolean | number[]>;
+}
+
 /**
  * Squash changes arguments
  */
-export interface SquashArgs {
+export interface SquashArgs extends HunkSelection {
   source?: ChangeID;
   dest?: ChangeID;
   into?: ChangeID;
+  /** Allowed with `hunks` or `select` */
+  interactive?: boolean;
 }
 
 /**
  * Split change arguments
  */
-export interface SplitArgs {
-  changeId: ChangeID;
-  description1: string;
-  description2: string;
-  paths?: string[];
+export interface SplitArgs extends HunkSelection {
+  changeId?: ChangeID;
+  description1?: string;
+  description2?: string;
+  /** Allowed with `hunks` or `select` */
+  interactive?: boolean;
+}
+
+/**
+ * Absorb arguments (matches `jj absorb`)
+ */
+export interface AbsorbArgs extends HunkSelection {
+  dryRun?: boolean;
 }
 
 /**
@@ -460,6 +546,8 @@ export interface UnabandonArgs {
 export interface LogOptions {
   revset?: Revset;
   limit?: number;
+  /** Template rendering each change, e.g. 'change_id.short() ++ " " ++ description' */
+  template?: string;
 }
 
 /**
@@ -467,6 +555,8 @@ export interface LogOptions {
  */
 export interface ShowArgs {
   change: Revset;
+  /** Template rendering the change */
+  template?: string;
 }
 
 /**
@@ -475,6 +565,8 @@ export interface ShowArgs {
 export interface ObslogOptions {
   change?: Revset;
   limit?: number;
+  /** Template rendering each operation */
+  template?: string;
 }
 
 /**
@@ -493,6 +585,44 @@ export interface ResolveConflictArgs {
   resolution: ConflictResolution;
 }
 
+/**
+ * Sides of a conflict passed to an in-process merge tool
+ */
+export interface MergeToolInput {
+  path: string;
+  base?: string | Uint8Array;
+  left?: string | Uint8Array;
+  right?: string | Uint8Array;
+  conflict: Conflict;
+}
+
+/**
+ * In-process merge tool: returns the resolved content, or nothing to leave the conflict unresolved
+ */
+export type MergeToolFunction = (
+  input: MergeToolInput
+) => string | Uint8Array | null | undefined | void | Promise<string | Uint8Array | null | undefined | void>;
+
+/**
+ * Merge tool configuration in the `merge-tools` config table (matches jj's `[merge-tools.<name>]`)
+ */
+export interface MergeToolConfig {
+  /** Program to run (default: the tool name) */
+  program?: string;
+  /** Arguments, with $base, $left, $right and $output replaced by file paths */
+  'merge-args': string[];
+}
+
+/**
+ * Resolve arguments (matches `jj resolve --tool`)
+ */
+export interface ResolveArgs {
+  /** Configured tool name, a program and its arguments, or an in-process tool (default: `ui.merge-editor`) */
+  tool?: string | string[] | MergeToolFunction;
+  /** Resolve only conflicts in these paths, directories or globs */
+  paths?: string[];
+}
+
 /**
  * Merge arguments
  */
@@ -607,6 +737,22 @@ export interface RemoteFetchArgs {
   relative?: boolean;
 }
 
+/**
+ * Result of fetching from a remote
+ */
+export interface RemoteFetchResult {
+  fetchedRefs: Array<{ name: string; oid: string }>;
+  updatedRefs: string[];
+  /** Number of changes created for newly fetched commits */
+  changes: number;
+  /** Remote bookmarks (`name@remote`) and the change IDs they point to */
+  remoteBookmarks: Record<string, ChangeID>;
+  /** Tracked local bookmarks that were created or fast-forwarded */
+  updatedBookmarks: string[];
+  /** Tracked local bookmarks that diverged from their remote bookmark */
+  conflictedBookmarks: Array<{ name: string; remote: string; localTarget: ChangeID | null; remoteTarget: ChangeID }>;
+}
+
 /**
  * Remote push arguments
  */
@@ -643,7 +789,40 @@ export interface GitCloneArgs {
 export interface DiffArgs {
   from?: Revset;
   to?: Revset;
+  /** Paths, directories or globs (e.g. '*.md') */
   paths?: string[];
+  /** Unchanged lines around each hunk (default: 3) */
+  context?: number;
+  ignoreWhitespace?: boolean;
+  /** 'unified' also returns a git-compatible patch */
+  format?: 'unified';
+}
+
+/**
+ * A line in a diff hunk
+ */
+export interface DiffLine {
+  type: 'context' | 'delete' | 'insert';
+  content: string;
+  oldLine?: number;
+  newLine?: number;
+  noNewline?: boolean;
+}
+
+/**
+ * A hunk of a file diff (1-based line numbers)
+ */
+export interface DiffHunk {
+  /** Identifies the hunk for split(), squash(), restore() and absorb() */
+  id: string;
+  oldStart: number;
+  oldLines: number;
+  newStart: number;
+  newLines: number;
+  header: string;
+  additions: number;
+  deletions: number;
+  lines: DiffLine[];
 }
 
 /**
@@ -675,6 +854,39 @@ export interface RestoreArgs {
   from?: Revset;
   to?: Revset;
   paths?: string[];
+  /** Restore only these hunks of diff({ from, to }) */
+  hunks?: HunkSelection['hunks'];
+  /** Restore only the hunks of diff({ from, to }) this picks */
+  select?: HunkSelection['select'];
+}
+
+/**
+ * Sides of a change shown to a diffedit() editor: path → content maps, or with
+ * `directory: true` the paths of temporary directories holding the files
+ */
+export interface DiffEditSides<T> {
+  left: T;
+  right: T;
+  changeId: ChangeID;
+}
+
+/**
+ * Diff edit arguments (matches `jj diffedit`)
+ */
+export interface DiffEditArgs {
+  /** Returns the edited right side; when it returns nothing, `right` as the editor left it is used */
+  editor:
+    | ((sides: DiffEditSides<Record<string, string | Uint8Array>>) =>
+      Record<string, string | Uint8Array> | void | Promise<Record<string, string | Uint8Array> | void>)
+    | ((sides: DiffEditSides<string>) => void | Promise<void>);
+  /** Change to edit against its parent (default: "@") */
+  revision?: Revset;
+  /** Show this revision on the left instead of the parent */
+  from?: Revset;
+  /** Change to edit when `from` is given (default: "@") */
+  to?: Revset;
+  /** Pass temporary directories instead of maps (Node.js only) */
+  directory?: boolean;
 }
 
 /**
@@ -718,6 +930,7 @@ export interface ConfigGetArgs {
  * Config set arguments (matches `jj config set`)
  */
 export interface ConfigSetArgs {
+  /** Config key, e.g. 'user.name', 'revset-aliases.stack(x)' or 'template-aliases.short_id(id)' */
   name: string;
   value: any;
 }
@@ -783,6 +996,38 @@ export interface ParallelizeArgs {
   parent?: ChangeID;
 }
 
+/**
+ * In-process fixer: returns the fixed content of a file
+ */
+export type FixerFunction = (input: { path: string; content: string }) => string | Promise<string>;
+
+/**
+ * Fixer registered with jj.fixers.register(), optionally limited to some paths
+ */
+export type Fixer = FixerFunction | { fix: FixerFunction; patterns?: string[] };
+
+/**
+ * Fix tool configuration in the `fix.tools` config table (matches jj's `[fix.tools.<name>]`)
+ */
+export interface FixToolConfig {
+  /** Program and arguments; reads the content on stdin and writes the fixed content to stdout. $path is replaced by the file path */
+  command: string[];
+  /** Paths, directories or globs the tool fixes */
+  patterns: string[];
+}
+
+/**
+ * Fix arguments (matches `jj fix`)
+ */
+export interface FixArgs {
+  /** Changes to fix, along with their descendants (default: "@") */
+  revisions?: Revset | Revset[];
+  /** Fix only these paths, directories or globs */
+  paths?: string[];
+  /** Also fix files the changes don't modify */
+  includeUnchanged?: boolean;
+}
+
 /**
  * Operation revert arguments (matches `jj operation revert`)
  */
@@ -846,6 +1091,8 @@ export interface UndoResult {
 export interface SplitResult {
   original: Change;
   new: Change;
+  /** IDs of the children rebased onto the second part */
+  rebased: ChangeID[];
 }
 
 /**
@@ -873,6 +1120,12 @@ export interface JJ {
   workspaces: any;
   userConfig: any;
   revset: any;
+  fixers: {
+    register(fixers: Record<string, Fixer>): void;
+    unregister(name: string): void;
+    get(name: string): FixerFunction | undefined;
+    list(): Array<{ name: string; patterns: string[] | null }>;
+  };
   gitBackend?: any;
   backgroundOps?: any;
 
@@ -899,22 +1152,32 @@ export interface JJ {
   stats(): Promise<RepositoryStats>;
 
   // History editing
-  squash(args: SquashArgs): Promise<void>;
-  split(args: SplitArgs): Promise<SplitResult>;
+  squash(args?: SquashArgs): Promise<Change>;
+  split(args?: SplitArgs): Promise<SplitResult>;
   rebase(args: RebaseArgs): Promise<Change>;
   abandon(args: AbandonArgs): Promise<void>;
   unabandon(args: UnabandonArgs): Promise<void>;
 
   // Queries
+  log(opts: LogOptions & { template: string }): Promise<string[]>;
   log(opts?: LogOptions): Promise<LogEntry[]>;
+  show(args: ShowArgs & { template: string }): Promise<string>;
   show(args: ShowArgs): Promise<Change>;
+  obslog(opts: ObslogOptions & { template: string }): Promise<string[]>;
   obslog(opts?: ObslogOptions): Promise<Operation[]>;
 
   // Operations
   undo(opts?: UndoOptions): Promise<UndoResult>;
+  /** Run the callback's calls as one operation; nothing is written if it throws */
+  transaction<T>(
+    fn: (tx: JJ) => Promise<T>,
+    opts?: { description?: string; timeout?: number }
+  ): Promise<T>;
   operations: {
+    list(opts: { limit?: number; template: string }): Promise<string[]>;
     list(opts?: { limit?: number }): Promise<Operation[]>;
-    at(args: { operation: OperationID }): Promise<JJ>;
+    /** Read-only view at an operation; mutating methods reject with READ_ONLY_VIEW */
+    at(args: { operation: OperationID }): Promise<JJ & { operation: OperationID }>;
     show(args: OperationShowArgs): Promise<Operation & { changes: Change[] }>;
     diff(args: OperationDiffArgs): Promise<{
       from: OperationID;
@@ -933,6 +1196,10 @@ export interface JJ {
       reverted: OperationID;
       inverseChanges: {
         bookmarks: Record<string, { action: string; from?: ChangeID; to?: ChangeID }>;
+        /** Changes whose state went back to before the operation */
+        changes: ChangeID[];
+        tags: string[];
+        /** Visible heads after the revert */
         heads: ChangeID[];
       };
       description: string;
@@ -948,20 +1215,34 @@ export interface JJ {
       newHead: OperationID | null;
     }>;
   };
+  util: {
+    /** Squash old operations into a checkpoint and delete what nothing refers to any more */
+    gc(opts?: {
+      keepOperationsNewerThan?: Date | string | number;
+      keepLast?: number;
+      minBlobAge?: number;
+      timeout?: number;
+    }): Promise<{
+      operationsRemoved: number;
+      changesRemoved: number;
+      blobsRemoved: number;
+      conflictsRemoved: number;
+      tempFilesRemoved: number;
+      bytesReclaimed: number;
+    }>;
+  };
 
   // Conflicts
   merge(args: MergeArgs): Promise<MergeResult>;
 
   /**
-   * Interactive conflict resolution (stub - throws error)
+   * Resolve conflicts with a merge tool
    *
-   * This method always throws an error explaining that interactive
-   * conflict resolution is not supported in JavaScript environments.
-   * Use the programmatic conflicts API instead.
+   * Configured tools run in Node.js only; elsewhere, pass a function.
    *
-   * @throws {JJError} Always throws UNSUPPORTED_OPERATION
+   * @throws {JJError} UNSUPPORTED_OPERATION without a tool or `ui.merge-editor`
    */
-  resolve(): Promise<never>;
+  resolve(args?: ResolveArgs): Promise<{ resolved: string[]; unresolved: string[] }>;
 
   // Bookmarks
   bookmark: {
@@ -979,9 +1260,9 @@ export interface JJ {
   // Git operations (only available with Git backend)
   git?: {
     init(opts?: InitOptions): Promise<void>;
-    fetch(args?: RemoteFetchArgs): Promise<void>;
+    fetch(args?: RemoteFetchArgs): Promise<RemoteFetchResult>;
     push(args?: RemotePushArgs): Promise<void>;
-    import(): Promise<{ imported: string[] }>;
+    import(): Promise<{ imported: string[]; changes: number }>;
     export(args?: GitExportArgs): Promise<{ exported: string[] }>;
     clone(args: GitCloneArgs): Promise<{ url: string; directory: string; ref: string }>;
     root(): Promise<{ root: string; gitDir: string }>;
@@ -997,7 +1278,7 @@ export interface JJ {
   // Remote operations
   remote: {
     add(args: RemoteAddArgs): Promise<void>;
-    fetch(args?: RemoteFetchArgs): Promise<void>;
+    fetch(args?: RemoteFetchArgs): Promise<RemoteFetchResult>;
     push(args?: RemotePushArgs): Promise<void>;
   };
 
@@ -1077,9 +1358,21 @@ export interface JJ {
     files: Array<{
       path: string;
       status: 'added' | 'modified' | 'deleted';
-      fromContent: string;
-      toContent: string;
+      fromContent: string | Uint8Array;
+      toContent: string | Uint8Array;
+      additions: number;
+      deletions: number;
+      hunks: DiffHunk[];
+      diff?: string;
+      /** Set for binary files, which have no hunks */
+      binary?: boolean;
+      fromSize?: number;
+      toSize?: number;
+      /** Git blob IDs (null when the file is absent on that side) */
+      fromHash?: string | null;
+      toHash?: string | null;
     }>;
+    patch?: string;
   }>;
 
   // Navigation operations
@@ -1095,6 +1388,26 @@ export interface JJ {
     to: ChangeID;
     restoredPaths: string[];
   }>;
+  diffedit(args: DiffEditArgs): Promise<{
+    change: Change;
+    /** Descendants whose files changed */
+    rebased: ChangeID[];
+    /** Conflicts recorded in descendants while rebasing them */
+    conflicts: Conflict[];
+  }>;
+  absorb(args?: AbsorbArgs): Promise<{
+    absorbed?: boolean;
+    wouldAbsorb?: boolean;
+    affectedChanges: ChangeID[];
+    /** With `dryRun`: change ID → path → content it would get (undefined to delete) */
+    preview?: Record<ChangeID, Record<string, string | Uint8Array | undefined>>;
+  }>;
+  fix(args?: FixArgs): Promise<{
+    /** Rewritten changes and the paths fixed in each */
+    changes: Array<{ changeId: ChangeID; paths: string[] }>;
+    /** Files left unchanged because a fixer or tool failed */
+    failed: Array<{ path: string; tool: string; message: string }>;
+  }>;
   parallelize(args: ParallelizeArgs): Promise<{
     parallelized: Array<{
       changeId: ChangeID;
@@ -0,0 +1,116 @@
+/**
+ * Binary content utilities for isomorphic-jj
+ *
+ * File contents are carried as strings for text and Uint8Array for binary data.
+ * These helpers detect, compare and serialize both forms.
+ */
+
+/**
+ * Check whether file content is binary
+ *
+ * @param {unknown} content - File content
+ * @returns {content is Uint8Array} Whether the content is a byte array
+ */
+export function isBinaryContent(content) {
+  return content instanceof Uint8Array;
+}
+
+/**
+ * Decode file bytes as text unless they look binary (NUL bytes or invalid UTF-8)
+ *
+ * @param {Uint8Array} bytes - Raw file content
+ * @returns {string|Uint8Array} Text, or the bytes themselves for binary content
+ */
+export function decodeContent(bytes) {
+  if (bytes.includes(0)) {
+    return bytes;
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return bytes;
+  }
+}
+
+/**
+ * Convert file content to bytes
+ *
+ * @param {string|Uint8Array} content - File content
+ * @returns {Uint8Array} UTF-8 bytes for text, the content itself for binary
+ */
+export function toBytes(content) {
+  return typeof content === 'string' ? new TextEncoder().encode(content) : content;
+}
+
+/**
+ * Compare two file contents, byte by byte for binary content
+ *
+ * @param {string|Uint8Array|undefined|null} a - First content
+ * @param {string|Uint8Array|undefined|null} b - Second content
+ * @returns {boolean} Whether the contents are identical
+ */
+export function contentEquals(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!isBinaryContent(a) || !isBinaryContent(b) || a.length !== b.length) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Size of file content in bytes
+ *
+ * @param {string|Uint8Array} content - File content
+ * @returns {number} Byte length (UTF-8 length for text)
+ */
+export function contentSize(content) {
+  return toBytes(content).length;
+}
+
+/**
+ * JSON.stringify replacer that keeps Uint8Array values as `{ $binary: <base64> }`
+ *
+ * Use together with binaryReviver when parsing.
+ *
+ * @this {any}
+ * @param {string} key - Property name
+ * @param {any} value - Value after toJSON()
+ * @returns {any} Value to serialize
+ */
+export function binaryReplacer(key, value) {
+  const raw = this[key];
+  if (raw instanceof Uint8Array) {
+    let binary = '';
+    for (let i = 0; i < raw.length; i += 0x8000) {
+      binary += String.fromCharCode(...raw.subarray(i, i + 0x8000));
+    }
+    return { $binary: btoa(binary) };
+  }
+  return value;
+}
+
+/**
+ * JSON.parse reviver that restores values written by binaryReplacer
+ *
+ * @param {string} key - Property name
+ * @param {any} value - Parsed value
+ * @returns {any} Value with `{ $binary }` objects turned back into Uint8Array
+ */
+export function binaryReviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.$binary === 'string' && Object.keys(value).length === 1) {
+    const binary = atob(value.$binary);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+  return value;
+}
@@ -0,0 +1,107 @@
+/**
+ * External fix tool helpers for isomorphic-jj
+ *
+ * Fix tools are configured as in jj, in the `fix.tools` config table:
+ *
+ *   fix.tools.prettier = { command: ['prettier', '--stdin-filepath=$path'], patterns: ['**\/*.js'] }
+ *
+ * A tool reads a file's content on stdin and writes the fixed content to stdout;
+ * `$path` in its command is replaced by the repository-relative path of the file.
+ * Running tools needs Node.js.
+ */
+
+import { JJError } from './errors.js';
+import { matchesPathPattern } from './path-pattern.js';
+import { decodeContent, toBytes } from './binary.js';
+
+/**
+ * Read the configured fix tools
+ *
+ * @param {Object<string, any>} [tools] - The `fix.tools` config table
+ * @returns {Array<{ name: string, program: string, args: string[], patterns: string[] }>} Tools in config order
+ * @throws {JJError} INVALID_FIX_TOOL for tools without a command or patterns
+ */
+export function fixToolCommands(tools = {}) {
+  return Object.entries(tools).map(([name, config]) => {
+    const command = config && config.command;
+    const patterns = config && config.patterns;
+    if (!Array.isArray(command) || command.length === 0 || !command.every(part => typeof part === 'string')) {
+      throw new JJError('INVALID_FIX_TOOL', `Fix tool "${name}" needs a command`, {
+        tool: name,
+        suggestion: `Set fix.tools.${name}.command to the program and its arguments, e.g. ['prettier', '--stdin-filepath=$path']`,
+      });
+    }
+    if (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string')) {
+      throw new JJError('INVALID_FIX_TOOL', `Fix tool "${name}" needs patterns`, {
+        tool: name,
+        suggestion: `Set fix.tools.${name}.patterns to the paths, directories or globs it fixes, e.g. ['**/*.js']`,
+      });
+    }
+
+    const [program, ...args] = command;
+    return { name, program, args, patterns };
+  });
+}
+
+/**
+ * Check whether a fix tool applies to a file
+ *
+ * @param {{ patterns: string[] }} tool - From fixToolCommands()
+ * @param {string} filePath - Repository-relative file path
+ * @returns {boolean} Whether one of the tool's patterns matches
+ */
+export function fixToolMatches(tool, filePath) {
+  return tool.patterns.some(pattern => matchesPathPattern(filePath, pattern));
+}
+
+/**
+ * Run a fix tool on a file's content
+ *
+ * @param {{ name: string, program: string, args: string[] }} tool - From fixToolCommands()
+ * @param {string} filePath - Repository-relative file path, for `$path`
+ * @param {string|Uint8Array} content - Content to fix
+ * @param {string} cwd - Directory to run the tool in, normally the workspace root
+ * @returns {Promise<string|Uint8Array>} Fixed content
+ * @throws {JJError} FIX_TOOL_FAILED when the tool cannot be started or exits with an error
+ */
+export async function runFixTool(tool, filePath, content, cwd) {
+  const { spawn } = await import('child_process');
+
+  return await new Promise((resolve, reject) => {
+    const child = spawn(tool.program, tool.args.map(arg => arg.replace(/\$path\b/g, () => filePath)), {
+      cwd,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    /** @type {Uint8Array[]} */
+    const stdout = [];
+    /** @type {Uint8Array[]} */
+    const stderr = [];
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    // A tool that exits without reading its input closes stdin early
+    child.stdin.on('error', () => {});
+
+    child.on('error', error => {
+      reject(new JJError('FIX_TOOL_FAILED', `Could not run fix tool "${tool.name}": ${error.message}`, {
+        tool: tool.name,
+        path: filePath,
+        suggestion: 'Check that the program is installed and on the PATH',
+      }));
+    });
+    child.on('close', exitCode => {
+      if (exitCode !== 0) {
+        reject(new JJError('FIX_TOOL_FAILED', `Fix tool "${tool.name}" exited with code ${exitCode} on ${filePath}`, {
+          tool: tool.name,
+          path: filePath,
+          exitCode,
+          stderr: Buffer.concat(stderr).toString('utf8'),
+        }));
+        return;
+      }
+      const output = Buffer.concat(stdout);
+      resolve(decodeContent(new Uint8Array(output.buffer, output.byteOffset, output.byteLength)));
+    });
+
+    child.stdin.end(toBytes(content));
+  });
+}
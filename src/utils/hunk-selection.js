@@ -0,0 +1,169 @@
+/**
+ * Hunk selection utilities for isomorphic-jj
+ *
+ * Picks parts of the difference between two file snapshots, as `jj split -i` and
+ * `jj squash -i` let a user do in a diff editor. Whole files are picked by path, text
+ * edits by hunk or by changed line within a hunk. Hunks are the ones diff() reports
+ * with its default context and are identified by their `id`.
+ */
+
+import { JJError } from './errors.js';
+import { diffHunks, applyHunks } from './line-diff.js';
+import { matchesPathPattern } from './path-pattern.js';
+import { isBinaryContent, contentEquals } from './binary.js';
+
+/**
+ * @typedef {Object} ChangeSelection
+ * @property {string[]} [paths] - Paths, directories or globs whose changes are picked whole
+ * @property {Array<string|{ id: string, lines: number[] }>} [hunks] - IDs of hunks to pick
+ *   whole, or a hunk ID with the indices into the hunk's `lines` of the changed lines to pick
+ * @property {Function} [select] - Called with each text hunk not listed in `hunks` and
+ *   `{ path, status }` of its file; returns (or resolves to) whether to pick the hunk, or
+ *   the indices into its `lines` of the changed lines to pick
+ */
+
+/**
+ * Identify a hunk of a file's diff
+ *
+ * @param {string} filePath - Repository-relative file path
+ * @param {{ oldStart: number, oldLines: number, newStart: number, newLines: number }} hunk - Hunk from diffHunks()
+ * @returns {string} Hunk ID, such as `src/a.js:-1,4+1,5`
+ */
+export function hunkId(filePath, hunk) {
+  return `${filePath}:-${hunk.oldStart},${hunk.oldLines}+${hunk.newStart},${hunk.newLines}`;
+}
+
+/**
+ * Check whether arguments pick changes
+ *
+ * @param {ChangeSelection} args - Arguments
+ * @returns {boolean} Whether `paths`, `hunks` or `select` is given
+ */
+export function hasSelection(args) {
+  return Boolean(args.paths || args.hunks || args.select);
+}
+
+/**
+ * Divide the difference between two snapshots into the picked edits and the rest
+ *
+ * A file is added or deleted only when all its edits are picked, or none are;
+ * otherwise both results hold it with part of its edits. Binary files, and files
+ * whose only edit is their creation or removal, can only be picked by path.
+ *
+ * @param {Record<string, string|Uint8Array>} fromFiles - Snapshot before the edits
+ * @param {Record<string, string|Uint8Array>} toFiles - Snapshot after the edits
+ * @param {ChangeSelection} [selection] - Edits to pick
+ * @returns {Promise<{ selected: Record<string, string|Uint8Array>, remaining: Record<string, string|Uint8Array>, paths: string[] }>}
+ *   `fromFiles` with the picked edits applied, `fromFiles` with the other edits applied,
+ *   and the paths of the files with picked edits
+ * @throws {JJError} INVALID_ARGUMENT for malformed selections and hunk IDs matching no hunk
+ */
+export async function selectChanges(fromFiles, toFiles, selection = {}) {
+  const { paths, hunks = [], select } = selection;
+  if (paths !== undefined && !Array.isArray(paths)) {
+    throw new JJError('INVALID_ARGUMENT', 'paths must be an array of paths or patterns', {
+      suggestion: 'Pass paths: ["src/file.js", "docs/"]',
+    });
+  }
+  if (!Array.isArray(hunks)) {
+    throw new JJError('INVALID_ARGUMENT', 'hunks must be an array of hunk IDs', {
+      suggestion: 'Pass the `id` of hunks returned by diff()',
+    });
+  }
+  if (select !== undefined && typeof select !== 'function') {
+    throw new JJError('INVALID_ARGUMENT', 'select must be a function', {
+      suggestion: 'Pass select: (hunk, file) => boolean',
+    });
+  }
+
+  /** @type {Map<string, Set<number>|null>} */
+  const wanted = new Map(); // Hunk ID → indices of the lines to pick, null for all
+  for (const entry of hunks) {
+    if (typeof entry === 'string') {
+      wanted.set(entry, null);
+    } else if (entry && typeof entry.id === 'string' && Array.isArray(entry.lines)) {
+      wanted.set(entry.id, new Set(entry.lines));
+    } else {
+      throw new JJError('INVALID_ARGUMENT', `Invalid hunk selection: ${JSON.stringify(entry)}`, {
+        suggestion: 'Give a hunk ID, or { id, lines } with indices into the hunk\'s lines',
+      });
+    }
+  }
+
+  const selected = { ...fromFiles };
+  const remaining = { ...fromFiles };
+  /** @type {(files: Record<string, string|Uint8Array>, filePath: string, content: string|Uint8Array|undefined) => void} */
+  const put = (files, filePath, content) => {
+    if (content === undefined) {
+      delete files[filePath];
+    } else {
+      files[filePath] = content;
+    }
+  };
+  const pickedPaths = [];
+  const seen = new Set();
+
+  const allPaths = new Set([...Object.keys(fromFiles), ...Object.keys(toFiles)]);
+  for (const filePath of [...allPaths].sort()) {
+    const fromContent = fromFiles[filePath];
+    const toContent = toFiles[filePath];
+    if (fromContent !== undefined && toContent !== undefined && contentEquals(fromContent, toContent)) {
+      continue;
+    }
+
+    const whole = Boolean(paths && paths.some(pattern => matchesPathPattern(filePath, pattern)));
+    const text = !isBinaryContent(fromContent) && !isBinaryContent(toContent);
+    const fileHunks = text ? diffHunks(/** @type {string} */ (fromContent || ''), /** @type {string} */ (toContent || '')) : [];
+    const status = fromContent === undefined ? 'added' : toContent === undefined ? 'deleted' : 'modified';
+
+    /** @type {Set<number>[]} */
+    const chosen = []; // Per hunk, the indices of its picked lines
+    let changed = 0;
+    let picked = 0;
+    for (const [index, hunk] of fileHunks.entries()) {
+      const id = hunkId(filePath, hunk);
+      seen.add(id);
+      const changedLines = hunk.lines.flatMap((line, i) => (/** @type {{ type: string }} */ (line).type === 'context' ? [] : [i]));
+
+      let lines = whole ? null : wanted.get(id);
+      if (lines === undefined && select) {
+        const answer = await select({ ...hunk, id }, { path: filePath, status });
+        lines = Array.isArray(answer) ? new Set(answer) : answer ? null : new Set();
+      }
+      for (const lineIndex of lines || []) {
+        if (!Number.isInteger(lineIndex) || lineIndex < 0 || lineIndex >= hunk.lines.length) {
+          throw new JJError('INVALID_ARGUMENT', `Hunk ${id} has no line ${lineIndex}`, {
+            suggestion: 'Give indices into the hunk\'s lines',
+          });
+        }
+      }
+
+      chosen[index] = new Set(lines === undefined ? [] : changedLines.filter(i => lines === null || lines.has(i)));
+      changed += changedLines.length;
+      picked += chosen[index].size;
+    }
+
+    if (whole || (changed > 0 && picked === changed)) {
+      put(selected, filePath, toContent);
+      pickedPaths.push(filePath);
+    } else if (picked === 0) {
+      put(remaining, filePath, toContent);
+    } else {
+      const oldText = /** @type {string} */ (fromContent || '');
+      const newText = /** @type {string} */ (toContent || '');
+      selected[filePath] = applyHunks(oldText, newText, fileHunks, (hunk, line) => chosen[hunk].has(line));
+      remaining[filePath] = applyHunks(oldText, newText, fileHunks, (hunk, line) => !chosen[hunk].has(line));
+      pickedPaths.push(filePath);
+    }
+  }
+
+  for (const id of wanted.keys()) {
+    if (!seen.has(id)) {
+      throw new JJError('INVALID_ARGUMENT', `No hunk ${id} in the diff`, {
+        suggestion: 'Take hunk IDs from diff() of the same change; they change when its files do',
+      });
+    }
+  }
+
+  return { selected, remaining, paths: pickedPaths };
+}
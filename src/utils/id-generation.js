@@ -17,6 +17,33 @@ export function generateChangeId() {
   return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
 }
 
+/**
+ * Derive the change ID of a commit imported from Git
+ *
+ * Same mapping as jj's Git backend: bytes 4..20 of the commit ID in reverse order,
+ * each with its bits reversed. Deterministic, so re-importing a commit yields the same
+ * change, yet distinct from any prefix of the commit ID.
+ *
+ * @param {string} commitId - 40-character Git commit SHA-1
+ * @returns {string} 32-character lowercase hex string
+ */
+export function changeIdFromCommitId(commitId) {
+  const bytes = [];
+  for (let i = 4; i < 20; i++) {
+    bytes.push(parseInt(commitId.slice(i * 2, i * 2 + 2), 16));
+  }
+  return bytes
+    .reverse()
+    .map((b) => {
+      let reversed = 0;
+      for (let bit = 0; bit < 8; bit++) {
+        reversed = (reversed << 1) | ((b >> bit) & 1);
+      }
+      return reversed.toString(16).padStart(2, '0');
+    })
+    .join('');
+}
+
 /**
  * Generate an operation ID from operation content
  *
@@ -32,6 +59,7 @@ export async function generateOperationId(operation) {
     description: operation.description,
     parents: operation.parents,
     view: operation.view,
+    viewId: operation.viewId,
   });
 
   const encoder = new TextEncoder();
@@ -0,0 +1,605 @@
+/**
+ * Line diff utilities for isomorphic-jj
+ *
+ * Line-based diffing (Myers' O(ND) algorithm) and diff3-style three-way merging.
+ * Lines keep their terminators so joining them reproduces the original text exactly.
+ */
+
+/**
+ * Split text into lines, keeping the trailing "\n" on each line
+ *
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines (the last one may lack a terminator)
+ */
+export function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  const lines = text.split('\n').map((line) => line + '\n');
+  if (text.endsWith('\n')) {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] = lines[lines.length - 1].slice(0, -1);
+  }
+  return lines;
+}
+
+/**
+ * Compute the shortest edit script between two line arrays
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: string, aStart: number, bStart: number, count: number}>} Runs of
+ *   'equal', 'delete' and 'insert' operations with 0-based start indices into `a` and `b`
+ */
+export function diffLines(a, b) {
+  // Common prefix/suffix never take part in the edit script
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  /** @type {Array<{type: string, aStart: number, bStart: number, count: number}>} */
+  const ops = [];
+  /** @param {string} type @param {number} aIndex @param {number} bIndex */
+  const push = (type, aIndex, bIndex) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.count++;
+    } else {
+      ops.push({ type, aStart: aIndex, bStart: bIndex, count: 1 });
+    }
+  };
+
+  for (let i = 0; i < prefix; i++) {
+    push('equal', i, i);
+  }
+
+  const edits = myers(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+  for (const [type, aIndex, bIndex] of edits) {
+    push(type, aIndex + prefix, bIndex + prefix);
+  }
+
+  for (let i = suffix; i > 0; i--) {
+    push('equal', a.length - i, b.length - i);
+  }
+
+  return ops;
+}
+
+/**
+ * Myers' diff on trimmed input, in linear space
+ *
+ * Instead of keeping the frontier of every edit distance to walk the path back, each
+ * range is split where the forward and reverse searches meet (the "middle snake") and
+ * the halves are diffed in turn, so memory stays O(N + M) however large the rewrite.
+ *
+ * @private
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<[string, number, number]>} Single-line edits in order
+ */
+function myers(a, b) {
+  /** @type {Array<[string, number, number]>} */
+  const edits = [];
+  // A full rewrite shares no lines; skip searching for a path through it
+  const bLines = new Set(b);
+  if (!a.some(line => bLines.has(line))) {
+    a.forEach((line, x) => edits.push(['delete', x, 0]));
+    b.forEach((line, y) => edits.push(['insert', a.length, y]));
+    return edits;
+  }
+
+  // Ranges still to diff, and runs of equal lines to emit after them, processed in order
+  /** @type {Array<[number, number, number, number, boolean]>} */
+  const stack = [[0, a.length, 0, b.length, false]];
+
+  while (stack.length > 0) {
+    const [aStart, aHi, bStart, bHi, equal] = /** @type {[number, number, number, number, boolean]} */ (stack.pop());
+    let aLo = aStart;
+    let bLo = bStart;
+    if (equal) {
+      for (; aLo < aHi; aLo++, bLo++) {
+        edits.push(['equal', aLo, bLo]);
+      }
+      continue;
+    }
+
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+      edits.push(['equal', aLo, bLo]);
+      aLo++;
+      bLo++;
+    }
+    let aEnd = aHi;
+    let bEnd = bHi;
+    while (aEnd > aLo && bEnd > bLo && a[aEnd - 1] === b[bEnd - 1]) {
+      aEnd--;
+      bEnd--;
+    }
+    if (aEnd < aHi) {
+      stack.push([aEnd, aHi, bEnd, bHi, true]);
+    }
+
+    if (aLo === aEnd || bLo === bEnd) {
+      for (let x = aLo; x < aEnd; x++) {
+        edits.push(['delete', x, bLo]);
+      }
+      for (let y = bLo; y < bEnd; y++) {
+        edits.push(['insert', aEnd, y]);
+      }
+      continue;
+    }
+
+    const split = middleSnake(a, aLo, aEnd, b, bLo, bEnd);
+    if (!split) {
+      for (let x = aLo; x < aEnd; x++) {
+        edits.push(['delete', x, bLo]);
+      }
+      for (let y = bLo; y < bEnd; y++) {
+        edits.push(['insert', aEnd, y]);
+      }
+      continue;
+    }
+    const [x, y] = split;
+    stack.push([x, aEnd, y, bEnd, false]);
+    stack.push([aLo, x, bLo, y, false]);
+  }
+
+  return edits;
+}
+
+/**
+ * Find where a shortest edit path through a[aLo..aHi) and b[bLo..bHi) crosses the
+ * middle, searching forward from the start and backward from the end at once
+ *
+ * @private
+ * @param {string[]} a - Old lines
+ * @param {number} aLo - Range start in `a`
+ * @param {number} aHi - Range end in `a`
+ * @param {string[]} b - New lines
+ * @param {number} bLo - Range start in `b`
+ * @param {number} bHi - Range end in `b`
+ * @returns {[number, number]|null} Split point, as indices into `a` and `b`, or null
+ *   when the ranges have no line in common
+ */
+function middleSnake(a, aLo, aHi, b, bLo, bHi) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const size = 2 * maxD;
+  const forward = new Int32Array(size).fill(-1);
+  const reverse = new Int32Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  reverse[offset + 1] = 0;
+  const delta = n - m;
+  // With an odd delta the paths meet while extending forward, otherwise in reverse
+  const front = delta % 2 !== 0;
+  // Diagonals that ran off the edges are skipped from then on
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let reverseStart = 0;
+  let reverseEnd = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+        ? forward[index + 1]
+        : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[index] = x;
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (front) {
+        const reverseIndex = offset + delta - k;
+        if (reverseIndex >= 0 && reverseIndex < size && reverse[reverseIndex] !== -1 && x >= n - reverse[reverseIndex]) {
+          return [aLo + x, bLo + y];
+        }
+      }
+    }
+
+    for (let k = -d + reverseStart; k <= d - reverseEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && reverse[index - 1] < reverse[index + 1])
+        ? reverse[index + 1]
+        : reverse[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) {
+        x++;
+        y++;
+      }
+      reverse[index] = x;
+      if (x > n) {
+        reverseEnd += 2;
+      } else if (y > m) {
+        reverseStart += 2;
+      } else if (!front) {
+        const forwardIndex = offset + delta - k;
+        if (forwardIndex >= 0 && forwardIndex < size && forward[forwardIndex] !== -1) {
+          const forwardX = forward[forwardIndex];
+          if (forwardX >= n - x) {
+            return [aLo + forwardX, bLo + forwardX - (forwardIndex - offset)];
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map each line of `a` to its matching line in `b`
+ *
+ * @private
+ * @param {string[]} a - Lines to map from
+ * @param {string[]} b - Lines to map to
+ * @returns {Int32Array} Index into `b` per line of `a`, or -1 when unmatched
+ */
+function matchLines(a, b) {
+  const matches = new Int32Array(a.length).fill(-1);
+  for (const op of diffLines(a, b)) {
+    if (op.type === 'equal') {
+      for (let i = 0; i < op.count; i++) {
+        matches[op.aStart + i] = op.bStart + i;
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * @param {string[]} x
+ * @param {string[]} y
+ */
+function sameLines(x, y) {
+  return x.length === y.length && x.every((line, i) => line === y[i]);
+}
+
+/**
+ * Join lines, terminating the last one (used inside conflict markers)
+ *
+ * @param {string[]} lines
+ */
+function joinLines(lines) {
+  const text = lines.join('');
+  return text && !text.endsWith('\n') ? text + '\n' : text;
+}
+
+/**
+ * Three-way merge of text at line granularity (diff3)
+ *
+ * Hunks changed on only one side, or changed identically on both, merge cleanly.
+ * Hunks that overlap with different edits become conflict regions.
+ *
+ * Region line numbers are 1-based. An empty range (`lines: 0`) starts at the line
+ * before which the other sides' lines would be inserted.
+ *
+ * @param {string} base - Common ancestor content
+ * @param {string} left - Left ("ours") content
+ * @param {string} right - Right ("theirs") content
+ * @param {Object} [opts] - Merge options
+ * @param {'left'|'right'|'union'} [opts.favor] - Resolve conflict regions to one side
+ *   (or both, left first) instead of emitting markers
+ * @param {Object} [opts.labels] - Marker labels; set `base: null` to omit the base section
+ * @returns {{clean: boolean, content: string, regions: Array<Object>, chunks: Array<Object>}}
+ */
+export function merge3(base, left, right, opts = {}) {
+  const labels = { left: 'Left', base: 'Base', right: 'Right', ...opts.labels };
+  const o = splitLines(base);
+  const a = splitLines(left);
+  const b = splitLines(right);
+  const toLeft = matchLines(o, a);
+  const toRight = matchLines(o, b);
+
+  /** @type {Array<any>} */
+  const chunks = [];
+  const emit = (/** @type {string[]} */ lines) => {
+    if (lines.length === 0) return;
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === 'resolved') {
+      last.lines.push(...lines);
+    } else {
+      chunks.push({ type: 'resolved', lines: [...lines] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  while (i < o.length || j < a.length || k < b.length) {
+    if (i < o.length && toLeft[i] === j && toRight[i] === k) {
+      emit([o[i]]);
+      i++;
+      j++;
+      k++;
+      continue;
+    }
+
+    // Next base line that both sides still share is the end of this hunk
+    let next = i;
+    while (next < o.length && (toLeft[next] === -1 || toRight[next] === -1)) {
+      next++;
+    }
+    const nextLeft = next < o.length ? toLeft[next] : a.length;
+    const nextRight = next < o.length ? toRight[next] : b.length;
+
+    const baseLines = o.slice(i, next);
+    const leftLines = a.slice(j, nextLeft);
+    const rightLines = b.slice(k, nextRight);
+
+    if (sameLines(leftLines, baseLines)) {
+      emit(rightLines);
+    } else if (sameLines(rightLines, baseLines) || sameLines(leftLines, rightLines)) {
+      emit(leftLines);
+    } else {
+      chunks.push({
+        type: 'conflict',
+        base: baseLines,
+        left: leftLines,
+        right: rightLines,
+        region: {
+          base: { start: i + 1, lines: baseLines.length },
+          left: { start: j + 1, lines: leftLines.length },
+          right: { start: k + 1, lines: rightLines.length },
+        },
+      });
+    }
+
+    i = next;
+    j = nextLeft;
+    k = nextRight;
+  }
+
+  let content = '';
+  for (const chunk of chunks) {
+    if (chunk.type === 'resolved') {
+      content += chunk.lines.join('');
+    } else if (opts.favor === 'left') {
+      content += chunk.left.join('');
+    } else if (opts.favor === 'right') {
+      content += chunk.right.join('');
+    } else if (opts.favor === 'union') {
+      content += (chunk.right.length ? joinLines(chunk.left) : chunk.left.join(''));
+      content += chunk.right.join('');
+    } else {
+      content += `<<<<<<< ${labels.left}\n${joinLines(chunk.left)}`;
+      if (labels.base !== null) {
+        content += `||||||| ${labels.base}\n${joinLines(chunk.base)}`;
+      }
+      content += `=======\n${joinLines(chunk.right)}>>>>>>> ${labels.right}\n`;
+    }
+  }
+
+  const regions = chunks.filter((c) => c.type === 'conflict').map((c) => c.region);
+  return { clean: regions.length === 0, content, regions, chunks };
+}
+
+/**
+ * Group a line diff into unified-diff hunks
+ *
+ * Line numbers are 1-based. As in unified diffs, a side with no lines in a hunk reports
+ * the line after which the hunk applies as its start.
+ *
+ * @param {string} oldText - Old content
+ * @param {string} newText - New content
+ * @param {Object} [opts] - Hunk options
+ * @param {number} [opts.context=3] - Unchanged lines to show around each change
+ * @param {boolean} [opts.ignoreWhitespace=false] - Treat lines differing only in whitespace as equal
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number,
+ *   header: string, additions: number, deletions: number, lines: Array<Object>}>} Hunks; each
+ *   line is {type: 'context'|'delete'|'insert', content, oldLine?, newLine?, noNewline?}
+ */
+export function diffHunks(oldText, newText, opts = {}) {
+  const context = opts.context ?? 3;
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const key = opts.ignoreWhitespace
+    ? (/** @type {string} */ line) => line.replace(/\s+/g, '')
+    : (/** @type {string} */ line) => line;
+
+  /** @type {Array<{type: string, line: string, oldIndex: number, newIndex: number}>} */
+  const entries = [];
+  for (const op of diffLines(oldLines.map(key), newLines.map(key))) {
+    for (let n = 0; n < op.count; n++) {
+      const oldIndex = op.aStart + n;
+      const newIndex = op.bStart + n;
+      if (op.type === 'equal') {
+        entries.push({ type: 'context', line: newLines[newIndex], oldIndex, newIndex });
+      } else if (op.type === 'delete') {
+        entries.push({ type: 'delete', line: oldLines[oldIndex], oldIndex, newIndex });
+      } else {
+        entries.push({ type: 'insert', line: newLines[newIndex], oldIndex, newIndex });
+      }
+    }
+  }
+
+  const hunks = [];
+  let i = 0;
+  while (i < entries.length) {
+    if (entries[i].type === 'context') {
+      i++;
+      continue;
+    }
+
+    // Extend the hunk while the unchanged gap to the next change fits in both contexts
+    let last = i;
+    let j = i + 1;
+    while (j < entries.length) {
+      if (entries[j].type !== 'context') {
+        last = j++;
+        continue;
+      }
+      let gap = 0;
+      while (j + gap < entries.length && entries[j + gap].type === 'context') {
+        gap++;
+      }
+      if (j + gap === entries.length || gap > 2 * context) {
+        break;
+      }
+      j += gap;
+    }
+
+    const start = Math.max(i - context, 0);
+    const stop = Math.min(last + context + 1, entries.length);
+    hunks.push(buildHunk(entries.slice(start, stop)));
+    i = stop;
+  }
+
+  return hunks;
+}
+
+/**
+ * @private
+ * @param {Array<{type: string, line: string, oldIndex: number, newIndex: number}>} entries
+ */
+function buildHunk(entries) {
+  const first = entries[0];
+  const lines = [];
+  let oldCount = 0;
+  let newCount = 0;
+  let additions = 0;
+  let deletions = 0;
+
+  for (const entry of entries) {
+    /** @type {{type: string, content: string, oldLine?: number, newLine?: number, noNewline?: boolean}} */
+    const line = {
+      type: entry.type,
+      content: entry.line.endsWith('\n') ? entry.line.slice(0, -1) : entry.line,
+    };
+    if (entry.type !== 'insert') {
+      line.oldLine = entry.oldIndex + 1;
+      oldCount++;
+    }
+    if (entry.type !== 'delete') {
+      line.newLine = entry.newIndex + 1;
+      newCount++;
+    }
+    if (!entry.line.endsWith('\n')) {
+      line.noNewline = true;
+    }
+    if (entry.type === 'insert') additions++;
+    if (entry.type === 'delete') deletions++;
+    lines.push(line);
+  }
+
+  const oldStart = oldCount > 0 ? first.oldIndex + 1 : first.oldIndex;
+  const newStart = newCount > 0 ? first.newIndex + 1 : first.newIndex;
+  const range = (/** @type {number} */ start, /** @type {number} */ count) =>
+    count === 1 ? `${start}` : `${start},${count}`;
+
+  return {
+    oldStart,
+    oldLines: oldCount,
+    newStart,
+    newLines: newCount,
+    header: `@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`,
+    additions,
+    deletions,
+    lines,
+  };
+}
+
+/**
+ * Apply some of the changed lines of a diff to its old text
+ *
+ * Deleted lines that aren't included stay, and inserted lines that aren't included are
+ * left out, so including every changed line reproduces the new text and including none
+ * reproduces the old text.
+ *
+ * @param {string} oldText - Old content
+ * @param {string} newText - New content
+ * @param {Array<{oldStart: number, oldLines: number, lines: Array<any>}>} hunks - Hunks from
+ *   diffHunks(oldText, newText)
+ * @param {(hunkIndex: number, lineIndex: number) => boolean} include - Whether to apply a
+ *   changed line, given its hunk and its index in the hunk's lines
+ * @returns {string} Resulting content
+ */
+export function applyHunks(oldText, newText, hunks, include) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  /** @type {string[]} */
+  const out = [];
+  let next = 0; // Next old line to copy
+
+  hunks.forEach((hunk, hunkIndex) => {
+    const start = hunk.oldLines > 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    while (next < start) {
+      out.push(oldLines[next++]);
+    }
+    hunk.lines.forEach((line, lineIndex) => {
+      if (line.type === 'insert') {
+        if (include(hunkIndex, lineIndex)) {
+          out.push(newLines[line.newLine - 1]);
+        }
+        return;
+      }
+      next = line.oldLine;
+      if (line.type === 'context' || !include(hunkIndex, lineIndex)) {
+        out.push(oldLines[line.oldLine - 1]);
+      }
+    });
+  });
+  while (next < oldLines.length) {
+    out.push(oldLines[next++]);
+  }
+
+  // A kept line that lacked a terminator at the end of the file may now be followed by more
+  return out.reduce((text, line) => (text && !text.endsWith('\n') ? text + '\n' : text) + line, '');
+}
+
+/**
+ * Format one file's hunks as a git-compatible patch
+ *
+ * @param {Object} file - File diff
+ * @param {string} file.path - File path
+ * @param {string} file.status - 'added', 'deleted' or 'modified'
+ * @param {Array<{header: string, lines: Array<any>}>} file.hunks - Hunks from diffHunks()
+ * @param {boolean} [file.binary] - Binary file: emit git's "Binary files ... differ" line
+ * @returns {string} Patch text, ending with a newline
+ */
+export function formatPatch({ path, status, hunks, binary }) {
+  const out = [`diff --git a/${path} b/${path}`];
+  if (status === 'added') {
+    out.push('new file mode 100644');
+  } else if (status === 'deleted') {
+    out.push('deleted file mode 100644');
+  }
+
+  if (binary) {
+    const from = status === 'added' ? '/dev/null' : `a/${path}`;
+    const to = status === 'deleted' ? '/dev/null' : `b/${path}`;
+    out.push(`Binary files ${from} and ${to} differ`);
+  } else if (hunks.length > 0) {
+    out.push(status === 'added' ? '--- /dev/null' : `--- a/${path}`);
+    out.push(status === 'deleted' ? '+++ /dev/null' : `+++ b/${path}`);
+    for (const hunk of hunks) {
+      out.push(hunk.header);
+      for (const line of hunk.lines) {
+        const prefix = line.type === 'insert' ? '+' : line.type === 'delete' ? '-' : ' ';
+        out.push(prefix + line.content);
+        if (line.noNewline) {
+          out.push('\\ No newline at end of file');
+        }
+      }
+    }
+  }
+
+  return out.join('\n') + '\n';
+}
@@ -0,0 +1,129 @@
+/**
+ * External merge tool helpers for isomorphic-jj
+ *
+ * Merge tools are configured as in jj, in the `merge-tools` config table:
+ *
+ *   merge-tools.meld = { program: 'meld', 'merge-args': ['$left', '$base', '$right', '-o', '$output'] }
+ *
+ * The sides of a conflict are written to temporary files, the program is run with the
+ * placeholders in its arguments replaced by their paths, and the resolution is read
+ * back from `$output`. Running programs needs Node.js.
+ */
+
+import path from 'path';
+import { JJError } from './errors.js';
+import { decodeContent } from './binary.js';
+
+/**
+ * Build the command line of a merge tool
+ *
+ * @param {string|string[]} tool - Name of a tool in `tools`, or a program and its arguments
+ *   (as `ui.merge-editor` may give them)
+ * @param {Object<string, any>} [tools] - The `merge-tools` config table
+ * @returns {{ name: string, program: string, args: string[] }} Tool name, program and
+ *   arguments with placeholders
+ * @throws {JJError} MERGE_TOOL_NOT_FOUND for unconfigured names, INVALID_MERGE_TOOL for
+ *   malformed configurations
+ */
+export function mergeToolCommand(tool, tools = {}) {
+  const configSuggestion = `Set merge-tools.${Array.isArray(tool) ? '<name>' : tool} to { program: 'meld', 'merge-args': ['$left', '$base', '$right', '-o', '$output'] }`;
+
+  let name;
+  let program;
+  let args;
+  if (Array.isArray(tool)) {
+    [program, ...args] = tool;
+    name = program;
+  } else {
+    const config = tools[tool];
+    if (!config || typeof config !== 'object') {
+      throw new JJError('MERGE_TOOL_NOT_FOUND', `Merge tool "${tool}" is not configured`, {
+        tool,
+        suggestion: configSuggestion,
+      });
+    }
+    name = tool;
+    program = config.program || tool;
+    args = config['merge-args'];
+  }
+
+  if (typeof program !== 'string' || !program || !Array.isArray(args) ||
+    !args.every(arg => typeof arg === 'string')) {
+    throw new JJError('INVALID_MERGE_TOOL', `Merge tool "${name}" needs a program and merge-args`, {
+      tool: name,
+      suggestion: configSuggestion,
+    });
+  }
+  if (!args.some(arg => arg.includes('$output'))) {
+    throw new JJError('INVALID_MERGE_TOOL', `Merge tool "${name}" does not write $output`, {
+      tool: name,
+      suggestion: 'Pass $output in merge-args where the tool writes the resolved file',
+    });
+  }
+
+  return { name, program, args };
+}
+
+/**
+ * Replace the `$base`, `$left`, `$right` and `$output` placeholders in merge tool arguments
+ *
+ * @param {string[]} args - Arguments with placeholders
+ * @param {{ base: string, left: string, right: string, output: string }} files - File paths
+ * @returns {string[]} Arguments to run the tool with
+ */
+export function expandMergeArgs(args, files) {
+  return args.map(arg => arg.replace(/\$(base|left|right|output)\b/g,
+    (placeholder, side) => files[/** @type {'base'|'left'|'right'|'output'} */ (side)]));
+}
+
+/**
+ * Run a merge tool on the sides of a conflict
+ *
+ * The files are named after the conflicted file, so tools can pick its syntax, and
+ * removed once the tool exits.
+ *
+ * @param {Object<string, any>} fs - Node.js filesystem
+ * @param {{ name: string, program: string, args: string[] }} command - From mergeToolCommand()
+ * @param {{ base: string|Uint8Array, left: string|Uint8Array, right: string|Uint8Array, output: string|Uint8Array }} contents -
+ *   Contents to write to each file; `output` is what the tool starts from
+ * @param {string} fileName - Base name of the conflicted file
+ * @returns {Promise<string|Uint8Array>} Contents of `$output` after the tool exits
+ * @throws {JJError} MERGE_TOOL_FAILED when the tool cannot be started or exits with an error
+ */
+export async function runMergeTool(fs, command, contents, fileName) {
+  const os = await import('os');
+  const { spawn } = await import('child_process');
+
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'jj-resolve-'));
+  try {
+    /** @type {{ base: string, left: string, right: string, output: string }} */
+    const files = { base: '', left: '', right: '', output: '' };
+    for (const side of /** @type {Array<'base'|'left'|'right'|'output'>} */ (['base', 'left', 'right', 'output'])) {
+      files[side] = path.join(tempDir, `${side}-${fileName}`);
+      await fs.promises.writeFile(files[side], contents[side]);
+    }
+
+    const exitCode = await new Promise((resolve, reject) => {
+      const child = spawn(command.program, expandMergeArgs(command.args, files), { stdio: 'inherit' });
+      child.on('error', reject);
+      child.on('close', resolve);
+    }).catch(error => {
+      throw new JJError('MERGE_TOOL_FAILED', `Could not run merge tool "${command.name}": ${error.message}`, {
+        tool: command.name,
+        program: command.program,
+        suggestion: 'Check that the program is installed and on the PATH',
+      });
+    });
+    if (exitCode !== 0) {
+      throw new JJError('MERGE_TOOL_FAILED', `Merge tool "${command.name}" exited with code ${exitCode}`, {
+        tool: command.name,
+        exitCode,
+      });
+    }
+
+    const bytes = await fs.promises.readFile(files.output);
+    return decodeContent(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+}
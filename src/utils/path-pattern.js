@@ -0,0 +1,87 @@
+/**
+ * Path pattern utilities for isomorphic-jj
+ *
+ * Matches repository-relative file paths against exact paths, directory prefixes and globs.
+ */
+
+import { JJError } from './errors.js';
+
+/**
+ * Convert a glob pattern to an anchored regular expression
+ *
+ * Supports `**` (any number of path segments), `*` (within a segment), `?` and `[...]`,
+ * negated with `[!...]` or `[^...]`. A `]` right after the opening bracket is part of
+ * the class.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Regular expression matching whole paths
+ * @throws {JJError} INVALID_PATTERN for invalid character classes, such as `[z-a]`
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories; a bare "**" matches anything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const negated = pattern[i + 1] === '!' || pattern[i + 1] === '^';
+      const start = negated ? i + 2 : i + 1;
+      const close = pattern.indexOf(']', start + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        // Only ranges keep their meaning; a negated class still never matches "/"
+        const members = pattern.slice(start, close).replace(/[\\\]^[]/g, '\\$&');
+        source += negated ? `[^/${members}]` : `[${members}]`;
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  try {
+    return new RegExp(`^${source}$`);
+  } catch (/** @type {any} */ error) {
+    throw new JJError('INVALID_PATTERN', `Invalid glob "${pattern}": ${error.message}`, {
+      pattern,
+      suggestion: 'Check the character classes of the glob; ranges go from low to high, like [a-z]',
+    });
+  }
+}
+
+/**
+ * Check whether a file path matches a path pattern
+ *
+ * A pattern matches the path itself, any file below it when it names a directory,
+ * or, when it contains glob characters, paths matching the glob.
+ *
+ * @param {string} filePath - Repository-relative file path
+ * @param {string} pattern - Path, directory or glob pattern
+ * @returns {boolean} Whether the path matches
+ */
+export function matchesPathPattern(filePath, pattern) {
+  if (filePath === pattern) {
+    return true;
+  }
+
+  if (/[*?[]/.test(pattern)) {
+    return globToRegExp(pattern).test(filePath);
+  }
+
+  const dir = pattern.endsWith('/') ? pattern : `${pattern}/`;
+  return filePath.startsWith(dir);
+}
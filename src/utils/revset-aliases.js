@@ -0,0 +1,257 @@
+/**
+ * Revset alias utilities for isomorphic-jj
+ *
+ * Aliases come from the `revset-aliases` config table. Each key declares a symbol
+ * (`trunk`) or a function (`stack(x)`), and each value is the revset it stands for.
+ * Bodies may use their parameters and other aliases; expansion happens on the AST
+ * produced by utils/revset-parser.js.
+ */
+
+import { JJError } from './errors.js';
+import { parseRevset, tokenize } from './revset-parser.js';
+
+const NAME = /^[\p{L}_][\p{L}\p{N}_]*$/u;
+
+/**
+ * @typedef {Object} RevsetAlias
+ * @property {string} declaration - Config key, e.g. 'stack(x)'
+ * @property {string} name - Alias name
+ * @property {string[]|null} params - Parameter names, or null for symbol aliases
+ * @property {Object<string, any>} body - Parsed alias body
+ */
+
+/**
+ * @typedef {Object} CompiledRevsetAliases
+ * @property {Map<string, RevsetAlias>} symbols - Symbol aliases by name
+ * @property {Map<string, RevsetAlias>} functions - Function aliases by `name/arity`
+ */
+
+/**
+ * Parse an alias declaration such as `trunk` or `stack(x, depth)`
+ *
+ * @param {string} declaration - Config key
+ * @returns {{ name: string, params: string[]|null }} Alias name and parameters
+ * @throws {JJError} INVALID_REVSET_ALIAS when the declaration is malformed
+ */
+export function parseAliasDeclaration(declaration) {
+  /** @param {string} reason */
+  const invalid = (reason) => new JJError('INVALID_REVSET_ALIAS', `Invalid revset alias declaration "${declaration}": ${reason}`, {
+    alias: declaration,
+    suggestion: 'Declare aliases as a name such as "trunk" or a function such as "stack(x)"',
+  });
+
+  let tokens;
+  try {
+    tokens = tokenize(declaration);
+  } catch (/** @type {any} */ error) {
+    throw invalid(error.message);
+  }
+
+  const [nameToken] = tokens;
+  if (nameToken.type !== 'identifier' || !NAME.test(nameToken.value)) {
+    throw invalid('expected an alias name');
+  }
+  if (tokens[1].type === 'eof') {
+    return { name: nameToken.value, params: null };
+  }
+  if (tokens[1].type !== '(') {
+    throw invalid(`unexpected '${tokens[1].value}'`);
+  }
+
+  /** @type {string[]} */
+  const params = [];
+  let i = 2;
+  if (tokens[i].type !== ')') {
+    for (;;) {
+      const token = tokens[i];
+      if (token.type !== 'identifier' || !NAME.test(token.value)) {
+        throw invalid('expected a parameter name');
+      }
+      if (params.includes(token.value)) {
+        throw invalid(`duplicate parameter "${token.value}"`);
+      }
+      params.push(token.value);
+      i++;
+      if (tokens[i].type !== ',') {
+        break;
+      }
+      i++;
+    }
+  }
+  if (tokens[i].type !== ')' || tokens[i + 1].type !== 'eof') {
+    throw invalid('expected a closing parenthesis at the end');
+  }
+
+  return { name: nameToken.value, params };
+}
+
+/**
+ * Parse and validate a `revset-aliases` table
+ *
+ * @param {Object<string, string>} aliases - Alias declarations mapped to revset expressions
+ * @returns {CompiledRevsetAliases} Parsed aliases
+ * @throws {JJError} INVALID_REVSET_ALIAS for malformed declarations or bodies
+ */
+export function compileRevsetAliases(aliases) {
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    throw new JJError('INVALID_REVSET_ALIAS', 'revset-aliases must be a table of alias declarations', {
+      suggestion: 'Use { "revset-aliases": { "trunk": "main" } }',
+    });
+  }
+
+  const symbols = new Map();
+  const functions = new Map();
+
+  for (const [declaration, expression] of Object.entries(aliases)) {
+    const { name, params } = parseAliasDeclaration(declaration);
+
+    if (typeof expression !== 'string') {
+      throw new JJError('INVALID_REVSET_ALIAS', `Revset alias "${declaration}" must be a revset string`, {
+        alias: declaration,
+      });
+    }
+
+    let body;
+    try {
+      body = parseRevset(expression);
+    } catch (/** @type {any} */ error) {
+      throw new JJError('INVALID_REVSET_ALIAS', `Invalid revset alias "${declaration}": ${error.message}`, {
+        alias: declaration,
+        column: error.context.column,
+        suggestion: error.context.suggestion,
+      });
+    }
+
+    const alias = { declaration, name, params, body };
+    if (params) {
+      functions.set(`${name}/${params.length}`, alias);
+    } else {
+      symbols.set(name, alias);
+    }
+  }
+
+  return { symbols, functions };
+}
+
+/**
+ * Replace alias references in a revset AST with their definitions
+ *
+ * Arguments are expanded where the alias is used, then substituted for the
+ * parameters. Nodes taken from an alias body report the column of the use site.
+ *
+ * @param {Object<string, any>} node - Parsed revset from parseRevset()
+ * @param {CompiledRevsetAliases} aliases - Aliases from compileRevsetAliases()
+ * @returns {Object<string, any>} Expanded AST
+ * @throws {JJError} INVALID_REVSET_ALIAS for recursive aliases and wrong argument counts
+ */
+export function expandRevsetAliases(node, aliases) {
+  return expandNode(node, aliases, [], new Map());
+}
+
+/**
+ * @param {Object<string, any>} node - Node to expand
+ * @param {CompiledRevsetAliases} aliases - Compiled aliases
+ * @param {string[]} stack - Declarations currently being expanded
+ * @param {Map<string, Object<string, any>>} bindings - Parameters of the enclosing alias
+ * @returns {Object<string, any>}
+ */
+function expandNode(node, aliases, stack, bindings) {
+  switch (node.type) {
+    case 'symbol':
+      if (bindings.has(node.value)) {
+        return /** @type {Object<string, any>} */ (bindings.get(node.value));
+      }
+      if (aliases.symbols.has(node.value)) {
+        return expandAlias(/** @type {RevsetAlias} */ (aliases.symbols.get(node.value)), [], node, aliases, stack);
+      }
+      return node;
+
+    case 'function': {
+      const args = node.args.map((/** @type {Object<string, any>} */ arg) => expandNode(arg, aliases, stack, bindings));
+      const alias = aliases.functions.get(`${node.name}/${args.length}`);
+      if (alias) {
+        return expandAlias(alias, args, node, aliases, stack);
+      }
+      const overloads = [...aliases.functions.values()].filter((a) => a.name === node.name);
+      if (overloads.length > 0) {
+        throw new JJError(
+          'INVALID_REVSET_ALIAS',
+          `Revset alias "${node.name}" expects ${overloads.map((a) => (a.params || []).length).join(' or ')} argument(s), got ${args.length} at column ${node.column}`,
+          { alias: node.name, column: node.column }
+        );
+      }
+      return { ...node, args };
+    }
+
+    case 'union':
+    case 'intersection':
+    case 'difference':
+      return {
+        ...node,
+        left: expandNode(node.left, aliases, stack, bindings),
+        right: expandNode(node.right, aliases, stack, bindings),
+      };
+
+    case 'not':
+    case 'parents':
+    case 'children':
+      return { ...node, operand: expandNode(node.operand, aliases, stack, bindings) };
+
+    case 'range':
+      return {
+        ...node,
+        from: node.from && expandNode(node.from, aliases, stack, bindings),
+        to: node.to && expandNode(node.to, aliases, stack, bindings),
+      };
+
+    default:
+      return node;
+  }
+}
+
+/**
+ * Expand one alias use
+ *
+ * @param {RevsetAlias} alias - Alias being used
+ * @param {Object<string, any>[]} args - Expanded arguments
+ * @param {Object<string, any>} site - Node where the alias is used
+ * @param {CompiledRevsetAliases} aliases - Compiled aliases
+ * @param {string[]} stack - Declarations currently being expanded
+ * @returns {Object<string, any>}
+ */
+function expandAlias(alias, args, site, aliases, stack) {
+  if (stack.includes(alias.declaration)) {
+    const cycle = [...stack.slice(stack.indexOf(alias.declaration)), alias.declaration];
+    throw new JJError('INVALID_REVSET_ALIAS', `Revset alias "${alias.declaration}" is recursive: ${cycle.join(' -> ')}`, {
+      alias: alias.declaration,
+      cycle,
+      column: site.column,
+      suggestion: 'Remove the cycle from revset-aliases',
+    });
+  }
+
+  const bindings = new Map((alias.params || []).map((param, i) => [param, args[i]]));
+  const body = relocate(alias.body, site.column);
+  return expandNode(body, aliases, [...stack, alias.declaration], bindings);
+}
+
+/**
+ * Copy an AST, moving every node to one column
+ *
+ * @param {Object<string, any>} node - Node to copy
+ * @param {number} column - New column
+ * @returns {Object<string, any>}
+ */
+function relocate(node, column) {
+  /** @type {Object<string, any>} */
+  const copy = { ...node, column };
+  for (const key of ['left', 'right', 'operand', 'from', 'to']) {
+    if (node[key]) {
+      copy[key] = relocate(node[key], column);
+    }
+  }
+  if (node.args) {
+    copy.args = node.args.map((/** @type {Object<string, any>} */ arg) => relocate(arg, column));
+  }
+  return copy;
+}
@@ -0,0 +1,307 @@
+/**
+ * Revset parser for isomorphic-jj
+ *
+ * Turns a revset expression into an AST. Operator precedence follows jj, from
+ * loosest to tightest binding:
+ *
+ *   x | y            union
+ *   x & y, x ~ y     intersection, difference (left-associative)
+ *   ~x               complement
+ *   x::y, x..y       DAG range and range, with either side optional
+ *   x-, x+           parents, children
+ *   f(...), (x)      function calls and grouping
+ *
+ * `kind:value` is a string pattern such as `glob:"feat*"` or `exact-i:Alice`,
+ * accepted as a function argument wherever a name or text is matched.
+ */
+
+import { JJError } from './errors.js';
+
+/**
+ * @typedef {Object} RevsetToken
+ * @property {string} type - 'identifier', 'string', 'eof' or the operator itself
+ * @property {string} value - Token text (unquoted for strings)
+ * @property {number} column - 1-based column of the first character
+ */
+
+/**
+ * @typedef {Object} RevsetNode
+ * @property {string} type - 'symbol', 'string', 'pattern', 'function', 'union',
+ *   'intersection', 'difference', 'not', 'range', 'parents' or 'children'
+ * @property {number} column - 1-based column where the node starts
+ * @property {string} [value] - Symbol name, string value or pattern text
+ * @property {string} [kind] - Pattern kind, e.g. 'glob' or 'exact-i'
+ * @property {string} [name] - Function name
+ * @property {RevsetNode[]} [args] - Function arguments
+ * @property {RevsetNode} [left] - Left operand of a binary operator
+ * @property {RevsetNode} [right] - Right operand of a binary operator
+ * @property {RevsetNode} [operand] - Operand of ~x, x- and x+
+ * @property {string} [op] - Range operator, '::' or '..'
+ * @property {RevsetNode|null} [from] - Start of a range, null when open
+ * @property {RevsetNode|null} [to] - End of a range, null when open
+ */
+
+const OPERATORS = ['::', '..', ':', '(', ')', ',', '|', '&', '~', '-', '+', '@'];
+
+// Characters of a bare word; '*' and '?' let glob patterns go unquoted
+const IDENTIFIER_PART = /[\p{L}\p{N}_/*?]/u;
+
+/**
+ * Split a revset expression into tokens
+ *
+ * Identifiers may contain '.', '-' and '+' between word characters, so `feature-x`
+ * and `file.js` are single names while `@-` and `a..b` are not. `name@remote` is
+ * one identifier naming a remote bookmark.
+ *
+ * @param {string} expression - Revset expression
+ * @returns {RevsetToken[]} Tokens, ending with an 'eof' token
+ * @throws {JJError} INVALID_REVSET on unterminated strings and unknown characters
+ */
+export function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < expression.length && expression[i] !== char) {
+        if (expression[i] === '\\' && i + 1 < expression.length) {
+          i++;
+        }
+        value += expression[i];
+        i++;
+      }
+      if (i >= expression.length) {
+        throw syntaxError(expression, start + 1, 'Unterminated string');
+      }
+      i++;
+      tokens.push({ type: 'string', value, column: start + 1 });
+      continue;
+    }
+
+    if (IDENTIFIER_PART.test(char)) {
+      const start = i;
+      i = scanIdentifier(expression, i);
+      // name@remote refers to a remote bookmark
+      if (expression[i] === '@' && IDENTIFIER_PART.test(expression[i + 1] || '')) {
+        i = scanIdentifier(expression, i + 1);
+      }
+      tokens.push({ type: 'identifier', value: expression.slice(start, i), column: start + 1 });
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => expression.startsWith(op, i));
+    if (!operator) {
+      throw syntaxError(expression, i + 1, `Unexpected character '${char}'`);
+    }
+    tokens.push({ type: operator, value: operator, column: i + 1 });
+    i += operator.length;
+  }
+
+  tokens.push({ type: 'eof', value: '', column: expression.length + 1 });
+  return tokens;
+}
+
+/**
+ * Parse a revset expression into an AST
+ *
+ * @param {string} expression - Revset expression
+ * @returns {RevsetNode} Root node
+ * @throws {JJError} INVALID_REVSET with the column of the offending token
+ */
+export function parseRevset(expression) {
+  const tokens = tokenize(expression);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  /** @param {string} type */
+  const expect = (type) => {
+    const token = peek();
+    if (token.type !== type) {
+      throw unexpected(expression, token, `expected '${type}'`);
+    }
+    return next();
+  };
+
+  // Tokens that can begin an operand (used to tell `x::` from `x::y`)
+  /** @param {RevsetToken} token */
+  const startsOperand = (token) => ['identifier', 'string', '(', '@'].includes(token.type);
+
+  /** @returns {RevsetNode} */
+  const parseUnion = () => {
+    let left = parseIntersection();
+    while (peek().type === '|') {
+      next();
+      left = { type: 'union', left, right: parseIntersection(), column: left.column };
+    }
+    return left;
+  };
+
+  /** @returns {RevsetNode} */
+  const parseIntersection = () => {
+    let left = parseNegation();
+    while (peek().type === '&' || peek().type === '~') {
+      const type = next().type === '&' ? 'intersection' : 'difference';
+      left = { type, left, right: parseNegation(), column: left.column };
+    }
+    return left;
+  };
+
+  /** @returns {RevsetNode} */
+  const parseNegation = () => {
+    if (peek().type === '~') {
+      const { column } = next();
+      return { type: 'not', operand: parseNegation(), column };
+    }
+    return parseRange();
+  };
+
+  /** @returns {RevsetNode} */
+  const parseRange = () => {
+    if (peek().type === '::' || peek().type === '..') {
+      const { type: op, column } = next();
+      const to = startsOperand(peek()) ? parsePostfix() : null;
+      return { type: 'range', op, from: null, to, column };
+    }
+
+    const from = parsePostfix();
+    if (peek().type === '::' || peek().type === '..') {
+      const op = next().type;
+      const to = startsOperand(peek()) ? parsePostfix() : null;
+      return { type: 'range', op, from, to, column: from.column };
+    }
+    return from;
+  };
+
+  /** @returns {RevsetNode} */
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (peek().type === '-' || peek().type === '+') {
+      const type = next().type === '-' ? 'parents' : 'children';
+      node = { type, operand: node, column: node.column };
+    }
+    return node;
+  };
+
+  /** @returns {RevsetNode} */
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === '(') {
+      next();
+      const inner = parseUnion();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === '@') {
+      next();
+      return { type: 'symbol', value: '@', column: token.column };
+    }
+
+    if (token.type === 'string') {
+      next();
+      return { type: 'string', value: token.value, column: token.column };
+    }
+
+    if (token.type === 'identifier') {
+      next();
+      if (peek().type === ':') {
+        next();
+        const valueToken = peek();
+        if (valueToken.type !== 'identifier' && valueToken.type !== 'string') {
+          throw unexpected(expression, valueToken, `expected a pattern after '${token.value}:'`);
+        }
+        next();
+        return { type: 'pattern', kind: token.value, value: valueToken.value, column: token.column };
+      }
+      if (peek().type !== '(') {
+        return { type: 'symbol', value: token.value, column: token.column };
+      }
+
+      next();
+      const args = [];
+      if (peek().type !== ')') {
+        args.push(parseUnion());
+        while (peek().type === ',') {
+          next();
+          args.push(parseUnion());
+        }
+      }
+      expect(')');
+      return { type: 'function', name: token.value, args, column: token.column };
+    }
+
+    throw unexpected(expression, token, 'expected a revision, string or function call');
+  };
+
+  if (peek().type === 'eof') {
+    throw syntaxError(expression, 1, 'Empty revset expression');
+  }
+
+  const ast = parseUnion();
+  if (peek().type !== 'eof') {
+    throw unexpected(expression, peek(), 'expected an operator or end of expression');
+  }
+  return ast;
+}
+
+/**
+ * Advance past one identifier, including inner '.', '-' and '+' separators
+ *
+ * @param {string} expression - Revset expression
+ * @param {number} i - Index of the first identifier character
+ * @returns {number} Index just past the identifier
+ */
+function scanIdentifier(expression, i) {
+  while (i < expression.length) {
+    if (IDENTIFIER_PART.test(expression[i])) {
+      i++;
+    } else if ('.-+'.includes(expression[i]) && IDENTIFIER_PART.test(expression[i + 1] || '')) {
+      i += 2;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+/**
+ * Build a syntax error for a token that does not fit the grammar
+ *
+ * @param {string} expression - Revset expression
+ * @param {RevsetToken} token - Offending token
+ * @param {string} hint - What the parser expected instead
+ * @returns {JJError}
+ */
+function unexpected(expression, token, hint) {
+  const found = token.type === 'eof' ? 'end of expression' : `'${token.value}'`;
+  return syntaxError(expression, token.column, `Unexpected ${found}, ${hint}`);
+}
+
+/**
+ * Build an INVALID_REVSET error pointing at a column
+ *
+ * @param {string} expression - Revset expression
+ * @param {number} column - 1-based column
+ * @param {string} message - Error description
+ * @returns {JJError}
+ */
+function syntaxError(expression, column, message) {
+  return new JJError('INVALID_REVSET', `${message} at column ${column} in revset: ${expression}`, {
+    expression,
+    column,
+    suggestion: 'Check parentheses and operators (|, &, ~, ::, .., -, +) around this position',
+  });
+}
@@ -0,0 +1,160 @@
+/**
+ * WHATWG stream helpers for file contents
+ *
+ * The streams work over any filesystem with the promises API used elsewhere (Node fs,
+ * LightningFS). Where the filesystem has file handles (Node), files are read and written
+ * a chunk at a time. LightningFS only reads and writes whole files, so there a file
+ * passes through memory once, but consumers still receive it in chunks.
+ */
+
+import { toBytes } from './binary.js';
+
+export const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Stream bytes that are only loaded when the stream is first read
+ *
+ * Nothing is queued ahead of reads, so merely creating the stream loads nothing.
+ *
+ * @param {() => Promise<Uint8Array>} load - Produces the bytes
+ * @param {number} [chunkSize] - Bytes per chunk
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function bytesReadableStream(load, chunkSize = DEFAULT_CHUNK_SIZE) {
+  /** @type {Uint8Array|null} */
+  let bytes = null;
+  let offset = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (!bytes) {
+        const loaded = await load();
+        bytes = new Uint8Array(loaded.buffer, loaded.byteOffset, loaded.byteLength);
+      }
+      if (offset >= bytes.length) {
+        bytes = null;
+        controller.close();
+        return;
+      }
+      controller.enqueue(bytes.slice(offset, offset + chunkSize));
+      offset += chunkSize;
+    },
+    cancel() {
+      bytes = null;
+    },
+  }, { highWaterMark: 0 });
+}
+
+/**
+ * Stream a file's bytes
+ *
+ * Errors opening the file (such as ENOENT) error the stream on its first read.
+ *
+ * @param {Object<string, any>} fs - Filesystem implementation
+ * @param {string} fullPath - Absolute file path
+ * @param {number} [chunkSize] - Bytes per chunk
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function fileReadableStream(fs, fullPath, chunkSize = DEFAULT_CHUNK_SIZE) {
+  if (typeof fs.promises.open !== 'function') {
+    return bytesReadableStream(() => fs.promises.readFile(fullPath), chunkSize);
+  }
+
+  /** @type {Object<string, any>|null} */
+  let handle = null;
+  let position = 0;
+  const closeHandle = async () => {
+    const opened = handle;
+    handle = null;
+    if (opened) {
+      await opened.close();
+    }
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        handle = handle || await fs.promises.open(fullPath, 'r');
+        const buffer = new Uint8Array(chunkSize);
+        const { bytesRead } = await /** @type {Object<string, any>} */ (handle).read(buffer, 0, chunkSize, position);
+        if (bytesRead === 0) {
+          await closeHandle();
+          controller.close();
+          return;
+        }
+        position += bytesRead;
+        controller.enqueue(buffer.subarray(0, bytesRead));
+      } catch (error) {
+        await closeHandle().catch(() => {});
+        throw error;
+      }
+    },
+    cancel: closeHandle,
+  }, { highWaterMark: 0 });
+}
+
+/**
+ * Stream chunks into a file, replacing it
+ *
+ * Strings are written as UTF-8. `onClose` runs once the file is complete, before the
+ * stream's close() resolves.
+ *
+ * @param {Object<string, any>} fs - Filesystem implementation
+ * @param {string} fullPath - Absolute file path; its directory must exist
+ * @param {() => Promise<void>} [onClose] - Called after the last chunk is written
+ * @returns {WritableStream<string|Uint8Array|ArrayBuffer>}
+ */
+export function fileWritableStream(fs, fullPath, onClose = async () => {}) {
+  /** @param {string|Uint8Array|ArrayBuffer} chunk */
+  const chunkBytes = (chunk) => (chunk instanceof ArrayBuffer ? new Uint8Array(chunk) : toBytes(chunk));
+
+  if (typeof fs.promises.open !== 'function') {
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    return new WritableStream({
+      write(chunk) {
+        chunks.push(chunkBytes(chunk));
+      },
+      async close() {
+        const data = new Uint8Array(chunks.reduce((size, bytes) => size + bytes.length, 0));
+        let offset = 0;
+        for (const bytes of chunks.splice(0)) {
+          data.set(bytes, offset);
+          offset += bytes.length;
+        }
+        await fs.promises.writeFile(fullPath, data);
+        await onClose();
+      },
+      abort() {
+        chunks.length = 0;
+      },
+    });
+  }
+
+  /** @type {Object<string, any>|null} */
+  let handle = null;
+  return new WritableStream({
+    async start() {
+      handle = await fs.promises.open(fullPath, 'w');
+    },
+    async write(chunk) {
+      const bytes = chunkBytes(chunk);
+      let written = 0;
+      while (written < bytes.length) {
+        const { bytesWritten } = await /** @type {Object<string, any>} */ (handle).write(bytes, written, bytes.length - written);
+        written += bytesWritten;
+      }
+    },
+    async close() {
+      await /** @type {Object<string, any>} */ (handle).close();
+      handle = null;
+      await onClose();
+    },
+    async abort() {
+      if (handle) {
+        await handle.close();
+        handle = null;
+      }
+    },
+  });
+}
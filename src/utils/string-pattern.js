@@ -0,0 +1,91 @@
+/**
+ * String pattern utilities for isomorphic-jj
+ *
+ * Implements jj's string patterns: `exact:`, `glob:`, `regex:` and `substring:`,
+ * each with a case-insensitive `-i` variant (`glob-i:`, ...).
+ */
+
+import { JJError } from './errors.js';
+
+/**
+ * Pattern kinds, without the `-i` suffix
+ */
+export const STRING_PATTERN_KINDS = ['exact', 'glob', 'regex', 'substring'];
+
+/**
+ * Compile a string pattern into a predicate
+ *
+ * @param {string} value - Pattern text, without its `kind:` prefix
+ * @param {string} [kind='substring'] - Pattern kind, optionally with an `-i` suffix
+ * @returns {(text: string) => boolean} Predicate testing a whole string
+ * @throws {JJError} INVALID_PATTERN for unknown kinds and invalid regular expressions
+ */
+export function compileStringPattern(value, kind = 'substring') {
+  const ignoreCase = kind.endsWith('-i');
+  const baseKind = ignoreCase ? kind.slice(0, -2) : kind;
+
+  switch (baseKind) {
+    case 'exact': {
+      const expected = ignoreCase ? value.toLowerCase() : value;
+      return (text) => (ignoreCase ? text.toLowerCase() : text) === expected;
+    }
+
+    case 'substring': {
+      const needle = ignoreCase ? value.toLowerCase() : value;
+      return (text) => (ignoreCase ? text.toLowerCase() : text).includes(needle);
+    }
+
+    case 'glob': {
+      const regex = stringGlobToRegExp(value, ignoreCase);
+      return (text) => regex.test(text);
+    }
+
+    case 'regex': {
+      let regex;
+      try {
+        regex = new RegExp(value, ignoreCase ? 'i' : '');
+      } catch (/** @type {any} */ error) {
+        throw new JJError('INVALID_PATTERN', `Invalid regular expression "${value}": ${error.message}`, {
+          pattern: value,
+          suggestion: 'Check the regular expression syntax',
+        });
+      }
+      return (text) => regex.test(text);
+    }
+
+    default:
+      throw new JJError('INVALID_PATTERN', `Unknown string pattern kind "${kind}"`, {
+        kind,
+        suggestion: `Use one of ${STRING_PATTERN_KINDS.map(k => `${k}:, ${k}-i:`).join(', ')}`,
+      });
+  }
+}
+
+/**
+ * Convert a string glob to an anchored regular expression
+ *
+ * Unlike path globs, `*` also matches `/`, so `glob:"feature/*"` and `glob:"*fix*"`
+ * behave the same on bookmark names and descriptions.
+ *
+ * @param {string} pattern - Glob with `*`, `?` and `[...]`
+ * @param {boolean} ignoreCase - Match case-insensitively
+ * @returns {RegExp}
+ */
+function stringGlobToRegExp(pattern, ignoreCase) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '[' && pattern.indexOf(']', i + 1) !== -1) {
+      const close = pattern.indexOf(']', i + 1);
+      source += pattern.slice(i, close + 1).replace(/^\[!/, '[^');
+      i = close;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
+}
@@ -0,0 +1,362 @@
+/**
+ * Template parser for isomorphic-jj
+ *
+ * Turns a jj template such as `change_id.short() ++ " " ++ description.first_line()`
+ * into an AST. Operators, from loosest to tightest binding:
+ *
+ *   x ++ y           concatenation
+ *   x || y           logical or
+ *   x && y           logical and
+ *   !x               logical not
+ *   x.method(...)    method call
+ *   f(...), (x)      function calls and grouping
+ */
+
+import { JJError } from './errors.js';
+
+/**
+ * @typedef {Object} TemplateToken
+ * @property {string} type - 'identifier', 'string', 'integer', 'eof' or the operator itself
+ * @property {string} value - Token text (unescaped for strings)
+ * @property {number} column - 1-based column of the first character
+ */
+
+/**
+ * @typedef {Object} TemplateNode
+ * @property {string} type - 'literal', 'keyword', 'call', 'method', 'concat', 'or', 'and' or 'not'
+ * @property {number} column - 1-based column where the node starts
+ * @property {*} [value] - Literal value
+ * @property {string} [name] - Keyword, function or method name
+ * @property {TemplateNode[]} [args] - Function or method arguments
+ * @property {TemplateNode} [object] - Receiver of a method call
+ * @property {TemplateNode[]} [parts] - Concatenated templates
+ * @property {TemplateNode} [left] - Left operand of || and &&
+ * @property {TemplateNode} [right] - Right operand of || and &&
+ * @property {TemplateNode} [operand] - Operand of !
+ */
+
+const OPERATORS = ['++', '||', '&&', '!', '(', ')', ',', '.'];
+
+/** @type {Object<string, string>} */
+const ESCAPES = { n: '\n', t: '\t', r: '\r', 0: '\0', '"': '"', '\\': '\\' };
+
+/**
+ * Split a template into tokens
+ *
+ * Double-quoted strings support `\n`, `\t`, `\r`, `\0`, `\"` and `\\` escapes;
+ * single-quoted strings are taken literally.
+ *
+ * @param {string} template - Template text
+ * @returns {TemplateToken[]} Tokens, ending with an 'eof' token
+ * @throws {JJError} INVALID_TEMPLATE on unterminated strings, bad escapes and unknown characters
+ */
+export function tokenizeTemplate(template) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < template.length) {
+    const char = template[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < template.length && template[i] !== char) {
+        if (char === '"' && template[i] === '\\') {
+          const escaped = ESCAPES[template[i + 1]];
+          if (escaped === undefined) {
+            throw syntaxError(template, i + 1, `Invalid escape sequence '\\${template[i + 1] || ''}'`);
+          }
+          value += escaped;
+          i += 2;
+          continue;
+        }
+        value += template[i];
+        i++;
+      }
+      if (i >= template.length) {
+        throw syntaxError(template, start + 1, 'Unterminated string');
+      }
+      i++;
+      tokens.push({ type: 'string', value, column: start + 1 });
+      continue;
+    }
+
+    if (/[0-9]/.test(char)) {
+      const start = i;
+      while (/[0-9]/.test(template[i] || '')) {
+        i++;
+      }
+      tokens.push({ type: 'integer', value: template.slice(start, i), column: start + 1 });
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const start = i;
+      while (/[A-Za-z0-9_]/.test(template[i] || '')) {
+        i++;
+      }
+      tokens.push({ type: 'identifier', value: template.slice(start, i), column: start + 1 });
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => template.startsWith(op, i));
+    if (!operator) {
+      throw syntaxError(template, i + 1, `Unexpected character '${char}'`);
+    }
+    tokens.push({ type: operator, value: operator, column: i + 1 });
+    i += operator.length;
+  }
+
+  tokens.push({ type: 'eof', value: '', column: template.length + 1 });
+  return tokens;
+}
+
+/**
+ * Parse a template into an AST
+ *
+ * An empty template renders as the empty string.
+ *
+ * @param {string} template - Template text
+ * @returns {TemplateNode} Root node
+ * @throws {JJError} INVALID_TEMPLATE with the column of the offending token
+ */
+export function parseTemplate(template) {
+  const tokens = tokenizeTemplate(template);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  /** @param {string} type */
+  const expect = (type) => {
+    const token = peek();
+    if (token.type !== type) {
+      throw unexpected(template, token, `expected '${type}'`);
+    }
+    return next();
+  };
+
+  /** @returns {TemplateNode[]} */
+  const parseArgs = () => {
+    expect('(');
+    const args = [];
+    if (peek().type !== ')') {
+      args.push(parseConcat());
+      while (peek().type === ',') {
+        next();
+        args.push(parseConcat());
+      }
+    }
+    expect(')');
+    return args;
+  };
+
+  /** @returns {TemplateNode} */
+  const parseConcat = () => {
+    const first = parseOr();
+    const parts = [first];
+    while (peek().type === '++') {
+      next();
+      parts.push(parseOr());
+    }
+    return parts.length === 1 ? first : { type: 'concat', parts, column: first.column };
+  };
+
+  /** @returns {TemplateNode} */
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek().type === '||') {
+      next();
+      left = { type: 'or', left, right: parseAnd(), column: left.column };
+    }
+    return left;
+  };
+
+  /** @returns {TemplateNode} */
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek().type === '&&') {
+      next();
+      left = { type: 'and', left, right: parseNot(), column: left.column };
+    }
+    return left;
+  };
+
+  /** @returns {TemplateNode} */
+  const parseNot = () => {
+    if (peek().type === '!') {
+      const { column } = next();
+      return { type: 'not', operand: parseNot(), column };
+    }
+    return parseMethods();
+  };
+
+  /** @returns {TemplateNode} */
+  const parseMethods = () => {
+    let node = parsePrimary();
+    while (peek().type === '.') {
+      next();
+      const name = expect('identifier');
+      node = { type: 'method', object: node, name: name.value, args: parseArgs(), column: name.column };
+    }
+    return node;
+  };
+
+  /** @returns {TemplateNode} */
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === '(') {
+      next();
+      const inner = parseConcat();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'string') {
+      next();
+      return { type: 'literal', value: token.value, column: token.column };
+    }
+
+    if (token.type === 'integer') {
+      next();
+      return { type: 'literal', value: parseInt(token.value, 10), column: token.column };
+    }
+
+    if (token.type === 'identifier') {
+      next();
+      if (peek().type === '(') {
+        return { type: 'call', name: token.value, args: parseArgs(), column: token.column };
+      }
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true', column: token.column };
+      }
+      return { type: 'keyword', name: token.value, column: token.column };
+    }
+
+    throw unexpected(template, token, 'expected a keyword, string or function call');
+  };
+
+  if (peek().type === 'eof') {
+    return { type: 'literal', value: '', column: 1 };
+  }
+
+  const ast = parseConcat();
+  if (peek().type !== 'eof') {
+    throw unexpected(template, peek(), "expected '++' or end of template");
+  }
+  return ast;
+}
+
+/**
+ * Parse and validate a `template-aliases` table
+ *
+ * Keys declare a keyword (`my_log`) or a function (`short_id(id)`); values are templates.
+ *
+ * @param {Object<string, string>} aliases - Alias declarations mapped to templates
+ * @returns {{ keywords: Map<string, Object<string, any>>, functions: Map<string, Object<string, any>> }}
+ *   Keyword aliases by name and function aliases by `name/arity`, each with
+ *   `declaration`, `name`, `params` and parsed `body`
+ * @throws {JJError} INVALID_TEMPLATE_ALIAS for malformed declarations or bodies
+ */
+export function compileTemplateAliases(aliases) {
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    throw new JJError('INVALID_TEMPLATE_ALIAS', 'template-aliases must be a table of alias declarations', {
+      suggestion: 'Use { "template-aliases": { "short_id(id)": "id.short(8)" } }',
+    });
+  }
+
+  const keywords = new Map();
+  const functions = new Map();
+
+  for (const [declaration, template] of Object.entries(aliases)) {
+    const { name, params } = parseTemplateAliasDeclaration(declaration);
+
+    if (typeof template !== 'string') {
+      throw new JJError('INVALID_TEMPLATE_ALIAS', `Template alias "${declaration}" must be a template string`, {
+        alias: declaration,
+      });
+    }
+
+    let body;
+    try {
+      body = parseTemplate(template);
+    } catch (/** @type {any} */ error) {
+      throw new JJError('INVALID_TEMPLATE_ALIAS', `Invalid template alias "${declaration}": ${error.message}`, {
+        alias: declaration,
+        column: error.context.column,
+        suggestion: error.context.suggestion,
+      });
+    }
+
+    const alias = { declaration, name, params, body };
+    if (params) {
+      functions.set(`${name}/${params.length}`, alias);
+    } else {
+      keywords.set(name, alias);
+    }
+  }
+
+  return { keywords, functions };
+}
+
+/**
+ * Parse a template alias declaration such as `my_log` or `short_id(id, len)`
+ *
+ * @param {string} declaration - Config key
+ * @returns {{ name: string, params: string[]|null }} Alias name and parameters
+ * @throws {JJError} INVALID_TEMPLATE_ALIAS when the declaration is malformed
+ */
+function parseTemplateAliasDeclaration(declaration) {
+  const match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*(?:\(([^()]*)\))?\s*$/.exec(declaration);
+  const params = match && match[2] !== undefined
+    ? match[2].split(',').map(param => param.trim()).filter((param, i, all) => param || all.length > 1)
+    : null;
+
+  const invalid = !match ||
+    (params && params.some(param => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(param))) ||
+    (params && new Set(params).size !== params.length);
+  if (invalid) {
+    throw new JJError('INVALID_TEMPLATE_ALIAS', `Invalid template alias declaration "${declaration}"`, {
+      alias: declaration,
+      suggestion: 'Declare aliases as a name such as "my_log" or a function such as "short_id(id)"',
+    });
+  }
+
+  return { name: match[1], params };
+}
+
+/**
+ * Build a syntax error for a token that does not fit the grammar
+ *
+ * @param {string} template - Template text
+ * @param {TemplateToken} token - Offending token
+ * @param {string} hint - What the parser expected instead
+ * @returns {JJError}
+ */
+function unexpected(template, token, hint) {
+  const found = token.type === 'eof' ? 'end of template' : `'${token.value}'`;
+  return syntaxError(template, token.column, `Unexpected ${found}, ${hint}`);
+}
+
+/**
+ * Build an INVALID_TEMPLATE error pointing at a column
+ *
+ * @param {string} template - Template text
+ * @param {number} column - 1-based column
+ * @param {string} message - Error description
+ * @returns {JJError}
+ */
+function syntaxError(template, column, message) {
+  return new JJError('INVALID_TEMPLATE', `${message} at column ${column} in template: ${template}`, {
+    template,
+    column,
+    suggestion: 'Join templates with ++ and quote literal text, e.g. change_id.short() ++ " " ++ description',
+  });
+}
@@ -0,0 +1,114 @@
+/**
+ * View merging for isomorphic-jj
+ *
+ * Operations recorded concurrently each carry a complete repository view. Merging
+ * them entry by entry against the view of their common ancestor keeps every side's
+ * edits: an entry only one side changed takes that side's value.
+ */
+
+// View parts merged entry by entry; `conflicts` holds two such parts
+const ENTRY_PARTS = ['changes', 'bookmarks', 'remoteBookmarks', 'trackedBookmarks', 'tags', 'workspaces'];
+const CONFLICT_PARTS = ['conflicts', 'fileConflicts'];
+
+/**
+ * Merge the views of concurrent operations
+ *
+ * Entries several sides changed to different values take the value of the last side
+ * that changed them. Changes and local bookmarks that went different ways are reported,
+ * so callers can surface them instead of losing one side silently.
+ *
+ * Views recorded before complete views existed lack most parts; a side without a part
+ * leaves it as the base has it.
+ *
+ * @param {Object<string, any>} base - View of the latest common ancestor
+ * @param {Array<Object<string, any>>} sides - Views of the concurrent operations, oldest first
+ * @returns {{
+ *   view: Object<string, any>,
+ *   divergentChanges: Array<{ changeId: string, states: string[] }>,
+ *   conflictedBookmarks: Array<{ name: string, base: string|null, targets: Array<string|null> }>
+ * }} Merged view, changes whose states diverged and bookmarks moved to different targets
+ */
+export function mergeViews(base, sides) {
+  /** @type {Object<string, any>} */
+  const view = {};
+  const divergentChanges = [];
+  const conflictedBookmarks = [];
+
+  for (const part of ENTRY_PARTS) {
+    const merged = mergeEntries(base[part], sides.map(side => side[part]));
+    view[part] = merged.entries;
+
+    for (const { key, values } of merged.conflicts) {
+      if (part === 'changes') {
+        divergentChanges.push({ changeId: key, states: values.filter(Boolean) });
+      } else if (part === 'bookmarks') {
+        conflictedBookmarks.push({
+          name: key,
+          base: base.bookmarks?.[key] ?? null,
+          targets: values.map(value => value ?? null),
+        });
+      }
+    }
+  }
+
+  view.conflicts = {};
+  for (const part of CONFLICT_PARTS) {
+    view.conflicts[part] = mergeEntries(
+      base.conflicts?.[part],
+      sides.map(side => side.conflicts && side.conflicts[part])
+    ).entries;
+  }
+
+  view.workingCopy = mergeEntries(
+    { workingCopy: base.workingCopy },
+    sides.map(side => ({ workingCopy: side.workingCopy }))
+  ).entries.workingCopy;
+
+  return { view, divergentChanges, conflictedBookmarks };
+}
+
+/**
+ * Three-way merge of keyed entries
+ *
+ * @param {Record<string, any>|undefined} base - Entries in the common ancestor
+ * @param {Array<Record<string, any>|undefined>} sides - Entries on each side
+ * @returns {{ entries: Record<string, any>, conflicts: Array<{ key: string, values: any[] }> }}
+ *   Merged entries, and the distinct values of entries the sides changed differently
+ */
+export function mergeEntries(base = {}, sides) {
+  const present = /** @type {Array<Record<string, any>>} */ (sides.filter(side => side !== undefined));
+  /** @type {Record<string, any>} */
+  const entries = { ...base };
+  const conflicts = [];
+  const keys = new Set([...Object.keys(base), ...present.flatMap(side => Object.keys(side))]);
+
+  for (const key of keys) {
+    const changed = present.map(side => side[key]).filter(value => !sameValue(value, base[key]));
+    if (changed.length === 0) {
+      continue;
+    }
+
+    const last = changed[changed.length - 1];
+    if (last === undefined) {
+      delete entries[key];
+    } else {
+      entries[key] = last;
+    }
+
+    const values = changed.filter((value, i) => changed.findIndex(other => sameValue(other, value)) === i);
+    if (values.length > 1) {
+      conflicts.push({ key, values });
+    }
+  }
+
+  return { entries, conflicts };
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean} True when both values serialize the same
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
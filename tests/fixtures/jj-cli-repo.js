@@ -0,0 +1,98 @@
+/**
+ * Test utilities - Native jj repository state, as the jj CLI writes it
+ */
+
+import protobuf from 'protobufjs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JJOperationStore } from '../../src/core/jj-operation-store.js';
+import { JJViewStore } from '../../src/core/jj-view-store.js';
+import { JJCheckout } from '../../src/core/jj-checkout.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Write a table of jj's Git backend extra metadata (commit ID → change ID)
+ *
+ * @param {Object} fs - Node fs
+ * @param {string} dir - Repository directory
+ * @param {string} name - Table file name
+ * @param {string|null} parent - Parent table file name
+ * @param {Array<[string, string, string[]?]>} entries - [commit ID, change ID, predecessors] sorted by commit ID
+ */
+export async function writeExtraTable(fs, dir, name, parent, entries) {
+  const root = await protobuf.load(path.join(__dirname, '..', '..', 'src', 'protos', 'git_store.proto'));
+  const Commit = root.lookupType('git_store.Commit');
+  const values = entries.map(([, changeId, predecessors = []]) => Buffer.from(Commit.encode(Commit.create({
+    changeId: Buffer.from(changeId, 'hex'),
+    predecessors: predecessors.map(id => Buffer.from(id, 'hex')),
+  })).finish()));
+
+  const u32 = (n) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(n);
+    return buffer;
+  };
+
+  const index = [];
+  let offset = 0;
+  entries.forEach(([commitId], i) => {
+    index.push(Buffer.from(commitId, 'hex'), u32(offset));
+    offset += values[i].length;
+  });
+
+  await fs.promises.mkdir(`${dir}/.jj/repo/store/extra/heads`, { recursive: true });
+  await fs.promises.writeFile(`${dir}/.jj/repo/store/extra/${name}`, Buffer.concat([
+    u32(parent ? parent.length : 0),
+    Buffer.from(parent || ''),
+    u32(entries.length),
+    ...index,
+    ...values,
+  ]));
+}
+
+/**
+ * Write the .jj directory of a repository created by `jj git init`, with one operation
+ *
+ * @param {Object} fs - Node fs
+ * @param {string} dir - Repository directory
+ * @param {Object} state - Operation view
+ * @param {string} [state.gitTarget='../../../.git'] - Git directory relative to .jj/repo/store
+ * @param {string[]} state.heads - Visible head commit IDs
+ * @param {Record<string, string>} state.workingCopies - Workspace → commit ID
+ * @param {Record<string, string>} [state.bookmarks] - Bookmark → commit ID
+ * @param {Record<string, Record<string, { commitId: string, tracked: boolean }>>} [state.remoteBookmarks]
+ * @param {Record<string, string>} [state.tags] - Tag → commit ID
+ * @returns {Promise<string>} Operation ID
+ */
+export async function writeJJCliRepo(fs, dir, state) {
+  const repo = `${dir}/.jj/repo`;
+  for (const sub of ['store/extra/heads', 'op_store/operations', 'op_store/views', 'op_heads/heads']) {
+    await fs.promises.mkdir(`${repo}/${sub}`, { recursive: true });
+  }
+  await fs.promises.mkdir(`${dir}/.jj/working_copy`, { recursive: true });
+  await fs.promises.writeFile(`${repo}/store/type`, 'git');
+  await fs.promises.writeFile(`${repo}/store/git_target`, state.gitTarget || '../../../.git');
+  await fs.promises.writeFile(`${repo}/op_store/type`, 'simple_op_store');
+  await fs.promises.writeFile(`${repo}/op_heads/type`, 'simple_op_heads_store');
+
+  const viewId = await new JJViewStore(fs, dir).writeView(null, state.heads, state.workingCopies, {
+    bookmarks: state.bookmarks,
+    remoteBookmarks: state.remoteBookmarks,
+    tags: state.tags,
+  });
+  const time = { millis_since_epoch: Date.now(), tz_offset: 0 };
+  const operationId = await new JJOperationStore(fs, dir).writeOperation(null, viewId, [], {
+    start_time: time,
+    end_time: time,
+    description: 'snapshot working copy',
+    hostname: 'host',
+    username: 'dev',
+    is_snapshot: true,
+    tags: {},
+  });
+  await fs.promises.writeFile(`${repo}/op_heads/heads/${operationId}`, '');
+  await new JJCheckout(fs, dir).writeCheckout(operationId, 'default');
+  return operationId;
+}
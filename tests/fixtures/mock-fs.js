@@ -15,14 +15,29 @@ export class MockFS {
       access: this.access.bind(this),
       readdir: this.readdir.bind(this),
       rm: this.rm.bind(this),
+      rmdir: this.rmdir.bind(this),
     };
   }
 
   async mkdir(path, opts = {}) {
     // Mock mkdir - just track that directory was created
+    if (!opts.recursive && this.files.has(path)) {
+      const error = new Error(`EEXIST: file already exists, mkdir '${path}'`);
+      error.code = 'EEXIST';
+      throw error;
+    }
     this.files.set(path, { type: 'dir', created: Date.now() });
   }
 
+  async rmdir(path) {
+    if (!this.files.has(path)) {
+      const error = new Error(`ENOENT: no such file or directory, rmdir '${path}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    this.files.delete(path);
+  }
+
   async writeFile(path, content) {
     this.files.set(path, { type: 'file', content, mtime: Date.now() });
   }
@@ -54,7 +69,9 @@ export class MockFS {
   }
 
   async stat(path) {
-    const file = this.files.get(path);
+    // Parents of files written under directories made with mkdir({ recursive }) count as directories
+    const file = this.files.get(path) ||
+      ([...this.files.keys()].some(filePath => filePath.startsWith(path + '/')) ? { type: 'dir' } : null);
     if (!file) {
       const error = new Error(`ENOENT: no such file or directory, stat '${path}'`);
       error.code = 'ENOENT';
@@ -0,0 +1,100 @@
+/**
+ * Integration tests for concurrent operations
+ *
+ * Two repository instances over the same files stand in for two processes (say an
+ * editor plugin and a CLI) working on one repository at the same time.
+ */
+
+import { createJJ } from '../../src/index.js';
+import { MockFS } from '../fixtures/mock-fs.js';
+
+describe('Concurrent Operations', () => {
+  let fs;
+  let jj;
+  let other;
+  let base;
+
+  beforeEach(async () => {
+    fs = new MockFS();
+    jj = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
+    await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
+
+    await jj.write({ path: 'a.txt', data: 'a' });
+    base = await jj.describe({ message: 'Base' });
+    await jj.bookmark.create({ name: 'main', changeId: base.changeId });
+
+    other = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
+    await other.operations.list();
+  });
+
+  afterEach(() => {
+    fs.reset();
+  });
+
+  it('should merge the heads left by concurrent operations', async () => {
+    const ours = await jj.new({ message: 'Ours' });
+    const theirs = await other.new({ message: 'Theirs' });
+
+    const [merge] = await other.operations.list({ limit: 1 });
+    expect(merge.parents).toHaveLength(2);
+
+    expect(await other.graph.getChange(ours.changeId)).toBeTruthy();
+    expect(await other.graph.getChange(theirs.changeId)).toBeTruthy();
+  });
+
+  it('should mark changes edited on both sides as divergent', async () => {
+    await jj.describe({ changeId: base.changeId, message: 'Ours' });
+    await other.describe({ changeId: base.changeId, message: 'Theirs' });
+
+    const [merge] = await other.operations.list({ limit: 1 });
+    expect(merge.divergentChanges).toEqual([
+      { changeId: base.changeId, operations: merge.parents },
+    ]);
+
+    const divergent = await other.log({ revset: 'divergent()' });
+    expect(divergent.map(change => change.changeId)).toEqual([base.changeId]);
+
+    const settled = await other.describe({ changeId: base.changeId, message: 'Settled' });
+    expect(settled.divergent).toBeUndefined();
+  });
+
+  it('should report bookmarks moved to different targets', async () => {
+    const left = await jj.new({ message: 'Left' });
+    const right = await jj.new({ message: 'Right' });
+    const third = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
+    await third.operations.list();
+
+    const merged = [];
+    third.addEventListener('operations:merged', (event) => merged.push(event.detail));
+    await jj.bookmark.move({ name: 'main', to: left.changeId });
+    await third.bookmark.move({ name: 'main', to: right.changeId });
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0].conflictedBookmarks).toEqual([
+      { name: 'main', base: base.changeId, targets: [left.changeId, right.changeId] },
+    ]);
+    expect((await third.bookmark.list()).find(b => b.name === 'main').changeId).toBe(right.changeId);
+  });
+
+  it('should merge heads that share no history', async () => {
+    // A partial copy of the log: the latest operation again, as if it had no parents
+    const logPath = '/test/repo/.jj/repo/op_log/oplog.jsonl';
+    const lines = fs.files.get(logPath).content.trim().split('\n');
+    const orphan = { ...JSON.parse(lines[lines.length - 1]), id: 'f'.repeat(64), parents: [] };
+    await fs.promises.writeFile(logPath, `${lines.join('\n')}\n${JSON.stringify(orphan)}\n`);
+    await fs.promises.writeFile(`/test/repo/.jj/repo/op_log/heads/${orphan.id}`, '');
+
+    const [merge] = await other.operations.list({ limit: 1 });
+
+    expect(merge.parents).toHaveLength(2);
+    expect(merge.parents).toContain(orphan.id);
+    expect((await other.show({ change: base.changeId })).description).toBe('Base');
+  });
+
+  it('should pick up operations of another instance when loading', async () => {
+    const ours = await jj.new({ message: 'Ours' });
+
+    await other.operations.list();
+    expect(await other.graph.getChange(ours.changeId)).toBeTruthy();
+  });
+});
@@ -66,6 +66,59 @@ describe('First-Class Conflicts Integration', () => {
       expect(result.conflicts[0].type).toBe('content');
     });
 
+    it('should merge edits to different lines of the same file', async () => {
+      await jj.write({ path: 'file.txt', data: 'one\ntwo\nthree\nfour\n' });
+      await jj.describe({ message: 'Base' });
+      const base = jj.workingCopy.getCurrentChangeId();
+
+      await jj.new({ message: 'Left' });
+      await jj.write({ path: 'file.txt', data: 'ONE\ntwo\nthree\nfour\n' });
+      await jj.describe({ message: 'Left change' });
+      const left = jj.workingCopy.getCurrentChangeId();
+
+      await jj.edit({ changeId: base });
+      await jj.new({ message: 'Right' });
+      await jj.write({ path: 'file.txt', data: 'one\ntwo\nthree\nFOUR\n' });
+      await jj.describe({ message: 'Right change' });
+
+      const result = await jj.merge({ source: left });
+
+      expect(result.conflicts).toHaveLength(0);
+      expect(await jj.read({ path: 'file.txt' })).toBe('ONE\ntwo\nthree\nFOUR\n');
+    });
+
+    it('should list each conflicted region with its line ranges', async () => {
+      await jj.write({ path: 'file.txt', data: 'one\ntwo\nthree\nfour\nfive\nsix\n' });
+      await jj.describe({ message: 'Base' });
+      const base = jj.workingCopy.getCurrentChangeId();
+
+      await jj.new({ message: 'Left' });
+      await jj.write({ path: 'file.txt', data: 'one\nleft\nthree\nFOUR\nfive\nsix\n' });
+      await jj.describe({ message: 'Left change' });
+      const left = jj.workingCopy.getCurrentChangeId();
+
+      await jj.edit({ changeId: base });
+      await jj.new({ message: 'Right' });
+      await jj.write({ path: 'file.txt', data: 'one\nright\nthree\nfour\nfive\nSIX\n' });
+      await jj.describe({ message: 'Right change' });
+
+      await jj.merge({ source: left });
+      const [conflict] = await jj.conflicts.list();
+
+      expect(conflict.regions).toEqual([
+        {
+          base: { start: 2, lines: 1 },
+          left: { start: 2, lines: 1 },
+          right: { start: 2, lines: 1 },
+        },
+      ]);
+
+      // Clean hunks from both sides land in the working copy around the markers
+      const content = await jj.read({ path: 'file.txt' });
+      expect(content.startsWith('one\n<<<<<<< Left\nright\n')).toBe(true);
+      expect(content.endsWith('>>>>>>> Right\nthree\nFOUR\nfive\nSIX\n')).toBe(true);
+    });
+
     it('should allow listing active conflicts', async () => {
       // Create a conflict scenario
       await jj.write({ path: 'file.txt', data: 'base\n' });
@@ -247,5 +300,30 @@ describe('First-Class Conflicts Integration', () => {
       const conflictsAfterUndo = await jj.conflicts.list();
       expect(conflictsAfterUndo).toHaveLength(0);
     });
+
+    it('should keep conflicts from before the undone operation', async () => {
+      await jj.write({ path: 'file.txt', data: 'base\n' });
+      await jj.describe({ message: 'Base' });
+      const base = jj.workingCopy.getCurrentChangeId();
+
+      await jj.new({ message: 'A' });
+      await jj.write({ path: 'file.txt', data: 'a\n' });
+      await jj.describe({ message: 'A' });
+      const a = jj.workingCopy.getCurrentChangeId();
+
+      await jj.edit({ changeId: base });
+      await jj.new({ message: 'B' });
+      await jj.write({ path: 'file.txt', data: 'b\n' });
+      await jj.describe({ message: 'B' });
+
+      await jj.merge({ source: a });
+      expect(await jj.conflicts.list()).toHaveLength(1);
+      await jj.describe({ message: 'Merge A' });
+
+      // Undoing the describe leaves the merge and its conflict
+      await jj.undo();
+
+      expect(await jj.conflicts.list()).toHaveLength(1);
+    });
   });
 });
@@ -0,0 +1,198 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for diffedit() with a caller-supplied editor
+ *
+ * The editor receives both sides of a change, in memory or as temporary
+ * directories, and returns the right side; the change and its descendants
+ * are rewritten to match.
+ */
+
+import { createJJ } from '../../src/index.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockFS } from '../fixtures/mock-fs.js';
+
+describe('diffedit()', () => {
+  let mockFs;
+  let jj;
+  let base;
+
+  const readDisk = async (filePath) => String(await mockFs.promises.readFile(`/test/repo/${filePath}`, 'utf8'));
+
+  beforeEach(async () => {
+    mockFs = new MockFS();
+    jj = await createJJ({
+      fs: mockFs,
+      dir: '/test/repo',
+      backend: 'mock',
+    });
+    await jj.init({
+      userName: 'Test User',
+      userEmail: 'test@example.com',
+    });
+
+    await jj.write({ path: 'a.txt', data: 'one\ntwo\nthree\n' });
+    base = await jj.describe({ message: 'Base' });
+    await jj.new({ message: 'Edit' });
+    await jj.write({ path: 'a.txt', data: 'one\nTWO\nthree\n' });
+    await jj.write({ path: 'b.txt', data: 'b\n' });
+  });
+
+  afterEach(() => {
+    mockFs.reset();
+  });
+
+  it('should give the editor both sides and apply the right side it returns', async () => {
+    const working = (await jj.status()).workingCopy.changeId;
+    const calls = [];
+
+    const result = await jj.diffedit({
+      editor: ({ left, right, changeId }) => {
+        calls.push({ left, right, changeId });
+        return { 'a.txt': right['a.txt'], 'c.txt': 'c\n' };
+      },
+    });
+
+    expect(calls).toEqual([{
+      left: { 'a.txt': 'one\ntwo\nthree\n' },
+      right: { 'a.txt': 'one\nTWO\nthree\n', 'b.txt': 'b\n' },
+      changeId: working,
+    }]);
+    expect(result.change.changeId).toBe(working);
+    expect(result.change.fileSnapshot).toEqual({ 'a.txt': 'one\nTWO\nthree\n', 'c.txt': 'c\n' });
+    expect(await readDisk('c.txt')).toBe('c\n');
+    await expect(readDisk('b.txt')).rejects.toThrow('ENOENT');
+    expect(result.rebased).toEqual([]);
+  });
+
+  it('should use the right side as the editor left it when it returns nothing', async () => {
+    const result = await jj.diffedit({
+      editor: async ({ right }) => {
+        delete right['b.txt'];
+      },
+    });
+
+    expect(result.change.fileSnapshot).toEqual({ 'a.txt': 'one\nTWO\nthree\n' });
+  });
+
+  it('should rebase the descendants of an edited change', async () => {
+    const edit = (await jj.status()).workingCopy.changeId;
+    await jj.new({ message: 'Top' });
+    await jj.write({ path: 'c.txt', data: 'c\n' });
+    const top = (await jj.status()).workingCopy.changeId;
+
+    const result = await jj.diffedit({
+      revision: base.changeId,
+      editor: () => ({ 'a.txt': 'one\ntwo\nthree\nfour\n' }),
+    });
+
+    expect(result.rebased).toEqual([edit, top]);
+    expect(result.conflicts).toEqual([]);
+    expect((await jj.graph.getChange(edit)).fileSnapshot['a.txt']).toBe('one\nTWO\nthree\nfour\n');
+    expect(await readDisk('a.txt')).toBe('one\nTWO\nthree\nfour\n');
+    expect(await readDisk('c.txt')).toBe('c\n');
+  });
+
+  it('should record conflicts between the new files and a descendant', async () => {
+    const edit = (await jj.status()).workingCopy.changeId;
+    await jj.new({ message: 'Top' });
+
+    const result = await jj.diffedit({
+      revision: base.changeId,
+      editor: () => ({ 'a.txt': 'one\n2\nthree\n' }),
+    });
+
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0]).toMatchObject({ path: 'a.txt', type: 'content' });
+    const conflicted = await jj.graph.getChange(edit);
+    expect(conflicted.conflicts).toEqual({ 'a.txt': result.conflicts[0].conflictId });
+    expect(conflicted.fileSnapshot['a.txt']).toContain('<<<<<<<');
+    expect((await jj.status()).conflicts.map(conflict => conflict.path)).toEqual(['a.txt']);
+
+    await jj.undo();
+    expect((await jj.status()).conflicts).toEqual([]);
+    expect((await jj.graph.getChange(edit)).fileSnapshot['a.txt']).toBe('one\nTWO\nthree\n');
+  });
+
+  it('should compare against another revision with from', async () => {
+    const edit = (await jj.status()).workingCopy.changeId;
+    await jj.new({ message: 'Top' });
+    let seen;
+
+    await jj.diffedit({
+      from: base.changeId,
+      to: edit,
+      editor: ({ left }) => {
+        seen = left;
+      },
+    });
+
+    expect(seen).toEqual({ 'a.txt': 'one\ntwo\nthree\n' });
+  });
+
+  it('should keep rejecting calls without an editor', async () => {
+    await expect(jj.diffedit()).rejects.toMatchObject({
+      code: 'UNSUPPORTED_OPERATION',
+      details: { alternative: expect.stringContaining('editor') },
+    });
+  });
+
+  it('should reject invalid arguments and editor results', async () => {
+    await expect(jj.diffedit({ editor: 'vimdiff' })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(jj.diffedit({ revision: '@', from: '@-', editor: () => {} }))
+      .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(jj.diffedit({ editor: () => ({ 'a.txt': 42 }) })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(jj.diffedit({ editor: () => {}, directory: true })).rejects.toMatchObject({
+      code: 'UNSUPPORTED_OPERATION',
+    });
+  });
+
+  describe('with temporary directories', () => {
+    let tempDir;
+    let diskJJ;
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jj-diffedit-test-'));
+      diskJJ = await createJJ({ fs, dir: tempDir });
+      await diskJJ.init({
+        userName: 'Test User',
+        userEmail: 'test@example.com',
+      });
+      await diskJJ.write({ path: 'src/a.txt', data: 'a\n' });
+      await diskJJ.describe({ message: 'Base' });
+      await diskJJ.new({ message: 'Edit' });
+      await diskJJ.write({ path: 'src/a.txt', data: 'A\n' });
+      await diskJJ.write({ path: 'image.bin', data: new Uint8Array([0, 1, 2]) });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should let the editor change the files in the right directory', async () => {
+      let dirs;
+
+      const result = await diskJJ.diffedit({
+        directory: true,
+        editor: async ({ left, right }) => {
+          dirs = { left, right };
+          expect(fs.readFileSync(path.join(left, 'src/a.txt'), 'utf8')).toBe('a\n');
+          expect(fs.existsSync(path.join(left, 'image.bin'))).toBe(false);
+          fs.writeFileSync(path.join(right, 'src/a.txt'), 'edited\n');
+          fs.mkdirSync(path.join(right, 'docs'));
+          fs.writeFileSync(path.join(right, 'docs/new.md'), '# New\n');
+        },
+      });
+
+      expect(Object.keys(result.change.fileSnapshot).sort()).toEqual(['docs/new.md', 'image.bin', 'src/a.txt']);
+      expect(result.change.fileSnapshot['image.bin']).toEqual(new Uint8Array([0, 1, 2]));
+      expect(fs.readFileSync(path.join(tempDir, 'src/a.txt'), 'utf8')).toBe('edited\n');
+      expect(fs.readFileSync(path.join(tempDir, 'docs/new.md'), 'utf8')).toBe('# New\n');
+      expect(fs.existsSync(path.dirname(dirs.right))).toBe(false);
+    });
+  });
+});
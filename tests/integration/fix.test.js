@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for fix() with registered fixers and configured fix tools
+ */
+
+import { createJJ } from '../../src/index.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockFS } from '../fixtures/mock-fs.js';
+
+// Puts single spaces around "=", leaving fixed content as it is
+const spaceEquals = ({ content }) => content.replace(/ *= */g, ' = ');
+
+describe('fix()', () => {
+  let mockFs;
+  let jj;
+  let base;
+  let middle;
+  let top;
+
+  const fileOf = async (changeId, filePath) => (await jj.graph.getChange(changeId)).fileSnapshot[filePath];
+
+  beforeEach(async () => {
+    mockFs = new MockFS();
+    jj = await createJJ({ fs: mockFs, dir: '/test/repo', backend: 'mock' });
+    await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
+
+    await jj.write({ path: 'a.js', data: 'let a=1;\n' });
+    await jj.write({ path: 'notes.md', data: 'x=y\n' });
+    base = (await jj.describe({ message: 'Base' })).changeId;
+    await jj.new({ message: 'Middle' });
+    await jj.write({ path: 'a.js', data: 'let a=2;\n' });
+    middle = (await jj.describe({ message: 'Middle' })).changeId;
+    await jj.new({ message: 'Top' });
+    await jj.write({ path: 'b.js', data: 'let b=3;\n' });
+    top = (await jj.describe({ message: 'Top' })).changeId;
+
+    jj.fixers.register({ 'space-equals': { patterns: ['**/*.js'], fix: spaceEquals } });
+  });
+
+  afterEach(() => {
+    mockFs.reset();
+  });
+
+  it('should fix the files the working copy modifies', async () => {
+    const result = await jj.fix();
+
+    expect(result).toEqual({ changes: [{ changeId: top, paths: ['b.js'] }], failed: [] });
+    expect(await jj.read({ path: 'b.js' })).toBe('let b = 3;\n');
+    expect(await fileOf(top, 'a.js')).toBe('let a=2;\n');
+  });
+
+  it('should fix a stack and carry fixes into descendants without conflicts', async () => {
+    const result = await jj.fix({ revisions: base });
+
+    expect(result.changes).toEqual(expect.arrayContaining([
+      { changeId: base, paths: ['a.js'] },
+      { changeId: middle, paths: ['a.js'] },
+      { changeId: top, paths: ['a.js', 'b.js'] },
+    ]));
+    expect(await fileOf(base, 'a.js')).toBe('let a = 1;\n');
+    expect(await fileOf(middle, 'a.js')).toBe('let a = 2;\n');
+    // Top doesn't modify a.js, but inherits the fix from its parent
+    expect(await fileOf(top, 'a.js')).toBe('let a = 2;\n');
+    expect(await jj.read({ path: 'a.js' })).toBe('let a = 2;\n');
+    expect(await fileOf(base, 'notes.md')).toBe('x=y\n');
+
+    const { files } = await jj.diff();
+    expect(files.map(file => file.path)).toEqual(['b.js']);
+    expect(await jj.revset.evaluate('conflicted()')).toEqual([]);
+  });
+
+  it('should only fix the given paths, and unmodified files on request', async () => {
+    jj.fixers.register({ all: spaceEquals });
+
+    const result = await jj.fix({ paths: ['*.md'], includeUnchanged: true });
+
+    expect(result.changes).toEqual([{ changeId: top, paths: ['notes.md'] }]);
+    expect(await jj.read({ path: 'notes.md' })).toBe('x = y\n');
+    expect(await fileOf(base, 'notes.md')).toBe('x=y\n');
+  });
+
+  it('should leave files unchanged when a fixer fails', async () => {
+    jj.fixers.register({
+      strict: {
+        patterns: ['b.js'],
+        fix: () => {
+          throw new Error('Unexpected token');
+        },
+      },
+    });
+
+    const result = await jj.fix({ revisions: middle });
+
+    expect(result.failed).toEqual([{ path: 'b.js', tool: 'strict', message: 'Unexpected token' }]);
+    expect(await fileOf(top, 'b.js')).toBe('let b=3;\n');
+    expect(await fileOf(top, 'a.js')).toBe('let a = 2;\n');
+  });
+
+  it('should record a single operation that undo reverts', async () => {
+    const before = (await jj.operations.list()).length;
+
+    await jj.fix({ revisions: base });
+
+    const operations = await jj.operations.list();
+    expect(operations.length).toBe(before + 1);
+    expect(operations[0].description).toBe('fix 3 change(s)');
+
+    await jj.undo();
+    expect(await fileOf(middle, 'a.js')).toBe('let a=2;\n');
+    expect(await jj.read({ path: 'b.js' })).toBe('let b=3;\n');
+  });
+
+  describe('with fix tools', () => {
+    let tempDir;
+    let diskJJ;
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jj-fix-test-'));
+      diskJJ = await createJJ({ fs, dir: tempDir });
+      await diskJJ.init({ userName: 'Test User', userEmail: 'test@example.com' });
+      await diskJJ.write({ path: 'src/a.txt', data: 'hello\n' });
+      await diskJJ.write({ path: 'README.md', data: 'readme\n' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should run configured commands on the matching files', async () => {
+      const script = `
+        let input = '';
+        process.stdin.on('data', chunk => { input += chunk; });
+        process.stdin.on('end', () => process.stdout.write('// ' + process.argv[1] + '\\n' + input.toUpperCase()));
+      `;
+      await diskJJ.config.set({
+        key: 'fix.tools.upper',
+        value: { command: [process.execPath, '-e', script, '$path'], patterns: ['src/'] },
+      });
+      diskJJ.fixers.register({ trim: ({ content }) => `${content.trimEnd()}\n` });
+
+      const result = await diskJJ.fix();
+
+      expect(result.failed).toEqual([]);
+      // Configured tools run before registered fixers
+      expect(fs.readFileSync(path.join(tempDir, 'src/a.txt'), 'utf8')).toBe('// src/a.txt\nHELLO\n');
+      expect(fs.readFileSync(path.join(tempDir, 'README.md'), 'utf8')).toBe('readme\n');
+    });
+  });
+});
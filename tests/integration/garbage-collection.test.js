@@ -0,0 +1,198 @@
+/**
+ * Integration tests for jj.util.gc()
+ */
+
+import { createJJ } from '../../src/index.js';
+import { hashBlob } from '../../src/core/blob-store.js';
+import { MockFS } from '../fixtures/mock-fs.js';
+
+describe('Garbage collection', () => {
+  let fs;
+  let jj;
+
+  const blobPath = async (content) => {
+    const hash = await hashBlob(new TextEncoder().encode(content));
+    return `/test/repo/.jj/repo/store/blobs/${hash.slice(0, 2)}/${hash.slice(2)}`;
+  };
+
+  beforeEach(async () => {
+    fs = new MockFS();
+    jj = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
+    await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
+    await jj.write({ path: 'a.txt', data: 'a' });
+    await jj.describe({ message: 'Base' });
+  });
+
+  afterEach(() => {
+    fs.reset();
+  });
+
+  /**
+   * Create a change with a file of its own, abandon it and start a new change on `base`
+   */
+  const abandonSideChange = async (base, content) => {
+    await jj.new({ message: 'Side' });
+    await jj.write({ path: 'side.txt', data: content });
+    const side = await jj.describe({ message: 'Side' });
+    await jj.abandon({ changeId: side.changeId });
+    await jj.new({ message: 'Next', parents: [base] });
+    return side;
+  };
+
+  it('should squash operations beyond keepLast into a checkpoint', async () => {
+    await jj.new({ message: 'One' });
+    await jj.new({ message: 'Two' });
+    const before = await jj.operations.list();
+
+    const result = await jj.util.gc({ keepLast: 2 });
+
+    const after = await jj.operations.list();
+    expect(result.operationsRemoved).toBe(before.length - 2);
+    expect(after).toHaveLength(3);
+    expect(after[after.length - 1].description).toBe(`checkpoint of ${before.length - 2} operations`);
+    expect(after[after.length - 1].parents).toEqual([]);
+    expect(after[after.length - 2].parents).toEqual([after[after.length - 1].id]);
+    // Kept operations built on a new parent, so they were renamed
+    expect(after.slice(0, 2).map(op => op.description)).toEqual(before.slice(0, 2).map(op => op.description));
+    expect(after.slice(0, 2).map(op => op.formerId)).toEqual(before.slice(0, 2).map(op => op.id));
+
+    // The operations kept can still be undone
+    await jj.undo();
+    expect((await jj.log({ limit: 10 })).map(c => c.description)).not.toContain('Two');
+  });
+
+  it('should keep operations newer than keepOperationsNewerThan', async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const cutoff = new Date();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await jj.new({ message: 'One' });
+    await jj.new({ message: 'Two' });
+
+    const result = await jj.util.gc({ keepOperationsNewerThan: cutoff });
+
+    expect(result.operationsRemoved).toBeGreaterThan(0);
+    const descriptions = (await jj.operations.list()).map(op => op.description);
+    expect(descriptions).toHaveLength(3);
+    expect(descriptions[2]).toMatch(/^checkpoint of \d+ operations$/);
+  });
+
+  it('should keep every operation without limits', async () => {
+    const before = await jj.operations.list();
+
+    const result = await jj.util.gc();
+
+    expect(result.operationsRemoved).toBe(0);
+    expect((await jj.operations.list()).map(op => op.id)).toEqual(before.map(op => op.id));
+  });
+
+  it('should drop abandoned changes no kept operation shows, with their blobs', async () => {
+    const [base] = await jj.log({ limit: 1 });
+    const side = await abandonSideChange(base.changeId, 'only in the side change');
+    const sideBlob = await blobPath('only in the side change');
+    expect(fs.files.has(sideBlob)).toBe(true);
+    await jj.bookmark.set({ name: 'main', changeId: base.changeId });
+
+    // Earlier operations still show the change
+    expect((await jj.util.gc()).changesRemoved).toBe(0);
+
+    const result = await jj.util.gc({ keepLast: 1, minBlobAge: 0 });
+
+    expect(result.changesRemoved).toBe(1);
+    expect(result.blobsRemoved).toBeGreaterThan(0);
+    expect(result.bytesReclaimed).toBeGreaterThan(0);
+    expect(fs.files.has(sideBlob)).toBe(false);
+    expect(fs.files.has(await blobPath('a'))).toBe(true);
+    await expect(jj.show({ change: side.changeId })).rejects.toMatchObject({ code: 'CHANGE_NOT_FOUND' });
+    expect(await jj.read({ path: 'a.txt' })).toBe('a');
+  });
+
+  it('should keep blobs younger than minBlobAge', async () => {
+    const [base] = await jj.log({ limit: 1 });
+    await abandonSideChange(base.changeId, 'written just now');
+    await jj.bookmark.set({ name: 'main', changeId: base.changeId });
+
+    const result = await jj.util.gc({ keepLast: 1 });
+
+    expect(result.changesRemoved).toBe(1);
+    expect(result.blobsRemoved).toBe(0);
+    expect(fs.files.has(await blobPath('written just now'))).toBe(true);
+  });
+
+  it('should keep abandoned changes a bookmark points to', async () => {
+    const [base] = await jj.log({ limit: 1 });
+    const side = await abandonSideChange(base.changeId, 'bookmarked');
+    await jj.bookmark.set({ name: 'keep', changeId: side.changeId });
+    await jj.bookmark.set({ name: 'main', changeId: base.changeId });
+
+    const result = await jj.util.gc({ keepLast: 1 });
+
+    expect(result.changesRemoved).toBe(0);
+    expect(fs.files.has(await blobPath('bookmarked'))).toBe(true);
+  });
+
+  it('should prune conflict records no path refers to', async () => {
+    const conflictsPath = '/test/repo/.jj/repo/conflicts/conflicts.json';
+    await fs.promises.writeFile(conflictsPath, JSON.stringify({
+      conflicts: {
+        current: { conflictId: 'current', path: 'a.txt', resolved: false },
+        replaced: { conflictId: 'replaced', path: 'a.txt', resolved: false },
+      },
+      fileConflicts: { 'a.txt': 'current', 'gone.txt': 'missing' },
+    }));
+    jj = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
+
+    const result = await jj.util.gc();
+
+    expect(result.conflictsRemoved).toBe(2);
+    const stored = JSON.parse(fs.files.get(conflictsPath).content);
+    expect(Object.keys(stored.conflicts)).toEqual(['current']);
+    expect(stored.fileConflicts).toEqual({ 'a.txt': 'current' });
+  });
+
+  it('should keep conflict records changes still refer to', async () => {
+    const [base] = await jj.log({ limit: 1 });
+    await jj.new({ message: 'Left' });
+    await jj.write({ path: 'a.txt', data: 'left' });
+    const left = await jj.describe({ message: 'Left' });
+    await jj.new({ message: 'Right', parents: [base.changeId] });
+    await jj.write({ path: 'a.txt', data: 'right' });
+    const right = await jj.describe({ message: 'Right' });
+
+    // Both children conflict on a.txt; the second record replaces the first for the path
+    const { conflicts } = await jj.diffedit({
+      revision: base.changeId,
+      editor: () => ({ 'a.txt': 'base' }),
+    });
+    expect(conflicts).toHaveLength(2);
+    expect(await jj.conflicts.list()).toHaveLength(2);
+
+    const result = await jj.util.gc();
+
+    expect(result.conflictsRemoved).toBe(0);
+    expect(await jj.conflicts.list()).toHaveLength(2);
+    const ids = conflicts.map(conflict => conflict.conflictId);
+    expect(ids).toContain((await jj.graph.getChange(left.changeId)).conflicts['a.txt']);
+    expect(ids).toContain((await jj.graph.getChange(right.changeId)).conflicts['a.txt']);
+  });
+
+  it('should delete temp files left by interrupted writes', async () => {
+    const stale = '/test/repo/.jj/repo/store/graph.json.tmp.1000';
+    const fresh = `/test/repo/.jj/repo/store/graph.json.tmp.${Date.now()}`;
+    await fs.promises.writeFile(stale, 'x'.repeat(100));
+    await fs.promises.writeFile(fresh, 'x');
+
+    const result = await jj.util.gc();
+
+    expect(result.tempFilesRemoved).toBe(1);
+    expect(result.bytesReclaimed).toBeGreaterThanOrEqual(100);
+    expect(fs.files.has(stale)).toBe(false);
+    expect(fs.files.has(fresh)).toBe(true);
+  });
+
+  it('should reject invalid limits', async () => {
+    await expect(jj.util.gc({ keepLast: 0 })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(jj.util.gc({ keepOperationsNewerThan: 'not a date' }))
+      .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(jj.util.gc({ minBlobAge: -1 })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+  });
+});
@@ -232,6 +232,199 @@ describe('Git Backend Integration', () => {
     });
   });
 
+  describe('Git history import', () => {
+    beforeEach(async () => {
+      await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
+    });
+
+    // Commit straight to Git, bypassing JJ, as another Git client would
+    async function gitCommit({ files, parents = [], message, ref, seconds }) {
+      const tree = [];
+      for (const [name, content] of Object.entries(files)) {
+        const oid = await git.writeBlob({ fs, dir: testDir, blob: Buffer.from(content) });
+        tree.push({ mode: '100644', path: name, oid, type: 'blob' });
+      }
+      const person = { name: 'Git Author', email: 'git@example.com', timestamp: seconds, timezoneOffset: 0 };
+      return git.commit({
+        fs,
+        dir: testDir,
+        ref,
+        message,
+        tree: await git.writeTree({ fs, dir: testDir, tree }),
+        parent: parents,
+        author: person,
+        committer: { ...person, name: 'Git Committer' },
+      });
+    }
+
+    it('should import the full ancestry of each branch', async () => {
+      const first = await gitCommit({
+        files: { 'a.txt': 'one\n' },
+        message: 'First commit\n',
+        ref: 'refs/heads/feature',
+        seconds: 1700000000,
+      });
+      const second = await gitCommit({
+        files: { 'a.txt': 'one\ntwo\n' },
+        parents: [first],
+        message: 'Second commit\n\nWith a body\n',
+        ref: 'refs/heads/feature',
+        seconds: 1700000100,
+      });
+
+      const result = await jj.git.import();
+
+      expect(result.imported).toContain('feature');
+      expect(result.changes).toBe(2);
+
+      const secondChange = await jj.graph.findChangeByCommitId(second);
+      const firstChange = await jj.graph.findChangeByCommitId(first);
+      expect(secondChange.parents).toEqual([firstChange.changeId]);
+      expect(secondChange.description).toBe('Second commit\n\nWith a body');
+      expect(secondChange.author).toEqual({
+        name: 'Git Author',
+        email: 'git@example.com',
+        timestamp: '2023-11-14T22:15:00.000Z',
+      });
+      expect(secondChange.committer.name).toBe('Git Committer');
+      expect(secondChange.fileSnapshot).toEqual({ 'a.txt': 'one\ntwo\n' });
+
+      // Root Git commits attach to the repository root
+      const [root] = await jj.log({ revset: 'root()' });
+      expect(firstChange.parents).toEqual([root.changeId]);
+
+      // History is visible through revsets
+      const ancestors = await jj.log({ revset: `ancestors(${secondChange.changeId})` });
+      expect(ancestors.map(c => c.changeId)).toContain(firstChange.changeId);
+    });
+
+    it('should derive stable change IDs from commit IDs', async () => {
+      const commit = await gitCommit({
+        files: { 'a.txt': 'x' },
+        message: 'Commit',
+        ref: 'refs/heads/feature',
+        seconds: 1700000000,
+      });
+
+      await jj.git.import();
+      const change = await jj.graph.findChangeByCommitId(commit);
+
+      expect(change.changeId).toMatch(/^[0-9a-f]{32}$/);
+      expect(change.commitId).toBe(commit);
+    });
+
+    it('should store imported files as blob hashes', async () => {
+      const first = await gitCommit({
+        files: { 'a.txt': 'same\n', 'b.txt': 'one\n' },
+        message: 'First',
+        ref: 'refs/heads/feature',
+        seconds: 1700000000,
+      });
+      const second = await gitCommit({
+        files: { 'a.txt': 'same\n', 'b.txt': 'two\n' },
+        parents: [first],
+        message: 'Second',
+        ref: 'refs/heads/feature',
+        seconds: 1700000100,
+      });
+
+      await jj.git.import();
+      const firstChange = await jj.graph.findChangeByCommitId(first);
+      const secondChange = await jj.graph.findChangeByCommitId(second);
+
+      // Unchanged files point at the same blob, which is the Git blob ID
+      const gitOid = await git.writeBlob({ fs, dir: testDir, blob: Buffer.from('same\n') });
+      expect(await jj.graph.getFileHash(firstChange.changeId, 'a.txt')).toBe(gitOid);
+      expect(await jj.graph.getFileHash(secondChange.changeId, 'a.txt')).toBe(gitOid);
+      expect(secondChange.fileSnapshot).toEqual({ 'a.txt': 'same\n', 'b.txt': 'two\n' });
+    });
+
+    it('should only add new commits on a second import', async () => {
+      const first = await gitCommit({
+        files: { 'a.txt': 'one\n' },
+        message: 'First',
+        ref: 'refs/heads/feature',
+        seconds: 1700000000,
+      });
+      await jj.git.import();
+      const countBefore = (await jj.log({ revset: 'all()' })).length;
+
+      await gitCommit({
+        files: { 'a.txt': 'one\ntwo\n' },
+        parents: [first],
+        message: 'Second',
+        ref: 'refs/heads/feature',
+        seconds: 1700000100,
+      });
+      const result = await jj.git.import();
+
+      expect(result.changes).toBe(1);
+      expect((await jj.log({ revset: 'all()' })).length).toBe(countBefore + 1);
+
+      const again = await jj.git.import();
+      expect(again.changes).toBe(0);
+    });
+
+    it('should move bookmarks to imported branch tips', async () => {
+      const tip = await gitCommit({
+        files: { 'a.txt': 'x' },
+        message: 'Tip',
+        ref: 'refs/heads/feature',
+        seconds: 1700000000,
+      });
+
+      await jj.git.import();
+      const bookmarks = await jj.bookmark.list();
+      const feature = bookmarks.find(b => b.name === 'feature');
+      const tipChange = await jj.graph.findChangeByCommitId(tip);
+
+      expect(feature.changeId).toBe(tipChange.changeId);
+    });
+  });
+
+  describe('Blob storage', () => {
+    it('should keep files over 1MB in describe() snapshots', async () => {
+      await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
+      const large = 'x'.repeat(2 * 1024 * 1024);
+      await jj.write({ path: 'large.txt', data: large });
+
+      const change = await jj.describe({ message: 'Add large file' });
+
+      const shard = JSON.parse(await fs.promises.readFile(
+        path.join(testDir, '.jj/repo/store/graph', `${change.changeId.slice(0, 2)}.json`), 'utf8'
+      ));
+      const manifest = shard.changes[change.changeId].manifest;
+      const files = JSON.parse(await fs.promises.readFile(
+        path.join(testDir, '.jj/repo/store/blobs', manifest.slice(0, 2), manifest.slice(2)), 'utf8'
+      ));
+      expect(files['large.txt']).toMatch(/^[0-9a-f]{40}$/);
+      expect((await jj.show({ change: change.changeId })).fileSnapshot['large.txt']).toBe(large);
+    });
+
+    it('should store blobs in the Git object database with blobStore "git"', async () => {
+      jj = await createJJ({ fs, dir: testDir, git, blobStore: 'git' });
+      await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
+      await jj.write({ path: 'a.txt', data: 'hello\n' });
+
+      const change = await jj.describe({ message: 'Add a' });
+
+      const shard = JSON.parse(await fs.promises.readFile(
+        path.join(testDir, '.jj/repo/store/graph', `${change.changeId.slice(0, 2)}.json`), 'utf8'
+      ));
+      const manifest = await git.readBlob({ fs, dir: testDir, oid: shard.changes[change.changeId].manifest });
+      const oid = JSON.parse(new TextDecoder().decode(manifest.blob))['a.txt'];
+      const { blob } = await git.readBlob({ fs, dir: testDir, oid });
+      expect(new TextDecoder().decode(blob)).toBe('hello\n');
+      expect(fs.existsSync(path.join(testDir, '.jj/repo/store/blobs'))).toBe(false);
+    });
+
+    it('should reject blobStore "git" without a Git backend', async () => {
+      await expect(createJJ({ fs, dir: testDir, blobStore: 'git' })).rejects.toMatchObject({
+        code: 'INVALID_CONFIG',
+      });
+    });
+  });
+
   describe('Error handling', () => {
     beforeEach(async () => {
       await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
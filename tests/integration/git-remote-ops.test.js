@@ -132,6 +132,111 @@ describe('Git Remote Operations', () => {
     });
   });
 
+  describe('Remote bookmarks on fetch', () => {
+    let commitTime = 1700000000;
+
+    // Simulate a fetch by writing a commit straight to a remote-tracking ref
+    async function remoteCommit(branch, parents, message) {
+      const blob = await git.writeBlob({ fs, dir: testDir, blob: Buffer.from(`${message}\n`) });
+      const tree = await git.writeTree({
+        fs,
+        dir: testDir,
+        tree: [{ mode: '100644', path: 'file.txt', oid: blob, type: 'blob' }],
+      });
+      const author = { name: 'Remote Dev', email: 'remote@example.com', timestamp: commitTime++, timezoneOffset: 0 };
+      return git.commit({
+        fs,
+        dir: testDir,
+        ref: `refs/remotes/origin/${branch}`,
+        tree,
+        parent: parents,
+        message,
+        author,
+        committer: author,
+      });
+    }
+
+    beforeEach(() => {
+      jj.backend.fetch = async () => ({ fetchedRefs: [], updatedRefs: [] });
+    });
+
+    test('should import fetched commits and set remote bookmarks', async () => {
+      const first = await remoteCommit('feature', [], 'Remote first');
+      const second = await remoteCommit('feature', [first], 'Remote second');
+
+      const result = await jj.git.fetch({ remote: 'origin' });
+      expect(result.changes).toBe(2);
+
+      const changeId = result.remoteBookmarks['feature@origin'];
+      const change = await jj.show({ change: changeId });
+      expect(change.commitId).toBe(second);
+      expect(change.description).toBe('Remote second');
+
+      const list = await jj.bookmark.list();
+      expect(list).toContainEqual({ name: 'origin/feature', changeId, remote: 'origin' });
+      expect(list).not.toContainEqual(expect.objectContaining({ name: 'feature' }));
+
+      const ops = await jj.oplog.list();
+      expect((await jj.oplog.getView(ops[ops.length - 1])).remoteBookmarks).toEqual({ 'feature@origin': changeId });
+    });
+
+    test('should fast-forward tracked local bookmarks', async () => {
+      const first = await remoteCommit('feature', [], 'Remote first');
+      const { remoteBookmarks } = await jj.git.fetch({ remote: 'origin' });
+      await jj.bookmark.set({ name: 'feature', changeId: remoteBookmarks['feature@origin'] });
+      await jj.bookmark.track({ name: 'feature', remote: 'origin' });
+
+      await remoteCommit('feature', [first], 'Remote second');
+      const result = await jj.git.fetch({ remote: 'origin' });
+
+      expect(result.updatedBookmarks).toEqual(['feature']);
+      expect(result.conflictedBookmarks).toEqual([]);
+      const list = await jj.bookmark.list();
+      expect(list).toContainEqual({
+        name: 'feature',
+        changeId: result.remoteBookmarks['feature@origin'],
+        remote: null,
+      });
+    });
+
+    test('should leave untracked local bookmarks alone', async () => {
+      const first = await remoteCommit('feature', [], 'Remote first');
+      const initial = await jj.git.fetch({ remote: 'origin' });
+      const localTarget = initial.remoteBookmarks['feature@origin'];
+      await jj.bookmark.set({ name: 'feature', changeId: localTarget });
+
+      await remoteCommit('feature', [first], 'Remote second');
+      const result = await jj.git.fetch({ remote: 'origin' });
+
+      expect(result.updatedBookmarks).toEqual([]);
+      expect(await jj.bookmark.list()).toContainEqual({ name: 'feature', changeId: localTarget, remote: null });
+    });
+
+    test('should report diverged tracked bookmarks as conflicted', async () => {
+      const first = await remoteCommit('feature', [], 'Remote first');
+      const initial = await jj.git.fetch({ remote: 'origin' });
+      const base = initial.remoteBookmarks['feature@origin'];
+      await jj.bookmark.set({ name: 'feature', changeId: base });
+      await jj.bookmark.track({ name: 'feature', remote: 'origin' });
+
+      const local = await jj.new({ parents: [base], message: 'Local work' });
+      await jj.bookmark.move({ name: 'feature', to: local.changeId });
+
+      await remoteCommit('feature', [first], 'Remote second');
+      const result = await jj.git.fetch({ remote: 'origin' });
+
+      expect(result.conflictedBookmarks).toEqual([
+        {
+          name: 'feature',
+          remote: 'origin',
+          localTarget: local.changeId,
+          remoteTarget: result.remoteBookmarks['feature@origin'],
+        },
+      ]);
+      expect(await jj.bookmark.list()).toContainEqual({ name: 'feature', changeId: local.changeId, remote: null });
+    });
+  });
+
   describe('Repository without Git backend', () => {
     test('should work without backend for local operations', async () => {
       const localDir = path.join(__dirname, '..', 'tmp', `test-no-backend-${Date.now()}`);
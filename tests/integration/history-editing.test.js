@@ -85,9 +85,9 @@ describe('History Editing Operations (v0.2)', () => {
 
   describe('move (rebase)', () => {
     it('should change parent of a change', async () => {
-      await jj.describe({ message: 'Base' });
+      const base = await jj.describe({ message: 'Base' });
       const branch1 = await jj.new({ message: 'Branch 1' });
-      await jj.undo(); // Back to base
+      await jj.edit({ changeId: base.changeId }); // Back to base
       
       const branch2 = await jj.new({ message: 'Branch 2' });
       const feature = await jj.new({ message: 'Feature on branch 2' });
@@ -119,5 +119,59 @@ describe('History Editing Operations (v0.2)', () => {
       expect(result.new.description).toBe('Second part');
       expect(result.new.parents).toContain(combined.changeId);
     });
+
+    it('should move the changes to the given paths into the first part', async () => {
+      await jj.write({ path: 'README.md', data: 'v1\n' });
+      await jj.write({ path: 'old.txt', data: 'old\n' });
+      const base = await jj.describe({ message: 'Base' });
+      const combined = await jj.new({ message: 'Combined work' });
+      await jj.write({ path: 'README.md', data: 'v2\n' });
+      await jj.write({ path: 'src/a.js', data: 'a\n' });
+      await jj.write({ path: 'docs/guide.md', data: 'guide\n' });
+      await jj.remove({ path: 'old.txt' });
+
+      const result = await jj.split({
+        changeId: combined.changeId,
+        paths: ['src', 'old.txt'],
+      });
+
+      const first = await jj.graph.getChange(combined.changeId);
+      expect(first.parents).toEqual([base.changeId]);
+      expect(first.fileSnapshot).toEqual({ 'README.md': 'v1\n', 'src/a.js': 'a\n' });
+
+      const second = await jj.graph.getChange(result.new.changeId);
+      expect(second.parents).toEqual([combined.changeId]);
+      expect(second.fileSnapshot).toEqual({
+        'README.md': 'v2\n',
+        'src/a.js': 'a\n',
+        'docs/guide.md': 'guide\n',
+      });
+      expect(result.new.description).toBe('Combined work (part 2)');
+
+      // The working copy moves to the second part and its files stay as they were
+      expect((await jj.status()).workingCopy.changeId).toBe(result.new.changeId);
+      expect(await jj.read({ path: 'docs/guide.md' })).toBe('guide\n');
+
+      const diff = await jj.diff({ to: combined.changeId });
+      expect(diff.files.map(file => file.path)).toEqual(['old.txt', 'src/a.js']);
+    });
+
+    it('should rebase children onto the second part', async () => {
+      await jj.write({ path: 'a.txt', data: 'a\n' });
+      await jj.write({ path: 'b.txt', data: 'b\n' });
+      const combined = await jj.describe({ message: 'Combined work' });
+      const child = await jj.new({ message: 'Child' });
+      await jj.write({ path: 'c.txt', data: 'c\n' });
+      await jj.describe({ message: 'Child' });
+
+      const result = await jj.split({ changeId: combined.changeId, paths: ['a.txt'] });
+
+      expect(result.rebased).toEqual([child.changeId]);
+      const rebased = await jj.graph.getChange(child.changeId);
+      expect(rebased.parents).toEqual([result.new.changeId]);
+      expect(rebased.fileSnapshot).toEqual({ 'a.txt': 'a\n', 'b.txt': 'b\n', 'c.txt': 'c\n' });
+      expect((await jj.graph.getChange(combined.changeId)).fileSnapshot).toEqual({ 'a.txt': 'a\n' });
+      expect((await jj.status()).workingCopy.changeId).toBe(child.changeId);
+    });
   });
 });
@@ -0,0 +1,163 @@
+/**
+ * Tests for programmatic hunk selection in split, squash, restore and absorb
+ *
+ * These give callers without a terminal the equivalent of `jj split -i` and
+ * `jj squash -i`: the hunks diff() reports are picked by ID or by a select() callback.
+ */
+
+import { createJJ } from '../../src/index.js';
+import { MockFS } from '../fixtures/mock-fs.js';
+
+const lines = (...items) => items.map(item => `${item}\n`).join('');
+
+describe('Hunk selection', () => {
+  let fs;
+  let jj;
+  let base;
+
+  const original = lines(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12);
+  const edited = lines('one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 'twelve');
+  const readDisk = async (filePath) => String(await fs.promises.readFile(`/test/repo/${filePath}`, 'utf8'));
+
+  beforeEach(async () => {
+    fs = new MockFS();
+    jj = await createJJ({
+      fs,
+      dir: '/test/repo',
+      backend: 'mock',
+    });
+    await jj.init({
+      userName: 'Test User',
+      userEmail: 'test@example.com',
+    });
+
+    await jj.write({ path: 'a.txt', data: original });
+    base = await jj.describe({ message: 'Base' });
+    await jj.new({ message: 'Edit' });
+    await jj.write({ path: 'a.txt', data: edited });
+    await jj.describe({ message: 'Edit' });
+  });
+
+  afterEach(() => {
+    fs.reset();
+  });
+
+  it('should identify the hunks diff() reports', async () => {
+    const { files } = await jj.diff();
+
+    expect(files[0].hunks.map(hunk => hunk.id)).toEqual(['a.txt:-1,4+1,4', 'a.txt:-9,4+9,4']);
+  });
+
+  describe('split()', () => {
+    it('should put the picked hunks in the first part', async () => {
+      const working = await jj.status();
+      const result = await jj.split({
+        select: (hunk) => hunk.lines.some(line => line.content === 'one'),
+      });
+
+      const first = await jj.graph.getChange(working.workingCopy.changeId);
+      expect(first.fileSnapshot['a.txt']).toBe(lines('one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12));
+      expect(result.new.fileSnapshot['a.txt']).toBe(edited);
+      expect(await readDisk('a.txt')).toBe(edited);
+
+      const { files } = await jj.diff();
+      expect(files[0].hunks.map(hunk => hunk.id)).toEqual(['a.txt:-9,4+9,4']);
+    });
+
+    it('should accept interactive mode when the caller picks the hunks', async () => {
+      const { files } = await jj.diff();
+      const change = (await jj.status()).workingCopy.changeId;
+
+      await jj.split({ interactive: true, hunks: [files[0].hunks[1].id] });
+
+      expect((await jj.graph.getChange(change)).fileSnapshot['a.txt'])
+        .toBe(lines(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 'twelve'));
+    });
+  });
+
+  describe('squash()', () => {
+    it('should move the picked hunks into the parent', async () => {
+      const source = (await jj.status()).workingCopy.changeId;
+
+      const dest = await jj.squash({ hunks: ['a.txt:-1,4+1,4'] });
+
+      expect(dest.changeId).toBe(base.changeId);
+      expect(dest.fileSnapshot['a.txt']).toBe(lines('one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12));
+      const remaining = await jj.graph.getChange(source);
+      expect(remaining.abandoned).toBeFalsy();
+      expect(remaining.fileSnapshot['a.txt']).toBe(edited);
+      expect((await jj.status()).workingCopy.changeId).toBe(source);
+      expect(await readDisk('a.txt')).toBe(edited);
+    });
+
+    it('should take the picked hunks out of the source when squashing elsewhere', async () => {
+      const source = (await jj.status()).workingCopy.changeId;
+      await jj.edit({ changeId: base.changeId });
+      const sibling = await jj.new({ message: 'Sibling' });
+      await jj.edit({ changeId: source });
+
+      await jj.squash({
+        source,
+        into: sibling.changeId,
+        select: (hunk) => hunk.lines.flatMap((line, i) => (line.content === 'twelve' ? [i] : [])),
+      });
+
+      expect((await jj.graph.getChange(sibling.changeId)).fileSnapshot['a.txt'])
+        .toBe(lines(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 'twelve'));
+      // The deletion of line 12 wasn't picked, so it stays in the source
+      expect((await jj.graph.getChange(source)).fileSnapshot['a.txt'])
+        .toBe(lines('one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11));
+      expect(await readDisk('a.txt')).toBe(lines('one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11));
+    });
+
+    it('should rebase the changes between an ancestor destination and the source', async () => {
+      const middle = (await jj.status()).workingCopy.changeId;
+      await jj.new({ message: 'Top' });
+      await jj.write({ path: 'b.txt', data: 'b\n' });
+      const top = (await jj.status()).workingCopy.changeId;
+      await jj.write({ path: 'a.txt', data: edited.replace('5\n', 'five\n') });
+
+      await jj.squash({ source: top, into: base.changeId, hunks: ['a.txt:-2,7+2,7'] });
+
+      expect((await jj.graph.getChange(base.changeId)).fileSnapshot['a.txt'])
+        .toBe(lines(1, 2, 3, 4, 'five', 6, 7, 8, 9, 10, 11, 12));
+      expect((await jj.graph.getChange(middle)).fileSnapshot['a.txt'])
+        .toBe(lines('one', 2, 3, 4, 'five', 6, 7, 8, 9, 10, 11, 'twelve'));
+      expect((await jj.graph.getChange(top)).fileSnapshot).toEqual({
+        'a.txt': lines('one', 2, 3, 4, 'five', 6, 7, 8, 9, 10, 11, 'twelve'),
+        'b.txt': 'b\n',
+      });
+    });
+
+    it('should still reject interactive mode without a selection', async () => {
+      await expect(jj.squash({ interactive: true })).rejects.toMatchObject({
+        code: 'UNSUPPORTED_OPERATION',
+        details: { alternative: expect.stringContaining('select') },
+      });
+    });
+  });
+
+  describe('restore()', () => {
+    it('should undo the picked hunks in the working copy', async () => {
+      const result = await jj.restore({ hunks: ['a.txt:-9,4+9,4'] });
+
+      expect(result.restoredPaths).toEqual(['a.txt']);
+      expect(await readDisk('a.txt')).toBe(lines('one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12));
+      const { files } = await jj.diff();
+      expect(files[0].hunks.map(hunk => hunk.id)).toEqual(['a.txt:-1,4+1,4']);
+    });
+  });
+
+  describe('absorb()', () => {
+    it('should absorb only the picked hunks', async () => {
+      const result = await jj.absorb({ select: (hunk) => hunk.id === 'a.txt:-1,4+1,4' });
+
+      expect(result.affectedChanges).toEqual([base.changeId]);
+      expect((await jj.graph.getChange(base.changeId)).fileSnapshot['a.txt'])
+        .toBe(lines('one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12));
+      expect(await readDisk('a.txt')).toBe(edited);
+      const { files } = await jj.diff();
+      expect(files[0].hunks.map(hunk => hunk.id)).toEqual(['a.txt:-9,4+9,4']);
+    });
+  });
+});
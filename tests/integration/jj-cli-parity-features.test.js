@@ -225,6 +225,114 @@ describe('JJ CLI Parity Features', () => {
     });
   });
 
+  describe('diff() hunks', () => {
+    async function twoRevisions() {
+      await jj.write({ path: 'src/a.txt', data: 'one\ntwo\nthree\n' });
+      await jj.write({ path: 'docs/b.md', data: 'title\n' });
+      const first = (await jj.new({ message: 'First' })).parents[0];
+
+      await jj.write({ path: 'src/a.txt', data: 'one\n  TWO\nthree\n' });
+      await jj.write({ path: 'docs/b.md', data: 'title  \n' });
+      const second = (await jj.new({ message: 'Second' })).parents[0];
+      return { first, second };
+    }
+
+    it('should return structured hunks with counts', async () => {
+      const { first, second } = await twoRevisions();
+
+      const diff = await jj.diff({ from: first, to: second });
+      const file = diff.files.find(f => f.path === 'src/a.txt');
+
+      expect(file.additions).toBe(1);
+      expect(file.deletions).toBe(1);
+      expect(file.hunks).toHaveLength(1);
+      expect(file.hunks[0].header).toBe('@@ -1,3 +1,3 @@');
+      expect(file.hunks[0].lines[1]).toEqual({ type: 'delete', content: 'two', oldLine: 2 });
+    });
+
+    it('should filter paths by glob and directory', async () => {
+      const { first, second } = await twoRevisions();
+
+      const byGlob = await jj.diff({ from: first, to: second, paths: ['**/*.md'] });
+      const byDir = await jj.diff({ from: first, to: second, paths: ['src'] });
+
+      expect(byGlob.files.map(f => f.path)).toEqual(['docs/b.md']);
+      expect(byDir.files.map(f => f.path)).toEqual(['src/a.txt']);
+    });
+
+    it('should emit a unified patch', async () => {
+      const { first, second } = await twoRevisions();
+
+      const diff = await jj.diff({ from: first, to: second, format: 'unified', context: 0 });
+
+      expect(diff.patch).toBe(
+        'diff --git a/docs/b.md b/docs/b.md\n' +
+          '--- a/docs/b.md\n' +
+          '+++ b/docs/b.md\n' +
+          '@@ -1 +1 @@\n' +
+          '-title\n' +
+          '+title  \n' +
+          'diff --git a/src/a.txt b/src/a.txt\n' +
+          '--- a/src/a.txt\n' +
+          '+++ b/src/a.txt\n' +
+          '@@ -2 +2 @@\n' +
+          '-two\n' +
+          '+  TWO\n'
+      );
+    });
+
+    it('should skip whitespace-only changes when ignoring whitespace', async () => {
+      const { first, second } = await twoRevisions();
+
+      const diff = await jj.diff({ from: first, to: second, ignoreWhitespace: true });
+
+      expect(diff.files.map(f => f.path)).toEqual(['src/a.txt']);
+    });
+
+    it('should reject unknown formats', async () => {
+      await expect(jj.diff({ format: 'html' })).rejects.toThrow('Unknown diff format');
+    });
+
+    it('should report binary files by size and hash', async () => {
+      await jj.write({ path: 'logo.png', data: new Uint8Array([0x89, 0x50, 0x00, 0x01]) });
+      const first = (await jj.new({ message: 'Add logo' })).parents[0];
+      await jj.write({ path: 'logo.png', data: new Uint8Array([0x89, 0x50, 0x00, 0x02, 0x03]) });
+      const second = (await jj.new({ message: 'Update logo' })).parents[0];
+
+      const diff = await jj.diff({ from: first, to: second, format: 'unified' });
+      const file = diff.files.find(f => f.path === 'logo.png');
+
+      expect(file).toMatchObject({
+        status: 'modified',
+        binary: true,
+        fromSize: 4,
+        toSize: 5,
+        additions: 0,
+        deletions: 0,
+        hunks: [],
+      });
+      expect(file.fromHash).toMatch(/^[0-9a-f]{40}$/);
+      expect(file.toHash).not.toBe(file.fromHash);
+      expect(file.toContent).toEqual(new Uint8Array([0x89, 0x50, 0x00, 0x02, 0x03]));
+      expect(diff.patch).toBe(
+        'diff --git a/logo.png b/logo.png\n' +
+          'Binary files a/logo.png and b/logo.png differ\n'
+      );
+    });
+
+    it('should skip binary files whose bytes did not change', async () => {
+      await jj.write({ path: 'data.bin', data: new Uint8Array([0, 1, 2]) });
+      const first = (await jj.new({ message: 'Add data' })).parents[0];
+      await jj.write({ path: 'data.bin', data: new Uint8Array([0, 1, 2]) });
+      await jj.write({ path: 'notes.txt', data: 'hello\n' });
+      const second = (await jj.new({ message: 'Add notes' })).parents[0];
+
+      const diff = await jj.diff({ from: first, to: second });
+
+      expect(diff.files.map(f => f.path)).toEqual(['notes.txt']);
+    });
+  });
+
   // ========================================
   // Navigation Operations
   // ========================================
@@ -0,0 +1,142 @@
+/**
+ * Integration tests for opening repositories created by the jj CLI
+ *
+ * The .jj directories here are written the way jj writes them, with no state of
+ * isomorphic-jj's own; createJJ() builds that from jj's op store.
+ */
+
+import { createJJ } from '../../src/index.js';
+import { JJOperationStore } from '../../src/core/jj-operation-store.js';
+import { writeExtraTable, writeJJCliRepo } from '../fixtures/jj-cli-repo.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import git from 'isomorphic-git';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Opening jj CLI repositories', () => {
+  const author = { name: 'Dev', email: 'dev@example.com', timestamp: 1700000000, timezoneOffset: 0 };
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(__dirname, '..', 'tmp', `test-jj-cli-repo-${Date.now()}`);
+    await fs.promises.mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.promises.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('colocated', () => {
+    const changeA = '11'.repeat(16);
+    const changeB = '22'.repeat(16);
+    let commitA;
+    let commitB;
+    let operationId;
+
+    beforeEach(async () => {
+      await git.init({ fs, dir: testDir, defaultBranch: 'main' });
+      await fs.promises.writeFile(`${testDir}/a.txt`, 'hello\n');
+      await git.add({ fs, dir: testDir, filepath: 'a.txt' });
+      commitA = await git.commit({ fs, dir: testDir, message: 'Add a\n', author });
+
+      // The working-copy commit jj snapshotted, not on any branch
+      await fs.promises.writeFile(`${testDir}/b.txt`, 'work in progress\n');
+      await git.add({ fs, dir: testDir, filepath: 'b.txt' });
+      commitB = await git.commit({ fs, dir: testDir, message: '\n', author, parent: [commitA], noUpdateBranch: true });
+
+      await writeExtraTable(fs, testDir, 'table', null, [[commitA, changeA], [commitB, changeB]].sort());
+      await fs.promises.writeFile(`${testDir}/.jj/repo/store/extra/heads/table`, '');
+      operationId = await writeJJCliRepo(fs, testDir, {
+        heads: [commitB],
+        workingCopies: { default: commitB },
+        bookmarks: { main: commitA },
+        remoteBookmarks: { origin: { main: { commitId: commitA, tracked: true } } },
+        tags: { v1: commitA },
+      });
+    });
+
+    it('should build the change graph with the change IDs jj recorded', async () => {
+      const jj = await createJJ({ fs, dir: testDir, git, http: null });
+
+      const log = await jj.log({ revset: 'all()' });
+      const a = log.find(change => change.changeId === changeA);
+      expect(a.commitId).toBe(commitA);
+      expect(a.description).toBe('Add a');
+      expect(log.find(change => change.changeId === changeB).parents).toEqual([changeA]);
+
+      const status = await jj.status();
+      expect(status.workingCopy.changeId).toBe(changeB);
+      expect(await jj.read({ path: 'b.txt' })).toBe('work in progress\n');
+    });
+
+    it('should import bookmarks, remote bookmarks and tags', async () => {
+      const jj = await createJJ({ fs, dir: testDir, git, http: null });
+
+      const bookmarks = await jj.bookmark.list();
+      expect(bookmarks).toContainEqual(expect.objectContaining({ name: 'main', changeId: changeA, remote: null }));
+      expect(bookmarks).toContainEqual(expect.objectContaining({ changeId: changeA, remote: 'origin' }));
+      expect(jj.bookmarks.tracking.main).toEqual({ remote: 'origin', remoteName: 'main' });
+      expect((await jj.tag.list()).map(tag => tag.name)).toEqual(['v1']);
+    });
+
+    it('should import once and record later operations after jj\'s', async () => {
+      const jj = await createJJ({ fs, dir: testDir, git, http: null });
+      await jj.describe({ message: 'Add b' });
+
+      const [head] = await fs.promises.readdir(`${testDir}/.jj/repo/op_heads/heads`);
+      const operation = await new JJOperationStore(fs, testDir).readOperation(head);
+      expect(Buffer.from(operation.parents[0]).toString('hex')).toBe(operationId);
+
+      const reopened = await createJJ({ fs, dir: testDir, git, http: null });
+      expect((await reopened.log({ revset: '@' }))[0].description).toBe('Add b');
+      expect(await reopened.operations.list()).toHaveLength(2);
+    });
+  });
+
+  describe('not colocated', () => {
+    it('should read Git from the store and change IDs from commit headers', async () => {
+      const gitdir = `${testDir}/.jj/repo/store/git`;
+      await git.init({ fs, gitdir, bare: true });
+      const blob = await git.writeBlob({ fs, gitdir, blob: Buffer.from('hello\n') });
+      const tree = await git.writeTree({ fs, gitdir, tree: [{ mode: '100644', path: 'a.txt', oid: blob, type: 'blob' }] });
+
+      // jj writes the change ID in reverse hex: z for 0 through k for 15
+      const changeId = '0123456789abcdef'.repeat(2);
+      const reverseHex = Array.from(changeId, digit => String.fromCharCode(122 - parseInt(digit, 16))).join('');
+      const person = 'Dev <dev@example.com> 1700000000 +0000';
+      const commitId = await git.writeObject({
+        fs,
+        gitdir,
+        type: 'commit',
+        format: 'content',
+        object: Buffer.from(`tree ${tree}\nauthor ${person}\ncommitter ${person}\nchange-id ${reverseHex}\n\nAdd a\n`),
+      });
+      await fs.promises.writeFile(`${testDir}/a.txt`, 'hello\n');
+      await writeJJCliRepo(fs, testDir, {
+        gitTarget: 'git',
+        heads: [commitId],
+        workingCopies: { default: commitId },
+      });
+
+      const jj = await createJJ({ fs, dir: testDir, git, http: null });
+      expect((await jj.status()).workingCopy.changeId).toBe(changeId);
+
+      const described = await jj.describe({ message: 'Add a file' });
+      const { commit } = await git.readCommit({ fs, gitdir, oid: described.commitId });
+      expect(commit.message).toBe('Add a file\n');
+    });
+  });
+
+  it('should leave directories without a jj repository alone', async () => {
+    await createJJ({ fs, dir: testDir, git, http: null });
+
+    expect(await fs.promises.readdir(testDir)).toEqual([]);
+  });
+});
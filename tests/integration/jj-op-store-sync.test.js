@@ -0,0 +1,144 @@
+/**
+ * Integration tests for keeping the native jj op store in sync
+ *
+ * Every recorded operation is also written to .jj/repo/op_store as protobuf, so the
+ * jj CLI sees the same history as isomorphic-jj.
+ */
+
+import { createJJ } from '../../src/index.js';
+import { JJOperationStore } from '../../src/core/jj-operation-store.js';
+import { JJViewStore } from '../../src/core/jj-view-store.js';
+import { JJCheckout } from '../../src/core/jj-checkout.js';
+import { JJExtraStore } from '../../src/core/jj-extra-store.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import git from 'isomorphic-git';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Native jj op store sync', () => {
+  let jj;
+  let testDir;
+
+  const hex = (bytes) => Buffer.from(bytes).toString('hex');
+
+  const opHeads = async () => fs.promises.readdir(`${testDir}/.jj/repo/op_heads/heads`);
+
+  const headOperation = async () => {
+    const [head] = await opHeads();
+    const operation = await new JJOperationStore(fs, testDir).readOperation(head);
+    const view = await new JJViewStore(fs, testDir).readView(hex(operation.view_id));
+    return { id: head, operation, view };
+  };
+
+  beforeEach(async () => {
+    testDir = path.join(__dirname, '..', 'tmp', `test-jj-op-store-${Date.now()}`);
+    await fs.promises.mkdir(testDir, { recursive: true });
+    jj = await createJJ({ fs, dir: testDir, git, http: null });
+    await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.promises.rm(testDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  it('should write each operation and move the op head', async () => {
+    await jj.write({ path: 'a.txt', data: 'a' });
+    await jj.describe({ message: 'Add a' });
+    const [latest, previous] = await jj.operations.list({ limit: 2 });
+
+    expect(await opHeads()).toHaveLength(1);
+    const head = await headOperation();
+    expect(head.operation.metadata.description).toBe(latest.description);
+    expect(head.operation.metadata.username).toBe('Test User');
+
+    const parent = await new JJOperationStore(fs, testDir).readOperation(hex(head.operation.parents[0]));
+    expect(parent.metadata.description).toBe(previous.description);
+
+    const checkout = await new JJCheckout(fs, testDir).readCheckout();
+    expect(hex(checkout.operation_id)).toBe(head.id);
+  });
+
+  it('should record heads, the working copy and bookmarks as commit IDs', async () => {
+    await jj.write({ path: 'a.txt', data: 'a' });
+    const change = await jj.describe({ message: 'Add a' });
+    await jj.bookmark.create({ name: 'main', changeId: change.changeId });
+
+    const { view } = await headOperation();
+    const commitId = (await jj.show({ change: change.changeId })).commitId;
+
+    expect(view.head_ids.map(hex)).toContain(commitId);
+    expect(hex(view.wc_commit_ids.default)).toBe(commitId);
+    expect(view.bookmarks).toHaveLength(1);
+    expect(view.bookmarks[0].name).toBe('main');
+    expect(hex(view.bookmarks[0].localTarget.conflict.adds[0].value)).toBe(commitId);
+  });
+
+  it('should record the change IDs of the commits it creates for jj', async () => {
+    await jj.write({ path: 'a.txt', data: 'a' });
+    const change = await jj.describe({ message: 'Add a' });
+    const { commitId } = await jj.show({ change: change.changeId });
+
+    const commits = await new JJExtraStore(fs, testDir).readCommits();
+
+    expect(commits.get(commitId)).toEqual({ changeId: change.changeId, predecessors: [] });
+    expect(await fs.promises.readdir(`${testDir}/.jj/repo/store/extra/heads`)).toHaveLength(1);
+  });
+
+  it('should keep the native ID of each operation in a file of its own', async () => {
+    await jj.write({ path: 'a.txt', data: 'a' });
+    await jj.describe({ message: 'Add a' });
+    const [latest] = await jj.operations.list({ limit: 1 });
+    const idsDir = `${testDir}/.jj/repo/op_log/jj_operation_ids`;
+
+    const entry = JSON.parse(await fs.promises.readFile(`${idsDir}/${latest.id}`, 'utf8'));
+
+    expect(entry.nativeId).toBe((await headOperation()).id);
+    expect(fs.existsSync(`${testDir}/.jj/repo/op_log/jj_operation_ids.json`)).toBe(false);
+  });
+
+  it('should move native IDs of older repositories into files of their own on gc', async () => {
+    await jj.write({ path: 'a.txt', data: 'a' });
+    await jj.describe({ message: 'Add a' });
+    const [latest] = await jj.operations.list({ limit: 1 });
+    const idsDir = `${testDir}/.jj/repo/op_log/jj_operation_ids`;
+    const legacy = {};
+    for (const name of await fs.promises.readdir(idsDir)) {
+      legacy[name] = JSON.parse(await fs.promises.readFile(`${idsDir}/${name}`, 'utf8')).nativeId;
+    }
+    await fs.promises.rm(idsDir, { recursive: true });
+    await fs.promises.writeFile(`${testDir}/.jj/repo/op_log/jj_operation_ids.json`, JSON.stringify(legacy));
+    jj = await createJJ({ fs, dir: testDir, git, http: null });
+
+    // The parent's native ID is still found before gc moves it
+    await jj.describe({ message: 'Add a, described again' });
+    const { operation } = await headOperation();
+    expect(hex(operation.parents[0])).toBe(legacy[latest.id]);
+
+    await jj.util.gc();
+
+    expect(fs.existsSync(`${testDir}/.jj/repo/op_log/jj_operation_ids.json`)).toBe(false);
+    for (const [id, nativeId] of Object.entries(legacy)) {
+      expect(JSON.parse(await fs.promises.readFile(`${idsDir}/${id}`, 'utf8')).nativeId).toBe(nativeId);
+    }
+  });
+
+  it('should mirror undo as an operation of its own', async () => {
+    await jj.write({ path: 'a.txt', data: 'a' });
+    await jj.describe({ message: 'Add a' });
+    const before = await headOperation();
+
+    await jj.undo();
+
+    const after = await headOperation();
+    expect(after.id).not.toBe(before.id);
+    expect(hex(after.operation.parents[0])).toBe(before.id);
+    expect(await opHeads()).toHaveLength(1);
+  });
+});
@@ -341,6 +341,72 @@ describe('Merge Drivers', () => {
     });
   });
 
+  describe('Binary files', () => {
+    async function divergedImage(jj) {
+      await jj.write({ path: 'image.png', data: new Uint8Array([0x89, 0x50, 0x00, 1]) });
+      await jj.describe({ message: 'Base' });
+      const baseChange = jj.workingCopy.getCurrentChangeId();
+
+      await jj.new({ message: 'Feature' });
+      await jj.write({ path: 'image.png', data: new Uint8Array([0x89, 0x50, 0x00, 2]) });
+      await jj.describe({ message: 'Feature image' });
+      const featureChange = jj.workingCopy.getCurrentChangeId();
+
+      await jj.edit({ changeId: baseChange });
+      await jj.new({ message: 'Main' });
+      await jj.write({ path: 'image.png', data: new Uint8Array([0x89, 0x50, 0x00, 3]) });
+      await jj.describe({ message: 'Main image' });
+      return featureChange;
+    }
+
+    it('should pass bytes to drivers that accept binary files', async () => {
+      const jj = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
+      await jj.init();
+
+      let received;
+      jj.mergeDrivers.register({
+        '*.png': {
+          driver: async ({ content, isBinary }) => {
+            received = { content, isBinary };
+            return { content: new Uint8Array([0x89, 0x50, 0x00, 4]), hasConflict: false };
+          },
+          accepts: { text: false, binary: true },
+        },
+      });
+
+      const featureChange = await divergedImage(jj);
+      const result = await jj.merge({ source: featureChange });
+
+      expect(result.conflicts).toHaveLength(0);
+      expect(received.isBinary).toBe(true);
+      expect(received.content.ours).toEqual(new Uint8Array([0x89, 0x50, 0x00, 3]));
+      expect(received.content.theirs).toEqual(new Uint8Array([0x89, 0x50, 0x00, 2]));
+      const merged = await jj.read({ path: 'image.png', encoding: 'binary' });
+      expect(Array.from(merged)).toEqual([0x89, 0x50, 0x00, 4]);
+    });
+
+    it('should record a binary conflict without a driver', async () => {
+      const jj = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
+      await jj.init();
+
+      const featureChange = await divergedImage(jj);
+      const result = await jj.merge({ source: featureChange });
+
+      expect(result.conflicts).toHaveLength(1);
+      expect(result.conflicts[0]).toMatchObject({ path: 'image.png', binary: true });
+      await expect(
+        jj.conflicts.markers({ conflictId: result.conflicts[0].conflictId })
+      ).rejects.toThrow('binary');
+      await expect(
+        jj.conflicts.resolve({ conflictId: result.conflicts[0].conflictId, strategy: 'union' })
+      ).rejects.toThrow('binary');
+
+      await jj.conflicts.resolve({ conflictId: result.conflicts[0].conflictId, strategy: 'theirs' });
+      const resolved = await jj.read({ path: 'image.png', encoding: 'binary' });
+      expect(Array.from(resolved)).toEqual([0x89, 0x50, 0x00, 2]);
+    });
+  });
+
   describe('Pattern matching', () => {
     it('should match exact paths first', async () => {
       const jj = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
@@ -0,0 +1,206 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for resolve() with merge tools
+ *
+ * In-process tools are functions; external tools are configured in the
+ * merge-tools config table and run on temporary files (Node.js only).
+ */
+
+import { createJJ } from '../../src/index.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockFS } from '../fixtures/mock-fs.js';
+
+/**
+ * Merge two edits of the same line, leaving a conflict in file.txt
+ */
+async function createConflict(jj) {
+  await jj.write({ path: 'file.txt', data: 'one\ntwo\nthree\n' });
+  await jj.write({ path: 'other.txt', data: 'x\n' });
+  await jj.describe({ message: 'Base' });
+  const base = jj.workingCopy.getCurrentChangeId();
+
+  await jj.new({ message: 'Left' });
+  await jj.write({ path: 'file.txt', data: 'one\nTWO\nthree\n' });
+  await jj.write({ path: 'other.txt', data: 'left\n' });
+  await jj.describe({ message: 'Left' });
+  const left = jj.workingCopy.getCurrentChangeId();
+
+  await jj.edit({ changeId: base });
+  await jj.new({ message: 'Right' });
+  await jj.write({ path: 'file.txt', data: 'one\n2\nthree\n' });
+  await jj.write({ path: 'other.txt', data: 'right\n' });
+  await jj.describe({ message: 'Right' });
+
+  await jj.merge({ source: left });
+}
+
+describe('resolve() with merge tools', () => {
+  describe('in-process tools', () => {
+    let mockFs;
+    let jj;
+
+    beforeEach(async () => {
+      mockFs = new MockFS();
+      jj = await createJJ({ fs: mockFs, dir: '/test/repo', backend: 'mock' });
+      await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
+      await createConflict(jj);
+    });
+
+    afterEach(() => {
+      mockFs.reset();
+    });
+
+    it('should resolve each conflict with what the function returns', async () => {
+      const calls = [];
+
+      const result = await jj.resolve({
+        tool: async ({ path: filePath, base, left, right, conflict }) => {
+          calls.push({ filePath, base, left, right, conflictId: conflict.conflictId });
+          return `${filePath} resolved\n`;
+        },
+      });
+
+      expect(result).toEqual({ resolved: ['file.txt', 'other.txt'], unresolved: [] });
+      expect(calls[0]).toMatchObject({
+        filePath: 'file.txt',
+        base: 'one\ntwo\nthree\n',
+        left: 'one\n2\nthree\n',
+        right: 'one\nTWO\nthree\n',
+      });
+      expect(await jj.read({ path: 'file.txt' })).toBe('file.txt resolved\n');
+      expect(await jj.conflicts.list()).toEqual([]);
+    });
+
+    it('should leave conflicts unresolved when the function returns nothing', async () => {
+      const result = await jj.resolve({
+        tool: ({ path: filePath, right }) => (filePath === 'other.txt' ? right : undefined),
+      });
+
+      expect(result).toEqual({ resolved: ['other.txt'], unresolved: ['file.txt'] });
+      expect((await jj.conflicts.list()).map(conflict => conflict.path)).toEqual(['file.txt']);
+    });
+
+    it('should only resolve conflicts in the given paths', async () => {
+      const result = await jj.resolve({ paths: ['other.*'], tool: ({ left }) => left });
+
+      expect(result).toEqual({ resolved: ['other.txt'], unresolved: [] });
+      expect(await jj.read({ path: 'other.txt' })).toBe('right\n');
+    });
+
+    it('should not run configured tools without the Node.js filesystem', async () => {
+      await jj.config.set({ key: 'ui.merge-editor', value: 'meld' });
+
+      await expect(jj.resolve()).rejects.toMatchObject({
+        code: 'UNSUPPORTED_OPERATION',
+        details: { alternative: expect.stringContaining('function') },
+      });
+    });
+  });
+
+  describe('configured tools', () => {
+    let tempDir;
+    let toolDir;
+    let jj;
+
+    /**
+     * Configure a merge tool running a Node.js script with the file paths
+     */
+    const configureTool = async (name, script) => {
+      const scriptPath = path.join(toolDir, `${name}.mjs`);
+      fs.writeFileSync(scriptPath, `import fs from 'fs';\nconst [base, left, right, output] = process.argv.slice(2);\n${script}\n`);
+      await jj.config.set({
+        key: `merge-tools.${name}`,
+        value: { program: process.execPath, 'merge-args': [scriptPath, '$base', '$left', '$right', '$output'] },
+      });
+    };
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jj-merge-tools-test-'));
+      toolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jj-merge-tools-scripts-'));
+      jj = await createJJ({ fs, dir: tempDir });
+      await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
+      await createConflict(jj);
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      fs.rmSync(toolDir, { recursive: true, force: true });
+    });
+
+    it('should resolve conflicts with what the tool writes to $output', async () => {
+      await configureTool('record', `
+        const read = (file) => fs.readFileSync(file, 'utf8');
+        fs.writeFileSync(output, JSON.stringify({
+          names: [base, left, right, output].map(file => file.split(/[\\\\/]/).pop()),
+          sides: [read(base), read(left), read(right)],
+          markers: read(output).includes('<<<<<<<'),
+        }));
+      `);
+
+      const result = await jj.resolve({ tool: 'record', paths: ['file.txt'] });
+
+      expect(result).toEqual({ resolved: ['file.txt'], unresolved: [] });
+      expect(JSON.parse(await jj.read({ path: 'file.txt' }))).toEqual({
+        names: ['base-file.txt', 'left-file.txt', 'right-file.txt', 'output-file.txt'],
+        sides: ['one\ntwo\nthree\n', 'one\n2\nthree\n', 'one\nTWO\nthree\n'],
+        markers: true,
+      });
+    });
+
+    it('should use the tool ui.merge-editor names by default', async () => {
+      await configureTool('take-left', 'fs.copyFileSync(left, output);');
+      await jj.config.set({ key: 'ui.merge-editor', value: 'take-left' });
+
+      const result = await jj.resolve();
+
+      expect(result.resolved).toEqual(['file.txt', 'other.txt']);
+      expect(fs.readFileSync(path.join(tempDir, 'other.txt'), 'utf8')).toBe('right\n');
+    });
+
+    it('should leave conflicts unresolved when the tool does not change $output', async () => {
+      await configureTool('noop', '');
+
+      const result = await jj.resolve({ tool: 'noop' });
+
+      expect(result).toEqual({ resolved: [], unresolved: ['file.txt', 'other.txt'] });
+    });
+
+    it('should skip delete/modify conflicts and resolve the others', async () => {
+      await configureTool('take-left', 'fs.copyFileSync(left, output);');
+      await jj.write({ path: 'gone.txt', data: 'one\n' });
+      await jj.describe({ message: 'Base' });
+      const base = jj.workingCopy.getCurrentChangeId();
+      await jj.new({ message: 'Modify' });
+      await jj.write({ path: 'gone.txt', data: 'two\n' });
+      const modified = jj.workingCopy.getCurrentChangeId();
+      await jj.edit({ changeId: base });
+      await jj.new({ message: 'Delete' });
+      await jj.remove({ path: 'gone.txt' });
+      await jj.merge({ source: modified });
+
+      const result = await jj.resolve({ tool: 'take-left' });
+
+      expect(result).toEqual({ resolved: ['file.txt', 'other.txt'], unresolved: ['gone.txt'] });
+      expect((await jj.conflicts.list()).map(conflict => conflict.path)).toEqual(['gone.txt']);
+    });
+
+    it('should fail when the tool exits with an error', async () => {
+      await configureTool('crash', 'process.exit(3);');
+
+      await expect(jj.resolve({ tool: 'crash' })).rejects.toMatchObject({
+        code: 'MERGE_TOOL_FAILED',
+        details: { exitCode: 3 },
+      });
+      expect((await jj.conflicts.list()).length).toBe(2);
+    });
+
+    it('should reject tools that are not configured', async () => {
+      await expect(jj.resolve({ tool: 'vimdiff' })).rejects.toMatchObject({ code: 'MERGE_TOOL_NOT_FOUND' });
+    });
+  });
+});
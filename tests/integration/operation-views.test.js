@@ -0,0 +1,268 @@
+/**
+ * Integration tests for complete operation views
+ *
+ * Every operation records the full repository view (heads, changes, bookmarks,
+ * tags, conflicts and workspaces), so undo(), operations.restore() and
+ * operations.revert() roll back the whole repository rather than only the working
+ * copy, and operations.at() can show the repository as any operation left it.
+ */
+
+import { createJJ } from '../../src/index.js';
+import { MockFS } from '../fixtures/mock-fs.js';
+
+describe('Operation Views', () => {
+  let fs;
+  let jj;
+
+  beforeEach(async () => {
+    fs = new MockFS();
+    jj = await createJJ({
+      fs,
+      dir: '/test/repo',
+      backend: 'mock',
+    });
+
+    await jj.init({
+      userName: 'Test User',
+      userEmail: 'test@example.com',
+    });
+  });
+
+  afterEach(() => {
+    fs.reset();
+  });
+
+  const headOperation = async () => {
+    const [head] = await jj.operations.list({ limit: 1 });
+    return jj.operations.show({ operation: head.id });
+  };
+
+  describe('recorded views', () => {
+    it('should record changes, bookmarks, tags and workspaces', async () => {
+      await jj.write({ path: 'a.txt', data: 'a' });
+      const base = await jj.describe({ message: 'Base' });
+      await jj.bookmark.create({ name: 'main', changeId: base.changeId });
+      await jj.tag.create({ name: 'v1', changeId: base.changeId });
+      const next = await jj.new({ message: 'Next' });
+
+      const { view } = await headOperation();
+
+      expect(view.heads).toEqual([next.changeId]);
+      expect(Object.keys(view.changes).sort()).toEqual([base.changeId, next.changeId].sort());
+      expect(view.bookmarks).toEqual({ main: base.changeId });
+      expect(view.remoteBookmarks).toEqual({});
+      expect(view.tags).toEqual({ v1: base.changeId });
+      expect(view.workspaces.default.changeId).toBe(next.changeId);
+      expect(view.workingCopy).toBe(next.changeId);
+    });
+  });
+
+  describe('undo()', () => {
+    it('should roll back descriptions', async () => {
+      await jj.describe({ message: 'First' });
+      await jj.describe({ message: 'Second' });
+
+      await jj.undo();
+
+      expect((await jj.show({ change: '@' })).description).toBe('First');
+    });
+
+    it('should remove changes created by the undone operation', async () => {
+      const base = await jj.describe({ message: 'Base' });
+      const child = await jj.new({ message: 'Child' });
+
+      await jj.undo();
+
+      expect((await jj.status()).workingCopy.changeId).toBe(base.changeId);
+      await expect(jj.show({ change: child.changeId })).rejects.toMatchObject({ code: 'CHANGE_NOT_FOUND' });
+    });
+
+    it('should roll back bookmarks and tags', async () => {
+      const base = await jj.describe({ message: 'Base' });
+      await jj.bookmark.create({ name: 'main', changeId: base.changeId });
+      await jj.tag.create({ name: 'v1', changeId: base.changeId });
+
+      await jj.undo();
+      expect(await jj.tag.list()).toEqual([]);
+      expect((await jj.bookmark.list()).map(b => b.name)).toEqual(['main']);
+
+      await jj.undo();
+      expect(await jj.tag.list()).toEqual([{ name: 'v1', changeId: base.changeId }]);
+    });
+
+    it('should check out the files of the restored working copy', async () => {
+      await jj.write({ path: 'a.txt', data: 'base' });
+      const base = await jj.describe({ message: 'Base' });
+      await jj.new({ message: 'Child' });
+      await jj.write({ path: 'a.txt', data: 'child' });
+      const child = await jj.describe({ message: 'Child' });
+      await jj.edit({ changeId: base.changeId });
+      expect(await jj.read({ path: 'a.txt' })).toBe('base');
+
+      await jj.undo();
+
+      expect((await jj.status()).workingCopy.changeId).toBe(child.changeId);
+      expect(await jj.read({ path: 'a.txt' })).toBe('child');
+    });
+  });
+
+  describe('operations.restore()', () => {
+    it('should restore the whole repository to an earlier operation', async () => {
+      const base = await jj.describe({ message: 'Base' });
+      await jj.bookmark.create({ name: 'main', changeId: base.changeId });
+      const op = await headOperation();
+
+      const feature = await jj.new({ message: 'Feature' });
+      await jj.bookmark.create({ name: 'feature', changeId: feature.changeId });
+      await jj.bookmark.move({ name: 'main', to: feature.changeId });
+      await jj.describe({ revision: base.changeId, message: 'Base reworded' });
+
+      await jj.operations.restore({ operation: op.id });
+
+      const bookmarks = await jj.bookmark.list();
+      expect(bookmarks).toEqual([{ name: 'main', changeId: base.changeId, remote: null }]);
+      expect((await jj.show({ change: base.changeId })).description).toBe('Base');
+      expect((await jj.log({ revset: 'all()' })).map(c => c.changeId)).toEqual([base.changeId]);
+      expect((await jj.status()).workingCopy.changeId).toBe(base.changeId);
+    });
+  });
+
+  describe('operations.revert()', () => {
+    it('should undo one operation and keep later ones', async () => {
+      const base = await jj.describe({ message: 'Base' });
+      await jj.bookmark.create({ name: 'main', changeId: base.changeId });
+      const bookmarkOp = await headOperation();
+      await jj.tag.create({ name: 'v1', changeId: base.changeId });
+
+      const result = await jj.operations.revert({ operation: bookmarkOp.id });
+
+      expect(result.inverseChanges.bookmarks).toEqual({ main: { action: 'deleted' } });
+      expect(await jj.bookmark.list()).toEqual([]);
+      expect(await jj.tag.list()).toEqual([{ name: 'v1', changeId: base.changeId }]);
+    });
+
+    it('should revert change edits that later operations left alone', async () => {
+      const base = await jj.describe({ message: 'Base' });
+      await jj.new({ message: 'Child' });
+      await jj.describe({ revision: base.changeId, message: 'Base reworded' });
+      const rewordOp = await headOperation();
+      await jj.describe({ message: 'Child reworded' });
+
+      const result = await jj.operations.revert({ operation: rewordOp.id });
+
+      expect(result.inverseChanges.changes).toEqual([base.changeId]);
+      expect((await jj.show({ change: base.changeId })).description).toBe('Base');
+      expect((await jj.show({ change: '@' })).description).toBe('Child reworded');
+    });
+  });
+
+  describe('obslog()', () => {
+    it('should list the operations that rewrote a change', async () => {
+      const base = await jj.describe({ message: 'Base' });
+      await jj.new({ message: 'Child' });
+      await jj.describe({ message: 'Child reworded' });
+      await jj.describe({ revision: base.changeId, message: 'Base reworded' });
+
+      const events = await jj.obslog({ changeId: base.changeId });
+
+      expect(events.map(e => e.description)).toEqual([
+        `describe change ${base.changeId.slice(0, 8)}`,
+        `describe change ${base.changeId.slice(0, 8)}`,
+        'initialize repository',
+      ]);
+    });
+  });
+
+  describe('operations.at()', () => {
+    it('should log, show and evaluate revsets as of the operation', async () => {
+      const base = await jj.describe({ message: 'Base' });
+      await jj.bookmark.create({ name: 'main', changeId: base.changeId });
+      const op = await headOperation();
+
+      await jj.describe({ message: 'Base reworded' });
+      const child = await jj.new({ message: 'Child' });
+      await jj.bookmark.move({ name: 'main', to: child.changeId });
+
+      const view = await jj.operations.at({ operation: op.id });
+      const ids = (await view.log()).map(change => change.changeId);
+
+      expect(ids).toContain(base.changeId);
+      expect(ids).not.toContain(child.changeId);
+      expect((await view.show({ change: '@' })).description).toBe('Base');
+      expect(await view.revset.evaluate('main')).toEqual([base.changeId]);
+      expect(await view.log({ revset: '@', template: 'description' })).toEqual(['Base']);
+      expect(await view.bookmark.list()).toEqual([
+        { name: 'main', changeId: base.changeId, remote: null },
+      ]);
+      expect((await view.status()).workingCopy).toBe(base.changeId);
+    });
+
+    it('should read, list and diff files as of the operation', async () => {
+      await jj.write({ path: 'a.txt', data: 'one\n' });
+      const base = await jj.describe({ message: 'Base' });
+      const op = await headOperation();
+
+      await jj.write({ path: 'a.txt', data: 'two\n' });
+      await jj.write({ path: 'b.txt', data: 'b\n' });
+      await jj.describe({ message: 'Base edited' });
+
+      const view = await jj.operations.at({ operation: op.id });
+
+      expect(await view.read({ path: 'a.txt' })).toBe('one\n');
+      expect(await view.read({ path: 'a.txt', changeId: base.changeId })).toBe('one\n');
+      expect(await view.listFiles()).toEqual(['a.txt']);
+      const diff = await view.diff({ to: '@' });
+      expect(diff.files.map(file => [file.path, file.status])).toEqual([['a.txt', 'added']]);
+      await expect(view.read({ path: 'b.txt' })).rejects.toMatchObject({ code: 'FILE_NOT_FOUND' });
+
+      // The repository itself is unaffected
+      expect(await jj.read({ path: 'a.txt' })).toBe('two\n');
+    });
+
+    it('should list conflicts as of the operation', async () => {
+      await jj.write({ path: 'file.txt', data: 'base\n' });
+      const base = await jj.describe({ message: 'Base' });
+      await jj.new({ message: 'Left' });
+      await jj.write({ path: 'file.txt', data: 'left\n' });
+      const left = await jj.describe({ message: 'Left change' });
+      await jj.edit({ changeId: base.changeId });
+      await jj.new({ message: 'Right' });
+      await jj.write({ path: 'file.txt', data: 'right\n' });
+      await jj.describe({ message: 'Right change' });
+      const beforeMerge = await headOperation();
+
+      await jj.merge({ source: left.changeId });
+      const afterMerge = await headOperation();
+
+      const before = await jj.operations.at({ operation: beforeMerge.id });
+      const after = await jj.operations.at({ operation: afterMerge.id });
+
+      expect(await before.conflicts.list()).toEqual([]);
+      expect((await after.conflicts.list()).map(conflict => conflict.path)).toEqual(['file.txt']);
+    });
+
+    it('should refuse mutating calls with READ_ONLY_VIEW', async () => {
+      const base = await jj.describe({ message: 'Base' });
+      const op = await headOperation();
+      const view = await jj.operations.at({ operation: op.id });
+
+      await expect(view.describe({ message: 'Changed' })).rejects.toMatchObject({ code: 'READ_ONLY_VIEW' });
+      await expect(view.new()).rejects.toMatchObject({ code: 'READ_ONLY_VIEW' });
+      await expect(view.bookmark.create({ name: 'main', changeId: base.changeId }))
+        .rejects.toMatchObject({ code: 'READ_ONLY_VIEW', context: { method: 'bookmark.create' } });
+      await expect(view.conflicts.resolve({ conflictId: 'c1', resolution: 'x' }))
+        .rejects.toMatchObject({ code: 'READ_ONLY_VIEW' });
+      await expect(view.graph.updateChange({ ...base, description: 'Changed' }))
+        .rejects.toMatchObject({ code: 'READ_ONLY_VIEW' });
+
+      expect((await jj.show({ change: '@' })).description).toBe('Base');
+      expect((await headOperation()).id).toBe(op.id);
+    });
+
+    it('should reject unknown operations', async () => {
+      await expect(jj.operations.at({ operation: 'missing' })).rejects.toMatchObject({
+        code: 'OPERATION_NOT_FOUND',
+      });
+    });
+  });
+});
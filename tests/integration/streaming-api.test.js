@@ -9,6 +9,18 @@ import os from 'os';
 import path from 'path';
 import { pipeline } from 'stream/promises';
 import { Readable, Writable } from 'stream';
+import { MockFS } from '../fixtures/mock-fs.js';
+
+/**
+ * Read a WHATWG stream to the end
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
 
 describe('Streaming API', () => {
   let tempDir;
@@ -117,15 +129,110 @@ describe('Streaming API', () => {
       await expect(jj.readStream({})).rejects.toThrow('Missing path argument');
     });
 
-    it('should throw error when trying to stream from historical change', async () => {
+    it('should stream a file as a historical change recorded it', async () => {
       await jj.write({ path: 'test.txt', data: 'content' });
-      await jj.describe({ message: 'Test' });
-      const status = await jj.status();
-      const changeId = status.workingCopy.changeId;
+      const described = await jj.describe({ message: 'Test' });
+      await jj.new({ message: 'Next' });
+      await jj.write({ path: 'test.txt', data: 'changed since' });
+
+      const stream = await jj.readStream({ path: 'test.txt', changeId: described.changeId, encoding: 'utf-8' });
+
+      let content = '';
+      for await (const chunk of stream) {
+        content += chunk;
+      }
+      expect(content).toBe('content');
+    });
+
+    it('should reject files a historical change does not have', async () => {
+      const described = await jj.describe({ message: 'Test' });
+
+      await expect(jj.readStream({ path: 'missing.txt', changeId: described.changeId }))
+        .rejects.toMatchObject({ code: 'FILE_NOT_FOUND' });
+    });
+
+    it('should reject unknown formats', async () => {
+      await expect(jj.readStream({ path: 'test.txt', format: 'dom' }))
+        .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    });
+  });
+
+  describe('WHATWG streams', () => {
+    it('should read the working copy in chunks', async () => {
+      await jj.write({ path: 'large.txt', data: 'x'.repeat(200 * 1024) });
+
+      const chunks = await readAll(await jj.readStream({ path: 'large.txt', format: 'web' }));
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.every(chunk => chunk instanceof Uint8Array)).toBe(true);
+      expect(chunks.reduce((size, chunk) => size + chunk.length, 0)).toBe(200 * 1024);
+    });
+
+    it('should decode text with an encoding', async () => {
+      const binaryData = new Uint8Array([0xe2, 0x82, 0xac]); // "€"
+      await jj.write({ path: 'euro.txt', data: binaryData });
+      await jj.describe({ message: 'Euro' });
+      const [change] = await jj.log({ limit: 1 });
+
+      const chunks = await readAll(await jj.readStream({
+        path: 'euro.txt',
+        changeId: change.changeId,
+        encoding: 'utf-8',
+        format: 'web',
+      }));
+
+      expect(chunks.join('')).toBe('€');
+    });
+
+    it('should error the stream for a missing working-copy file', async () => {
+      const stream = await jj.readStream({ path: 'nonexistent.txt', format: 'web' });
+
+      await expect(readAll(stream)).rejects.toThrow(/ENOENT/);
+    });
+
+    it('should write and track a file', async () => {
+      const stream = await jj.writeStream({ path: 'deep/web.txt', format: 'web' });
+      const writer = stream.getWriter();
+      await writer.write('Line 1\n');
+      await writer.write(new TextEncoder().encode('Line 2\n'));
+      await writer.close();
+
+      expect(await jj.read({ path: 'deep/web.txt' })).toBe('Line 1\nLine 2\n');
+      expect(await jj.listFiles()).toContain('deep/web.txt');
+    });
+  });
+
+  describe('without Node.js streams', () => {
+    let mockFs;
+    let browserJJ;
+
+    beforeEach(async () => {
+      mockFs = new MockFS();
+      browserJJ = await createJJ({ fs: mockFs, dir: '/test/repo', backend: 'mock' });
+      await browserJJ.init({ userName: 'Test User', userEmail: 'test@example.com' });
+    });
+
+    afterEach(() => {
+      mockFs.reset();
+    });
+
+    it('should default to WHATWG streams', async () => {
+      const writable = await browserJJ.writeStream({ path: 'log.txt' });
+      await Readable.toWeb(Readable.from(['one\n', 'two\n'])).pipeTo(writable);
+      const described = await browserJJ.describe({ message: 'Log' });
+
+      const readable = await browserJJ.readStream({ path: 'log.txt', changeId: described.changeId, encoding: 'utf-8' });
+
+      expect(readable).toBeInstanceOf(ReadableStream);
+      expect((await readAll(readable)).join('')).toBe('one\ntwo\n');
+      expect(await browserJJ.listFiles()).toContain('log.txt');
+    });
 
-      await expect(
-        jj.readStream({ path: 'test.txt', changeId })
-      ).rejects.toThrow('not yet supported');
+    it('should refuse Node.js streams', async () => {
+      await expect(browserJJ.readStream({ path: 'log.txt', format: 'node' }))
+        .rejects.toMatchObject({ code: 'UNSUPPORTED_OPERATION' });
+      await expect(browserJJ.writeStream({ path: 'log.txt', format: 'node' }))
+        .rejects.toMatchObject({ code: 'UNSUPPORTED_OPERATION' });
     });
   });
 
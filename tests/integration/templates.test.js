@@ -0,0 +1,115 @@
+/**
+ * Integration tests for the template language
+ *
+ * log(), show(), obslog() and operations.list() accept a `template` option that
+ * renders each entry as a string, like `jj log -T`.
+ */
+
+import { createJJ } from '../../src/index.js';
+import { MockFS } from '../fixtures/mock-fs.js';
+
+describe('Templates', () => {
+  let fs;
+  let jj;
+
+  beforeEach(async () => {
+    fs = new MockFS();
+    jj = await createJJ({
+      fs,
+      dir: '/test/repo',
+      backend: 'mock',
+    });
+
+    await jj.init({
+      userName: 'Test User',
+      userEmail: 'test@example.com',
+    });
+  });
+
+  afterEach(() => {
+    fs.reset();
+  });
+
+  describe('log()', () => {
+    it('should render one string per change', async () => {
+      await jj.write({ path: 'a.txt', data: 'a' });
+      const first = await jj.describe({ message: 'First change\n\nDetails' });
+      await jj.new({ message: 'Second change' });
+
+      const lines = await jj.log({ revset: 'all()', template: 'change_id.short(8) ++ " " ++ description.first_line()' });
+
+      expect(lines).toContain(`${first.changeId.slice(0, 8)} First change`);
+      expect(lines.every(line => typeof line === 'string')).toBe(true);
+    });
+
+    it('should expose bookmarks, tags, empty and author keywords', async () => {
+      await jj.write({ path: 'a.txt', data: 'a' });
+      const change = await jj.describe({ message: 'Release' });
+      await jj.bookmark.create({ name: 'main', target: change.changeId });
+      await jj.tag.create({ name: 'v1.0.0', changeId: change.changeId });
+      await jj.new({ message: 'Next' });
+
+      const [next, release] = await jj.log({
+        revset: 'all()',
+        template: 'separate(" ", description, bookmarks, tags, if(empty, "(empty)"), author.email())',
+      });
+
+      expect(next).toBe('Next (empty) test@example.com');
+      expect(release).toBe('Release main v1.0.0 test@example.com');
+    });
+
+    it('should use template-aliases from config', async () => {
+      await jj.config.set({ name: 'template-aliases.short_id(id)', value: 'id.short(4)' });
+      await jj.config.set({ name: 'template-aliases.oneline', value: 'short_id(change_id) ++ ": " ++ description' });
+      const change = await jj.describe({ message: 'Aliased' });
+
+      const [line] = await jj.log({ revset: '@', template: 'oneline' });
+
+      expect(line).toBe(`${change.changeId.slice(0, 4)}: Aliased`);
+    });
+
+    it('should reject invalid templates before rendering', async () => {
+      await expect(jj.log({ template: 'change_id ++' })).rejects.toMatchObject({
+        code: 'INVALID_TEMPLATE',
+        context: { column: 13 },
+      });
+      await expect(jj.log({ template: 'commit_hash' })).rejects.toThrow('Keyword "commit_hash" doesn\'t exist');
+    });
+  });
+
+  describe('show()', () => {
+    it('should render the change as a string', async () => {
+      await jj.describe({ message: 'Shown' });
+
+      const text = await jj.show({ change: '@', template: 'if(current_working_copy, "@ ") ++ description' });
+
+      expect(text).toBe('@ Shown');
+    });
+  });
+
+  describe('obslog() and operations.list()', () => {
+    it('should render operations newest first', async () => {
+      await jj.describe({ message: 'Described' });
+
+      const ops = await jj.operations.list({ template: 'if(current_operation, "* ", "  ") ++ description' });
+
+      expect(ops[0].startsWith('* ')).toBe(true);
+      expect(ops.slice(1).every(line => line.startsWith('  '))).toBe(true);
+      expect(ops.length).toBe((await jj.operations.list()).length);
+
+      const events = await jj.obslog({ template: 'description ++ " by " ++ user' });
+      expect(events[0]).toMatch(/ by Test User@/);
+    });
+  });
+
+  describe('config', () => {
+    it('should reject invalid template aliases', async () => {
+      await expect(jj.config.set({ name: 'template-aliases.bad', value: 'a ++' })).rejects.toMatchObject({
+        code: 'INVALID_TEMPLATE_ALIAS',
+      });
+      await expect(jj.config.set({ name: 'template-aliases', value: { 'f(x, x)': 'x' } })).rejects.toMatchObject({
+        code: 'INVALID_TEMPLATE_ALIAS',
+      });
+    });
+  });
+});
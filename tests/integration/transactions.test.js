@@ -0,0 +1,192 @@
+/**
+ * Integration tests for jj.transaction()
+ */
+
+import { createJJ } from '../../src/index.js';
+import nodeFs from 'fs';
+import os from 'os';
+import path from 'path';
+import git from 'isomorphic-git';
+import { MockFS } from '../fixtures/mock-fs.js';
+
+describe('Transactions', () => {
+  let fs;
+  let jj;
+
+  beforeEach(async () => {
+    fs = new MockFS();
+    jj = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
+    await jj.init({ userName: 'Test User', userEmail: 'test@example.com' });
+    await jj.write({ path: 'a.txt', data: 'a' });
+    await jj.describe({ message: 'Base' });
+  });
+
+  afterEach(() => {
+    fs.reset();
+  });
+
+  it('should record the calls as a single operation', async () => {
+    const before = await jj.operations.list();
+
+    const result = await jj.transaction(async (tx) => {
+      await tx.write({ path: 'b.txt', data: 'b' });
+      await tx.describe({ message: 'Feature' });
+      const change = await tx.new({ message: 'Next' });
+      await tx.bookmark.set({ name: 'feature', changeId: change.changeId });
+      return change;
+    }, { description: 'start feature' });
+
+    const after = await jj.operations.list();
+    expect(after).toHaveLength(before.length + 1);
+    expect(after[0].description).toBe('start feature');
+    expect(after[0].parents).toEqual([before[0].id]);
+
+    const [feature] = (await jj.bookmark.list()).filter(b => b.name === 'feature');
+    expect(feature.changeId).toBe(result.changeId);
+  });
+
+  it('should not write anything before the callback returns', async () => {
+    const graphFiles = () => [...fs.files.entries()]
+      .filter(([filePath]) => filePath.startsWith('/test/repo/.jj/repo/store/graph/'))
+      .map(([filePath, file]) => [filePath, file.content]);
+    const graphBefore = graphFiles();
+
+    await jj.transaction(async (tx) => {
+      await tx.new({ message: 'Next' });
+      expect(graphFiles()).toEqual(graphBefore);
+    });
+
+    expect(graphFiles()).not.toEqual(graphBefore);
+  });
+
+  it('should roll everything back when the callback throws', async () => {
+    const before = await jj.operations.list();
+    const descriptionsBefore = (await jj.log({ limit: 10 })).map(c => c.description);
+
+    await expect(jj.transaction(async (tx) => {
+      await tx.write({ path: 'a.txt', data: 'changed' });
+      await tx.write({ path: 'new.txt', data: 'new' });
+      await tx.describe({ message: 'Changed' });
+      await tx.new({ message: 'Next' });
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(await jj.operations.list()).toHaveLength(before.length);
+    expect((await jj.log({ limit: 10 })).map(c => c.description)).toEqual(descriptionsBefore);
+    expect(await jj.read({ path: 'a.txt' })).toBe('a');
+    expect(fs.files.has('/test/repo/new.txt')).toBe(false);
+    expect((await jj.status()).modified || []).toEqual([]);
+  });
+
+  it('should record nothing for a callback that changes nothing', async () => {
+    const before = await jj.operations.list();
+
+    expect(await jj.transaction(async (tx) => (await tx.log()).length)).toBeGreaterThan(0);
+    expect(await jj.operations.list()).toHaveLength(before.length);
+  });
+
+  it('should release the lock after the transaction', async () => {
+    await expect(jj.transaction(async () => { throw new Error('abort'); })).rejects.toThrow('abort');
+    await jj.transaction(async (tx) => tx.new());
+
+    expect(fs.files.has('/test/repo/.jj/repo/lock')).toBe(false);
+  });
+
+  it('should wait for a transaction of another instance', async () => {
+    const other = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
+    const order = [];
+
+    let releaseFirst;
+    const first = jj.transaction(async (tx) => {
+      order.push('first:start');
+      await new Promise(resolve => { releaseFirst = resolve; });
+      await tx.new({ message: 'First' });
+      order.push('first:end');
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const second = other.transaction(async (tx) => {
+      order.push('second:start');
+      await tx.new({ message: 'Second' });
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    releaseFirst();
+    await Promise.all([first, second]);
+
+    expect(order).toEqual(['first:start', 'first:end', 'second:start']);
+    const descriptions = (await other.log({ limit: 10 })).map(c => c.description);
+    expect(descriptions).toEqual(expect.arrayContaining(['First', 'Second']));
+  });
+
+  it('should make calls of another instance wait for a transaction', async () => {
+    const other = await createJJ({ fs, dir: '/test/repo', backend: 'mock' });
+    const order = [];
+
+    let releaseFirst;
+    const first = jj.transaction(async (tx) => {
+      await new Promise(resolve => { releaseFirst = resolve; });
+      await tx.describe({ message: 'From the transaction' });
+      order.push('transaction');
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const setBookmark = other.bookmark.set({ name: 'waiting', changeId: (await other.log({ limit: 1 }))[0].changeId })
+      .then(() => order.push('bookmark'));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(order).toEqual([]);
+    releaseFirst();
+    await Promise.all([first, setBookmark]);
+
+    expect(order).toEqual(['transaction', 'bookmark']);
+    expect(fs.files.has('/test/repo/.jj/repo/lock')).toBe(false);
+  });
+
+  it('should fail with REPOSITORY_LOCKED when the lock is not released in time', async () => {
+    await fs.promises.mkdir('/test/repo/.jj/repo/lock');
+
+    await expect(jj.transaction(async (tx) => tx.new(), { timeout: 50 }))
+      .rejects.toMatchObject({ code: 'REPOSITORY_LOCKED' });
+  });
+
+  it('should refuse to start a transaction inside another', async () => {
+    await expect(jj.transaction(async () => {
+      await jj.transaction(async (tx) => tx.new());
+    })).rejects.toMatchObject({ code: 'TRANSACTION_IN_PROGRESS' });
+  });
+
+  describe('with a Git backend', () => {
+    let tempDir;
+    let gitJJ;
+
+    beforeEach(async () => {
+      tempDir = nodeFs.mkdtempSync(path.join(os.tmpdir(), 'jj-transaction-test-'));
+      gitJJ = await createJJ({ fs: nodeFs, dir: tempDir, git });
+      await gitJJ.init({ userName: 'Test User', userEmail: 'test@example.com' });
+      await gitJJ.write({ path: 'a.txt', data: 'a' });
+      await gitJJ.describe({ message: 'Base' });
+    });
+
+    afterEach(() => {
+      nodeFs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should put Git refs, HEAD and the index back when the callback throws', async () => {
+      const gitDir = path.join(tempDir, '.git');
+      const headBefore = await git.resolveRef({ fs: nodeFs, dir: tempDir, ref: 'HEAD' });
+      const branchesBefore = await git.listBranches({ fs: nodeFs, dir: tempDir });
+      const indexBefore = nodeFs.readFileSync(path.join(gitDir, 'index'));
+
+      await expect(gitJJ.transaction(async (tx) => {
+        await tx.write({ path: 'b.txt', data: 'b' });
+        await tx.describe({ message: 'Changed' });
+        await tx.new({ message: 'Next' });
+        expect(await git.resolveRef({ fs: nodeFs, dir: tempDir, ref: 'HEAD' })).not.toBe(headBefore);
+        throw new Error('abort');
+      })).rejects.toThrow('abort');
+
+      expect(await git.resolveRef({ fs: nodeFs, dir: tempDir, ref: 'HEAD' })).toBe(headBefore);
+      expect(await git.listBranches({ fs: nodeFs, dir: tempDir })).toEqual(branchesBefore);
+      expect(nodeFs.readFileSync(path.join(gitDir, 'index'))).toEqual(indexBefore);
+    });
+  });
+});
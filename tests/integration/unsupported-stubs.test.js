@@ -138,14 +138,6 @@ describe('Unsupported Feature Stubs', () => {
         });
       });
 
-      it('should throw error for util.gc()', async () => {
-        await expect(
-          jj.util.gc()
-        ).rejects.toMatchObject({
-          code: 'UNSUPPORTED_OPERATION',
-        });
-      });
-
       it('should throw error for util.exec()', async () => {
         await expect(
           jj.util.exec({ command: 'echo test' })
@@ -339,4 +339,81 @@ describe('User Configuration', () => {
       });
     });
   });
+
+  describe('revset-aliases', () => {
+    beforeEach(async () => {
+      jj = await createJJ({
+        fs,
+        dir: '/test/repo',
+        backend: 'mock',
+      });
+
+      await jj.init({
+        userName: 'Alice',
+        userEmail: 'alice@example.com',
+      });
+    });
+
+    it('should expand symbol and parameterised aliases in log()', async () => {
+      await jj.describe({ message: 'Base work' });
+      const feature = await jj.new({ message: 'Feature work' });
+
+      await jj.config.set({ name: 'revset-aliases.wip', value: 'description(Feature)' });
+      await jj.config.set({ name: 'revset-aliases.stack(x)', value: 'x::@' });
+
+      const wip = await jj.log({ revset: 'wip' });
+      expect(wip.map(c => c.changeId)).toEqual([feature.changeId]);
+
+      const stack = await jj.log({ revset: 'stack(@-)' });
+      expect(stack).toHaveLength(2);
+    });
+
+    it('should resolve aliases in revision arguments', async () => {
+      await jj.describe({ message: 'Base work' });
+      const base = (await jj.status()).workingCopy;
+      await jj.new({ message: 'Feature work' });
+
+      await jj.config.set({ name: 'revset-aliases.base_change', value: 'description(Base)' });
+      await jj.describe({ revision: 'base_change', message: 'Renamed base' });
+
+      const [renamed] = await jj.log({ revset: base.changeId });
+      expect(renamed.description).toBe('Renamed base');
+      await expect(jj.describe({ revision: 'all()', message: 'x' })).rejects.toMatchObject({
+        code: 'AMBIGUOUS_REVISION',
+      });
+    });
+
+    it('should detect recursive aliases', async () => {
+      await jj.config.set({ name: 'revset-aliases.a', value: 'b | @' });
+      await jj.config.set({ name: 'revset-aliases.b', value: 'a' });
+
+      await expect(jj.log({ revset: 'a' })).rejects.toMatchObject({
+        code: 'INVALID_REVSET_ALIAS',
+        context: { cycle: ['a', 'b', 'a'] },
+      });
+      await expect(jj.describe({ revision: 'b', message: 'x' })).rejects.toThrow('recursive');
+    });
+
+    it('should validate aliases when they are written', async () => {
+      await expect(
+        jj.config.set({ name: 'revset-aliases.stack(x', value: 'x::@' })
+      ).rejects.toMatchObject({ code: 'INVALID_REVSET_ALIAS' });
+      await expect(
+        jj.config.set({ name: 'revset-aliases.broken', value: 'all() &' })
+      ).rejects.toThrow('Invalid revset alias "broken"');
+      await expect(
+        jj.config.set({ name: 'revset-aliases', value: { 'f(x, x)': 'x' } })
+      ).rejects.toThrow('duplicate parameter');
+      expect(await jj.config.get({ name: 'revset-aliases' })).toBeUndefined();
+
+      // Aliases stored by other means are checked when the config is listed
+      await jj.userConfig.load();
+      jj.userConfig.config['revset-aliases'] = { 'trunk(': 'main' };
+      await jj.userConfig.save();
+      await expect(jj.config.list()).rejects.toMatchObject({ code: 'INVALID_REVSET_ALIAS' });
+      await expect(jj.userConfig.set('revset-aliases.ok', '@')).rejects.toMatchObject({
+        code: 'INVALID_REVSET_ALIAS',
+      });
+    });
+  });
 });
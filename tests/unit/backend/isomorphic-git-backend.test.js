@@ -201,6 +201,38 @@ describe('IsomorphicGitBackend', () => {
     });
   });
 
+  describe('readCommit / readTree / readBlob', () => {
+    test('should read commit metadata with millisecond timestamps', async () => {
+      const blobOid = await git.writeBlob({ fs, dir: testDir, blob: Buffer.from('hello') });
+      const tree = await git.writeTree({
+        fs,
+        dir: testDir,
+        tree: [{ mode: '100644', path: 'a.txt', oid: blobOid, type: 'blob' }],
+      });
+      const oid = await git.commit({
+        fs,
+        dir: testDir,
+        message: 'Commit 1',
+        author: { name: 'Test', email: 'test@example.com', timestamp: 1700000000, timezoneOffset: 0 },
+        tree,
+      });
+
+      const commit = await backend.readCommit(oid);
+      expect(commit).toMatchObject({ oid, tree, parents: [], message: 'Commit 1\n' });
+      expect(commit.author).toMatchObject({ name: 'Test', timestamp: 1700000000000 });
+
+      const entries = await backend.readTree(tree);
+      expect(entries).toEqual([{ mode: '100644', path: 'a.txt', oid: blobOid, type: 'blob' }]);
+
+      const { blob } = await backend.readBlob(blobOid);
+      expect(new TextDecoder().decode(blob)).toBe('hello');
+    });
+
+    test('should throw NOT_FOUND for missing commits', async () => {
+      await expect(backend.readCommit('0'.repeat(40))).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+  });
+
   describe('fetch (network operations)', () => {
     test('should throw error if http not provided', async () => {
       await expect(
@@ -191,6 +191,28 @@ describe('ConflictModel', () => {
       });
     });
 
+    it('should flag conflicts on binary files', async () => {
+      const detected = await conflicts.detectConflicts({
+        baseFiles: new Map([['image.png', new Uint8Array([0, 1])]]),
+        leftFiles: new Map([['image.png', new Uint8Array([0, 2])]]),
+        rightFiles: new Map([['image.png', new Uint8Array([0, 3])]]),
+      });
+
+      expect(detected).toHaveLength(1);
+      expect(detected[0]).toMatchObject({ type: ConflictType.CONTENT, binary: true });
+      expect(() => conflicts.generateConflictMarkers(detected[0])).toThrow('binary');
+    });
+
+    it('should compare binary files by content', async () => {
+      const detected = await conflicts.detectConflicts({
+        baseFiles: new Map([['image.png', new Uint8Array([0, 1])]]),
+        leftFiles: new Map([['image.png', new Uint8Array([0, 1])]]),
+        rightFiles: new Map([['image.png', new Uint8Array([0, 3])]]),
+      });
+
+      expect(detected).toHaveLength(0);
+    });
+
     it('should detect multiple conflicts', async () => {
       const baseFiles = new Map([
         ['file1.txt', 'base1'],
@@ -216,6 +238,68 @@ describe('ConflictModel', () => {
     });
   });
 
+  describe('Line-level Merge', () => {
+    const base = 'line1\nline2\nline3\nline4\nline5\n';
+
+    it('should merge edits to different lines without a conflict', async () => {
+      const detected = await conflicts.detectConflicts({
+        baseFiles: new Map([['file.txt', base]]),
+        leftFiles: new Map([['file.txt', 'LINE1\nline2\nline3\nline4\nline5\n']]),
+        rightFiles: new Map([['file.txt', 'line1\nline2\nline3\nline4\nLINE5\n']]),
+      });
+
+      expect(detected).toEqual([]);
+    });
+
+    it('should write the merged content to the working copy', async () => {
+      await conflicts.detectConflicts({
+        baseFiles: new Map([['file.txt', base]]),
+        leftFiles: new Map([['file.txt', 'LINE1\nline2\nline3\nline4\nline5\n']]),
+        rightFiles: new Map([['file.txt', 'line1\nline2\nline3\nline4\nLINE5\n']]),
+        workingCopyDir: '/repo',
+      });
+
+      const merged = await fs.promises.readFile('/repo/file.txt', 'utf-8');
+      expect(merged).toBe('LINE1\nline2\nline3\nline4\nLINE5\n');
+    });
+
+    it('should record only the overlapping regions with line ranges', async () => {
+      const detected = await conflicts.detectConflicts({
+        baseFiles: new Map([['file.txt', base]]),
+        leftFiles: new Map([['file.txt', 'line1\nleft2\nline3\nLINE4\nline5\n']]),
+        rightFiles: new Map([['file.txt', 'line1\nright2\nline3\nline4\nline5\n']]),
+      });
+
+      expect(detected).toHaveLength(1);
+      expect(detected[0].type).toBe(ConflictType.CONTENT);
+      expect(detected[0].regions).toEqual([
+        {
+          base: { start: 2, lines: 1 },
+          left: { start: 2, lines: 1 },
+          right: { start: 2, lines: 1 },
+        },
+      ]);
+    });
+
+    it('should generate markers around conflicted regions only', async () => {
+      const [conflict] = await conflicts.detectConflicts({
+        baseFiles: new Map([['file.txt', base]]),
+        leftFiles: new Map([['file.txt', 'line1\nleft2\nline3\nLINE4\nline5\n']]),
+        rightFiles: new Map([['file.txt', 'line1\nright2\nline3\nline4\nline5\n']]),
+      });
+
+      const markers = conflicts.generateConflictMarkers(conflict);
+
+      expect(markers.startsWith('line1\n<<<<<<< Left\nleft2\n')).toBe(true);
+      expect(markers.endsWith('>>>>>>> Right\nline3\nLINE4\nline5\n')).toBe(true);
+    });
+
+    it('should not line-merge binary content', () => {
+      const binary = Buffer.from([0, 1, 2]);
+      expect(conflicts.mergeContent(base, binary, 'other')).toBeNull();
+    });
+  });
+
   describe('Conflict Storage', () => {
     it('should add conflict', async () => {
       const conflict = {
@@ -0,0 +1,155 @@
+/**
+ * Tests for BlobStore component
+ */
+
+import { BlobStore, hashBlob } from '../../../src/core/blob-store.js';
+import { MockFS } from '../../fixtures/mock-fs.js';
+import { Storage } from '../../../src/core/storage-manager.js';
+
+describe('BlobStore', () => {
+  let fs;
+  let storage;
+  let blobs;
+
+  beforeEach(async () => {
+    fs = new MockFS();
+    storage = new Storage(fs, '/test/repo');
+    await storage.init();
+    blobs = new BlobStore(storage);
+  });
+
+  afterEach(() => {
+    fs.reset();
+  });
+
+  describe('hashBlob', () => {
+    it('should compute Git blob IDs', async () => {
+      expect(await hashBlob(new Uint8Array())).toBe('e69de29bb2d1d6434b8b29ae775ad8c2e48c5391');
+      expect(await hashBlob(new TextEncoder().encode('hello\n'))).toBe(
+        'ce013625030ba8dba906f756967f9e9ca394464a'
+      );
+    });
+  });
+
+  describe('write / read', () => {
+    it('should store text content by hash', async () => {
+      const hash = await blobs.write('hello\n');
+
+      expect(hash).toBe('ce013625030ba8dba906f756967f9e9ca394464a');
+      expect(fs.files.has('/test/repo/.jj/repo/store/blobs/ce/013625030ba8dba906f756967f9e9ca394464a')).toBe(true);
+      expect(await blobs.read(hash)).toBe('hello\n');
+    });
+
+    it('should store identical content once', async () => {
+      const first = await blobs.write('same');
+      const blobCount = fs.files.size;
+
+      const second = await blobs.write('same');
+
+      expect(second).toBe(first);
+      expect(fs.files.size).toBe(blobCount);
+    });
+
+    it('should return binary content as bytes', async () => {
+      const bytes = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+      const hash = await blobs.write(bytes);
+
+      const content = await blobs.read(hash);
+      expect(content).toBeInstanceOf(Uint8Array);
+      expect(Array.from(content)).toEqual(Array.from(bytes));
+    });
+
+    it('should throw BLOB_NOT_FOUND for unknown hashes', async () => {
+      await expect(blobs.read('0'.repeat(40))).rejects.toMatchObject({ code: 'BLOB_NOT_FOUND' });
+    });
+  });
+
+  describe('prune', () => {
+    it('should delete the blobs not listed as reachable', async () => {
+      const kept = await blobs.write('kept');
+      const dropped = await blobs.write('dropped');
+
+      expect(await blobs.prune(new Set([kept]), 0)).toEqual({ count: 1, bytes: 'dropped'.length });
+      expect(await blobs.read(kept)).toBe('kept');
+      await expect(blobs.read(dropped)).rejects.toMatchObject({ code: 'BLOB_NOT_FOUND' });
+
+      // A pruned blob is written again rather than assumed stored
+      await blobs.write('dropped');
+      expect(await blobs.read(dropped)).toBe('dropped');
+    });
+
+    it('should keep blobs younger than minAge', async () => {
+      const fresh = await blobs.write('fresh');
+
+      expect(await blobs.prune(new Set())).toEqual({ count: 0, bytes: 0 });
+      expect(await blobs.prune(new Set(), 60000)).toEqual({ count: 0, bytes: 0 });
+      expect(await blobs.read(fresh)).toBe('fresh');
+    });
+  });
+
+  describe('stream', () => {
+    const readAll = async (stream) => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(...chunk);
+      }
+      return new Uint8Array(chunks);
+    };
+
+    it('should stream stored blobs in chunks', async () => {
+      const hash = await blobs.write('hello\n');
+
+      const stream = await blobs.stream(hash, { chunkSize: 4 });
+
+      const reader = stream.getReader();
+      expect((await reader.read()).value).toHaveLength(4);
+      reader.releaseLock();
+      expect(new TextDecoder().decode(await readAll(stream))).toBe('o\n');
+    });
+
+    it('should read blobs missing from .jj through the Git backend', async () => {
+      const bytes = new TextEncoder().encode('fetched on demand');
+      const hash = await hashBlob(bytes);
+      const requested = [];
+      const gitBackend = {
+        async readBlob(oid) {
+          requested.push(oid);
+          return { blob: bytes };
+        },
+      };
+
+      const stream = await blobs.stream(hash, { gitBackend });
+
+      // Nothing is fetched until the stream is read
+      expect(requested).toEqual([]);
+      expect(await readAll(stream)).toEqual(bytes);
+      expect(requested).toEqual([hash]);
+    });
+
+    it('should throw BLOB_NOT_FOUND without a backend', async () => {
+      await expect(blobs.stream('0'.repeat(40))).rejects.toMatchObject({ code: 'BLOB_NOT_FOUND' });
+    });
+  });
+
+  describe('useGitBackend', () => {
+    it('should store blobs through the Git backend', async () => {
+      const objects = new Map();
+      blobs.useGitBackend({
+        async putObject(type, data) {
+          const oid = await hashBlob(data);
+          objects.set(oid, { type, data });
+          return oid;
+        },
+        async getObject(oid) {
+          return objects.get(oid);
+        },
+      });
+
+      const hash = await blobs.write('hello\n');
+
+      expect(objects.get(hash).type).toBe('blob');
+      expect(await blobs.read(hash)).toBe('hello\n');
+      expect(fs.files.has('/test/repo/.jj/repo/store/blobs/ce/013625030ba8dba906f756967f9e9ca394464a')).toBe(false);
+    });
+  });
+});
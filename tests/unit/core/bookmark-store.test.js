@@ -182,5 +182,51 @@ describe('BookmarkStore', () => {
       const remoteBms = all.filter((b) => b.remote !== null);
       expect(remoteBms).toHaveLength(3);
     });
+
+    it('should delete remote bookmark', async () => {
+      await bookmarks.setRemote('origin', 'main', tid(1));
+      await bookmarks.deleteRemote('origin', 'main');
+
+      expect(await bookmarks.getRemote('origin', 'main')).toBeNull();
+      await expect(bookmarks.deleteRemote('origin', 'main')).rejects.toMatchObject({
+        code: 'BOOKMARK_NOT_FOUND',
+      });
+    });
+
+    it('should persist tracking info', async () => {
+      bookmarks.tracking.main = { remote: 'origin', remoteName: 'main' };
+      await bookmarks.save();
+
+      const bookmarks2 = new BookmarkStore(storage);
+      await bookmarks2.load();
+
+      expect(bookmarks2.tracking).toEqual({ main: { remote: 'origin', remoteName: 'main' } });
+    });
+  });
+
+  describe('view state', () => {
+    it('should capture and restore local, remote and tracked bookmarks', async () => {
+      await bookmarks.set('main', tid(1));
+      await bookmarks.setRemote('origin', 'main', tid(2));
+      bookmarks.tracking.main = { remote: 'origin', remoteName: 'main' };
+      const state = bookmarks.captureState();
+
+      expect(state).toEqual({
+        bookmarks: { main: tid(1) },
+        remoteBookmarks: { 'main@origin': tid(2) },
+        trackedBookmarks: { main: { remote: 'origin', remoteName: 'main' } },
+      });
+
+      await bookmarks.move('main', tid(3));
+      await bookmarks.set('feature', tid(3));
+      await bookmarks.deleteRemote('origin', 'main');
+      bookmarks.tracking = {};
+
+      await bookmarks.restoreState(state);
+
+      const reloaded = new BookmarkStore(storage);
+      await reloaded.load();
+      expect(reloaded.captureState()).toEqual(state);
+    });
   });
 });
@@ -35,10 +35,8 @@ describe('ChangeGraph', () => {
       await graph.init();
 
       const data = await storage.read('repo/store/graph.json');
-      expect(data).toEqual({
-        version: 1,
-        changes: {},
-      });
+      expect(data).toEqual({ version: 2 });
+      expect(await storage.list('repo/store/graph')).toEqual([]);
     });
   });
 
@@ -122,6 +120,111 @@ describe('ChangeGraph', () => {
     });
   });
 
+  describe('file contents', () => {
+    beforeEach(async () => {
+      await graph.init();
+    });
+
+    const makeChange = (changeId, fileSnapshot) => ({
+      changeId,
+      commitId: changeId.padEnd(40, '0'),
+      parents: [],
+      tree: 'def1234567890abcdef1234567890abcdef12345',
+      author: { name: 'Test', email: 'test@example.com', timestamp: '2025-10-30T12:00:00.000Z' },
+      committer: { name: 'Test', email: 'test@example.com', timestamp: '2025-10-30T12:00:00.000Z' },
+      description: 'Test',
+      timestamp: '2025-10-30T12:00:00.000Z',
+      fileSnapshot,
+    });
+
+    it('should store content hashes in a manifest blob', async () => {
+      await graph.addChange(makeChange('11111111111111111111111111111111', { 'a.txt': 'hello\n' }));
+
+      storage.invalidateCache();
+      const data = await storage.read('repo/store/graph/11.json');
+      const stored = data.changes['11111111111111111111111111111111'];
+      expect(stored.fileSnapshot).toBeUndefined();
+      expect(JSON.parse(await graph.blobs.read(stored.manifest)))
+        .toEqual({ 'a.txt': 'ce013625030ba8dba906f756967f9e9ca394464a' });
+    });
+
+    it('should read contents back only when a change is requested', async () => {
+      const change = makeChange('11111111111111111111111111111111', { 'a.txt': 'hello\n', 'b.txt': 'world' });
+      await graph.addChange(change);
+
+      storage.invalidateCache();
+      const graph2 = new ChangeGraph(storage);
+      await graph2.load();
+
+      expect(graph2.getAll()[0].fileSnapshot).toBeUndefined();
+      expect(await graph2.getFilePaths(change.changeId)).toEqual(['a.txt', 'b.txt']);
+      expect(await graph2.getChange(change.changeId)).toEqual(change);
+    });
+
+    it('should share blobs between changes with identical files', async () => {
+      const blobCount = () => [...fs.files.keys()].filter(p => /\/store\/blobs\/[0-9a-f]{2}\/[0-9a-f]{38}$/.test(p)).length;
+      await graph.addChange(makeChange('11111111111111111111111111111111', { 'a.txt': 'same' }));
+      const before = blobCount();
+
+      await graph.addChange(makeChange('22222222222222222222222222222222', { 'copy.txt': 'same' }));
+
+      // Only the new manifest was stored; the content blob is shared
+      expect(blobCount()).toBe(before + 1);
+    });
+
+    it('should migrate inline snapshots from older graphs on load', async () => {
+      const change = makeChange('11111111111111111111111111111111', { 'a.txt': 'legacy' });
+      await storage.write('repo/store/graph.json', { version: 1, changes: { [change.changeId]: change } });
+      storage.invalidateCache();
+
+      await graph.load();
+      expect(await graph.getChange(change.changeId)).toEqual(change);
+
+      storage.invalidateCache();
+      const data = await storage.read('repo/store/graph/11.json');
+      expect(data.changes[change.changeId].manifest).toBeDefined();
+      expect(data.changes[change.changeId].fileSnapshot).toBeUndefined();
+    });
+  });
+
+  describe('addChanges', () => {
+    beforeEach(async () => {
+      await graph.init();
+    });
+
+    const makeChange = (changeId, commitId, parents = []) => ({
+      changeId,
+      commitId,
+      parents,
+      tree: 'def1234567890abcdef1234567890abcdef12345',
+      author: { name: 'Test', email: 'test@example.com', timestamp: '2025-10-30T12:00:00.000Z' },
+      committer: { name: 'Test', email: 'test@example.com', timestamp: '2025-10-30T12:00:00.000Z' },
+      description: 'Test',
+      timestamp: '2025-10-30T12:00:00.000Z',
+    });
+
+    it('should add and persist several changes', async () => {
+      const parent = makeChange('11111111111111111111111111111111', 'a'.repeat(40));
+      const child = makeChange('22222222222222222222222222222222', 'b'.repeat(40), [parent.changeId]);
+
+      await graph.addChanges([parent, child]);
+
+      const graph2 = new ChangeGraph(storage);
+      await graph2.load();
+      expect(await graph2.getChange(child.changeId)).toEqual(child);
+      expect(graph2.findByCommitId('a'.repeat(40))).toBe(parent.changeId);
+    });
+
+    it('should reject the batch if any change already exists', async () => {
+      const existing = makeChange('11111111111111111111111111111111', 'a'.repeat(40));
+      await graph.addChange(existing);
+
+      const fresh = makeChange('22222222222222222222222222222222', 'b'.repeat(40));
+      await expect(graph.addChanges([fresh, existing])).rejects.toThrow(JJError);
+      expect(await graph.getChange(fresh.changeId)).toBeNull();
+    });
+  });
+
   describe('getChange', () => {
     it('should return null for non-existent change', async () => {
       await graph.init();
@@ -281,4 +384,281 @@ describe('ChangeGraph', () => {
       expect(updated.predecessors).toContain(oldCommitId);
     });
   });
+
+  describe('view state', () => {
+    beforeEach(async () => {
+      await graph.init();
+    });
+
+    it('should list visible heads', async () => {
+      const root = await graph.createChange({ description: 'root' });
+      const left = await graph.createChange({ parents: [root.changeId], description: 'left' });
+      const right = await graph.createChange({ parents: [root.changeId], description: 'right' });
+      right.abandoned = true;
+      await graph.updateChange(right);
+
+      expect(graph.getHeads()).toEqual([left.changeId]);
+    });
+
+    it('should restore changes captured earlier', async () => {
+      const root = await graph.createChange({ description: 'root', fileSnapshot: { 'a.txt': 'one' } });
+      const state = await graph.captureState();
+
+      root.description = 'rewritten';
+      root.fileSnapshot = { 'a.txt': 'two' };
+      await graph.updateChange(root);
+      const added = await graph.createChange({ parents: [root.changeId] });
+
+      await graph.restoreShards(state);
+
+      const restored = await graph.getChange(root.changeId);
+      expect(restored.description).toBe('root');
+      expect(restored.fileSnapshot).toEqual({ 'a.txt': 'one' });
+      expect(await graph.getChange(added.changeId)).toBeNull();
+    });
+
+    it('should reuse the record of an unchanged change', async () => {
+      const root = await graph.createChange({ description: 'root' });
+      const first = await graph.readState(await graph.captureState());
+      const second = await graph.readState(await graph.captureState());
+
+      expect(second[root.changeId]).toBe(first[root.changeId]);
+      expect(await graph.getRecordHash(root.changeId)).toBe(first[root.changeId]);
+
+      root.description = 'changed';
+      await graph.updateChange(root);
+      expect((await graph.readState(await graph.captureState()))[root.changeId]).not.toBe(first[root.changeId]);
+    });
+
+    it('should restore flat states recorded by older versions', async () => {
+      const root = await graph.createChange({ description: 'root' });
+      const state = await graph.readState(await graph.captureState());
+      await graph.createChange({ parents: [root.changeId] });
+
+      await graph.restoreState(state);
+
+      expect(graph.getAll().map(change => change.changeId)).toEqual([root.changeId]);
+    });
+  });
+
+  describe('garbage collection', () => {
+    beforeEach(async () => {
+      await graph.init();
+    });
+
+    it('should collect the blobs and visible changes of states', async () => {
+      const kept = await graph.createChange({ description: 'kept', fileSnapshot: { 'a.txt': 'kept' } });
+      const gone = await graph.createChange({ description: 'gone', fileSnapshot: { 'b.txt': 'gone' } });
+      gone.abandoned = true;
+      await graph.updateChange(gone);
+      const state = await graph.readState(await graph.captureState());
+      await graph.removeChanges([gone.changeId]);
+
+      const { blobs, visible } = await graph.collectReferences([{ changes: { [kept.changeId]: state[kept.changeId] } }]);
+
+      expect([...visible]).toEqual([kept.changeId]);
+      expect(blobs.has(state[kept.changeId])).toBe(true);
+      expect(blobs.has(state[gone.changeId])).toBe(false);
+      expect(blobs.has(await graph.blobs.write('kept'))).toBe(true);
+      expect(blobs.has(await graph.blobs.write('gone'))).toBe(false);
+      expect(await graph.getChange(gone.changeId)).toBeNull();
+    });
+  });
+
+  describe('sharded storage', () => {
+    beforeEach(async () => {
+      await graph.init();
+    });
+
+    const makeChange = (changeId, description = 'Test') => ({
+      changeId,
+      commitId: changeId.padEnd(40, '0'),
+      parents: [],
+      tree: 'def1234567890abcdef1234567890abcdef12345',
+      author: { name: 'Test', email: 'test@example.com', timestamp: '2025-10-30T12:00:00.000Z' },
+      committer: { name: 'Test', email: 'test@example.com', timestamp: '2025-10-30T12:00:00.000Z' },
+      description,
+      timestamp: '2025-10-30T12:00:00.000Z',
+    });
+    const shardContent = (prefix) => fs.files.get(`/test/repo/.jj/repo/store/graph/${prefix}.json`).content;
+
+    it('should group changes by the first two digits of their ID', async () => {
+      await graph.addChanges([
+        makeChange('aa111111111111111111111111111111'),
+        makeChange('aa222222222222222222222222222222'),
+        makeChange('bb111111111111111111111111111111'),
+      ]);
+
+      expect((await storage.list('repo/store/graph')).sort()).toEqual(['aa.json', 'bb.json']);
+      const data = await storage.read('repo/store/graph/aa.json');
+      expect(Object.keys(data.changes)).toEqual([
+        'aa111111111111111111111111111111',
+        'aa222222222222222222222222222222',
+      ]);
+    });
+
+    it('should rewrite only the shard of a change that moved', async () => {
+      const moved = makeChange('aa111111111111111111111111111111');
+      await graph.addChanges([moved, makeChange('bb111111111111111111111111111111')]);
+      const untouched = shardContent('bb');
+
+      moved.description = 'Changed';
+      await graph.updateChange(moved);
+
+      expect(shardContent('bb')).toBe(untouched);
+      expect(shardContent('aa')).toContain('Changed');
+    });
+
+    it('should pick up shards written by another instance', async () => {
+      const change = makeChange('aa111111111111111111111111111111');
+      await graph.addChanges([change, makeChange('bb111111111111111111111111111111')]);
+      const kept = graph.getAll().find(c => c.changeId.startsWith('bb'));
+
+      const other = new ChangeGraph(storage);
+      await other.load();
+      await other.updateChange({ ...change, description: 'From elsewhere' });
+
+      await graph.load();
+      expect((await graph.getChange(change.changeId)).description).toBe('From elsewhere');
+      // Changes in shards that did not move are the same objects
+      expect(graph.getAll().find(c => c.changeId.startsWith('bb'))).toBe(kept);
+    });
+
+    it('should read only the shards asked about after refresh()', async () => {
+      const change = makeChange('aa111111111111111111111111111111');
+      await graph.addChanges([change, makeChange('bb111111111111111111111111111111')]);
+
+      const other = new ChangeGraph(storage);
+      await other.refresh();
+
+      expect((await other.getChange(change.changeId)).description).toBe('Test');
+      expect(() => other.getAll()).toThrow(expect.objectContaining({ code: 'GRAPH_NOT_LOADED' }));
+      await other.load();
+      expect(other.getAll()).toHaveLength(2);
+    });
+
+    it('should capture only the shards of changes that moved', async () => {
+      const moved = makeChange('aa111111111111111111111111111111');
+      await graph.addChanges([moved, makeChange('bb111111111111111111111111111111')]);
+      const first = await graph.captureState();
+
+      moved.description = 'Changed';
+      await graph.updateChange(moved);
+      const second = await graph.captureState();
+
+      expect(second.bb).toBe(first.bb);
+      expect(second.aa).not.toBe(first.aa);
+
+      // Shards not read yet keep the state of the view the graph was last saved with
+      const other = new ChangeGraph(storage);
+      await other.refresh();
+      expect(await other.captureState(second)).toEqual(second);
+      expect(() => other.getAll()).toThrow(expect.objectContaining({ code: 'GRAPH_NOT_LOADED' }));
+    });
+
+    it('should find heads from the heads of the last view', async () => {
+      const root = makeChange('aa111111111111111111111111111111');
+      const side = makeChange('bb111111111111111111111111111111');
+      await graph.addChanges([root, side]);
+      const base = { heads: [root.changeId, side.changeId], changeShards: await graph.captureState() };
+
+      const other = new ChangeGraph(storage);
+      await other.refresh();
+      const child = { ...makeChange('cc111111111111111111111111111111'), parents: [root.changeId] };
+      await other.addChange(child);
+
+      expect((await other.getHeadsSince(base)).sort()).toEqual([side.changeId, child.changeId]);
+      expect(() => other.getAll()).toThrow(expect.objectContaining({ code: 'GRAPH_NOT_LOADED' }));
+    });
+
+    it('should remove the shard of the last change restored away', async () => {
+      await graph.addChange(makeChange('aa111111111111111111111111111111'));
+      const state = await graph.captureState();
+      await graph.addChange(makeChange('bb111111111111111111111111111111'));
+      const untouched = shardContent('aa');
+
+      await graph.restoreShards(state);
+
+      expect(await storage.list('repo/store/graph')).toEqual(['aa.json']);
+      expect(shardContent('aa')).toBe(untouched);
+    });
+
+    it('should rewrite a version 1 graph as shards', async () => {
+      const first = makeChange('aa111111111111111111111111111111');
+      const second = { ...makeChange('bb111111111111111111111111111111'), files: { 'a.txt': 'abc' } };
+      await storage.write('repo/store/graph.json', {
+        version: 1,
+        changes: { [first.changeId]: first, [second.changeId]: second },
+      });
+      storage.invalidateCache();
+
+      await graph.load();
+
+      expect(await storage.read('repo/store/graph.json')).toEqual({ version: 2 });
+      expect((await storage.list('repo/store/graph')).sort()).toEqual(['aa.json', 'bb.json']);
+      expect(await graph.getFilePaths(second.changeId)).toEqual(['a.txt']);
+
+      const graph2 = new ChangeGraph(storage);
+      await graph2.load();
+      expect((await graph2.getChange(first.changeId)).description).toBe('Test');
+    });
+  });
+
+  describe('commit index', () => {
+    beforeEach(async () => {
+      await graph.init();
+    });
+
+    it('should answer file and author lookups after a load without reading manifests', async () => {
+      const root = await graph.createChange({ changeId: tid(1), fileSnapshot: { 'a.txt': 'a' } });
+      await graph.createChange({
+        changeId: tid(2),
+        parents: [root.changeId],
+        fileSnapshot: { 'src/b.js': 'b' },
+        author: { name: 'Alice', email: 'alice@example.com', timestamp: '2025-10-30T12:00:00.000Z' },
+      });
+
+      const other = new ChangeGraph(storage);
+      other.blobs.read = async () => {
+        throw new Error('manifest read');
+      };
+      await other.load();
+
+      expect(other.findByFile(path => path.startsWith('src/'))).toEqual([tid(2)]);
+      expect(other.findByAuthor(author => author.name === 'Alice')).toEqual([tid(2)]);
+      expect(other.getChildren(tid(1))).toEqual([tid(2)]);
+      expect(other.getGeneration(tid(2))).toBe(1);
+    });
+
+    it('should rebuild entries that no longer match their change', async () => {
+      const change = await graph.createChange({ changeId: tid(1), fileSnapshot: { 'old.txt': 'x' } });
+      const other = new ChangeGraph(storage);
+      await other.load();
+      const outdated = await storage.read('repo/store/index/00.json');
+
+      change.fileSnapshot = { 'new.txt': 'y' };
+      await graph.updateChange(change);
+      await storage.write('repo/store/index/00.json', outdated);
+      await other.load();
+
+      expect(other.findByFile(path => path === 'new.txt')).toEqual([tid(1)]);
+      expect(other.findByFile(path => path === 'old.txt')).toEqual([]);
+    });
+
+    it('should follow changes dropped by restoring a state', async () => {
+      await graph.createChange({ changeId: tid(1) });
+      const state = await graph.captureState();
+      await graph.createChange({ changeId: tid(2), parents: [tid(1)] });
+
+      await graph.restoreState(state);
+
+      expect(graph.getChildren(tid(1))).toEqual([]);
+      expect(graph.getGeneration(tid(2))).toBe(-1);
+    });
+  });
 });
+
+// Helper for test IDs
+function tid(num) {
+  return num.toString(16).padStart(32, '0');
+}
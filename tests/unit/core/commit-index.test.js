@@ -0,0 +1,156 @@
+/**
+ * Tests for CommitIndex component
+ */
+
+import { CommitIndex } from '../../../src/core/commit-index.js';
+import { MockFS } from '../../fixtures/mock-fs.js';
+import { Storage } from '../../../src/core/storage-manager.js';
+
+// Helper for test IDs
+function tid(num) {
+  return num.toString(16).padStart(32, '0');
+}
+
+const entry = (parents, { name = 'Test', email = 'test@example.com', paths = [] } = {}) => ({
+  parents,
+  author: { name, email },
+  manifest: null,
+  paths,
+});
+
+describe('CommitIndex', () => {
+  let fs;
+  let storage;
+  let index;
+
+  beforeEach(async () => {
+    fs = new MockFS();
+    storage = new Storage(fs, '/test/repo');
+    await storage.init();
+    index = new CommitIndex(storage);
+  });
+
+  afterEach(() => {
+    fs.reset();
+  });
+
+  describe('generations', () => {
+    it('should number changes one above their highest parent', () => {
+      index.update(new Map([[tid(1), entry([])]]));
+      index.update(new Map([[tid(2), entry([tid(1)])]]));
+      index.update(new Map([[tid(3), entry([tid(2)])]]));
+      index.update(new Map([[tid(4), entry([tid(1), tid(3)])]]));
+
+      expect([1, 2, 3, 4].map(n => index.getGeneration(tid(n)))).toEqual([0, 1, 2, 3]);
+      expect(index.getGeneration(tid(9))).toBe(-1);
+    });
+
+    it('should compute generations of a batch given children first', () => {
+      const entries = new Map();
+      for (let n = 50; n > 1; n--) {
+        entries.set(tid(n), entry([tid(n - 1)]));
+      }
+      entries.set(tid(1), entry([]));
+
+      index.update(entries);
+
+      expect(index.getGeneration(tid(1))).toBe(0);
+      expect(index.getGeneration(tid(50))).toBe(49);
+    });
+
+    it('should update descendants when a change moves', () => {
+      const entries = new Map([
+        [tid(1), entry([])],
+        [tid(2), entry([tid(1)])],
+        [tid(3), entry([tid(2)])],
+        [tid(4), entry([tid(3)])],
+      ]);
+      index.update(entries);
+
+      // Rebase 3 onto 1
+      index.update(new Map([[tid(3), entry([tid(1)])]]));
+      expect(index.getGeneration(tid(3))).toBe(1);
+      expect(index.getGeneration(tid(4))).toBe(2);
+
+      // Dropping 1 leaves its children without known parents
+      index.update(new Map(), [tid(1)]);
+      expect(index.getGeneration(tid(2))).toBe(0);
+      expect(index.getGeneration(tid(4))).toBe(1);
+    });
+
+    it('should not loop on parents forming a cycle', () => {
+      index.update(new Map([[tid(1), entry([])], [tid(2), entry([tid(1)])]]));
+
+      index.update(new Map([[tid(1), entry([tid(2)])]]));
+
+      expect(index.getChildren(tid(2))).toEqual([tid(1)]);
+    });
+  });
+
+  describe('lookups', () => {
+    beforeEach(() => {
+      index.update(new Map([
+        [tid(1), entry([], { paths: ['README.md'] })],
+        [tid(2), entry([tid(1)], { name: 'Alice', email: 'alice@example.com', paths: ['src/a.js', 'README.md'] })],
+        [tid(3), entry([tid(1)], { name: 'Bob', email: 'bob@example.com', paths: ['src/b.js'] })],
+      ]));
+    });
+
+    it('should list children', () => {
+      expect(index.getChildren(tid(1)).sort()).toEqual([tid(2), tid(3)]);
+      expect(index.getChildren(tid(3))).toEqual([]);
+    });
+
+    it('should find changes by author', () => {
+      expect(index.findByAuthor(author => author.email === 'bob@example.com')).toEqual([tid(3)]);
+      expect(index.findByAuthor(author => author.name !== 'Test').sort()).toEqual([tid(2), tid(3)]);
+    });
+
+    it('should find changes by path', () => {
+      expect(index.findByPath(path => path.startsWith('src/')).sort()).toEqual([tid(2), tid(3)]);
+      expect(index.findByPath(path => path === 'README.md').sort()).toEqual([tid(1), tid(2)]);
+    });
+
+    it('should drop postings of replaced entries', () => {
+      index.update(new Map([[tid(2), entry([tid(3)], { paths: ['docs/guide.md'] })]]));
+
+      expect(index.findByPath(path => path === 'src/a.js')).toEqual([]);
+      expect(index.findByAuthor(author => author.name === 'Alice')).toEqual([]);
+      expect(index.getChildren(tid(1))).toEqual([tid(3)]);
+      expect(index.getChildren(tid(3))).toEqual([tid(2)]);
+      expect(index.getGeneration(tid(2))).toBe(2);
+    });
+  });
+
+  describe('storage', () => {
+    it('should write the shards of changed entries', async () => {
+      index.update(new Map([
+        ['aa'.padEnd(32, '1'), entry([], { paths: ['a.txt'] })],
+        ['bb'.padEnd(32, '1'), entry(['aa'.padEnd(32, '1')])],
+      ]));
+      await index.save();
+
+      expect((await storage.list('repo/store/index')).sort()).toEqual(['aa.json', 'bb.json']);
+      expect((await index.readShard('aa'))['aa'.padEnd(32, '1')].paths).toEqual(['a.txt']);
+
+      index.update(new Map(), ['bb'.padEnd(32, '1')]);
+      await index.save();
+      expect(await storage.list('repo/store/index')).toEqual(['aa.json']);
+    });
+
+    it('should not rewrite entries given as already stored', async () => {
+      index.update(new Map([[tid(1), entry([])]]), [], new Set([tid(1)]));
+
+      expect(index.dirty.size).toBe(0);
+    });
+
+    it('should tell whether a stored entry still describes a change', () => {
+      const stored = { parents: [tid(1)], author: { name: 'Test', email: 'test@example.com' }, manifest: 'abc' };
+
+      expect(index.matches({ ...entry([tid(1)]), manifest: 'abc' }, stored)).toBe(true);
+      expect(index.matches({ ...entry([tid(1)]), manifest: 'def' }, stored)).toBe(false);
+      expect(index.matches({ ...entry([tid(2)]), manifest: 'abc' }, stored)).toBe(false);
+      expect(index.matches(undefined, stored)).toBe(false);
+    });
+  });
+});
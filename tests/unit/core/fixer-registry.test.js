@@ -0,0 +1,53 @@
+/**
+ * Tests for FixerRegistry
+ */
+
+import { FixerRegistry } from '../../../src/core/fixer-registry.js';
+
+describe('FixerRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new FixerRegistry();
+  });
+
+  it('should register functions and fixers with patterns', () => {
+    const trim = ({ content }) => content.trim();
+    const upper = ({ content }) => content.toUpperCase();
+
+    registry.register({ trim, upper: { patterns: ['src/', '*.md'], fix: upper } });
+
+    expect(registry.get('trim')).toBe(trim);
+    expect(registry.list()).toEqual([
+      { name: 'trim', patterns: null },
+      { name: 'upper', patterns: ['src/', '*.md'] },
+    ]);
+  });
+
+  it('should find the fixers matching a file in registration order', () => {
+    registry.register({
+      first: { patterns: ['**/*.js'], fix: () => '' },
+      all: () => '',
+      docs: { patterns: ['docs/'], fix: () => '' },
+    });
+
+    expect(registry.findFixers('src/a.js').map(fixer => fixer.name)).toEqual(['first', 'all']);
+    expect(registry.findFixers('docs/a.md').map(fixer => fixer.name)).toEqual(['all', 'docs']);
+  });
+
+  it('should unregister fixers', () => {
+    registry.register({ trim: () => '' });
+
+    registry.unregister('trim');
+
+    expect(registry.list()).toEqual([]);
+    expect(registry.get('trim')).toBeUndefined();
+  });
+
+  it('should reject malformed fixers', () => {
+    expect(() => registry.register({ bad: 'prettier' })).toThrow(expect.objectContaining({ code: 'INVALID_FIXER' }));
+    expect(() => registry.register({ bad: { patterns: ['*.js'] } })).toThrow(expect.objectContaining({ code: 'INVALID_FIXER' }));
+    expect(() => registry.register({ bad: { patterns: '*.js', fix: () => '' } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_FIXER' }));
+  });
+});
@@ -2,8 +2,10 @@
  * Tests for OperationLog component
  */
 
+import { jest } from '@jest/globals';
 import { OperationLog } from '../../../src/core/operation-log.js';
 import { JJError } from '../../../src/utils/errors.js';
+import { generateOperationId } from '../../../src/utils/id-generation.js';
 import { MockFS } from '../../fixtures/mock-fs.js';
 import { Storage } from '../../../src/core/storage-manager.js';
 
@@ -74,6 +76,37 @@ describe('OperationLog', () => {
       expect(op.description).toBe('test operation');
     });
 
+    it('should store the view in the blob store and keep its hash in the log', async () => {
+      const view = { bookmarks: {}, remoteBookmarks: {}, heads: [tid(1)], workingCopy: tid(1) };
+      const operation = (description) => ({
+        timestamp: '2025-10-30T12:00:00.000Z',
+        user: { name: 'Test', email: 'test@example.com', hostname: 'localhost' },
+        description,
+        parents: [],
+        view,
+      });
+
+      const first = await oplog.recordOperation(operation('first'));
+      const second = await oplog.recordOperation(operation('second'));
+
+      expect(first.view).toBeUndefined();
+      expect(first.viewId).toMatch(/^[0-9a-f]{40}$/);
+      expect(second.viewId).toBe(first.viewId);
+      const lines = await storage.readLines('repo/op_log/oplog.jsonl');
+      expect(lines.map(line => [line.view, line.viewId])).toEqual([[undefined, first.viewId], [undefined, first.viewId]]);
+
+      const reloaded = new OperationLog(storage);
+      const [op] = await reloaded.list();
+      expect(await reloaded.getView(op)).toEqual(view);
+    });
+
+    it('should read views recorded inline by older versions', async () => {
+      const view = { bookmarks: {}, heads: [tid(1)], workingCopy: tid(1) };
+
+      expect(await oplog.getView({ id: oid(1), view })).toEqual(view);
+      expect(await oplog.getView({ id: oid(2) })).toEqual({});
+    });
+
     it('should append operation to log', async () => {
       const op1 = {
         timestamp: '2025-10-30T12:00:00.000Z',
@@ -233,6 +266,188 @@ describe('OperationLog', () => {
     });
   });
 
+  describe('operation heads', () => {
+    const operation = (description) => ({
+      timestamp: '2025-10-30T12:00:00.000Z',
+      user: { name: 'Test', email: 'test@example.com', hostname: 'localhost' },
+      description,
+      parents: [],
+      view: { bookmarks: {}, remoteBookmarks: {}, heads: [], workingCopy: tid(1) },
+    });
+
+    beforeEach(async () => {
+      await oplog.init();
+    });
+
+    it('should keep a single head for sequential operations', async () => {
+      await oplog.recordOperation(operation('first'));
+      const second = await oplog.recordOperation(operation('second'));
+
+      const heads = await oplog.getHeads();
+      expect(heads.map(op => op.id)).toEqual([second.id]);
+    });
+
+    it('should leave a head per process recording concurrently', async () => {
+      const base = await oplog.recordOperation(operation('base'));
+      const other = new OperationLog(storage);
+      await other.load();
+
+      const ours = await oplog.recordOperation(operation('ours'));
+      const theirs = await other.recordOperation(operation('theirs'));
+
+      expect(ours.parents).toEqual([base.id]);
+      expect(theirs.parents).toEqual([base.id]);
+
+      const heads = await oplog.getHeads();
+      expect(heads.map(op => op.id)).toEqual([ours.id, theirs.id]);
+      expect((await oplog.findCommonAncestor([ours.id, theirs.id])).id).toBe(base.id);
+    });
+
+    it('should only read the log again when another process recorded operations', async () => {
+      await oplog.recordOperation(operation('first'));
+      await oplog.load();
+      const readLines = jest.spyOn(storage, 'readLines');
+
+      await oplog.recordOperation(operation('second'));
+      await oplog.getHeads();
+      expect(readLines).not.toHaveBeenCalled();
+
+      const other = new OperationLog(new Storage(fs, '/test/repo'));
+      const theirs = await other.recordOperation(operation('theirs'));
+      const heads = await oplog.getHeads();
+      expect(readLines).toHaveBeenCalledTimes(1);
+      expect(heads.map(op => op.id)).toEqual([theirs.id]);
+      readLines.mockRestore();
+    });
+
+    it('should join heads with an operation naming them as parents', async () => {
+      await oplog.recordOperation(operation('base'));
+      const other = new OperationLog(storage);
+      await other.load();
+      const ours = await oplog.recordOperation(operation('ours'));
+      const theirs = await other.recordOperation(operation('theirs'));
+
+      const merge = await oplog.recordOperation(operation('merge'), { parents: [ours.id, theirs.id] });
+
+      expect(merge.parents).toEqual([ours.id, theirs.id]);
+      expect((await oplog.getHeads()).map(op => op.id)).toEqual([merge.id]);
+    });
+
+    it('should find heads of logs written before head files existed', async () => {
+      await oplog.recordOperation(operation('first'));
+      const second = await oplog.recordOperation(operation('second'));
+      await storage.remove(`repo/op_log/heads/${second.id}`);
+
+      expect((await oplog.getHeads()).map(op => op.id)).toEqual([second.id]);
+    });
+  });
+
+  describe('compact', () => {
+    const operation = (description, changes = {}) => ({
+      timestamp: '2025-10-30T12:00:00.000Z',
+      user: { name: 'Test', email: 'test@example.com', hostname: 'localhost' },
+      description,
+      parents: [],
+      view: { bookmarks: {}, heads: [], changes, workingCopy: tid(1) },
+      fileSnapshot: { 'a.txt': description },
+    });
+
+    beforeEach(async () => {
+      await oplog.init();
+    });
+
+    it('should replace the oldest operations with a checkpoint', async () => {
+      await oplog.recordOperation(operation('first'));
+      const second = await oplog.recordOperation(operation('second'));
+      const third = await oplog.recordOperation(operation('third'));
+
+      const { checkpoint, removed, renamed } = await oplog.compact(2);
+
+      expect(removed).toHaveLength(2);
+      expect(checkpoint.description).toBe('checkpoint of 2 operations');
+      expect(checkpoint.viewId).toBe(second.viewId);
+      expect(checkpoint.fileSnapshot).toBeUndefined();
+
+      const reloaded = new OperationLog(storage);
+      const ops = await reloaded.list();
+      expect(ops.map(op => op.id)).toEqual([checkpoint.id, renamed[third.id]]);
+      expect(ops[1].parents).toEqual([checkpoint.id]);
+      expect(ops[1].formerId).toBe(third.id);
+      expect((await reloaded.getHeads()).map(op => op.id)).toEqual([renamed[third.id]]);
+    });
+
+    it('should give rewritten operations the ID of their new content', async () => {
+      await oplog.recordOperation(operation('first', { [tid(1)]: oid(1), [tid(2)]: oid(2) }));
+      const second = await oplog.recordOperation(operation('second', { [tid(1)]: oid(1) }));
+      const third = await oplog.recordOperation(operation('third', { [tid(1)]: oid(1) }));
+
+      const { renamed } = await oplog.compact(0, { forgetChanges: [tid(2)] });
+
+      // The first view changed, so the operations built on it change too
+      const ops = await new OperationLog(storage).list();
+      expect(Object.values(renamed)).toEqual(ops.map(op => op.id));
+      for (const op of ops) {
+        expect(op.id).toBe(await generateOperationId(op));
+      }
+      expect(ops[1].parents).toEqual([renamed[ops[0].formerId]]);
+      expect(ops[2].parents).toEqual([renamed[second.id]]);
+      expect(ops[2].formerId).toBe(third.id);
+    });
+
+    it('should let another process build on the new ID of its head', async () => {
+      await oplog.recordOperation(operation('first', { [tid(1)]: oid(1), [tid(2)]: oid(2) }));
+      const second = await oplog.recordOperation(operation('second', { [tid(1)]: oid(1) }));
+      const other = new OperationLog(storage);
+      await other.load();
+
+      const { renamed } = await oplog.compact(0, { forgetChanges: [tid(2)] });
+      const next = await other.recordOperation(operation('next', { [tid(1)]: oid(1) }));
+
+      expect(next.parents).toEqual([renamed[second.id]]);
+      expect((await oplog.getHeads()).map(op => op.id)).toEqual([next.id]);
+    });
+
+    it('should drop forgotten changes from the views kept', async () => {
+      await oplog.recordOperation(operation('first', { [tid(1)]: oid(1), [tid(2)]: oid(2) }));
+      await oplog.recordOperation(operation('second', { [tid(1)]: oid(1), [tid(2)]: oid(3) }));
+
+      await oplog.compact(0, { forgetChanges: [tid(2)] });
+
+      const reloaded = new OperationLog(storage);
+      const ops = await reloaded.list();
+      const views = await Promise.all(ops.map(op => reloaded.getView(op)));
+      expect(views.map(view => view.changes)).toEqual([{ [tid(1)]: oid(1) }, { [tid(1)]: oid(1) }]);
+    });
+
+    it('should drop forgotten changes from the shard states of the views kept', async () => {
+      const elsewhere = `01${tid(1).slice(2)}`;
+      const shared = await oplog.blobs.write(JSON.stringify({ [tid(1)]: oid(1) }));
+      const mixed = await oplog.blobs.write(JSON.stringify({ [tid(2)]: oid(2), [tid(3)]: oid(3) }));
+      const only = await oplog.blobs.write(JSON.stringify({ [elsewhere]: oid(4) }));
+      await oplog.recordOperation({
+        ...operation('first'),
+        view: { heads: [], changeShards: { '00': shared, '01': only }, workingCopy: tid(1) },
+      });
+      await oplog.recordOperation({
+        ...operation('second'),
+        view: { heads: [], changeShards: { '00': mixed }, workingCopy: tid(1) },
+      });
+
+      await oplog.compact(0, { forgetChanges: [tid(3), elsewhere] });
+
+      const reloaded = new OperationLog(storage);
+      const views = await Promise.all((await reloaded.list()).map(op => reloaded.getView(op)));
+      expect(views[0].changeShards).toEqual({ '00': shared });
+      expect(JSON.parse(String(await oplog.blobs.read(views[1].changeShards['00'])))).toEqual({ [tid(2)]: oid(2) });
+    });
+
+    it('should refuse to replace a head', async () => {
+      await oplog.recordOperation(operation('first'));
+
+      await expect(oplog.compact(1)).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    });
+  });
+
   describe('getSnapshotAt', () => {
     beforeEach(async () => {
       await oplog.init();
@@ -0,0 +1,134 @@
+/**
+ * Tests for RepositoryLock
+ */
+
+import { RepositoryLock } from '../../../src/core/repository-lock.js';
+import { MockFS } from '../../fixtures/mock-fs.js';
+
+describe('RepositoryLock', () => {
+  let fs;
+  let locks;
+
+  // Locks made here are released after each test, which stops their heartbeats
+  const makeLock = (opts) => {
+    const lock = new RepositoryLock(fs, '/test/repo', opts);
+    locks.push(lock);
+    return lock;
+  };
+  const leaveStaleLock = async () => {
+    await fs.promises.mkdir('/test/repo/.jj/repo/lock');
+    await fs.promises.writeFile('/test/repo/.jj/repo/lock/owner', JSON.stringify({ token: 'lock-dead', time: Date.now() - 120000 }));
+  };
+
+  beforeEach(async () => {
+    fs = new MockFS();
+    locks = [];
+    await fs.promises.mkdir('/test/repo/.jj/repo', { recursive: true });
+  });
+
+  afterEach(async () => {
+    for (const lock of locks) {
+      await lock.release();
+    }
+    fs.reset();
+  });
+
+  it('should take and release the lock', async () => {
+    const lock = makeLock();
+
+    await lock.acquire();
+    expect(fs.files.has('/test/repo/.jj/repo/lock')).toBe(true);
+
+    await lock.release();
+    expect(fs.files.has('/test/repo/.jj/repo/lock')).toBe(false);
+  });
+
+  it('should wait until the holder releases the lock', async () => {
+    const holder = makeLock();
+    const waiter = makeLock({ timeout: 1000 });
+    await holder.acquire();
+
+    let acquired = false;
+    const waiting = waiter.acquire().then(() => { acquired = true; });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(acquired).toBe(false);
+
+    await holder.release();
+    await waiting;
+    expect(acquired).toBe(true);
+  });
+
+  it('should give up after the timeout', async () => {
+    await makeLock().acquire();
+
+    await expect(makeLock({ timeout: 30 }).acquire())
+      .rejects.toMatchObject({ code: 'REPOSITORY_LOCKED' });
+  });
+
+  it('should take over a stale lock', async () => {
+    await leaveStaleLock();
+
+    const lock = makeLock({ timeout: 30 });
+    await lock.acquire();
+    expect(lock.held).toBe(true);
+    expect(JSON.parse(fs.files.get('/test/repo/.jj/repo/lock/owner').content).token).toBe(lock.token);
+  });
+
+  it('should take over a lock whose holder died before writing its token', async () => {
+    await fs.promises.mkdir('/test/repo/.jj/repo/lock');
+    fs.files.get('/test/repo/.jj/repo/lock').created = Date.now() - 120000;
+
+    const lock = makeLock({ timeout: 30 });
+    await lock.acquire();
+    expect(lock.held).toBe(true);
+  });
+
+  it('should keep a lock held past staleAfter while its holder is alive', async () => {
+    await makeLock({ staleAfter: 60, heartbeat: 10 }).acquire();
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    await expect(makeLock({ timeout: 30, staleAfter: 60 }).acquire())
+      .rejects.toMatchObject({ code: 'REPOSITORY_LOCKED' });
+  });
+
+  it('should leave a stale lock alone once another process took it over', async () => {
+    await leaveStaleLock();
+    const lock = makeLock({ timeout: 30 });
+    const other = makeLock();
+    const staleOwner = lock._staleOwner.bind(lock);
+    let tookOver = false;
+    lock._staleOwner = async () => {
+      const stale = await staleOwner();
+      if (stale && !tookOver) {
+        // The other process removes the stale lock and takes it between our check and removal
+        tookOver = true;
+        await other.acquire();
+      }
+      return stale;
+    };
+
+    await expect(lock.acquire()).rejects.toMatchObject({ code: 'REPOSITORY_LOCKED' });
+    expect(other.held).toBe(true);
+    expect(JSON.parse(fs.files.get('/test/repo/.jj/repo/lock/owner').content).token).toBe(other.token);
+  });
+
+  it('should only release a lock it holds', async () => {
+    await makeLock().acquire();
+
+    await makeLock().release();
+    expect(fs.files.has('/test/repo/.jj/repo/lock')).toBe(true);
+  });
+
+  it('should leave the lock to the process that took it over', async () => {
+    const lock = makeLock();
+    await lock.acquire();
+    lock._stopHeartbeat();
+    await fs.promises.writeFile('/test/repo/.jj/repo/lock/owner', JSON.stringify({ token: lock.token, time: Date.now() - 120000 }));
+    const other = makeLock({ timeout: 30 });
+    await other.acquire();
+
+    await lock.release();
+    expect(other.held).toBe(true);
+    expect(fs.files.has('/test/repo/.jj/repo/lock/owner')).toBe(true);
+  });
+});
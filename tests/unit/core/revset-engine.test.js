@@ -235,6 +235,48 @@ describe('RevsetEngine', () => {
       expect(result).toContain(tid(3));
     });
 
+    describe('string patterns', () => {
+      it('should match author and description with pattern prefixes', async () => {
+        expect(await revset.evaluate('author(exact:Alice)')).toEqual([tid(1), tid(3)]);
+        expect(await revset.evaluate('author(exact:Ali)')).toEqual([]);
+        expect(await revset.evaluate('author(exact-i:bob)')).toEqual([tid(2)]);
+        expect(await revset.evaluate('author("bob@example.com")')).toEqual([tid(2)]);
+        expect(await revset.evaluate('description(glob:"Add *")')).toEqual([tid(1), tid(3)]);
+        expect(await revset.evaluate('description(regex:"feature [XY]$")')).toEqual([tid(1), tid(2), tid(3)]);
+        expect(await revset.evaluate('description(substring-i:"FIX BUG")')).toEqual([tid(2)]);
+        expect(await revset.evaluate('description(substring:"FIX BUG")')).toEqual([]);
+      });
+
+      it('should reject unknown pattern kinds and invalid regexes', async () => {
+        await expect(revset.evaluate('author(fuzzy:Alice)')).rejects.toMatchObject({
+          code: 'INVALID_REVSET',
+          context: { column: 8 },
+        });
+        await expect(revset.evaluate('description(regex:"(")')).rejects.toThrow('Invalid regular expression');
+      });
+
+      it('should match file() against glob: and root: fileset patterns', async () => {
+        await graph.addChange({
+          changeId: tid(4),
+          commitId: '0000000000000000000000000000000000000004',
+          parents: [tid(3)],
+          tree: '0000000000000000000000000000000000000000',
+          author: { name: 'Bob', email: 'bob@example.com', timestamp: '2025-10-30T12:03:00.000Z' },
+          committer: { name: 'Bob', email: 'bob@example.com', timestamp: '2025-10-30T12:03:00.000Z' },
+          description: 'Touch sources',
+          timestamp: '2025-10-30T12:03:00.000Z',
+          fileSnapshot: { 'src/lib/app.js': 'a', 'README.md': 'b' },
+        });
+
+        expect(await revset.evaluate('file(glob:"src/**/*.js")')).toEqual([tid(4)]);
+        expect(await revset.evaluate('file(glob:"*.js")')).toEqual([]);
+        expect(await revset.evaluate('file(glob-i:"readme.*")')).toEqual([tid(4)]);
+        expect(await revset.evaluate('file(root:src)')).toEqual([tid(4)]);
+        expect(await revset.evaluate('file(root:sr)')).toEqual([]);
+        await expect(revset.evaluate('file(regex:src)')).rejects.toThrow('Unknown file pattern kind');
+      });
+    });
+
     it('should filter empty changes', async () => {
       const result = await revset.evaluate('empty()');
 
@@ -406,6 +448,106 @@ describe('RevsetEngine', () => {
 
         expect(result).toEqual([]);
       });
+
+      it('should return tagged changes matching a pattern', async () => {
+        const { TagStore } = await import('../../../src/core/tag-store.js');
+        const tagStore = new TagStore(fs, '/test/repo/.jj');
+        await tagStore.create('v1.0', tid(2));
+        await tagStore.create('v1.1', tid(4));
+        await tagStore.create('release', tid(5));
+        revset = new RevsetEngine(graph, workingCopy, null, null, tagStore);
+
+        expect((await revset.evaluate('tags()')).sort()).toEqual([tid(2), tid(4), tid(5)]);
+        expect((await revset.evaluate('tags(v*)')).sort()).toEqual([tid(2), tid(4)]);
+        expect(await revset.evaluate('tags(exact:v1.0)')).toEqual([tid(2)]);
+        expect(await revset.evaluate('tags(regex:"^v1\\.1$")')).toEqual([tid(4)]);
+        expect(await revset.evaluate('tags(glob-i:REL*)')).toEqual([tid(5)]);
+      });
+    });
+
+    describe('bookmarks() string patterns', () => {
+      it('should match bookmark names with every pattern kind', async () => {
+        const { BookmarkStore } = await import('../../../src/core/bookmark-store.js');
+        const bookmarkStore = new BookmarkStore(storage);
+        await bookmarkStore.init();
+        await bookmarkStore.set('main', tid(5));
+        await bookmarkStore.set('feature/login', tid(4));
+        await bookmarkStore.set('Feature/Logout', tid(6));
+        revset = new RevsetEngine(graph, workingCopy, null, bookmarkStore);
+
+        expect(await revset.evaluate('bookmarks(feature*)')).toEqual([tid(4)]);
+        expect((await revset.evaluate('bookmarks(glob-i:feature/*)')).sort()).toEqual([tid(4), tid(6)]);
+        expect(await revset.evaluate('bookmarks(exact:main)')).toEqual([tid(5)]);
+        expect(await revset.evaluate('bookmarks(exact:mai)')).toEqual([]);
+        expect(await revset.evaluate('bookmarks(substring:ai)')).toEqual([tid(5)]);
+        expect((await revset.evaluate('bookmarks(regex:"^[fF]eature/Log")')).sort()).toEqual([tid(6)]);
+      });
+    });
+
+    describe('composed expressions', () => {
+      beforeEach(async () => {
+        const { BookmarkStore } = await import('../../../src/core/bookmark-store.js');
+        const bookmarkStore = new BookmarkStore(storage);
+        await bookmarkStore.init();
+        await bookmarkStore.set('main', tid(5));
+        await bookmarkStore.setRemote('origin', 'main', tid(2));
+        await workingCopy.setCurrentChange(tid(2));
+        revset = new RevsetEngine(graph, workingCopy, null, bookmarkStore);
+      });
+
+      it('should accept any expression as a function argument', async () => {
+        expect((await revset.evaluate('descendants(@)')).sort()).toEqual([tid(4), tid(5), tid(7)]);
+        expect(await revset.evaluate('heads(ancestors(bookmark(main)) & mine())')).toEqual([tid(5)]);
+        expect((await revset.evaluate(`ancestors(main | ${tid(6)})`)).sort()).toEqual(
+          [tid(1), tid(2), tid(3), tid(5), tid(6)]
+        );
+      });
+
+      it('should resolve bookmarks, remote bookmarks and ID prefixes as symbols', async () => {
+        expect(await revset.evaluate('main')).toEqual([tid(5)]);
+        expect(await revset.evaluate('main@origin')).toEqual([tid(2)]);
+        await expect(revset.evaluate('000')).rejects.toThrow('ambiguous');
+      });
+
+      it('should evaluate DAG ranges', async () => {
+        expect((await revset.evaluate('::main')).sort()).toEqual([tid(1), tid(2), tid(5)]);
+        expect((await revset.evaluate('@::')).sort()).toEqual([tid(2), tid(4), tid(5), tid(7)]);
+        expect((await revset.evaluate(`${tid(1)}::${tid(7)}`)).sort()).toEqual([tid(1), tid(2), tid(5), tid(7)]);
+      });
+
+      it('should evaluate ranges', async () => {
+        expect((await revset.evaluate('@..')).sort()).toEqual([tid(3), tid(4), tid(5), tid(6), tid(7)]);
+        expect((await revset.evaluate('..@')).sort()).toEqual([tid(2)]);
+        expect((await revset.evaluate(`${tid(3)}..${tid(7)}`)).sort()).toEqual([tid(2), tid(5), tid(7)]);
+      });
+
+      it('should apply operator precedence and parentheses', async () => {
+        // & binds tighter than |
+        expect((await revset.evaluate(`${tid(4)} | ${tid(5)} & ${tid(7)}`)).sort()).toEqual([tid(4)]);
+        expect(await revset.evaluate(`(${tid(4)} | ${tid(5)}) & ::${tid(7)}`)).toEqual([tid(5)]);
+        // ~x is the complement; x ~ y is a difference
+        expect((await revset.evaluate('~::@')).sort()).toEqual([tid(3), tid(4), tid(5), tid(6), tid(7)]);
+        expect((await revset.evaluate('@:: ~ main')).sort()).toEqual([tid(2), tid(4), tid(7)]);
+        // Postfix operators bind tightest
+        expect((await revset.evaluate('main-::main')).sort()).toEqual([tid(2), tid(5)]);
+        expect(await revset.evaluate(`(${tid(4)}|${tid(6)})-- `)).toEqual([tid(1)]);
+      });
+
+      it('should report parse errors with the column', async () => {
+        await expect(revset.evaluate('all() &')).rejects.toMatchObject({
+          code: 'INVALID_REVSET',
+          context: { column: 8 },
+        });
+        await expect(revset.evaluate('heads(all()')).rejects.toThrow('column 12');
+        await expect(revset.evaluate('frobnicate(@)')).rejects.toMatchObject({
+          code: 'INVALID_REVSET',
+          context: { column: 1 },
+        });
+        await expect(revset.evaluate('@ | nosuchbookmark')).rejects.toThrow(
+          'Revision "nosuchbookmark" doesn\'t exist at column 5'
+        );
+        await expect(revset.evaluate('latest(all(), 1, 2)')).rejects.toThrow('expects 1 to 2 arguments');
+      });
     });
   });
 
@@ -2,6 +2,7 @@
  * Tests for Storage Manager
  */
 
+import { jest } from '@jest/globals';
 import { Storage } from '../../../src/core/storage-manager.js';
 import { JJError } from '../../../src/utils/errors.js';
 import { MockFS } from '../../fixtures/mock-fs.js';
@@ -89,6 +90,16 @@ describe('Storage Manager', () => {
       expect(tempFiles.length).toBe(0);
     });
 
+    it('should round trip binary content', async () => {
+      await storage.init();
+      await storage.write('test.json', { bytes: new Uint8Array([0, 1, 255]) });
+      storage.invalidateCache();
+
+      const data = await storage.read('test.json');
+
+      expect(data.bytes).toEqual(new Uint8Array([0, 1, 255]));
+    });
+
     it('should update cache on write', async () => {
       await storage.init();
       await storage.write('test.json', { foo: 'bar' });
@@ -148,6 +159,22 @@ describe('Storage Manager', () => {
       
       expect(lines).toEqual([{ id: '1' }]);
     });
+
+    it('should append without rewriting the file when the fs supports appendFile', async () => {
+      await storage.init();
+      await storage.write('test.jsonl', '{"id":"1"}\n');
+      fs.promises.appendFile = jest.fn(async (path, data) => {
+        const file = fs.files.get(path);
+        await fs.writeFile(path, (file ? file.content : '') + data);
+      });
+      const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+      await storage.appendLine('test.jsonl', '{"id":"2"}');
+
+      expect(fs.promises.appendFile).toHaveBeenCalledWith('/test/repo/.jj/test.jsonl', '{"id":"2"}\n', 'utf8');
+      expect(writeFile).not.toHaveBeenCalled();
+      expect(await storage.readLines('test.jsonl')).toEqual([{ id: '1' }, { id: '2' }]);
+    });
   });
 
   describe('exists', () => {
@@ -167,6 +194,106 @@ describe('Storage Manager', () => {
     });
   });
 
+  describe('transactions', () => {
+    beforeEach(async () => {
+      await storage.init();
+      await storage.write('kept.json', { value: 'before' });
+    });
+
+    it('should buffer writes and removals until commit', async () => {
+      storage.beginTransaction();
+      await storage.write('kept.json', { value: 'after' });
+      await storage.write('store/new.json', { value: 'new' });
+      await storage.remove('kept.json');
+      await storage.write('kept.json', { value: 'again' });
+
+      expect(await storage.read('kept.json')).toEqual({ value: 'again' });
+      expect(await storage.list('store')).toContain('new.json');
+      expect(fs.files.has('/test/repo/.jj/store/new.json')).toBe(false);
+
+      await storage.commitTransaction();
+      storage.invalidateCache();
+      expect(await storage.read('kept.json')).toEqual({ value: 'again' });
+      expect(await storage.read('store/new.json')).toEqual({ value: 'new' });
+    });
+
+    it('should drop buffered changes on rollback', async () => {
+      storage.beginTransaction();
+      await storage.write('kept.json', { value: 'after' });
+      await storage.appendLine('log.jsonl', '{"a":1}');
+      await storage.remove('kept.json');
+      expect(await storage.exists('kept.json')).toBe(false);
+
+      storage.rollbackTransaction();
+      expect(await storage.read('kept.json')).toEqual({ value: 'before' });
+      expect(await storage.readLines('log.jsonl')).toEqual([]);
+    });
+
+    it('should write the operation log last', async () => {
+      const rename = jest.spyOn(fs.promises, 'rename');
+      storage.beginTransaction();
+      await storage.write('repo/op_log/heads/abc', '');
+      await storage.write('repo/store/graph.json', { changes: {} });
+
+      await storage.commitTransaction();
+
+      expect(rename.mock.calls.map(([, to]) => to)).toEqual([
+        '/test/repo/.jj/repo/store/graph.json',
+        '/test/repo/.jj/repo/op_log/heads/abc',
+      ]);
+    });
+
+    it('should put back written files when a write fails', async () => {
+      await storage.write('removed.json', { value: 'before' });
+      const rename = fs.promises.rename;
+      fs.promises.rename = jest.fn(async (from, to) => {
+        if (to.endsWith('/failing.json')) {
+          throw new Error('EIO: i/o error');
+        }
+        return rename(from, to);
+      });
+      storage.beginTransaction();
+      await storage.write('kept.json', { value: 'after' });
+      await storage.write('store/new.json', { value: 'new' });
+      await storage.remove('removed.json');
+      await storage.write('failing.json', { value: 'never' });
+      await storage.write('repo/op_log/heads/abc', '');
+
+      await expect(storage.commitTransaction()).rejects.toMatchObject({ code: 'STORAGE_WRITE_FAILED' });
+
+      expect(await storage.read('kept.json')).toEqual({ value: 'before' });
+      expect(await storage.read('removed.json')).toEqual({ value: 'before' });
+      expect(await storage.exists('store/new.json')).toBe(false);
+      expect(await storage.exists('repo/op_log/heads/abc')).toBe(false);
+    });
+
+    it('should refuse to start a second transaction', () => {
+      storage.beginTransaction();
+
+      expect(() => storage.beginTransaction()).toThrow(expect.objectContaining({ code: 'TRANSACTION_IN_PROGRESS' }));
+    });
+  });
+
+  describe('usage / removeTempFiles', () => {
+    it('should add up the size of every file in .jj', async () => {
+      await storage.init();
+      await storage.write('a.json', 'abc');
+      await storage.write('repo/store/b.json', 'de');
+
+      expect(await storage.usage()).toBe(5);
+    });
+
+    it('should remove only temp files older than the given age', async () => {
+      await storage.init();
+      await fs.promises.writeFile('/test/repo/.jj/repo/store/old.json.tmp.1000', 'abc');
+      await fs.promises.writeFile(`/test/repo/.jj/repo/store/new.json.tmp.${Date.now()}`, 'de');
+
+      expect(await storage.removeTempFiles(60000)).toEqual({ count: 1, bytes: 3 });
+      expect(fs.files.has('/test/repo/.jj/repo/store/old.json.tmp.1000')).toBe(false);
+      expect(await storage.usage()).toBe(2);
+    });
+  });
+
   describe('invalidateCache', () => {
     it('should invalidate specific cache entry', async () => {
       await storage.init();
@@ -0,0 +1,108 @@
+/**
+ * Tests for TemplateEngine component
+ */
+
+import { TemplateEngine } from '../../../src/core/template-engine.js';
+import { MockFS } from '../../fixtures/mock-fs.js';
+import { Storage } from '../../../src/core/storage-manager.js';
+import { UserConfig } from '../../../src/core/user-config.js';
+
+describe('TemplateEngine', () => {
+  let engine;
+  const keywords = {
+    change_id: 'abcdef0123456789abcdef0123456789',
+    description: 'Add parser\n\nLonger explanation\n',
+    author: { name: 'Alice', email: 'alice@example.com', timestamp: '2025-10-30T12:34:56.000Z' },
+    bookmarks: ['main', 'main@origin'],
+    tags: [],
+    empty: false,
+    conflict: true,
+  };
+
+  beforeEach(() => {
+    engine = new TemplateEngine();
+  });
+
+  it('should concatenate keywords, literals and method results', async () => {
+    expect(await engine.render('change_id.short() ++ " " ++ description.first_line()', keywords)).toBe(
+      'abcdef012345 Add parser'
+    );
+    expect(await engine.render('change_id.short(4).upper()', keywords)).toBe('ABCD');
+  });
+
+  it('should render lists, signatures and timestamps', async () => {
+    expect(await engine.render('bookmarks', keywords)).toBe('main main@origin');
+    expect(await engine.render('bookmarks.join(", ") ++ "|" ++ bookmarks.len()', keywords)).toBe('main, main@origin|2');
+    expect(await engine.render('author', keywords)).toBe('Alice <alice@example.com>');
+    expect(await engine.render('author.email()', keywords)).toBe('alice@example.com');
+    expect(await engine.render('author.timestamp().format("%Y/%m/%d %H:%M")', keywords)).toBe('2025/10/30 12:34');
+  });
+
+  it('should support if, separate, coalesce, surround, indent and label', async () => {
+    expect(await engine.render('if(conflict, "conflict", "clean")', keywords)).toBe('conflict');
+    expect(await engine.render('if(empty, "(empty)")', keywords)).toBe('');
+    expect(await engine.render('separate(" ", change_id.short(4), tags, bookmarks.len())', keywords)).toBe('abcd 2');
+    expect(await engine.render('coalesce(tags, "no tags")', keywords)).toBe('no tags');
+    expect(await engine.render('surround("[", "]", tags) ++ surround("[", "]", bookmarks)', keywords)).toBe(
+      '[main main@origin]'
+    );
+    expect(await engine.render('indent("> ", description)', keywords)).toBe('> Add parser\n\n> Longer explanation\n');
+    expect(await engine.render('label("id", change_id.short(2))', keywords)).toBe('ab');
+  });
+
+  it('should evaluate logical operators with list and string truthiness', async () => {
+    expect(await engine.render('!empty && conflict', keywords)).toBe('true');
+    expect(await engine.render('if(tags || bookmarks, "ref")', keywords)).toBe('ref');
+    expect(await engine.render('if(description.contains("parser"), "yes")', keywords)).toBe('yes');
+  });
+
+  it('should report unknown keywords, functions and methods with the column', async () => {
+    await expect(engine.render('change_id ++ nope', keywords)).rejects.toMatchObject({
+      code: 'INVALID_TEMPLATE',
+      context: { column: 14 },
+    });
+    await expect(engine.render('frobnicate()', keywords)).rejects.toThrow('Function "frobnicate" doesn\'t exist');
+    await expect(engine.render('empty.upper()', keywords)).rejects.toThrow(
+      'Method "upper" doesn\'t exist for type "Boolean" at column 7'
+    );
+    await expect(engine.render('change_id.short("x")', keywords)).rejects.toThrow('expects an integer');
+  });
+
+  describe('template-aliases', () => {
+    let userConfig;
+
+    beforeEach(async () => {
+      const fs = new MockFS();
+      const storage = new Storage(fs, '/test/repo');
+      await storage.init();
+      userConfig = new UserConfig(storage);
+      await userConfig.init();
+      engine = new TemplateEngine(userConfig);
+    });
+
+    it('should expand keyword and function aliases', async () => {
+      await userConfig.set('template-aliases', {
+        'short_id(id)': 'id.short(6)',
+        'one_line': 'short_id(change_id) ++ " " ++ description.first_line()',
+      });
+
+      expect(await engine.render('one_line', keywords)).toBe('abcdef Add parser');
+      expect(await engine.render('short_id("0123456789")', keywords)).toBe('012345');
+    });
+
+    it('should detect recursive aliases', async () => {
+      await userConfig.set('template-aliases', { a: 'b', b: '"x" ++ a' });
+
+      await expect(engine.render('a', keywords)).rejects.toMatchObject({
+        code: 'INVALID_TEMPLATE_ALIAS',
+        context: { cycle: ['a', 'b', 'a'] },
+      });
+    });
+
+    it('should reject invalid aliases when they are set', async () => {
+      await expect(userConfig.set('template-aliases.broken', 'a ++')).rejects.toMatchObject({
+        code: 'INVALID_TEMPLATE_ALIAS',
+      });
+    });
+  });
+});
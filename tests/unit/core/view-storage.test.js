@@ -0,0 +1,64 @@
+/**
+ * Tests for ViewStorage
+ */
+
+import { Storage } from '../../../src/core/storage-manager.js';
+import { ViewStorage } from '../../../src/core/view-storage.js';
+import { MockFS } from '../../fixtures/mock-fs.js';
+
+describe('ViewStorage', () => {
+  let fs;
+  let storage;
+  let view;
+
+  beforeEach(async () => {
+    fs = new MockFS();
+    storage = new Storage(fs, '/test/repo');
+    await storage.init();
+    await storage.write('repo/store/graph.json', { version: 1, changes: {} });
+    view = new ViewStorage(storage, 'op1');
+  });
+
+  afterEach(() => {
+    fs.reset();
+  });
+
+  it('should read through to the repository storage', async () => {
+    expect(await view.read('repo/store/graph.json')).toEqual({ version: 1, changes: {} });
+    expect(await view.exists('repo/store/graph.json')).toBe(true);
+  });
+
+  it('should keep writes in memory', async () => {
+    const data = { version: 1, changes: { a: {} } };
+    await view.write('repo/store/graph.json', data);
+
+    expect(await view.read('repo/store/graph.json')).toBe(data);
+    storage.invalidateCache();
+    expect(await storage.read('repo/store/graph.json')).toEqual({ version: 1, changes: {} });
+  });
+
+  it('should list files written and hide files removed in the view', async () => {
+    await storage.write('repo/store/graph/aa.json', { changes: {} });
+    await view.write('repo/store/graph/bb.json', { changes: {} });
+    await view.remove('repo/store/graph/aa.json');
+
+    expect(await view.list('repo/store/graph')).toEqual(['bb.json']);
+    expect(await view.exists('repo/store/graph/aa.json')).toBe(false);
+    expect(await storage.exists('repo/store/graph/aa.json')).toBe(true);
+  });
+
+  it('should refuse writes once sealed', async () => {
+    view.seal();
+
+    await expect(view.write('repo/store/graph.json', {})).rejects.toMatchObject({
+      code: 'READ_ONLY_VIEW',
+      context: { path: 'repo/store/graph.json', operation: 'op1' },
+    });
+    await expect(view.appendLine('repo/op_log/operations.jsonl', '{}')).rejects.toMatchObject({
+      code: 'READ_ONLY_VIEW',
+    });
+    await expect(view.remove('repo/store/graph.json')).rejects.toMatchObject({
+      code: 'READ_ONLY_VIEW',
+    });
+  });
+});
@@ -198,4 +198,22 @@ describe('WorkspaceManager', () => {
       expect(updated.changeId).toBe(changeId2);
     });
   });
+
+  describe('View State', () => {
+    it('should capture and restore workspaces', async () => {
+      const changeId = 'abc123'.padEnd(32, '0');
+      const workspace = await workspaces.add({ path: '/test/workspace1', name: 'wt1', changeId });
+      const state = workspaces.captureState('def456'.padEnd(32, '0'));
+
+      expect(state).toEqual({
+        default: { name: 'default', path: repoDir, changeId: 'def456'.padEnd(32, '0') },
+        [workspace.id]: { name: 'wt1', path: '/test/workspace1', changeId },
+      });
+
+      await workspaces.forget(workspace.id);
+      await workspaces.restoreState(state);
+
+      expect(workspaces.get(workspace.id)).toMatchObject({ id: workspace.id, name: 'wt1', changeId });
+    });
+  });
 });
@@ -10,6 +10,8 @@ import { JJCheckout } from '../../src/core/jj-checkout.js';
 import { JJTreeState } from '../../src/core/jj-tree-state.js';
 import { JJOperationStore } from '../../src/core/jj-operation-store.js';
 import { JJViewStore } from '../../src/core/jj-view-store.js';
+import { JJExtraStore } from '../../src/core/jj-extra-store.js';
+import { writeExtraTable } from '../fixtures/jj-cli-repo.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -278,4 +280,58 @@ describe('JJ Protobuf Encoding', () => {
       expect(decoded.wc_commit_ids.default).toBeDefined();
     });
   });
+
+  describe('Extra Metadata', () => {
+    const commitA = 'aa'.repeat(20);
+    const commitB = 'bb'.repeat(20);
+
+    it('should read change IDs and predecessors from stacked tables', async () => {
+      await writeExtraTable(fs, testDir, 'parent', null, [[commitA, '11'.repeat(16)]]);
+      await writeExtraTable(fs, testDir, 'child', 'parent', [[commitB, '22'.repeat(16), [commitA]]]);
+      await fs.promises.writeFile(`${testDir}/.jj/repo/store/extra/heads/child`, '');
+
+      const commits = await new JJExtraStore(fs, testDir).readCommits();
+
+      expect(commits.get(commitA)).toEqual({ changeId: '11'.repeat(16), predecessors: [] });
+      expect(commits.get(commitB)).toEqual({ changeId: '22'.repeat(16), predecessors: [commitA] });
+    });
+
+    it('should read every head table', async () => {
+      await writeExtraTable(fs, testDir, 'one', null, [[commitA, '11'.repeat(16)]]);
+      await writeExtraTable(fs, testDir, 'two', null, [[commitB, '22'.repeat(16)]]);
+      await fs.promises.writeFile(`${testDir}/.jj/repo/store/extra/heads/one`, '');
+      await fs.promises.writeFile(`${testDir}/.jj/repo/store/extra/heads/two`, '');
+
+      const commits = await new JJExtraStore(fs, testDir).readCommits();
+
+      expect([...commits.keys()].sort()).toEqual([commitA, commitB]);
+    });
+
+    it('should return nothing without extra metadata', async () => {
+      expect((await new JJExtraStore(fs, testDir).readCommits()).size).toBe(0);
+    });
+
+    it('should write a table on top of the current head', async () => {
+      await writeExtraTable(fs, testDir, 'parent', null, [[commitA, '11'.repeat(16)]]);
+      await fs.promises.writeFile(`${testDir}/.jj/repo/store/extra/heads/parent`, '');
+      const store = new JJExtraStore(fs, testDir);
+
+      const name = await store.writeCommits([
+        { commitId: commitB, changeId: '22'.repeat(16), predecessors: [commitA] },
+        { commitId: 'cc'.repeat(20), changeId: '33'.repeat(16) },
+      ]);
+
+      expect(name).toMatch(/^[0-9a-f]{128}$/);
+      expect(await fs.promises.readdir(`${testDir}/.jj/repo/store/extra/heads`)).toEqual([name]);
+      const commits = await store.readCommits();
+      expect(commits.get(commitA)).toEqual({ changeId: '11'.repeat(16), predecessors: [] });
+      expect(commits.get(commitB)).toEqual({ changeId: '22'.repeat(16), predecessors: [commitA] });
+      expect(commits.get('cc'.repeat(20))).toEqual({ changeId: '33'.repeat(16), predecessors: [] });
+    });
+
+    it('should write nothing without commits', async () => {
+      expect(await new JJExtraStore(fs, testDir).writeCommits([])).toBeNull();
+      await expect(fs.promises.readdir(`${testDir}/.jj/repo/store/extra`)).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+  });
 });
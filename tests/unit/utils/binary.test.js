@@ -0,0 +1,78 @@
+/**
+ * Tests for binary content utilities
+ */
+
+import {
+  isBinaryContent,
+  decodeContent,
+  toBytes,
+  contentEquals,
+  contentSize,
+  binaryReplacer,
+  binaryReviver,
+} from '../../../src/utils/binary.js';
+
+describe('Binary Content', () => {
+  describe('decodeContent', () => {
+    it('should decode UTF-8 text to a string', () => {
+      expect(decodeContent(new TextEncoder().encode('héllo\n'))).toBe('héllo\n');
+    });
+
+    it('should keep bytes with NUL characters', () => {
+      const bytes = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]);
+      expect(decodeContent(bytes)).toBe(bytes);
+    });
+
+    it('should keep bytes that are not valid UTF-8', () => {
+      const bytes = new Uint8Array([0xff, 0xfe, 0x41]);
+      expect(isBinaryContent(decodeContent(bytes))).toBe(true);
+    });
+  });
+
+  describe('contentEquals', () => {
+    it('should compare strings and bytes', () => {
+      expect(contentEquals('a', 'a')).toBe(true);
+      expect(contentEquals('a', 'b')).toBe(false);
+      expect(contentEquals(new Uint8Array([1, 2]), new Uint8Array([1, 2]))).toBe(true);
+      expect(contentEquals(new Uint8Array([1, 2]), new Uint8Array([1, 3]))).toBe(false);
+      expect(contentEquals(new Uint8Array([1]), new Uint8Array([1, 2]))).toBe(false);
+    });
+
+    it('should not treat text and bytes as equal', () => {
+      expect(contentEquals('A', new Uint8Array([0x41]))).toBe(false);
+      expect(contentEquals(undefined, new Uint8Array([]))).toBe(false);
+    });
+  });
+
+  describe('toBytes and contentSize', () => {
+    it('should measure text in UTF-8 bytes', () => {
+      expect(toBytes('é')).toEqual(new Uint8Array([0xc3, 0xa9]));
+      expect(contentSize('é')).toBe(2);
+      expect(contentSize(new Uint8Array(5))).toBe(5);
+    });
+  });
+
+  describe('JSON round trip', () => {
+    it('should restore byte arrays written with binaryReplacer', () => {
+      const data = { files: { 'a.txt': 'text', 'b.bin': new Uint8Array([0, 255, 128]) } };
+
+      const json = JSON.stringify(data, binaryReplacer);
+      const parsed = JSON.parse(json, binaryReviver);
+
+      expect(JSON.parse(json).files['b.bin']).toEqual({ $binary: 'AP+A' });
+      expect(parsed.files['a.txt']).toBe('text');
+      expect(parsed.files['b.bin']).toEqual(new Uint8Array([0, 255, 128]));
+    });
+
+    it('should round trip large byte arrays', () => {
+      const bytes = new Uint8Array(100000).map((_, i) => i % 256);
+      const parsed = JSON.parse(JSON.stringify({ bytes }, binaryReplacer), binaryReviver);
+      expect(parsed.bytes).toEqual(bytes);
+    });
+
+    it('should leave other objects alone', () => {
+      const data = { $binary: 'AA==', other: true };
+      expect(JSON.parse(JSON.stringify(data), binaryReviver)).toEqual(data);
+    });
+  });
+});
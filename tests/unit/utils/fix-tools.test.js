@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for fix tool helpers
+ */
+
+import os from 'os';
+import { fixToolCommands, fixToolMatches, runFixTool } from '../../../src/utils/fix-tools.js';
+
+describe('Fix Tools', () => {
+  describe('fixToolCommands', () => {
+    it('should read the configured tools in order', () => {
+      const tools = fixToolCommands({
+        prettier: { command: ['prettier', '--stdin-filepath=$path'], patterns: ['**/*.js'] },
+        rustfmt: { command: ['rustfmt'], patterns: ['*.rs'] },
+      });
+
+      expect(tools).toEqual([
+        { name: 'prettier', program: 'prettier', args: ['--stdin-filepath=$path'], patterns: ['**/*.js'] },
+        { name: 'rustfmt', program: 'rustfmt', args: [], patterns: ['*.rs'] },
+      ]);
+      expect(fixToolMatches(tools[0], 'src/a.js')).toBe(true);
+      expect(fixToolMatches(tools[1], 'src/a.js')).toBe(false);
+    });
+
+    it('should reject tools without a command or patterns', () => {
+      expect(() => fixToolCommands({ bad: { command: 'prettier', patterns: [] } }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_FIX_TOOL' }));
+      expect(() => fixToolCommands({ bad: { command: ['prettier'] } }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_FIX_TOOL' }));
+    });
+  });
+
+  describe('runFixTool', () => {
+    const nodeTool = (script) => ({ name: 'node', program: process.execPath, args: ['-e', script, '$path'] });
+
+    it('should pipe the content through the tool', async () => {
+      const tool = nodeTool(`
+        let input = '';
+        process.stdin.on('data', chunk => { input += chunk; });
+        process.stdin.on('end', () => process.stdout.write(process.argv[1] + ':' + input.toUpperCase()));
+      `);
+
+      expect(await runFixTool(tool, 'src/a.js', 'abc\n', os.tmpdir())).toBe('src/a.js:ABC\n');
+    });
+
+    it('should pass paths with replacement patterns through unchanged', async () => {
+      const tool = nodeTool('process.stdin.resume(); process.stdin.on("end", () => process.stdout.write(process.argv[1]));');
+
+      expect(await runFixTool(tool, "a$&b$'c$`d.js", '', os.tmpdir())).toBe("a$&b$'c$`d.js");
+    });
+
+    it('should fail when the tool exits with an error', async () => {
+      const tool = nodeTool('process.stderr.write("bad syntax"); process.exit(2);');
+
+      await expect(runFixTool(tool, 'a.js', 'x', os.tmpdir())).rejects.toMatchObject({
+        code: 'FIX_TOOL_FAILED',
+        details: { exitCode: 2, stderr: 'bad syntax', path: 'a.js' },
+      });
+    });
+
+    it('should fail when the program cannot be started', async () => {
+      const tool = { name: 'missing', program: 'jj-no-such-formatter', args: [] };
+
+      await expect(runFixTool(tool, 'a.js', 'x', os.tmpdir())).rejects.toMatchObject({ code: 'FIX_TOOL_FAILED' });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for hunk selection utilities
+ */
+
+import { hunkId, hasSelection, selectChanges } from '../../../src/utils/hunk-selection.js';
+import { diffHunks } from '../../../src/utils/line-diff.js';
+
+const lines = (...items) => items.map(item => `${item}\n`).join('');
+
+describe('Hunk Selection', () => {
+  // Two hunks in a.txt, a new file and a deleted one
+  const fromFiles = {
+    'a.txt': lines(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12),
+    'gone.txt': 'bye\n',
+  };
+  const toFiles = {
+    'a.txt': lines('one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 'twelve'),
+    'new.txt': lines('x', 'y'),
+  };
+  const [first, second] = diffHunks(fromFiles['a.txt'], toFiles['a.txt']);
+
+  describe('hunkId', () => {
+    it('should name a hunk by its file and line ranges', () => {
+      expect(hunkId('a.txt', first)).toBe('a.txt:-1,4+1,4');
+      expect(hunkId('a.txt', second)).toBe('a.txt:-9,4+9,4');
+    });
+  });
+
+  describe('hasSelection', () => {
+    it('should tell whether arguments pick changes', () => {
+      expect(hasSelection({})).toBe(false);
+      expect(hasSelection({ paths: ['a.txt'] })).toBe(true);
+      expect(hasSelection({ hunks: [] })).toBe(true);
+      expect(hasSelection({ select: () => true })).toBe(true);
+    });
+  });
+
+  describe('selectChanges', () => {
+    it('should pick whole files by path', async () => {
+      const result = await selectChanges(fromFiles, toFiles, { paths: ['new.txt', 'gone.txt'] });
+
+      expect(result.selected).toEqual({ 'a.txt': fromFiles['a.txt'], 'new.txt': toFiles['new.txt'] });
+      expect(result.remaining).toEqual({ 'a.txt': toFiles['a.txt'], 'gone.txt': 'bye\n' });
+      expect(result.paths).toEqual(['gone.txt', 'new.txt']);
+    });
+
+    it('should pick hunks by ID', async () => {
+      const result = await selectChanges(fromFiles, toFiles, { hunks: ['a.txt:-9,4+9,4'] });
+
+      expect(result.selected['a.txt']).toBe(lines(1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 'twelve'));
+      expect(result.remaining['a.txt']).toBe(lines('one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12));
+      expect(result.selected['new.txt']).toBeUndefined();
+      expect(result.paths).toEqual(['a.txt']);
+    });
+
+    it('should pick single lines of a hunk', async () => {
+      const result = await selectChanges(fromFiles, toFiles, {
+        hunks: [{ id: 'new.txt:-0,0+1,2', lines: [1] }],
+      });
+
+      expect(result.selected['new.txt']).toBe('y\n');
+      expect(result.remaining['new.txt']).toBe('x\n');
+      expect(result.selected['a.txt']).toBe(fromFiles['a.txt']);
+    });
+
+    it('should ask select() about each hunk not listed', async () => {
+      const asked = [];
+      const result = await selectChanges(fromFiles, toFiles, {
+        hunks: ['a.txt:-1,4+1,4'],
+        select: async (hunk, file) => {
+          asked.push([hunk.id, file.path, file.status]);
+          return file.path === 'new.txt';
+        },
+      });
+
+      expect(asked).toEqual([
+        ['a.txt:-9,4+9,4', 'a.txt', 'modified'],
+        ['gone.txt:-1,1+0,0', 'gone.txt', 'deleted'],
+        ['new.txt:-0,0+1,2', 'new.txt', 'added'],
+      ]);
+      expect(result.selected).toEqual({
+        'a.txt': lines('one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12),
+        'gone.txt': 'bye\n',
+        'new.txt': toFiles['new.txt'],
+      });
+    });
+
+    it('should accept changed line indices from select()', async () => {
+      const result = await selectChanges(fromFiles, toFiles, {
+        select: (hunk) => hunk.lines.flatMap((line, i) => (line.type === 'delete' ? [i] : [])),
+      });
+
+      expect(result.selected).toEqual({ 'a.txt': lines(2, 3, 4, 5, 6, 7, 8, 9, 10, 11) });
+      expect(result.remaining['a.txt']).toBe(lines(1, 'one', 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 'twelve'));
+    });
+
+    it('should only pick binary files by path', async () => {
+      const select = () => true;
+      const binaryFrom = { 'image.png': new Uint8Array([0, 1]) };
+      const binaryTo = { 'image.png': new Uint8Array([0, 2]) };
+
+      expect((await selectChanges(binaryFrom, binaryTo, { select })).paths).toEqual([]);
+      expect((await selectChanges(binaryFrom, binaryTo, { paths: ['*.png'] })).selected).toEqual(binaryTo);
+    });
+
+    it('should reject hunk IDs matching no hunk', async () => {
+      await expect(selectChanges(fromFiles, toFiles, { hunks: ['a.txt:-2,4+2,4'] })).rejects.toMatchObject({
+        code: 'INVALID_ARGUMENT',
+      });
+    });
+
+    it('should reject malformed selections', async () => {
+      await expect(selectChanges(fromFiles, toFiles, { hunks: [{ id: 'a.txt:-1,4+1,4' }] }))
+        .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+      await expect(selectChanges(fromFiles, toFiles, { hunks: [{ id: 'a.txt:-1,4+1,4', lines: [99] }] }))
+        .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+      await expect(selectChanges(fromFiles, toFiles, { select: 'all' }))
+        .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    });
+  });
+});
@@ -2,7 +2,11 @@
  * Tests for ID generation utilities
  */
 
-import { generateChangeId, generateOperationId } from '../../../src/utils/id-generation.js';
+import {
+  generateChangeId,
+  generateOperationId,
+  changeIdFromCommitId,
+} from '../../../src/utils/id-generation.js';
 
 describe('ID Generation', () => {
   describe('generateChangeId', () => {
@@ -31,6 +35,21 @@ describe('ID Generation', () => {
     });
   });
 
+  describe('changeIdFromCommitId', () => {
+    it('should reverse bytes 4..20 and the bits of each byte', () => {
+      const commitId = '00000000' + '80' + '00'.repeat(14) + 'f0';
+
+      expect(changeIdFromCommitId(commitId)).toBe('0f' + '00'.repeat(14) + '01');
+    });
+
+    it('should be deterministic', () => {
+      const commitId = 'a1b2c3d4e5f67890abcdef1234567890abcdef12';
+
+      expect(changeIdFromCommitId(commitId)).toBe(changeIdFromCommitId(commitId));
+      expect(changeIdFromCommitId(commitId)).toMatch(/^[0-9a-f]{32}$/);
+    });
+  });
+
   describe('generateOperationId', () => {
     it('should generate 64-character hex string', async () => {
       const operation = {
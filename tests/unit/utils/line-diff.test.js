@@ -0,0 +1,319 @@
+/**
+ * Tests for line diff utilities
+ */
+
+import {
+  splitLines,
+  diffLines,
+  merge3,
+  diffHunks,
+  applyHunks,
+  formatPatch,
+} from '../../../src/utils/line-diff.js';
+
+describe('Line Diff', () => {
+  describe('splitLines', () => {
+    it('should keep line terminators', () => {
+      expect(splitLines('a\nb\n')).toEqual(['a\n', 'b\n']);
+    });
+
+    it('should keep a final line without terminator', () => {
+      expect(splitLines('a\nb')).toEqual(['a\n', 'b']);
+    });
+
+    it('should return no lines for empty text', () => {
+      expect(splitLines('')).toEqual([]);
+    });
+  });
+
+  describe('diffLines', () => {
+    it('should report runs of equal, deleted and inserted lines', () => {
+      const ops = diffLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e']);
+
+      expect(ops).toEqual([
+        { type: 'equal', aStart: 0, bStart: 0, count: 1 },
+        { type: 'delete', aStart: 1, bStart: 1, count: 1 },
+        { type: 'insert', aStart: 2, bStart: 1, count: 1 },
+        { type: 'equal', aStart: 2, bStart: 2, count: 2 },
+        { type: 'insert', aStart: 4, bStart: 4, count: 1 },
+      ]);
+    });
+
+    it('should handle empty inputs', () => {
+      expect(diffLines([], [])).toEqual([]);
+      expect(diffLines([], ['a'])).toEqual([{ type: 'insert', aStart: 0, bStart: 0, count: 1 }]);
+      expect(diffLines(['a'], [])).toEqual([{ type: 'delete', aStart: 0, bStart: 0, count: 1 }]);
+    });
+
+    it('should produce a minimal edit script', () => {
+      const a = 'abcabba'.split('');
+      const b = 'cbabac'.split('');
+      const edits = diffLines(a, b)
+        .filter((op) => op.type !== 'equal')
+        .reduce((sum, op) => sum + op.count, 0);
+
+      expect(edits).toBe(5);
+    });
+
+    it('should diff large interleaved rewrites', () => {
+      const a = Array.from({ length: 4000 }, (_, i) => `${i % 3}\n`);
+      const b = Array.from({ length: 4000 }, (_, i) => `${i % 5}\n`);
+
+      const ops = diffLines(a, b);
+      const rebuilt = ops.flatMap(op => (op.type === 'insert' ? b : a).slice(
+        op.type === 'insert' ? op.bStart : op.aStart,
+        (op.type === 'insert' ? op.bStart : op.aStart) + (op.type === 'delete' ? 0 : op.count)
+      ));
+
+      expect(rebuilt).toEqual(b);
+    });
+
+    it('should replace files that share no lines', () => {
+      const a = Array.from({ length: 6000 }, (_, i) => `old ${i}\n`);
+      const b = Array.from({ length: 6000 }, (_, i) => `new ${i}\n`);
+
+      expect(diffLines(a, b)).toEqual([
+        { type: 'delete', aStart: 0, bStart: 0, count: 6000 },
+        { type: 'insert', aStart: 6000, bStart: 0, count: 6000 },
+      ]);
+    });
+  });
+
+  describe('merge3', () => {
+    const base = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\n';
+
+    it('should merge non-overlapping edits cleanly', () => {
+      const left = 'ONE\ntwo\nthree\nfour\nfive\nsix\nseven\n';
+      const right = 'one\ntwo\nthree\nfour\nfive\nsix\nSEVEN\n';
+
+      const result = merge3(base, left, right);
+
+      expect(result.clean).toBe(true);
+      expect(result.regions).toEqual([]);
+      expect(result.content).toBe('ONE\ntwo\nthree\nfour\nfive\nsix\nSEVEN\n');
+    });
+
+    it('should merge insertions and deletions on different sides', () => {
+      const left = 'one\ntwo\nthree\ninserted\nfour\nfive\nsix\nseven\n';
+      const right = 'one\nthree\nfour\nfive\nsix\nseven\n';
+
+      const result = merge3(base, left, right);
+
+      expect(result.clean).toBe(true);
+      expect(result.content).toBe('one\nthree\ninserted\nfour\nfive\nsix\nseven\n');
+    });
+
+    it('should accept identical edits on both sides', () => {
+      const edited = 'one\ntwo\nTHREE\nfour\nfive\nsix\nseven\n';
+
+      const result = merge3(base, edited, edited);
+
+      expect(result.clean).toBe(true);
+      expect(result.content).toBe(edited);
+    });
+
+    it('should report overlapping edits as regions with line ranges', () => {
+      const left = 'one\nTWO-left\nthree\nfour\nfive\nsix\nSEVEN\n';
+      const right = 'one\nTWO-right\nextra\nthree\nfour\nfive\nsix\nseven\n';
+
+      const result = merge3(base, left, right);
+
+      expect(result.clean).toBe(false);
+      expect(result.regions).toEqual([
+        {
+          base: { start: 2, lines: 1 },
+          left: { start: 2, lines: 1 },
+          right: { start: 2, lines: 2 },
+        },
+      ]);
+      expect(result.content).toBe(
+        'one\n' +
+          '<<<<<<< Left\nTWO-left\n' +
+          '||||||| Base\ntwo\n' +
+          '=======\nTWO-right\nextra\n' +
+          '>>>>>>> Right\n' +
+          'three\nfour\nfive\nsix\nSEVEN\n'
+      );
+    });
+
+    it('should report each overlapping region separately', () => {
+      const left = 'one\nL2\nthree\nfour\nfive\nL6\nseven\n';
+      const right = 'one\nR2\nthree\nfour\nfive\nR6\nseven\n';
+
+      const result = merge3(base, left, right);
+
+      expect(result.regions).toHaveLength(2);
+      expect(result.regions[0].base).toEqual({ start: 2, lines: 1 });
+      expect(result.regions[1].base).toEqual({ start: 6, lines: 1 });
+    });
+
+    it('should resolve conflicted regions in favor of one side', () => {
+      const left = 'one\nL2\nthree\nFOUR\nfive\nsix\nseven\n';
+      const right = 'one\nR2\nthree\nfour\nfive\nsix\nSEVEN\n';
+
+      expect(merge3(base, left, right, { favor: 'left' }).content).toBe(
+        'one\nL2\nthree\nFOUR\nfive\nsix\nSEVEN\n'
+      );
+      expect(merge3(base, left, right, { favor: 'right' }).content).toBe(
+        'one\nR2\nthree\nFOUR\nfive\nsix\nSEVEN\n'
+      );
+      expect(merge3(base, left, right, { favor: 'union' }).content).toBe(
+        'one\nL2\nR2\nthree\nFOUR\nfive\nsix\nSEVEN\n'
+      );
+    });
+
+    it('should omit the base section when its label is null', () => {
+      const result = merge3('a', 'b', 'c', { labels: { left: 'ours', base: null, right: 'theirs' } });
+
+      expect(result.content).toBe('<<<<<<< ours\nb\n=======\nc\n>>>>>>> theirs\n');
+    });
+  });
+
+  describe('diffHunks', () => {
+    const numbered = (count) =>
+      Array.from({ length: count }, (_, i) => `line${i + 1}\n`).join('');
+
+    it('should report line numbers, context and counts', () => {
+      const oldText = numbered(10);
+      const newText = oldText.replace('line5\n', 'LINE5\nextra\n');
+
+      const [hunk] = diffHunks(oldText, newText);
+
+      expect(hunk).toMatchObject({
+        oldStart: 2,
+        oldLines: 7,
+        newStart: 2,
+        newLines: 8,
+        header: '@@ -2,7 +2,8 @@',
+        additions: 2,
+        deletions: 1,
+      });
+      expect(hunk.lines.slice(2, 6)).toEqual([
+        { type: 'context', content: 'line4', oldLine: 4, newLine: 4 },
+        { type: 'delete', content: 'line5', oldLine: 5 },
+        { type: 'insert', content: 'LINE5', newLine: 5 },
+        { type: 'insert', content: 'extra', newLine: 6 },
+      ]);
+    });
+
+    it('should split distant changes into separate hunks', () => {
+      const oldText = numbered(20);
+      const newText = oldText.replace('line2\n', 'two\n').replace('line18\n', 'eighteen\n');
+
+      const hunks = diffHunks(oldText, newText);
+
+      expect(hunks.map((h) => h.header)).toEqual(['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+    });
+
+    it('should merge changes whose context overlaps', () => {
+      const oldText = numbered(20);
+      const newText = oldText.replace('line5\n', 'five\n').replace('line10\n', 'ten\n');
+
+      expect(diffHunks(oldText, newText)).toHaveLength(1);
+      expect(diffHunks(oldText, newText, { context: 1 })).toHaveLength(2);
+    });
+
+    it('should honour the context size', () => {
+      const oldText = numbered(10);
+      const newText = oldText.replace('line5\n', 'five\n');
+
+      const [hunk] = diffHunks(oldText, newText, { context: 0 });
+
+      expect(hunk.header).toBe('@@ -5 +5 @@');
+      expect(hunk.lines).toHaveLength(2);
+    });
+
+    it('should use the preceding line as start for pure insertions', () => {
+      const [hunk] = diffHunks('a\nb\n', 'a\nnew\nb\n', { context: 0 });
+
+      expect(hunk.header).toBe('@@ -1,0 +2 @@');
+    });
+
+    it('should ignore whitespace-only changes when asked', () => {
+      const oldText = 'if (x) {\n  run();\n}\n';
+      const newText = 'if (x) {\n    run();\n}\n';
+
+      expect(diffHunks(oldText, newText)).toHaveLength(1);
+      expect(diffHunks(oldText, newText, { ignoreWhitespace: true })).toEqual([]);
+    });
+
+    it('should flag lines without a trailing newline', () => {
+      const [hunk] = diffHunks('a\nb', 'a\nc');
+
+      expect(hunk.lines[1]).toEqual({ type: 'delete', content: 'b', oldLine: 2, noNewline: true });
+    });
+  });
+
+  describe('applyHunks', () => {
+    const oldText = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+    const newText = 'A\nb\nc\nd\ne\nf\ng\nh\nj\nk\n';
+    const hunks = diffHunks(oldText, newText, { context: 1 });
+
+    it('should reproduce the old or new text when including none or all lines', () => {
+      expect(applyHunks(oldText, newText, hunks, () => false)).toBe(oldText);
+      expect(applyHunks(oldText, newText, hunks, () => true)).toBe(newText);
+    });
+
+    it('should apply only the included hunks', () => {
+      expect(hunks).toHaveLength(2);
+      expect(applyHunks(oldText, newText, hunks, (hunk) => hunk === 1)).toBe('a\nb\nc\nd\ne\nf\ng\nh\nj\nk\n');
+      expect(applyHunks(oldText, newText, hunks, (hunk) => hunk === 0)).toBe('A\nb\nc\nd\ne\nf\ng\nh\ni\nj\n');
+    });
+
+    it('should apply single lines of a hunk', () => {
+      const [, second] = hunks;
+      const insert = second.lines.findIndex(line => line.type === 'insert');
+
+      expect(applyHunks(oldText, newText, hunks, (hunk, line) => hunk === 1 && line === insert))
+        .toBe('a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk\n');
+    });
+
+    it('should terminate a kept last line that gets followed by more', () => {
+      const before = 'a';
+      const after = 'a\nb\n';
+      const fileHunks = diffHunks(before, after);
+      const insertB = fileHunks[0].lines.findIndex(line => line.content === 'b');
+
+      expect(applyHunks(before, after, fileHunks, (hunk, line) => line === insertB)).toBe('a\nb\n');
+    });
+
+    it('should apply hunks to empty text', () => {
+      const fileHunks = diffHunks('', 'x\ny\n');
+
+      expect(applyHunks('', 'x\ny\n', fileHunks, (hunk, line) => line === 1)).toBe('y\n');
+    });
+  });
+
+  describe('formatPatch', () => {
+    it('should format a modified file as a git patch', () => {
+      const hunks = diffHunks('a\nb\nc\n', 'a\nB\nc\n');
+
+      expect(formatPatch({ path: 'src/x.txt', status: 'modified', hunks })).toBe(
+        'diff --git a/src/x.txt b/src/x.txt\n' +
+          '--- a/src/x.txt\n' +
+          '+++ b/src/x.txt\n' +
+          '@@ -1,3 +1,3 @@\n' +
+          ' a\n' +
+          '-b\n' +
+          '+B\n' +
+          ' c\n'
+      );
+    });
+
+    it('should use /dev/null for added and deleted files', () => {
+      const added = formatPatch({ path: 'new.txt', status: 'added', hunks: diffHunks('', 'hi') });
+      const deleted = formatPatch({ path: 'old.txt', status: 'deleted', hunks: diffHunks('hi\n', '') });
+
+      expect(added).toBe(
+        'diff --git a/new.txt b/new.txt\n' +
+          'new file mode 100644\n' +
+          '--- /dev/null\n' +
+          '+++ b/new.txt\n' +
+          '@@ -0,0 +1 @@\n' +
+          '+hi\n' +
+          '\\ No newline at end of file\n'
+      );
+      expect(deleted).toContain('deleted file mode 100644\n--- a/old.txt\n+++ /dev/null\n');
+    });
+  });
+});
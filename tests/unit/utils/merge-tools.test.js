@@ -0,0 +1,52 @@
+/**
+ * Tests for merge tool helpers
+ */
+
+import { mergeToolCommand, expandMergeArgs } from '../../../src/utils/merge-tools.js';
+
+describe('Merge Tools', () => {
+  const tools = {
+    meld: { 'merge-args': ['$left', '$base', '$right', '-o', '$output'] },
+    kdiff3: { program: '/usr/bin/kdiff3', 'merge-args': ['$base', '$left', '$right', '--output=$output'] },
+    broken: { program: 'broken' },
+    viewer: { 'merge-args': ['$left', '$right'] },
+  };
+
+  describe('mergeToolCommand', () => {
+    it('should build the command of a configured tool', () => {
+      expect(mergeToolCommand('kdiff3', tools)).toEqual({
+        name: 'kdiff3',
+        program: '/usr/bin/kdiff3',
+        args: ['$base', '$left', '$right', '--output=$output'],
+      });
+    });
+
+    it('should default the program to the tool name', () => {
+      expect(mergeToolCommand('meld', tools).program).toBe('meld');
+    });
+
+    it('should accept a program and its arguments', () => {
+      expect(mergeToolCommand(['vimdiff', '$output', '$left'])).toEqual({
+        name: 'vimdiff',
+        program: 'vimdiff',
+        args: ['$output', '$left'],
+      });
+    });
+
+    it('should reject unknown and malformed tools', () => {
+      expect(() => mergeToolCommand('unknown', tools)).toThrow(expect.objectContaining({ code: 'MERGE_TOOL_NOT_FOUND' }));
+      expect(() => mergeToolCommand('broken', tools)).toThrow(expect.objectContaining({ code: 'INVALID_MERGE_TOOL' }));
+      expect(() => mergeToolCommand('viewer', tools)).toThrow(expect.objectContaining({ code: 'INVALID_MERGE_TOOL' }));
+      expect(() => mergeToolCommand([])).toThrow(expect.objectContaining({ code: 'INVALID_MERGE_TOOL' }));
+    });
+  });
+
+  describe('expandMergeArgs', () => {
+    it('should replace the placeholders with file paths', () => {
+      const files = { base: '/tmp/b', left: '/tmp/l', right: '/tmp/r', output: '/tmp/o' };
+
+      expect(expandMergeArgs(['$left', '$base', '$right', '--output=$output', '$other'], files))
+        .toEqual(['/tmp/l', '/tmp/b', '/tmp/r', '--output=/tmp/o', '$other']);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for path pattern utilities
+ */
+
+import { globToRegExp, matchesPathPattern } from '../../../src/utils/path-pattern.js';
+
+describe('Path Patterns', () => {
+  describe('globToRegExp', () => {
+    it('should keep * within a path segment', () => {
+      expect(globToRegExp('src/*.js').test('src/index.js')).toBe(true);
+      expect(globToRegExp('src/*.js').test('src/core/index.js')).toBe(false);
+    });
+
+    it('should let ** span directories', () => {
+      expect(globToRegExp('src/**/*.js').test('src/index.js')).toBe(true);
+      expect(globToRegExp('src/**/*.js').test('src/core/deep/index.js')).toBe(true);
+      expect(globToRegExp('**').test('any/path')).toBe(true);
+    });
+
+    it('should support ? and character classes', () => {
+      expect(globToRegExp('file?.[ch]').test('file1.c')).toBe(true);
+      expect(globToRegExp('file?.[ch]').test('file1.js')).toBe(false);
+    });
+
+    it('should negate character classes with ! or ^', () => {
+      expect(globToRegExp('[!abc].txt').test('d.txt')).toBe(true);
+      expect(globToRegExp('[!abc].txt').test('a.txt')).toBe(false);
+      expect(globToRegExp('[!abc].txt').test('!.txt')).toBe(true);
+      expect(globToRegExp('[^abc].txt').test('a.txt')).toBe(false);
+      expect(globToRegExp('a[!x]b').test('a/b')).toBe(false);
+    });
+
+    it('should take regex characters in classes literally', () => {
+      expect(globToRegExp('[]a].txt').test('].txt')).toBe(true);
+      expect(globToRegExp('[a\\].txt').test('\\.txt')).toBe(true);
+      expect(globToRegExp('[a^].txt').test('^.txt')).toBe(true);
+      expect(globToRegExp('[a-c].txt').test('b.txt')).toBe(true);
+    });
+
+    it('should reject invalid character classes', () => {
+      expect(() => globToRegExp('[z-a].txt')).toThrow(expect.objectContaining({ code: 'INVALID_PATTERN' }));
+    });
+
+    it('should treat regex characters literally', () => {
+      expect(globToRegExp('a+b.txt').test('a+b.txt')).toBe(true);
+      expect(globToRegExp('a+b.txt').test('aab.txt')).toBe(false);
+    });
+  });
+
+  describe('matchesPathPattern', () => {
+    it('should match exact paths', () => {
+      expect(matchesPathPattern('README.md', 'README.md')).toBe(true);
+      expect(matchesPathPattern('README.md', 'README')).toBe(false);
+    });
+
+    it('should match files below a directory', () => {
+      expect(matchesPathPattern('src/core/a.js', 'src')).toBe(true);
+      expect(matchesPathPattern('src/core/a.js', 'src/')).toBe(true);
+      expect(matchesPathPattern('srcfile.js', 'src')).toBe(false);
+    });
+
+    it('should match globs', () => {
+      expect(matchesPathPattern('docs/guide.md', '**/*.md')).toBe(true);
+      expect(matchesPathPattern('docs/guide.txt', '**/*.md')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for revset alias utilities
+ */
+
+import {
+  parseAliasDeclaration,
+  compileRevsetAliases,
+  expandRevsetAliases,
+} from '../../../src/utils/revset-aliases.js';
+import { parseRevset } from '../../../src/utils/revset-parser.js';
+
+const expand = (expression, aliases) => expandRevsetAliases(parseRevset(expression), compileRevsetAliases(aliases));
+
+describe('Revset Aliases', () => {
+  describe('parseAliasDeclaration', () => {
+    it('should parse symbol and function declarations', () => {
+      expect(parseAliasDeclaration('trunk')).toEqual({ name: 'trunk', params: null });
+      expect(parseAliasDeclaration('stack(x, depth)')).toEqual({ name: 'stack', params: ['x', 'depth'] });
+      expect(parseAliasDeclaration('visible()')).toEqual({ name: 'visible', params: [] });
+    });
+
+    it('should reject malformed declarations', () => {
+      for (const declaration of ['', 'a b', 'f(x', 'f(x,)', 'f(x, x)', 'f(x) | y', 'main@origin', '"trunk"']) {
+        expect(() => parseAliasDeclaration(declaration)).toThrow(
+          expect.objectContaining({ code: 'INVALID_REVSET_ALIAS' })
+        );
+      }
+    });
+  });
+
+  describe('compileRevsetAliases', () => {
+    it('should report invalid bodies with the alias name', () => {
+      expect(() => compileRevsetAliases({ broken: 'heads(' })).toThrow('Invalid revset alias "broken"');
+      expect(() => compileRevsetAliases({ broken: 42 })).toThrow('must be a revset string');
+      expect(() => compileRevsetAliases(['trunk'])).toThrow('must be a table');
+    });
+  });
+
+  describe('expandRevsetAliases', () => {
+    it('should substitute symbol aliases', () => {
+      expect(expand('trunk | @', { trunk: 'main' })).toMatchObject({
+        type: 'union',
+        left: { type: 'symbol', value: 'main' },
+        right: { type: 'symbol', value: '@' },
+      });
+    });
+
+    it('should bind arguments to parameters', () => {
+      expect(expand('stack(feature)', { 'stack(x)': 'x::@ ~ ::trunk', trunk: 'main' })).toMatchObject({
+        type: 'difference',
+        left: { type: 'range', from: { value: 'feature' }, to: { value: '@' } },
+        right: { type: 'range', from: null, to: { value: 'main' } },
+      });
+    });
+
+    it('should expand arguments in the caller scope', () => {
+      // "x" inside the argument is the caller's alias, not the parameter
+      expect(expand('f(x)', { 'f(x)': 'parents(x)', x: 'main' })).toMatchObject({
+        type: 'function',
+        name: 'parents',
+        args: [{ type: 'symbol', value: 'main' }],
+      });
+    });
+
+    it('should overload function aliases by arity', () => {
+      const aliases = { 'f()': '@', 'f(x)': 'x-' };
+      expect(expand('f()', aliases)).toMatchObject({ type: 'symbol', value: '@' });
+      expect(expand('f(main)', aliases)).toMatchObject({ type: 'parents' });
+      expect(() => expand('f(a, b)', aliases)).toThrow('expects 0 or 1 argument(s), got 2');
+    });
+
+    it('should report alias nodes at the column where the alias is used', () => {
+      expect(expand('@ | trunk', { trunk: 'heads(main)' })).toMatchObject({
+        right: { type: 'function', column: 5, args: [{ column: 5 }] },
+      });
+    });
+
+    it('should detect cycles', () => {
+      expect(() => expand('a', { a: 'b', b: 'c | a', c: '@' })).toThrow('a -> b -> a');
+      expect(() => expand('f(@)', { 'f(x)': 'f(x-)' })).toThrow(
+        expect.objectContaining({ code: 'INVALID_REVSET_ALIAS', context: expect.objectContaining({ column: 1 }) })
+      );
+    });
+
+    it('should leave non-alias nodes untouched', () => {
+      expect(expand('bookmarks(glob:"x*")', { trunk: 'main' })).toEqual(parseRevset('bookmarks(glob:"x*")'));
+    });
+  });
+});
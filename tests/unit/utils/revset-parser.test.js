@@ -0,0 +1,131 @@
+/**
+ * Tests for the revset parser
+ */
+
+import { tokenize, parseRevset } from '../../../src/utils/revset-parser.js';
+import { JJError } from '../../../src/utils/errors.js';
+
+describe('Revset Parser', () => {
+  describe('tokenize', () => {
+    it('should split operators from names', () => {
+      expect(tokenize('@-::main').map(t => t.type)).toEqual(['@', '-', '::', 'identifier', 'eof']);
+      expect(tokenize('a..b').map(t => t.value)).toEqual(['a', '..', 'b', '']);
+    });
+
+    it('should keep inner dots, dashes and remotes in names', () => {
+      const names = tokenize('feature-x | file.js | main@origin | 2025-01-01')
+        .filter(t => t.type === 'identifier')
+        .map(t => t.value);
+      expect(names).toEqual(['feature-x', 'file.js', 'main@origin', '2025-01-01']);
+    });
+
+    it('should read quoted strings with escapes', () => {
+      const [token] = tokenize('"say \\"hi\\""');
+      expect(token).toEqual({ type: 'string', value: 'say "hi"', column: 1 });
+    });
+
+    it('should record 1-based columns', () => {
+      expect(tokenize('  all() ').map(t => t.column)).toEqual([3, 6, 7, 9]);
+    });
+
+    it('should reject unknown characters and unterminated strings', () => {
+      expect(() => tokenize('all() $ x')).toThrow('column 7');
+      expect(() => tokenize('author("bob')).toThrow('Unterminated string at column 8');
+    });
+  });
+
+  describe('parseRevset', () => {
+    it('should parse nested function calls', () => {
+      expect(parseRevset('heads(ancestors(bookmark(main)))')).toMatchObject({
+        type: 'function',
+        name: 'heads',
+        args: [{
+          type: 'function',
+          name: 'ancestors',
+          args: [{ type: 'function', name: 'bookmark', args: [{ type: 'symbol', value: 'main' }] }],
+        }],
+      });
+      expect(parseRevset('latest(all(), 3)').args).toHaveLength(2);
+      expect(parseRevset('none()').args).toEqual([]);
+    });
+
+    it('should bind & tighter than |', () => {
+      expect(parseRevset('a | b & c')).toMatchObject({
+        type: 'union',
+        left: { type: 'symbol', value: 'a' },
+        right: { type: 'intersection', left: { value: 'b' }, right: { value: 'c' } },
+      });
+    });
+
+    it('should treat & and ~ as left-associative at the same level', () => {
+      expect(parseRevset('a ~ b & c')).toMatchObject({
+        type: 'intersection',
+        left: { type: 'difference', left: { value: 'a' }, right: { value: 'b' } },
+        right: { value: 'c' },
+      });
+    });
+
+    it('should let parentheses override precedence', () => {
+      expect(parseRevset('(a | b) & c')).toMatchObject({
+        type: 'intersection',
+        left: { type: 'union' },
+      });
+    });
+
+    it('should parse prefix negation below ranges', () => {
+      expect(parseRevset('~::@')).toMatchObject({
+        type: 'not',
+        operand: { type: 'range', op: '::', from: null, to: { value: '@' } },
+      });
+    });
+
+    it('should parse open and closed ranges', () => {
+      expect(parseRevset('a::b')).toMatchObject({ type: 'range', op: '::', from: { value: 'a' }, to: { value: 'b' } });
+      expect(parseRevset('a..')).toMatchObject({ type: 'range', op: '..', from: { value: 'a' }, to: null });
+      expect(parseRevset('..b')).toMatchObject({ type: 'range', op: '..', from: null, to: { value: 'b' } });
+      expect(parseRevset('::')).toMatchObject({ type: 'range', op: '::', from: null, to: null });
+    });
+
+    it('should bind postfix operators tighter than ranges', () => {
+      expect(parseRevset('@--::x+')).toMatchObject({
+        type: 'range',
+        from: { type: 'parents', operand: { type: 'parents', operand: { value: '@' } } },
+        to: { type: 'children', operand: { value: 'x' } },
+      });
+    });
+
+    it('should parse kind:value string patterns', () => {
+      expect(parseRevset('author(exact-i:Alice)').args[0]).toEqual({
+        type: 'pattern', kind: 'exact-i', value: 'Alice', column: 8,
+      });
+      expect(parseRevset('bookmarks(glob:"feat/*")').args[0]).toMatchObject({
+        type: 'pattern', kind: 'glob', value: 'feat/*',
+      });
+      // :: is still a range
+      expect(parseRevset('a::b')).toMatchObject({ type: 'range', op: '::' });
+    });
+
+    it('should report the column of the bad token', () => {
+      const cases = [
+        ['all() &', 8],
+        ['author(exact:)', 14],
+        ['heads(all()', 12],
+        ['a | | b', 5],
+        ['f(a,)', 5],
+        ['(a b)', 4],
+        ['', 1],
+      ];
+      for (const [expression, column] of cases) {
+        let error;
+        try {
+          parseRevset(expression);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).toBeInstanceOf(JJError);
+        expect(error.code).toBe('INVALID_REVSET');
+        expect(error.context).toMatchObject({ expression, column });
+      }
+    });
+  });
+});
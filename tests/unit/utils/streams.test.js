@@ -0,0 +1,77 @@
+/**
+ * Tests for WHATWG stream helpers
+ */
+
+import { bytesReadableStream, fileReadableStream, fileWritableStream } from '../../../src/utils/streams.js';
+import { MockFS } from '../../fixtures/mock-fs.js';
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+describe('Streams', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFS();
+  });
+
+  afterEach(() => {
+    fs.reset();
+  });
+
+  describe('bytesReadableStream', () => {
+    it('should load bytes on the first read and split them into chunks', async () => {
+      let loads = 0;
+      const stream = bytesReadableStream(async () => {
+        loads++;
+        return new Uint8Array([1, 2, 3, 4, 5]);
+      }, 2);
+
+      expect(loads).toBe(0);
+      const chunks = await readAll(stream);
+      expect(loads).toBe(1);
+      expect(chunks.map(chunk => [...chunk])).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    it('should end empty content without chunks', async () => {
+      expect(await readAll(bytesReadableStream(async () => new Uint8Array(), 2))).toEqual([]);
+    });
+  });
+
+  describe('fileReadableStream', () => {
+    it('should read files of filesystems without file handles', async () => {
+      await fs.promises.writeFile('/data.txt', 'abcdef');
+
+      const chunks = await readAll(fileReadableStream(fs, '/data.txt', 4));
+
+      expect(chunks.map(chunk => new TextDecoder().decode(chunk))).toEqual(['abcd', 'ef']);
+    });
+
+    it('should error the stream when the file is missing', async () => {
+      await expect(readAll(fileReadableStream(fs, '/missing.txt'))).rejects.toThrow(/ENOENT/);
+    });
+  });
+
+  describe('fileWritableStream', () => {
+    it('should write strings and bytes, then call onClose', async () => {
+      let closed = false;
+      const stream = fileWritableStream(fs, '/out.txt', async () => {
+        closed = true;
+      });
+
+      const writer = stream.getWriter();
+      await writer.write('ab');
+      await writer.write(new TextEncoder().encode('cd'));
+      await writer.write(new TextEncoder().encode('ef').buffer);
+      await writer.close();
+
+      expect(closed).toBe(true);
+      expect(new TextDecoder().decode(await fs.promises.readFile('/out.txt'))).toBe('abcdef');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for string pattern utilities
+ */
+
+import { compileStringPattern } from '../../../src/utils/string-pattern.js';
+import { JJError } from '../../../src/utils/errors.js';
+
+describe('String Patterns', () => {
+  it('should match exact strings', () => {
+    expect(compileStringPattern('main', 'exact')('main')).toBe(true);
+    expect(compileStringPattern('main', 'exact')('mainline')).toBe(false);
+    expect(compileStringPattern('Main', 'exact-i')('MAIN')).toBe(true);
+  });
+
+  it('should match substrings by default', () => {
+    expect(compileStringPattern('bug')('Fix bug in parser')).toBe(true);
+    expect(compileStringPattern('BUG')('Fix bug in parser')).toBe(false);
+    expect(compileStringPattern('BUG', 'substring-i')('Fix bug in parser')).toBe(true);
+  });
+
+  it('should match whole strings against globs, with * spanning slashes', () => {
+    const matches = compileStringPattern('feature/*', 'glob');
+    expect(matches('feature/login')).toBe(true);
+    expect(matches('feature/auth/login')).toBe(true);
+    expect(matches('my-feature/login')).toBe(false);
+    expect(compileStringPattern('v?.[0-9]', 'glob')('v1.2')).toBe(true);
+    expect(compileStringPattern('v1.[!0]', 'glob')('v1.0')).toBe(false);
+    expect(compileStringPattern('a+b.c', 'glob')('a+b.c')).toBe(true);
+    expect(compileStringPattern('FEAT*', 'glob-i')('feature')).toBe(true);
+  });
+
+  it('should search with unanchored regular expressions', () => {
+    expect(compileStringPattern('^v\\d+', 'regex')('v12-rc')).toBe(true);
+    expect(compileStringPattern('rc$', 'regex')('v12-rc1')).toBe(false);
+    expect(compileStringPattern('RC', 'regex-i')('v12-rc1')).toBe(true);
+  });
+
+  it('should reject unknown kinds and invalid regexes', () => {
+    expect(() => compileStringPattern('x', 'fuzzy')).toThrow(JJError);
+    expect(() => compileStringPattern('x', 'fuzzy')).toThrow('Unknown string pattern kind "fuzzy"');
+    expect(() => compileStringPattern('(', 'regex')).toThrow('Invalid regular expression');
+    try {
+      compileStringPattern('(', 'regex');
+    } catch (error) {
+      expect(error.code).toBe('INVALID_PATTERN');
+    }
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the template parser
+ */
+
+import { tokenizeTemplate, parseTemplate, compileTemplateAliases } from '../../../src/utils/template-parser.js';
+import { JJError } from '../../../src/utils/errors.js';
+
+describe('Template Parser', () => {
+  describe('tokenizeTemplate', () => {
+    it('should split operators, names, strings and integers', () => {
+      expect(tokenizeTemplate('change_id.short(8) ++ "\\n"').map(t => t.type)).toEqual(
+        ['identifier', '.', 'identifier', '(', 'integer', ')', '++', 'string', 'eof']
+      );
+    });
+
+    it('should unescape double-quoted strings and keep single-quoted ones raw', () => {
+      expect(tokenizeTemplate('"a\\tb\\"c"')[0].value).toBe('a\tb"c');
+      expect(tokenizeTemplate("'a\\nb'")[0].value).toBe('a\\nb');
+    });
+
+    it('should reject bad escapes, unterminated strings and unknown characters', () => {
+      expect(() => tokenizeTemplate('"\\q"')).toThrow("Invalid escape sequence '\\q' at column 2");
+      expect(() => tokenizeTemplate('"abc')).toThrow('Unterminated string at column 1');
+      expect(() => tokenizeTemplate('a $ b')).toThrow('column 3');
+    });
+  });
+
+  describe('parseTemplate', () => {
+    it('should parse concatenation of keywords, literals and calls', () => {
+      expect(parseTemplate('change_id ++ " " ++ if(empty, "(empty)")')).toMatchObject({
+        type: 'concat',
+        parts: [
+          { type: 'keyword', name: 'change_id' },
+          { type: 'literal', value: ' ' },
+          { type: 'call', name: 'if', args: [{ type: 'keyword', name: 'empty' }, { type: 'literal', value: '(empty)' }] },
+        ],
+      });
+    });
+
+    it('should chain method calls', () => {
+      expect(parseTemplate('description.first_line().upper()')).toMatchObject({
+        type: 'method',
+        name: 'upper',
+        object: { type: 'method', name: 'first_line', object: { type: 'keyword', name: 'description' } },
+      });
+    });
+
+    it('should bind ! tighter than && tighter than || tighter than ++', () => {
+      expect(parseTemplate('a ++ !b && c || d')).toMatchObject({
+        type: 'concat',
+        parts: [
+          { name: 'a' },
+          { type: 'or', left: { type: 'and', left: { type: 'not', operand: { name: 'b' } }, right: { name: 'c' } }, right: { name: 'd' } },
+        ],
+      });
+    });
+
+    it('should parse boolean and integer literals', () => {
+      expect(parseTemplate('true')).toMatchObject({ type: 'literal', value: true });
+      expect(parseTemplate('42')).toMatchObject({ type: 'literal', value: 42 });
+      expect(parseTemplate('')).toMatchObject({ type: 'literal', value: '' });
+    });
+
+    it('should report the column of the bad token', () => {
+      const cases = [['a ++', 5], ['f(a', 4], ['a b', 3], ['x.', 3]];
+      for (const [template, column] of cases) {
+        let error;
+        try {
+          parseTemplate(template);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).toBeInstanceOf(JJError);
+        expect(error.code).toBe('INVALID_TEMPLATE');
+        expect(error.context).toMatchObject({ template, column });
+      }
+    });
+  });
+
+  describe('compileTemplateAliases', () => {
+    it('should split keyword and function aliases', () => {
+      const { keywords, functions } = compileTemplateAliases({ my_log: 'change_id', 'id(x, n)': 'x.short(n)', 'now()': '"x"' });
+      expect([...keywords.keys()]).toEqual(['my_log']);
+      expect([...functions.keys()]).toEqual(['id/2', 'now/0']);
+    });
+
+    it('should reject malformed declarations and bodies', () => {
+      for (const declaration of ['1x', 'f(a,)', 'f(a, a)', 'f(a', 'a.b']) {
+        expect(() => compileTemplateAliases({ [declaration]: '""' })).toThrow(
+          expect.objectContaining({ code: 'INVALID_TEMPLATE_ALIAS' })
+        );
+      }
+      expect(() => compileTemplateAliases({ broken: 'a ++' })).toThrow('Invalid template alias "broken"');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for view merging
+ */
+
+import { mergeEntries, mergeViews } from '../../../src/utils/view-merge.js';
+
+describe('mergeEntries', () => {
+  it('should keep entries each side changed', () => {
+    const { entries, conflicts } = mergeEntries(
+      { a: 1, b: 2 },
+      [{ a: 10, b: 2 }, { a: 1, b: 2, c: 3 }]
+    );
+
+    expect(entries).toEqual({ a: 10, b: 2, c: 3 });
+    expect(conflicts).toEqual([]);
+  });
+
+  it('should drop entries a side deleted', () => {
+    const { entries } = mergeEntries({ a: 1, b: 2 }, [{ a: 1 }, { a: 1, b: 2 }]);
+
+    expect(entries).toEqual({ a: 1 });
+  });
+
+  it('should report entries the sides changed differently and keep the last', () => {
+    const { entries, conflicts } = mergeEntries({ a: 1 }, [{ a: 2 }, { a: 3 }]);
+
+    expect(entries).toEqual({ a: 3 });
+    expect(conflicts).toEqual([{ key: 'a', values: [2, 3] }]);
+  });
+
+  it('should not report entries the sides changed the same way', () => {
+    const { conflicts } = mergeEntries({ a: { x: 1 } }, [{ a: { x: 2 } }, { a: { x: 2 } }]);
+
+    expect(conflicts).toEqual([]);
+  });
+
+  it('should skip sides without entries', () => {
+    const { entries } = mergeEntries({ a: 1 }, [undefined, { a: 2 }]);
+
+    expect(entries).toEqual({ a: 2 });
+  });
+});
+
+describe('mergeViews', () => {
+  const base = {
+    changes: { c1: 'state1' },
+    bookmarks: { main: 'c1' },
+    workingCopy: 'c1',
+    conflicts: { conflicts: {}, fileConflicts: {} },
+  };
+
+  it('should merge changes added on each side', () => {
+    const { view, divergentChanges } = mergeViews(base, [
+      { ...base, changes: { c1: 'state1', c2: 'state2' } },
+      { ...base, changes: { c1: 'state1', c3: 'state3' } },
+    ]);
+
+    expect(view.changes).toEqual({ c1: 'state1', c2: 'state2', c3: 'state3' });
+    expect(divergentChanges).toEqual([]);
+  });
+
+  it('should report changes edited differently as divergent', () => {
+    const { view, divergentChanges } = mergeViews(base, [
+      { ...base, changes: { c1: 'left' } },
+      { ...base, changes: { c1: 'right' } },
+    ]);
+
+    expect(view.changes.c1).toBe('right');
+    expect(divergentChanges).toEqual([{ changeId: 'c1', states: ['left', 'right'] }]);
+  });
+
+  it('should report bookmarks moved to different targets', () => {
+    const { view, conflictedBookmarks } = mergeViews(base, [
+      { ...base, bookmarks: { main: 'c2' } },
+      { ...base, bookmarks: { main: 'c3' } },
+    ]);
+
+    expect(view.bookmarks.main).toBe('c3');
+    expect(conflictedBookmarks).toEqual([{ name: 'main', base: 'c1', targets: ['c2', 'c3'] }]);
+  });
+
+  it('should take the working copy from the side that moved it', () => {
+    const { view } = mergeViews(base, [{ ...base, workingCopy: 'c2' }, base]);
+
+    expect(view.workingCopy).toBe('c2');
+  });
+});